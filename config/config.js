@@ -5,9 +5,12 @@ module.exports = {
   JWT_SECRET: process.env.JWT_SECRET || 'default_jwt_secret',
   OPENAI_API_KEY: process.env.OPENAI_API_KEY || '',
   PAYME_SECRET_KEY: process.env.PAYME_SECRET_KEY || '',
+  // No fallback: certificates signed with a public default could be forged; issuance fails while unset
+  CERTIFICATE_SIGNING_SECRET: process.env.CERTIFICATE_SIGNING_SECRET || '',
 
   // 🌐 URLs
   FRONTEND_URL: process.env.FRONTEND_URL || 'https://aced.live',
+  API_URL: process.env.API_URL || 'https://api.aced.live',
 
   // 💾 MongoDB / Firebase / Others
   MONGODB_URI: process.env.MONGODB_URI || '',
@@ -0,0 +1,143 @@
+// config/llmConfig.js - LLM providers and which models each AI feature uses (services/llmGateway.js)
+
+// OpenAI-compatible chat completion endpoints. `local` is any self-hosted
+// server speaking the same API (Ollama, LM Studio, vLLM, llama.cpp server).
+const LLM_PROVIDERS = {
+  openai: {
+    label: 'OpenAI',
+    baseURL: process.env.OPENAI_BASE_URL || undefined,
+    apiKeyEnv: 'OPENAI_API_KEY',
+    defaultModel: 'gpt-4o-mini',
+    vision: true
+  },
+  deepseek: {
+    label: 'DeepSeek',
+    baseURL: 'https://api.deepseek.com/v1',
+    apiKeyEnv: 'DEEPSEEK_API_KEY',
+    defaultModel: 'deepseek-chat',
+    vision: false
+  },
+  local: {
+    label: 'Local',
+    baseURL: process.env.LLM_LOCAL_BASE_URL,
+    apiKeyEnv: 'LLM_LOCAL_API_KEY',
+    apiKeyOptional: true,
+    defaultModel: process.env.LLM_LOCAL_MODEL || 'llama3.1',
+    vision: process.env.LLM_LOCAL_VISION === 'true'
+  }
+};
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+// USD per 1M tokens, for cost estimates in AI usage metering. Models not
+// listed (local, mock) cost nothing.
+const LLM_MODEL_PRICES = {
+  'gpt-4o-mini': { prompt: 0.15, completion: 0.60 },
+  'gpt-4o': { prompt: 2.50, completion: 10.00 },
+  'gpt-4.1-mini': { prompt: 0.40, completion: 1.60 },
+  'deepseek-chat': { prompt: 0.27, completion: 1.10 },
+  'deepseek-reasoner': { prompt: 0.55, completion: 2.19 }
+};
+
+// Each feature tries its route in order and fails over to the next entry.
+// Providers that aren't configured are skipped.
+const LLM_FEATURES = {
+  lessonChat: {
+    route: [
+      { provider: 'openai', model: 'gpt-4o-mini' },
+      { provider: 'deepseek', model: 'deepseek-chat' },
+      { provider: 'local' }
+    ]
+  },
+  lessonAnalysis: {
+    route: [
+      { provider: 'openai', model: 'gpt-4o-mini' },
+      { provider: 'deepseek', model: 'deepseek-chat' },
+      { provider: 'local' }
+    ]
+  },
+  voiceAssistant: {
+    timeoutMs: 15000,
+    route: [
+      { provider: 'openai', model: 'gpt-4o-mini' },
+      { provider: 'deepseek', model: 'deepseek-chat' },
+      { provider: 'local' }
+    ]
+  },
+  essayGrading: {
+    timeoutMs: 60000,
+    route: [
+      { provider: 'openai', model: process.env.ESSAY_GRADING_MODEL || 'gpt-4o-mini' },
+      { provider: 'deepseek', model: 'deepseek-chat' }
+    ]
+  },
+  memoryExtraction: {
+    timeoutMs: 20000,
+    route: [
+      { provider: 'deepseek', model: 'deepseek-chat' },
+      { provider: 'openai', model: 'gpt-4o-mini' },
+      { provider: 'local' }
+    ]
+  },
+  testGeneration: {
+    timeoutMs: 90000,
+    route: [
+      { provider: 'deepseek', model: 'deepseek-chat' },
+      { provider: 'openai', model: 'gpt-4o-mini' },
+      { provider: 'local' }
+    ]
+  }
+};
+
+const envName = (feature) => `LLM_ROUTE_${feature.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase()}`;
+
+// "deepseek:deepseek-chat,openai" -> [{ provider: 'deepseek', model: 'deepseek-chat' }, { provider: 'openai' }]
+const parseRoute = (value) => value.split(',')
+  .map(part => part.trim())
+  .filter(Boolean)
+  .map(part => {
+    const [provider, ...model] = part.split(':');
+    return model.length ? { provider, model: model.join(':') } : { provider };
+  });
+
+/**
+ * Route for a feature. LLM_PROVIDER (e.g. `mock` for offline tests) sends every
+ * feature to one provider; LLM_ROUTE_<FEATURE> (e.g. LLM_ROUTE_LESSON_CHAT)
+ * replaces one feature's route.
+ * @param {string} feature
+ * @returns {{ route: Array<{ provider: string, model?: string }>, timeoutMs: number }|null}
+ */
+const getFeatureRoute = (feature) => {
+  const config = LLM_FEATURES[feature];
+  if (!config) return null;
+
+  const timeoutMs = Number(process.env.LLM_TIMEOUT_MS) || config.timeoutMs || DEFAULT_TIMEOUT_MS;
+  if (process.env.LLM_PROVIDER) return { route: parseRoute(process.env.LLM_PROVIDER), timeoutMs };
+  if (process.env[envName(feature)]) return { route: parseRoute(process.env[envName(feature)]), timeoutMs };
+  return { route: config.route, timeoutMs };
+};
+
+/**
+ * Estimated cost of one call. Dated model names (gpt-4o-mini-2024-07-18) use
+ * the price of their base model.
+ * @param {string} model
+ * @param {{ promptTokens: number, completionTokens: number }} usage
+ * @returns {number} USD
+ */
+const estimateCostUsd = (model, usage) => {
+  const name = Object.keys(LLM_MODEL_PRICES)
+    .sort((a, b) => b.length - a.length)
+    .find(key => model === key || String(model).startsWith(`${key}-`));
+  if (!name || !usage) return 0;
+  const price = LLM_MODEL_PRICES[name];
+  return ((usage.promptTokens || 0) * price.prompt + (usage.completionTokens || 0) * price.completion) / 1e6;
+};
+
+module.exports = {
+  LLM_PROVIDERS,
+  LLM_FEATURES,
+  LLM_MODEL_PRICES,
+  DEFAULT_TIMEOUT_MS,
+  getFeatureRoute,
+  estimateCostUsd
+};
@@ -21,6 +21,7 @@ const SUBSCRIPTION_TIERS = {
         savingsPercentage: 0,
         label: '1 Day',
         description: 'Daily trial',
+        dailyTokenBudget: 100000, // LLM tokens per day (prompt + completion)
         featured: false
     },
     ONE_MONTH: {
@@ -35,6 +36,7 @@ const SUBSCRIPTION_TIERS = {
         savingsPercentage: 0,
         label: '1 Month',
         description: 'Monthly subscription',
+        dailyTokenBudget: 150000, // LLM tokens per day (prompt + completion)
         featured: false
     },
     THREE_MONTHS: {
@@ -49,6 +51,7 @@ const SUBSCRIPTION_TIERS = {
         savingsPercentage: 10,
         label: '3 Months',
         description: 'Quarterly subscription - Most Popular',
+        dailyTokenBudget: 200000, // LLM tokens per day (prompt + completion)
         featured: true, // "Most Popular" badge
         pricePerMonth: 225000 // 675,000 / 3
     },
@@ -64,6 +67,7 @@ const SUBSCRIPTION_TIERS = {
         savingsPercentage: 20,
         label: '6 Months',
         description: 'Semi-annual subscription - Best Value',
+        dailyTokenBudget: 250000, // LLM tokens per day (prompt + completion)
         featured: false,
         pricePerMonth: 200000 // 1,200,000 / 6
     }
@@ -180,6 +184,177 @@ const getDurationFromAmount = (amountInTiyin) => {
     return { durationDays: 1, durationMonths: 0 };
 };
 
+/**
+ * Get subscription duration for a payment. Discounted checkouts (promo
+ * campaigns) record the tier they bought, since their amount no longer
+ * matches the tier price; everything else falls back to the amount.
+ * @param {number} amountInTiyin - Payment amount in tiyin
+ * @param {string} [tierId] - Tier recorded on the transaction
+ * @returns {{ durationDays: number, durationMonths: number }}
+ */
+const getDurationForPayment = (amountInTiyin, tierId) => {
+    const tier = tierId ? getTierById(tierId) : null;
+    if (tier) {
+        return { durationDays: tier.duration, durationMonths: tier.durationMonths };
+    }
+    return getDurationFromAmount(amountInTiyin);
+};
+
+// ========================================
+// 🤖 AI TOKEN BUDGETS
+// ========================================
+
+// Daily LLM token budget without an active subscription
+const FREE_DAILY_TOKEN_BUDGET = 20000;
+
+/**
+ * Daily LLM token budget for a user: the dailyTokenBudget of the tier they
+ * bought (subscriptionDuration), or the free budget.
+ * Group and organisation seats count as the tier of their duration.
+ * @param {Object|null} user - User document
+ * @returns {number}
+ */
+const getDailyTokenBudget = (user) => {
+    if (!user || !user.hasActiveSubscription()) return FREE_DAILY_TOKEN_BUDGET;
+    const tier = getTierByDuration(user.subscriptionDuration) || SUBSCRIPTION_TIERS.ONE_MONTH;
+    return tier.dailyTokenBudget;
+};
+
+// ========================================
+// 👨‍👩‍👧 FAMILY & GROUP PLANS
+// ========================================
+
+/**
+ * One payer buys N seats of a tier; every seat (the payer's included) gets
+ * the tier's subscription. Seats are cheaper than single-user plans.
+ * Groups are managed by services/subscriptionGroupService.js
+ */
+const GROUP_PLANS = {
+    family: {
+        id: 'family',
+        label: 'Family',
+        minSeats: 2,
+        maxSeats: 5,
+        seatDiscountPercent: 20
+    },
+    group: {
+        id: 'group',
+        label: 'Group',
+        minSeats: 6,
+        maxSeats: 30,
+        seatDiscountPercent: 30
+    }
+};
+
+// The 1-day trial is not sold per seat
+const GROUP_TIER_IDS = ['pro-1', 'pro-3', 'pro-6'];
+
+/**
+ * Get group plan configuration by type
+ * @param {string} type - 'family' or 'group'
+ * @returns {Object|null} Group plan configuration or null if not found
+ */
+const getGroupPlan = (type) => GROUP_PLANS[type] || null;
+
+/**
+ * Price of a group purchase
+ * @param {string} type - Group plan type
+ * @param {string} tierId - Tier bought for every seat (pro-1, pro-3, pro-6)
+ * @param {number} seats - Number of seats, the payer's included
+ * @returns {{ seatPriceInTiyin: number, priceInTiyin: number }|null} null for an invalid combination
+ */
+const getGroupPrice = (type, tierId, seats) => {
+    const plan = getGroupPlan(type);
+    const tier = GROUP_TIER_IDS.includes(tierId) ? getTierById(tierId) : null;
+    if (!plan || !tier || !Number.isInteger(seats) || seats < plan.minSeats || seats > plan.maxSeats) {
+        return null;
+    }
+    // Rounded to whole UZS
+    const seatPriceInUZS = Math.round(tier.priceInUZS * (100 - plan.seatDiscountPercent) / 100);
+    return {
+        seatPriceInTiyin: seatPriceInUZS * 100,
+        priceInTiyin: seatPriceInUZS * 100 * seats
+    };
+};
+
+// ========================================
+// 🏫 INSTITUTIONAL LICENCES
+// ========================================
+
+/**
+ * Organisations (schools, study centres) buy seats in bulk and pay by bank
+ * transfer against an invoice (services/organizationService.js).
+ * Volume discounts off the single-user tier price, largest first.
+ */
+const INSTITUTIONAL_VOLUME_DISCOUNTS = [
+    { minSeats: 200, percent: 40 },
+    { minSeats: 50, percent: 30 },
+    { minSeats: 10, percent: 20 }
+];
+
+/**
+ * Seat price for an institutional licence
+ * @param {string} tierId - Licence length (pro-1, pro-3, pro-6)
+ * @param {number} seats - Seats on the invoice
+ * @returns {{ seatPriceInTiyin: number, discountPercent: number }|null} null for an invalid combination
+ */
+const getInstitutionalSeatPrice = (tierId, seats) => {
+    const tier = GROUP_TIER_IDS.includes(tierId) ? getTierById(tierId) : null;
+    if (!tier || !Number.isInteger(seats) || seats < 1) return null;
+
+    const discount = INSTITUTIONAL_VOLUME_DISCOUNTS.find(d => seats >= d.minSeats);
+    const discountPercent = discount ? discount.percent : 0;
+    // Rounded to whole UZS
+    const seatPriceInUZS = Math.round(tier.priceInUZS * (100 - discountPercent) / 100);
+    return { seatPriceInTiyin: seatPriceInUZS * 100, discountPercent };
+};
+
+// ========================================
+// 🌍 REGIONAL PRICE LISTS
+// ========================================
+
+/**
+ * Payme and Multicard settle in UZS only, so every region is charged the
+ * UZS tier price; a price list decides the currency prices are shown in.
+ * USD prices are converted at the latest stored exchange rate
+ * (services/exchangeRateService.js) and are indicative.
+ */
+const PRICE_LISTS = {
+    UZ: {
+        id: 'UZ',
+        label: 'Uzbekistan',
+        displayCurrency: 'UZS',
+        countries: ['UZ']
+    },
+    INTL: {
+        id: 'INTL',
+        label: 'International',
+        displayCurrency: 'USD',
+        countries: [] // Every country without a list of its own
+    }
+};
+
+// Used when the country is unknown
+const DEFAULT_PRICE_LIST_ID = 'UZ';
+
+/**
+ * Get price list by ID
+ * @param {string} id - 'UZ' or 'INTL'
+ * @returns {Object|null} Price list or null if not found
+ */
+const getPriceList = (id) => PRICE_LISTS[String(id || '').toUpperCase()] || null;
+
+/**
+ * Price list for a country
+ * @param {string} [countryCode] - ISO 3166-1 alpha-2 code, e.g. from a CDN geo header
+ * @returns {Object} Price list
+ */
+const getPriceListForCountry = (countryCode) => {
+    const country = String(countryCode || '').toUpperCase();
+    if (!/^[A-Z]{2}$/.test(country)) return PRICE_LISTS[DEFAULT_PRICE_LIST_ID];
+    return Object.values(PRICE_LISTS).find(list => list.countries.includes(country)) || PRICE_LISTS.INTL;
+};
+
 module.exports = {
     SUBSCRIPTION_TIERS,
     PAYMENT_AMOUNTS,
@@ -188,5 +363,18 @@ module.exports = {
     getAllTiers,
     calculatePricePerMonth,
     calculateSavingsPercentage,
-    getDurationFromAmount
+    getDurationFromAmount,
+    getDurationForPayment,
+    FREE_DAILY_TOKEN_BUDGET,
+    getDailyTokenBudget,
+    GROUP_PLANS,
+    GROUP_TIER_IDS,
+    getGroupPlan,
+    getGroupPrice,
+    INSTITUTIONAL_VOLUME_DISCOUNTS,
+    getInstitutionalSeatPrice,
+    PRICE_LISTS,
+    DEFAULT_PRICE_LIST_ID,
+    getPriceList,
+    getPriceListForCountry
 };
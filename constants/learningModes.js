@@ -60,6 +60,12 @@ const PLACEMENT_TEST_CONFIG = {
   TIME_LIMIT: 45, // minutes
   STARTING_DIFFICULTY: 5,
   DIFFICULTY_RANGE: { MIN: 1, MAX: 10 },
+  // IRT adaptive testing: start slightly below average ability, stop early once precise enough
+  STARTING_ABILITY: -0.5,
+  MIN_QUESTIONS: 8,
+  // Each subject is estimated on its own: at least this many items before it counts as precise
+  MIN_QUESTIONS_PER_SUBJECT: 4,
+  TARGET_STANDARD_ERROR: 0.45,
   SUBJECTS: [
     'English',
     'Mathematics',
@@ -1,12 +1,14 @@
 // controllers/chatController.js - Complete Chat Controller with AI Usage Tracking
 const axios = require('axios');
-const OpenAI = require('openai');
 const Lesson = require('../models/lesson');
 const User = require('../models/user');
 const UserProgress = require('../models/userProgress');
 const LessonChatHistory = require('../models/lessonChatHistory');
 const AIMemory = require('../models/aiMemory');
 const { AIUsageService } = require('../models/aiUsage');
+const { complete, stream, isFeatureAvailable } = require('../services/llmGateway');
+const { saveConversationMemories } = require('../services/aiMemoryService');
+const { TOKEN_BUDGET_EXCEEDED, getDailyTokenStatus } = require('../services/aiMeteringService');
 require('dotenv').config();
 
 // ============================================
@@ -755,7 +757,7 @@ const getUserLearningJourney = async (userId) => {
 };
 
 // Build comprehensive AI context string
-const buildComprehensiveAIContext = async (userId, lessonContext, userProgress, stepContext, language = 'en') => {
+const buildComprehensiveAIContext = async (userId, lessonContext, userProgress, stepContext, language = 'en', userInput = '') => {
   let fullContext = '';
   let extractedExercise = null;
 
@@ -915,25 +917,32 @@ const buildComprehensiveAIContext = async (userId, lessonContext, userProgress,
     }
   }
 
-  // 2. Get global AI memory
+  // 2. Get global AI memory (left out entirely when the learner switched memory off)
   try {
     const aiMemory = await AIMemory.getOrCreate(userId);
-    const memoryContext = aiMemory.buildContextForAI(
-      lessonContext?.subject,
-      lessonContext?.topic
-    );
-    if (memoryContext) {
-      fullContext += memoryContext;
-    }
-
-    // Update active subject tracking
-    if (lessonContext?.lessonId && lessonContext?.subject) {
-      await aiMemory.updateActiveSubject(
-        lessonContext.subject,
-        lessonContext.lessonId,
-        lessonContext.topicId,
-        userProgress?.progressPercent || 0
+    if (aiMemory.memoryEnabled !== false) {
+      // Ranked by relevance to this lesson and the student's question
+      const memoryContext = aiMemory.buildContextForAI(
+        lessonContext?.subject,
+        lessonContext?.topic,
+        {
+          lessonId: lessonContext?.lessonId,
+          query: [fullLesson?.lessonName || lessonContext?.lessonName, userInput].filter(Boolean).join(' ')
+        }
       );
+      if (memoryContext) {
+        fullContext += memoryContext;
+      }
+
+      // Update active subject tracking
+      if (lessonContext?.lessonId && lessonContext?.subject) {
+        await aiMemory.updateActiveSubject(
+          lessonContext.subject,
+          lessonContext.lessonId,
+          lessonContext.topicId,
+          userProgress?.progressPercent || 0
+        );
+      }
     }
   } catch (memoryError) {
     console.error('AI Memory error:', memoryError);
@@ -959,93 +968,6 @@ const buildComprehensiveAIContext = async (userId, lessonContext, userProgress,
   };
 };
 
-// Save important information to AI memory (called after AI response)
-const extractAndSaveMemories = async (userId, userMessage, aiResponse, lessonContext) => {
-  try {
-    const aiMemory = await AIMemory.getOrCreate(userId);
-    const lowerMessage = userMessage.toLowerCase();
-
-    // Detect learning preferences
-    if (lowerMessage.includes('не понимаю') || lowerMessage.includes('объясни проще')) {
-      await aiMemory.addMemory('learning_preference', 'Предпочитает простые объяснения с примерами', {
-        subject: lessonContext?.subject,
-        importance: 7
-      });
-    }
-
-    // Detect struggles
-    if (lowerMessage.includes('сложно') || lowerMessage.includes('трудно') || lowerMessage.includes('не могу')) {
-      await aiMemory.addMemory('struggle_topic', `Испытывает трудности с темой: ${lessonContext?.topic || 'текущая тема'}`, {
-        subject: lessonContext?.subject,
-        topic: lessonContext?.topic,
-        importance: 8
-      });
-    }
-
-    // Detect interests (for better examples)
-    const interestPatterns = [
-      { pattern: /футбол|спорт|мяч/i, interest: 'спорт' },
-      { pattern: /игр|minecraft|roblox/i, interest: 'видеоигры' },
-      { pattern: /музык|песн/i, interest: 'музыка' },
-      { pattern: /животн|собак|кошк/i, interest: 'животные' },
-      { pattern: /космос|планет|звезд/i, interest: 'космос' }
-    ];
-
-    for (const { pattern, interest } of interestPatterns) {
-      if (pattern.test(lowerMessage)) {
-        if (!aiMemory.learnerProfile.interests) {
-          aiMemory.learnerProfile.interests = [];
-        }
-        if (!aiMemory.learnerProfile.interests.includes(interest)) {
-          aiMemory.learnerProfile.interests.push(interest);
-          await aiMemory.save();
-        }
-        break;
-      }
-    }
-
-  } catch (error) {
-    console.error('Error extracting memories:', error);
-  }
-};
-
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
-// Helper to safely parse JSON from AI response (handles markdown blocks)
-const safeJsonParse = (content) => {
-  if (!content) return null;
-  try {
-    // Try direct parse first
-    return JSON.parse(content);
-  } catch (e) {
-    // Try to extract JSON from markdown code blocks
-    const jsonMatch = content.match(/```json\s?([\s\S]*?)\s?```/) || content.match(/```\s?([\s\S]*?)\s?```/);
-    if (jsonMatch && jsonMatch[1]) {
-      try {
-        return JSON.parse(jsonMatch[1].trim());
-      } catch (innerError) {
-        console.error('❌ Failed to parse JSON from markdown block:', innerError.message);
-      }
-    }
-
-    // Last resort: find first { and last }
-    const firstBrace = content.indexOf('{');
-    const lastBrace = content.lastIndexOf('}');
-    if (firstBrace !== -1 && lastBrace !== -1) {
-      try {
-        return JSON.parse(content.substring(firstBrace, lastBrace + 1));
-      } catch (braceError) {
-        console.error('❌ Failed to parse JSON between braces:', braceError.message);
-      }
-    }
-
-    throw e; // Re-throw if all attempts fail
-  }
-};
-
 // ============================================
 // AI USAGE HELPER FUNCTIONS
 // ============================================
@@ -1312,25 +1234,18 @@ RESPONSE FORMAT (JSON ONLY):
 }`
     };
 
-    // Call OpenAI using official package
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
+    // LLM gateway: JSON mode, fails over to the next provider on errors or invalid JSON
+    const { data: result } = await complete({
+      feature: 'lessonAnalysis',
       messages: [
         { role: 'system', content: systemPrompt },
         { role: 'user', content: contentToAnalyze }
       ],
-      response_format: { type: "json_object" },
-      max_tokens: 2000
+      json: true,
+      schema: { explanation: 'string' },
+      maxTokens: 2000,
+      meter: { userId, action: 'speech-analysis' }
     });
-
-    const rawContent = response.choices[0].message.content;
-    if (!rawContent) {
-      console.error('❌ OpenAI returned empty content!');
-      throw new Error('Empty response from AI');
-    }
-
-    // Parse the JSON response safely
-    const result = safeJsonParse(rawContent);
     const responseTime = Date.now() - startTime;
 
     // Track AI usage
@@ -1377,6 +1292,15 @@ RESPONSE FORMAT (JSON ONLY):
       });
     }
 
+    if (error.code === TOKEN_BUDGET_EXCEEDED) {
+      return res.status(429).json({
+        success: false,
+        error: error.message,
+        limitExceeded: true,
+        tokens: error.tokens
+      });
+    }
+
     if (error.response?.status === 429) {
       return res.status(429).json({
         success: false,
@@ -1396,87 +1320,87 @@ RESPONSE FORMAT (JSON ONLY):
 // MAIN AI CHAT ENDPOINTS
 // ============================================
 
-// Standard AI chat with global usage tracking
-const getAIResponse = async (req, res) => {
-  const startTime = Date.now();
+const reject = (status, body) => ({ rejection: { status, body } });
 
-  try {
-    const { userInput, imageUrl, lessonId, exerciseContext, language = 'en' } = req.body;
-    const userId = req.user?.uid || req.user?.firebaseId;
+// Validation, usage limits and prompt for the general chat (JSON and streaming endpoints).
+// Resolves to { rejection: { status, body } } when the request can't go to the AI.
+const prepareAIRequest = async (req) => {
+  const { userInput, imageUrl, lessonId, exerciseContext, language = 'en' } = req.body;
+  const userId = req.user?.uid || req.user?.firebaseId;
 
-    // Input validation
-    if (!userInput && !imageUrl) {
-      return res.status(400).json({
-        success: false,
-        error: '❌ Нет запроса или изображения'
-      });
-    }
+  // Input validation
+  if (!userInput && !imageUrl) {
+    return reject(400, {
+      success: false,
+      error: '❌ Нет запроса или изображения'
+    });
+  }
 
-    if (!process.env.OPENAI_API_KEY) {
-      return res.status(500).json({
-        success: false,
-        error: '❌ Отсутствует API-ключ OpenAI'
-      });
-    }
+  if (!isFeatureAvailable('lessonChat')) {
+    return reject(500, {
+      success: false,
+      error: '❌ AI-сервис не настроен'
+    });
+  }
 
-    if (!userId) {
-      return res.status(401).json({
-        success: false,
-        error: '❌ Пользователь не авторизован'
-      });
-    }
+  if (!userId) {
+    return reject(401, {
+      success: false,
+      error: '❌ Пользователь не авторизован'
+    });
+  }
 
-    // Check AI usage limits with global tracking
-    const usageCheck = await checkAIUsageLimits(userId);
+  // Check AI usage limits with global tracking
+  const usageCheck = await checkAIUsageLimits(userId);
 
-    if (!usageCheck.allowed) {
+  if (!usageCheck.allowed) {
 
-      return res.status(429).json({
-        success: false,
-        error: usageCheck.message,
-        usage: {
-          remaining: usageCheck.remaining,
-          percentage: usageCheck.percentage,
-          plan: usageCheck.plan,
-          unlimited: usageCheck.unlimited
-        },
-        limitExceeded: true
-      });
-    }
+    return reject(429, {
+      success: false,
+      error: usageCheck.message,
+      usage: {
+        remaining: usageCheck.remaining,
+        percentage: usageCheck.percentage,
+        plan: usageCheck.plan,
+        unlimited: usageCheck.unlimited
+      },
+      limitExceeded: true
+    });
+  }
 
 
-    // Content filtering
-    const bannedWords = [
-      'суицид', 'секс', 'порно', 'насилие', 'терроризм', 'убийство', 'оружие',
-      'наркотики', 'алкоголь', 'расизм', 'гомофобия', 'сект', 'религия',
-      'ислам', 'христианство', 'иудаизм', 'церковь', 'коран', 'библия', 'талмуд',
-      'пророк', 'бог', 'сатана', 'луцифер', 'атеизм',
-      'политика', 'путин', 'зеленский', 'байден', 'трамп', 'нацизм', 'гитлер',
-      'власть', 'правительство', 'парламент', 'вакцина', 'covid', 'беженцы'
-    ];
+  // Content filtering
+  const bannedWords = [
+    'суицид', 'секс', 'порно', 'насилие', 'терроризм', 'убийство', 'оружие',
+    'наркотики', 'алкоголь', 'расизм', 'гомофобия', 'сект', 'религия',
+    'ислам', 'христианство', 'иудаизм', 'церковь', 'коран', 'библия', 'талмуд',
+    'пророк', 'бог', 'сатана', 'луцифер', 'атеизм',
+    'политика', 'путин', 'зеленский', 'байден', 'трамп', 'нацизм', 'гитлер',
+    'власть', 'правительство', 'парламент', 'вакцина', 'covid', 'беженцы'
+  ];
 
-    const safeWords = ['кто', 'что', 'где', 'когда', 'какой', 'какая', 'какие', 'каков'];
-    const lowerText = (userInput || '').toLowerCase();
+  const safeWords = ['кто', 'что', 'где', 'когда', 'какой', 'какая', 'какие', 'каков'];
+  const lowerText = (userInput || '').toLowerCase();
 
-    const isHighlySensitive = bannedWords.some(word =>
-      lowerText.includes(word) && !safeWords.some(safe => lowerText.includes(safe))
-    );
+  const isHighlySensitive = bannedWords.some(word =>
+    lowerText.includes(word) && !safeWords.some(safe => lowerText.includes(safe))
+  );
 
-    if (isHighlySensitive) {
-      return res.status(403).json({
-        success: false,
-        error: '🚫 Ваш вопрос содержит чувствительные или запрещённые темы. Попробуйте переформулировать.'
-      });
-    }
+  if (isHighlySensitive) {
+    return reject(403, {
+      success: false,
+      error: '🚫 Ваш вопрос содержит чувствительные или запрещённые темы. Попробуйте переформулировать.'
+    });
+  }
 
-    // Get lesson context if provided
-    let lessonContext = '';
-    let lessonData = null;
-    if (lessonId) {
-      try {
-        lessonData = await Lesson.findById(lessonId);
-        if (lessonData) {
-          lessonContext = `
+  // Get lesson context if provided
+  let lessonContext = '';
+  let lessonData = null;
+  if (lessonId) {
+    try {
+      lessonData = await Lesson.findById(lessonId);
+      if (lessonData) {
+        lessonContext = `
 КОНТЕКСТ УРОКА:
 - Название: ${lessonData.lessonName}
 - Тема: ${lessonData.topic}
@@ -1486,36 +1410,36 @@ const getAIResponse = async (req, res) => {
 - Количество шагов: ${lessonData.steps?.length || 'неизвестно'}
 ${lessonData.content ? `- Содержание: ${lessonData.content}` : ''}
 ${lessonData.hint ? `- Подсказки: ${lessonData.hint}` : ''}`;
-        }
-      } catch (err) {
       }
+    } catch (err) {
     }
+  }
 
-    // Prepare OpenAI message
-    const contentArray = [];
-    if (imageUrl) {
-      contentArray.push({
-        type: 'image_url',
-        image_url: { url: imageUrl, detail: 'auto' },
-      });
-    }
-    if (userInput) {
-      contentArray.push({
-        type: 'text',
-        text: userInput,
-      });
-    }
+  // Prepare OpenAI message
+  const contentArray = [];
+  if (imageUrl) {
+    contentArray.push({
+      type: 'image_url',
+      image_url: { url: imageUrl, detail: 'auto' },
+    });
+  }
+  if (userInput) {
+    contentArray.push({
+      type: 'text',
+      text: userInput,
+    });
+  }
 
-    // Build language-specific names for the AI instruction
-    const languageNames = {
-      en: 'English',
-      ru: 'Russian',
-      uz: 'Uzbek',
-      es: 'Spanish'
-    };
-    const targetLanguage = languageNames[language] || 'English';
+  // Build language-specific names for the AI instruction
+  const languageNames = {
+    en: 'English',
+    ru: 'Russian',
+    uz: 'Uzbek',
+    es: 'Spanish'
+  };
+  const targetLanguage = languageNames[language] || 'English';
 
-    const systemPrompt = `You are an experienced and friendly tutor assistant on the ACED educational platform.
+  const systemPrompt = `You are an experienced and friendly tutor assistant on the ACED educational platform.
 
 CRITICAL INSTRUCTION:
 The user is currently speaking in **${targetLanguage}**.
@@ -1558,57 +1482,74 @@ SPECIAL LESSON INSTRUCTIONS:
 - If the student is struggling, offer to break the task into simpler steps
 ` : ''}`;
 
-    const messages = [
-      {
-        role: 'system',
-        content: systemPrompt,
-      },
-      {
-        role: 'user',
-        content: contentArray,
-      }
-    ];
+  const messages = [
+    {
+      role: 'system',
+      content: systemPrompt,
+    },
+    {
+      role: 'user',
+      content: contentArray,
+    }
+  ];
 
+  return { userId, lessonId, imageUrl, lessonData, messages, meter: { userId, action: 'chat' } };
+};
 
-    // Send to OpenAI using official package
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: messages,
-      max_tokens: 1000
-    });
+// Track usage for a finished general chat reply and build the response body
+const finishAIRequest = async (req, { userId, lessonId, imageUrl, lessonData }, reply, startTime) => {
+  const responseTime = Date.now() - startTime;
 
-    const reply = response.choices[0].message.content?.trim() || "⚠️ AI не смог дать ответ.";
-    const responseTime = Date.now() - startTime;
+  // Track usage globally after successful response
+  await trackAIUsage(userId, {
+    ip: req.ip || req.connection.remoteAddress,
+    userAgent: req.headers['user-agent'],
+    responseTime: responseTime,
+    lessonId: lessonId,
+    hasImage: !!imageUrl
+  });
 
+  // Get updated usage stats
+  const updatedUsageCheck = await checkAIUsageLimits(userId);
 
-    // Track usage globally after successful response
-    const trackingResult = await trackAIUsage(userId, {
-      ip: req.ip || req.connection.remoteAddress,
-      userAgent: req.headers['user-agent'],
-      responseTime: responseTime,
-      lessonId: lessonId,
-      hasImage: !!imageUrl
-    });
+  return {
+    success: true,
+    reply: reply,
+    usage: {
+      current: updatedUsageCheck.remaining === -1 ? 0 : (updatedUsageCheck.percentage / 100) * (updatedUsageCheck.remaining + 1),
+      remaining: updatedUsageCheck.remaining,
+      percentage: updatedUsageCheck.percentage,
+      plan: updatedUsageCheck.plan,
+      unlimited: updatedUsageCheck.unlimited,
+      limit: updatedUsageCheck.remaining === -1 ? -1 : updatedUsageCheck.remaining + Math.floor(updatedUsageCheck.percentage / 100 * 50)
+    },
+    lessonContext: !!lessonData,
+    responseTime: responseTime
+  };
+};
 
-    // Get updated usage stats
-    const updatedUsageCheck = await checkAIUsageLimits(userId);
+// Standard AI chat with global usage tracking
+const getAIResponse = async (req, res) => {
+  const startTime = Date.now();
 
+  try {
+    const prepared = await prepareAIRequest(req);
+    if (prepared.rejection) {
+      return res.status(prepared.rejection.status).json(prepared.rejection.body);
+    }
 
-    res.json({
-      success: true,
-      reply: reply,
-      usage: {
-        current: updatedUsageCheck.remaining === -1 ? 0 : (updatedUsageCheck.percentage / 100) * (updatedUsageCheck.remaining + 1),
-        remaining: updatedUsageCheck.remaining,
-        percentage: updatedUsageCheck.percentage,
-        plan: updatedUsageCheck.plan,
-        unlimited: updatedUsageCheck.unlimited,
-        limit: updatedUsageCheck.remaining === -1 ? -1 : updatedUsageCheck.remaining + Math.floor(updatedUsageCheck.percentage / 100 * 50)
-      },
-      lessonContext: !!lessonData,
-      responseTime: responseTime
+    // Send through the LLM gateway (image questions only go to vision-capable providers)
+    const response = await complete({
+      feature: 'lessonChat',
+      messages: prepared.messages,
+      maxTokens: 1000,
+      meter: prepared.meter
     });
 
+    const reply = response.content.trim() || "⚠️ AI не смог дать ответ.";
+
+    res.json(await finishAIRequest(req, prepared, reply, startTime));
+
   } catch (error) {
     console.error("❌ Ошибка от AI:", error.response?.data || error.message);
 
@@ -1619,6 +1560,15 @@ SPECIAL LESSON INSTRUCTIONS:
       });
     }
 
+    if (error.code === TOKEN_BUDGET_EXCEEDED) {
+      return res.status(429).json({
+        success: false,
+        error: error.message,
+        limitExceeded: true,
+        tokens: error.tokens
+      });
+    }
+
     if (error.response?.status === 429) {
       return res.status(429).json({
         success: false,
@@ -1634,211 +1584,231 @@ SPECIAL LESSON INSTRUCTIONS:
   }
 };
 
-// Enhanced lesson-context chat endpoint with memory and user stats
-const getLessonContextAIResponse = async (req, res) => {
-  const startTime = Date.now();
+// Lesson context, memory and chat history for the lesson chat (JSON and streaming endpoints).
+// Resolves to { rejection: { status, body } } when the request can't go to the AI.
+const prepareLessonContextRequest = async (req) => {
+  const { userInput, lessonContext, userProgress, stepContext } = req.body;
+  const userId = req.user?.uid || req.user?.firebaseId;
 
-  try {
-    const { userInput, lessonContext, userProgress, stepContext } = req.body;
-    const userId = req.user?.uid || req.user?.firebaseId;
+  if (!userInput || !lessonContext) {
+    return reject(400, {
+      success: false,
+      error: 'Отсутствует вопрос или контекст урока'
+    });
+  }
 
-    if (!userInput || !lessonContext) {
-      return res.status(400).json({
-        success: false,
-        error: 'Отсутствует вопрос или контекст урока'
-      });
-    }
+  if (!userId) {
+    return reject(401, {
+      success: false,
+      error: 'Пользователь не авторизован'
+    });
+  }
 
-    if (!userId) {
-      return res.status(401).json({
-        success: false,
-        error: 'Пользователь не авторизован'
-      });
-    }
+  // Check AI usage limits
+  const usageCheck = await checkAIUsageLimits(userId);
 
-    // Check AI usage limits
-    const usageCheck = await checkAIUsageLimits(userId);
+  if (!usageCheck.allowed) {
+    return reject(429, {
+      success: false,
+      error: usageCheck.message,
+      usage: {
+        remaining: usageCheck.remaining,
+        percentage: usageCheck.percentage,
+        plan: usageCheck.plan,
+        unlimited: usageCheck.unlimited
+      },
+      limitExceeded: true
+    });
+  }
 
-    if (!usageCheck.allowed) {
-      return res.status(429).json({
-        success: false,
-        error: usageCheck.message,
-        usage: {
-          remaining: usageCheck.remaining,
-          percentage: usageCheck.percentage,
-          plan: usageCheck.plan,
-          unlimited: usageCheck.unlimited
-        },
-        limitExceeded: true
-      });
+  // Get or create chat history for this lesson
+  let chatHistory = null;
+  const lessonId = lessonContext.lessonId;
+  if (lessonId) {
+    try {
+      chatHistory = await LessonChatHistory.getOrCreate(userId, lessonId);
+      // Update current step
+      chatHistory.currentStepIndex = userProgress?.currentStep || 0;
+    } catch (historyError) {
+      console.error('Chat history error:', historyError);
     }
+  }
 
-    // Get or create chat history for this lesson
-    let chatHistory = null;
-    const lessonId = lessonContext.lessonId;
-    if (lessonId) {
-      try {
-        chatHistory = await LessonChatHistory.getOrCreate(userId, lessonId);
-        // Update current step
-        chatHistory.currentStepIndex = userProgress?.currentStep || 0;
-      } catch (historyError) {
-        console.error('Chat history error:', historyError);
+  // Fetch user's overall learning statistics
+  const userStats = await getUserStatsForAI(userId);
+
+  // Build comprehensive AI context (full lesson, memory, learning journey)
+  const contextResult = await buildComprehensiveAIContext(
+    userId,
+    lessonContext,
+    userProgress,
+    stepContext,
+    req.body.language || 'en',
+    userInput
+  );
+
+  const comprehensiveContext = contextResult.context || contextResult;
+  const backendExtractedExercise = contextResult.extractedExercise || null;
+
+  // Build lesson-specific system prompt with user stats AND backend-extracted exercise
+  const requestLanguage = req.body.language || 'en';
+  const systemPrompt = buildLessonSystemPrompt(
+    lessonContext,
+    userProgress,
+    stepContext,
+    userStats,
+    backendExtractedExercise, // Pass the reliable backend data
+    requestLanguage // Pass language for localized prompt
+  );
+
+  // Combine base prompt with comprehensive context
+  let fullSystemPrompt = systemPrompt + comprehensiveContext;
+
+  // Add chat history summary to system prompt for "What was my first question?" feature
+  // This ensures the AI can recall conversation history even if asked in a new message
+  if (chatHistory && chatHistory.messages.length > 0) {
+    const allMessages = chatHistory.messages;
+    fullSystemPrompt += `\n\n💬 ИСТОРИЯ ДИАЛОГА (для справки, если студент спросит о предыдущих вопросах):\n`;
+    fullSystemPrompt += `Сессия началась: ${chatHistory.sessionStartedAt?.toLocaleString('ru-RU') || 'неизвестно'}\n`;
+    fullSystemPrompt += `Всего сообщений в этой сессии: ${allMessages.length}\n`;
+
+    // Add summary of first few questions for "what was my first question?" queries
+    const userQuestions = allMessages.filter(m => m.role === 'user');
+    if (userQuestions.length > 0) {
+      fullSystemPrompt += `\nВОПРОСЫ СТУДЕНТА (по порядку):\n`;
+      userQuestions.slice(0, 5).forEach((q, i) => {
+        const truncatedContent = q.content.length > 100 ? q.content.substring(0, 100) + '...' : q.content;
+        fullSystemPrompt += `${i + 1}. "${truncatedContent}"\n`;
+      });
+      if (userQuestions.length > 5) {
+        fullSystemPrompt += `... и ещё ${userQuestions.length - 5} вопросов\n`;
       }
     }
 
-    // Fetch user's overall learning statistics
-    const userStats = await getUserStatsForAI(userId);
-
-    // Build comprehensive AI context (full lesson, memory, learning journey)
-    const contextResult = await buildComprehensiveAIContext(
-      userId,
-      lessonContext,
-      userProgress,
-      stepContext,
-      req.body.language || 'en'
-    );
-
-    const comprehensiveContext = contextResult.context || contextResult;
-    const backendExtractedExercise = contextResult.extractedExercise || null;
-
-    // Build lesson-specific system prompt with user stats AND backend-extracted exercise
-    const requestLanguage = req.body.language || 'en';
-    const systemPrompt = buildLessonSystemPrompt(
-      lessonContext,
-      userProgress,
-      stepContext,
-      userStats,
-      backendExtractedExercise, // Pass the reliable backend data
-      requestLanguage // Pass language for localized prompt
-    );
-
-    // Combine base prompt with comprehensive context
-    let fullSystemPrompt = systemPrompt + comprehensiveContext;
-
-    // Add chat history summary to system prompt for "What was my first question?" feature
-    // This ensures the AI can recall conversation history even if asked in a new message
-    if (chatHistory && chatHistory.messages.length > 0) {
-      const allMessages = chatHistory.messages;
-      fullSystemPrompt += `\n\n💬 ИСТОРИЯ ДИАЛОГА (для справки, если студент спросит о предыдущих вопросах):\n`;
-      fullSystemPrompt += `Сессия началась: ${chatHistory.sessionStartedAt?.toLocaleString('ru-RU') || 'неизвестно'}\n`;
-      fullSystemPrompt += `Всего сообщений в этой сессии: ${allMessages.length}\n`;
-
-      // Add summary of first few questions for "what was my first question?" queries
-      const userQuestions = allMessages.filter(m => m.role === 'user');
-      if (userQuestions.length > 0) {
-        fullSystemPrompt += `\nВОПРОСЫ СТУДЕНТА (по порядку):\n`;
-        userQuestions.slice(0, 5).forEach((q, i) => {
-          const truncatedContent = q.content.length > 100 ? q.content.substring(0, 100) + '...' : q.content;
-          fullSystemPrompt += `${i + 1}. "${truncatedContent}"\n`;
-        });
-        if (userQuestions.length > 5) {
-          fullSystemPrompt += `... и ещё ${userQuestions.length - 5} вопросов\n`;
-        }
-      }
+    // Track topics discussed
+    if (chatHistory.topicsDiscussed?.length > 0) {
+      fullSystemPrompt += `\nОбсуждённые темы: ${chatHistory.topicsDiscussed.join(', ')}\n`;
+    }
+  }
 
-      // Track topics discussed
-      if (chatHistory.topicsDiscussed?.length > 0) {
-        fullSystemPrompt += `\nОбсуждённые темы: ${chatHistory.topicsDiscussed.join(', ')}\n`;
-      }
+  const messages = [
+    {
+      role: 'system',
+      content: fullSystemPrompt
     }
+  ];
 
-    const messages = [
-      {
-        role: 'system',
-        content: fullSystemPrompt
-      }
-    ];
-
-    // Add stored chat history from database (persistent memory)
-    if (chatHistory && chatHistory.messages.length > 0) {
-      const recentMessages = chatHistory.getRecentMessages(10);
-      recentMessages.forEach(msg => {
-        messages.push({
-          role: msg.role,
-          content: msg.content
-        });
+  // Add stored chat history from database (persistent memory)
+  if (chatHistory && chatHistory.messages.length > 0) {
+    const recentMessages = chatHistory.getRecentMessages(10);
+    recentMessages.forEach(msg => {
+      messages.push({
+        role: msg.role,
+        content: msg.content
       });
-    }
-    // Fallback to request chat history if no DB history
-    else if (req.body.chatHistory && Array.isArray(req.body.chatHistory)) {
-      req.body.chatHistory.forEach(msg => {
-        messages.push({
-          role: msg.role === 'user' ? 'user' : 'assistant',
-          content: msg.content
-        });
+    });
+  }
+  // Fallback to request chat history if no DB history
+  else if (req.body.chatHistory && Array.isArray(req.body.chatHistory)) {
+    req.body.chatHistory.forEach(msg => {
+      messages.push({
+        role: msg.role === 'user' ? 'user' : 'assistant',
+        content: msg.content
       });
-    }
-
-    // Add current user input
-    messages.push({
-      role: 'user',
-      content: userInput
     });
+  }
 
-    // Call OpenAI using official package
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: messages,
-      max_tokens: 1000
-    });
+  // Add current user input
+  messages.push({
+    role: 'user',
+    content: userInput
+  });
 
-    const rawReply = response.choices[0].message.content;
-    const aiReply = rawReply?.trim() ||
-      'Извините, не смог сформулировать ответ. Попробуйте переформулировать вопрос.';
+  // Routes that reuse this endpoint (smart-hint, ...) set req.aiAction for cost reports
+  const meter = { userId, action: req.aiAction || 'lesson-context' };
+  return { userId, userInput, lessonContext, stepContext, chatHistory, messages, meter };
+};
 
-    const responseTime = Date.now() - startTime;
+// Persist a finished lesson chat reply, update memories and usage, and build the response body
+const finishLessonContextRequest = async (req, { userId, userInput, lessonContext, stepContext, chatHistory }, aiReply, startTime) => {
+  const responseTime = Date.now() - startTime;
 
-    // Store messages in chat history (persistent memory)
-    if (chatHistory) {
-      try {
-        await chatHistory.addMessage('user', userInput);
-        await chatHistory.addMessage('assistant', aiReply);
+  // Store messages in chat history (persistent memory)
+  if (chatHistory) {
+    try {
+      await chatHistory.addMessage('user', userInput);
+      await chatHistory.addMessage('assistant', aiReply);
 
-        // Track topics discussed for context
-        if (lessonContext.topic && !chatHistory.topicsDiscussed.includes(lessonContext.topic)) {
-          chatHistory.topicsDiscussed.push(lessonContext.topic);
-          await chatHistory.save();
-        }
-      } catch (saveError) {
-        console.error('Error saving chat history:', saveError);
+      // Track topics discussed for context
+      if (lessonContext.topic && !chatHistory.topicsDiscussed.includes(lessonContext.topic)) {
+        chatHistory.topicsDiscussed.push(lessonContext.topic);
+        await chatHistory.save();
       }
+    } catch (saveError) {
+      console.error('Error saving chat history:', saveError);
     }
+  }
 
-    // Extract and save important memories from conversation (async, non-blocking)
-    extractAndSaveMemories(userId, userInput, aiReply, lessonContext).catch(err =>
-      console.error('Memory extraction error:', err)
-    );
+  // Extract and save important memories from conversation (LLM call, non-blocking)
+  saveConversationMemories(userId, userInput, aiReply, lessonContext).catch(err =>
+    console.error('Memory extraction error:', err)
+  );
 
-    // Track usage globally after successful response
-    await trackAIUsage(userId, {
-      ip: req.ip || req.connection.remoteAddress,
-      userAgent: req.headers['user-agent'],
-      responseTime: responseTime,
-      lessonId: lessonContext.lessonId,
-      context: 'lesson',
-      stepType: stepContext?.type
-    });
+  // Track usage globally after successful response
+  await trackAIUsage(userId, {
+    ip: req.ip || req.connection.remoteAddress,
+    userAgent: req.headers['user-agent'],
+    responseTime: responseTime,
+    lessonId: lessonContext.lessonId,
+    context: 'lesson',
+    stepType: stepContext?.type
+  });
 
-    // Get updated usage stats
-    const updatedUsageCheck = await checkAIUsageLimits(userId);
+  // Get updated usage stats
+  const updatedUsageCheck = await checkAIUsageLimits(userId);
 
-    res.json({
-      success: true,
-      reply: aiReply,
-      context: 'lesson-integrated',
-      hasMemory: !!chatHistory,
-      messageCount: chatHistory?.messages?.length || 0,
-      usage: {
-        current: updatedUsageCheck.remaining === -1 ? 0 : (updatedUsageCheck.percentage / 100) * (updatedUsageCheck.remaining + 1),
-        remaining: updatedUsageCheck.remaining,
-        percentage: updatedUsageCheck.percentage,
-        plan: updatedUsageCheck.plan,
-        unlimited: updatedUsageCheck.unlimited,
-        limit: updatedUsageCheck.remaining === -1 ? -1 : updatedUsageCheck.remaining + Math.floor(updatedUsageCheck.percentage / 100 * 50)
-      },
-      responseTime: responseTime
+  return {
+    success: true,
+    reply: aiReply,
+    context: 'lesson-integrated',
+    hasMemory: !!chatHistory,
+    messageCount: chatHistory?.messages?.length || 0,
+    usage: {
+      current: updatedUsageCheck.remaining === -1 ? 0 : (updatedUsageCheck.percentage / 100) * (updatedUsageCheck.remaining + 1),
+      remaining: updatedUsageCheck.remaining,
+      percentage: updatedUsageCheck.percentage,
+      plan: updatedUsageCheck.plan,
+      unlimited: updatedUsageCheck.unlimited,
+      limit: updatedUsageCheck.remaining === -1 ? -1 : updatedUsageCheck.remaining + Math.floor(updatedUsageCheck.percentage / 100 * 50)
+    },
+    responseTime: responseTime
+  };
+};
+
+// Enhanced lesson-context chat endpoint with memory and user stats
+const getLessonContextAIResponse = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const prepared = await prepareLessonContextRequest(req);
+    if (prepared.rejection) {
+      return res.status(prepared.rejection.status).json(prepared.rejection.body);
+    }
+
+    // Send through the LLM gateway
+    const response = await complete({
+      feature: 'lessonChat',
+      messages: prepared.messages,
+      maxTokens: 1000,
+      meter: prepared.meter
     });
 
+    const rawReply = response.content;
+    const aiReply = rawReply?.trim() ||
+      'Извините, не смог сформулировать ответ. Попробуйте переформулировать вопрос.';
+
+    res.json(await finishLessonContextRequest(req, prepared, aiReply, startTime));
+
   } catch (error) {
     console.error('❌ Lesson context AI error:', error);
 
@@ -1849,6 +1819,15 @@ const getLessonContextAIResponse = async (req, res) => {
       });
     }
 
+    if (error.code === TOKEN_BUDGET_EXCEEDED) {
+      return res.status(429).json({
+        success: false,
+        error: error.message,
+        limitExceeded: true,
+        tokens: error.tokens
+      });
+    }
+
     if (error.response?.status === 429) {
       return res.status(429).json({
         success: false,
@@ -1863,6 +1842,127 @@ const getLessonContextAIResponse = async (req, res) => {
   }
 };
 
+// ============================================
+// STREAMING AI CHAT ENDPOINTS (Server-Sent Events)
+// ============================================
+
+// Streams a prepared chat through the gateway as Server-Sent Events:
+//   event: token  { text }     - each fragment of the reply as it arrives
+//   event: done   { ... }      - the same body the JSON endpoint returns
+//   event: error  { success: false, error }
+// Closing the connection cancels the completion; a partial reply is still
+// passed to finish() so history and usage match what the student saw.
+const streamChatReply = async (req, res, { messages, meter, emptyReply, finish, errors }) => {
+  const startTime = Date.now();
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    if (res.writableEnded || res.destroyed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    // compression() buffers the body unless flushed
+    if (typeof res.flush === 'function') res.flush();
+  };
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  try {
+    const result = await stream({
+      feature: 'lessonChat',
+      messages,
+      maxTokens: 1000,
+      meter,
+      signal: controller.signal,
+      onToken: (text) => send('token', { text })
+    });
+
+    const reply = result.content.trim();
+    if (result.aborted) {
+      if (reply) await finish(reply, startTime);
+      return;
+    }
+
+    send('done', await finish(reply || emptyReply, startTime));
+  } catch (error) {
+    console.error('❌ AI stream error:', error.message);
+    const timedOut = error.code === 'ECONNABORTED' || error.message.includes('timeout');
+    if (error.code === TOKEN_BUDGET_EXCEEDED) {
+      send('error', { success: false, error: error.message, limitExceeded: true, tokens: error.tokens });
+    } else {
+      send('error', { success: false, error: timedOut ? errors.timeout : errors.failed });
+    }
+  }
+
+  res.end();
+};
+
+// Standard AI chat, streamed token by token
+const streamAIResponse = async (req, res) => {
+  try {
+    const prepared = await prepareAIRequest(req);
+    if (prepared.rejection) {
+      return res.status(prepared.rejection.status).json(prepared.rejection.body);
+    }
+
+    await streamChatReply(req, res, {
+      messages: prepared.messages,
+      meter: prepared.meter,
+      emptyReply: "⚠️ AI не смог дать ответ.",
+      finish: (reply, startTime) => finishAIRequest(req, prepared, reply, startTime),
+      errors: {
+        timeout: '⏱️ Запрос занял слишком много времени. Попробуйте снова.',
+        failed: '⚠️ Ошибка при получении ответа от AI'
+      }
+    });
+
+  } catch (error) {
+    console.error("❌ Ошибка от AI:", error.message);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      error: '⚠️ Ошибка при получении ответа от AI'
+    });
+  }
+};
+
+// Lesson-context chat with memory, streamed token by token
+const streamLessonContextAIResponse = async (req, res) => {
+  try {
+    const prepared = await prepareLessonContextRequest(req);
+    if (prepared.rejection) {
+      return res.status(prepared.rejection.status).json(prepared.rejection.body);
+    }
+
+    await streamChatReply(req, res, {
+      messages: prepared.messages,
+      meter: prepared.meter,
+      emptyReply: 'Извините, не смог сформулировать ответ. Попробуйте переформулировать вопрос.',
+      finish: (aiReply, startTime) => finishLessonContextRequest(req, prepared, aiReply, startTime),
+      errors: {
+        timeout: 'Запрос занял слишком много времени. Попробуйте снова.',
+        failed: 'Ошибка AI сервиса'
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Lesson context AI error:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка AI сервиса'
+    });
+  }
+};
+
 // ============================================
 // AI USAGE MANAGEMENT ENDPOINTS
 // ============================================
@@ -1880,7 +1980,10 @@ const getUserAIUsageStats = async (req, res) => {
     }
 
 
-    const usageStats = await AIUsageService.getUserUsageStats(userId);
+    const [usageStats, tokens] = await Promise.all([
+      AIUsageService.getUserUsageStats(userId),
+      getDailyTokenStatus(userId)
+    ]);
 
     if (!usageStats.success) {
       return res.status(500).json({
@@ -1898,7 +2001,8 @@ const getUserAIUsageStats = async (req, res) => {
         remaining: usageStats.data.remaining,
         percentage: usageStats.data.percentage,
         unlimited: usageStats.data.unlimited,
-        plan: usageStats.data.plan
+        plan: usageStats.data.plan,
+        tokens
       },
       message: 'Статистика использования AI получена успешно'
     });
@@ -2554,6 +2658,8 @@ const getUserLearningStats = async (req, res) => {
 module.exports = {
   getAIResponse,
   getLessonContextAIResponse,
+  streamAIResponse,
+  streamLessonContextAIResponse,
   analyzeLessonForSpeech,
   getUserAIUsageStats,
   checkCanSendAIMessage,
@@ -0,0 +1,139 @@
+// controllers/clickController.js - Click SHOP API: Prepare and Complete callbacks
+// Click posts form data to both endpoints and expects HTTP 200 with an error code in the body.
+const ClickTransaction = require('../models/clickTransaction');
+const { getProvider } = require('../services/paymentProviders');
+const { claimPayment } = require('../services/paymentService');
+
+const ACTION_PREPARE = 0;
+const ACTION_COMPLETE = 1;
+
+// Error codes defined by the Click SHOP API
+const ClickError = {
+  SUCCESS: { code: 0, note: 'Success' },
+  SIGN_CHECK_FAILED: { code: -1, note: 'SIGN CHECK FAILED!' },
+  INVALID_AMOUNT: { code: -2, note: 'Incorrect parameter amount' },
+  ACTION_NOT_FOUND: { code: -3, note: 'Action not found' },
+  ALREADY_PAID: { code: -4, note: 'Already paid' },
+  ORDER_NOT_FOUND: { code: -5, note: 'User does not exist' },
+  TRANSACTION_NOT_FOUND: { code: -6, note: 'Transaction does not exist' },
+  FAILED_TO_UPDATE_USER: { code: -7, note: 'Failed to update user' },
+  BAD_REQUEST: { code: -8, note: 'Error in request from click' },
+  TRANSACTION_CANCELLED: { code: -9, note: 'Transaction cancelled' }
+};
+
+const REQUIRED_PARAMS = ['click_trans_id', 'service_id', 'merchant_trans_id', 'amount', 'action', 'sign_time', 'sign_string'];
+
+const reply = (res, params, error, extra = {}) => res.status(200).json({
+  click_trans_id: params.click_trans_id,
+  merchant_trans_id: params.merchant_trans_id,
+  ...extra,
+  error: error.code,
+  error_note: error.note
+});
+
+/**
+ * Checks shared by Prepare and Complete.
+ * @returns {Promise<{ error: Object|null, transaction: Object|null }>}
+ */
+const loadTransaction = async (params, action) => {
+  if (REQUIRED_PARAMS.some(key => params[key] === undefined || params[key] === '')) {
+    return { error: ClickError.BAD_REQUEST, transaction: null };
+  }
+  if (!getProvider('click').verifyWebhook({ body: params })) {
+    return { error: ClickError.SIGN_CHECK_FAILED, transaction: null };
+  }
+  if (Number(params.action) !== action) {
+    return { error: ClickError.ACTION_NOT_FOUND, transaction: null };
+  }
+
+  const transaction = await ClickTransaction.findOne({ merchantTransId: params.merchant_trans_id });
+  if (!transaction) return { error: ClickError.ORDER_NOT_FOUND, transaction: null };
+  if (transaction.status === 'paid') return { error: ClickError.ALREADY_PAID, transaction };
+  if (['cancelled', 'refunded'].includes(transaction.status)) return { error: ClickError.TRANSACTION_CANCELLED, transaction };
+
+  // Click sends UZS with two decimals; we store tiyin
+  if (Math.round(Number(params.amount) * 100) !== transaction.amount) {
+    return { error: ClickError.INVALID_AMOUNT, transaction };
+  }
+  return { error: null, transaction };
+};
+
+/**
+ * POST /api/payments/click/prepare
+ * Click checks the order before charging the card.
+ */
+const handlePrepare = async (req, res) => {
+  const params = req.body || {};
+  try {
+    const { error, transaction } = await loadTransaction(params, ACTION_PREPARE);
+    if (error) return reply(res, params, error);
+
+    // Click may repeat Prepare; answer with the same id
+    if (transaction.status !== 'prepared' || transaction.clickTransId !== String(params.click_trans_id)) {
+      transaction.status = 'prepared';
+      transaction.clickTransId = String(params.click_trans_id);
+      transaction.clickPaydocId = params.click_paydoc_id ? String(params.click_paydoc_id) : undefined;
+      transaction.prepareId = Date.now();
+      transaction.preparedAt = new Date();
+      await transaction.save();
+    }
+
+    return reply(res, params, ClickError.SUCCESS, { merchant_prepare_id: transaction.prepareId });
+
+  } catch (error) {
+    console.error('❌ Error handling Click prepare:', error);
+    return reply(res, params, ClickError.BAD_REQUEST);
+  }
+};
+
+/**
+ * POST /api/payments/click/complete
+ * Click reports the charge result; a negative `error` means it failed.
+ */
+const handleComplete = async (req, res) => {
+  const params = req.body || {};
+  try {
+    const { error, transaction } = await loadTransaction(params, ACTION_COMPLETE);
+    if (error) return reply(res, params, error);
+
+    if (!transaction.prepareId || Number(params.merchant_prepare_id) !== transaction.prepareId) {
+      return reply(res, params, ClickError.TRANSACTION_NOT_FOUND);
+    }
+
+    if (Number(params.error) < 0) {
+      transaction.status = 'cancelled';
+      transaction.cancelledAt = new Date();
+      transaction.errorCode = Number(params.error);
+      transaction.errorNote = params.error_note;
+      await transaction.save();
+      return reply(res, params, ClickError.TRANSACTION_CANCELLED);
+    }
+
+    // Claim the payment first so a repeated Complete cannot activate twice;
+    // without a user the claim is given back so Click's retry can activate it
+    let settled;
+    try {
+      settled = await claimPayment('click', transaction, {
+        set: { clickPaydocId: transaction.clickPaydocId || (params.click_paydoc_id ? String(params.click_paydoc_id) : undefined) },
+        requireUser: true
+      });
+    } catch (activationError) {
+      console.error('❌ Error activating Click payment:', activationError);
+      return reply(res, params, ClickError.FAILED_TO_UPDATE_USER);
+    }
+    if (!settled) return reply(res, params, ClickError.ALREADY_PAID);
+    if (!settled.user) return reply(res, params, ClickError.FAILED_TO_UPDATE_USER);
+
+    return reply(res, params, ClickError.SUCCESS, { merchant_confirm_id: settled.transaction.prepareId });
+
+  } catch (error) {
+    console.error('❌ Error handling Click complete:', error);
+    return reply(res, params, ClickError.BAD_REQUEST);
+  }
+};
+
+module.exports = {
+  ClickError,
+  handlePrepare,
+  handleComplete
+};
@@ -1,6 +1,19 @@
 // controllers/courseProgressController.js
 const CourseProgress = require('../models/courseProgress');
 const UpdatedCourse = require('../models/updatedCourse');
+const { issueCourseCertificate, getVerificationUrl } = require('../services/certificateService');
+
+// Issue the course certificate once progress reaches completion; never fails the request
+async function issueCertificateIfCompleted(progress, course) {
+  if (!progress.completed || !course.certificateOffered) return null;
+  try {
+    const certificate = await issueCourseCertificate(progress.userId, course, progress);
+    return certificate ? { serial: certificate.serial, verificationUrl: getVerificationUrl(certificate.serial) } : null;
+  } catch (error) {
+    console.error('Error issuing course certificate:', error);
+    return null;
+  }
+}
 
 // Save or update course progress
 exports.saveOrUpdateProgress = async (req, res) => {
@@ -22,7 +35,7 @@ exports.saveOrUpdateProgress = async (req, res) => {
 
   try {
     // Get total lessons from the course if not already set
-    const course = await UpdatedCourse.findById(courseId).select('lessons curriculum courseMetadata').lean();
+    const course = await UpdatedCourse.findById(courseId).select('title certificateOffered lessons curriculum courseMetadata').lean();
     if (!course) {
       return res.status(404).json({
         success: false,
@@ -53,10 +66,13 @@ exports.saveOrUpdateProgress = async (req, res) => {
       $max: { enrollmentCount: await CourseProgress.countDocuments({ courseId }) }
     });
 
+    const certificate = await issueCertificateIfCompleted(progress, course);
+
     res.status(200).json({
       success: true,
       message: 'Course progress saved/updated',
-      data: progress
+      data: progress,
+      certificate
     });
   } catch (error) {
     console.error('Error saving course progress:', error);
@@ -80,7 +96,7 @@ exports.completeLesson = async (req, res) => {
   }
 
   try {
-    const course = await UpdatedCourse.findById(courseId).select('lessons curriculum courseMetadata').lean();
+    const course = await UpdatedCourse.findById(courseId).select('title certificateOffered lessons curriculum courseMetadata').lean();
     if (!course) {
       return res.status(404).json({
         success: false,
@@ -119,10 +135,13 @@ exports.completeLesson = async (req, res) => {
 
     await progress.save();
 
+    const certificate = await issueCertificateIfCompleted(progress, course);
+
     res.status(200).json({
       success: true,
       message: 'Lesson completed',
-      data: progress
+      data: progress,
+      certificate
     });
   } catch (error) {
     console.error('Error completing course lesson:', error);
@@ -1,93 +1,32 @@
 // controllers/exchangeRateController.js
-const axios = require('axios');
+const { getUsdUzsRate, getRateHistory, quotePriceList } = require('../services/exchangeRateService');
+const { getPriceList, getPriceListForCountry } = require('../config/subscriptionConfig');
 
-// In-memory cache for exchange rate
-let cachedRate = null;
-let cacheTimestamp = 0;
-const CACHE_DURATION = 60 * 60 * 1000; // 1 hour in ms
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_HISTORY_DAYS = 366;
 
 /**
- * Fetch USD/UZS exchange rate from a free public API.
- * Caches the result for 1 hour to avoid excessive external calls.
+ * USD/UZS exchange rate, cached for 1 hour and stored as history
+ * (services/exchangeRateService.js). Falls back to the last stored rate
+ * when every external API fails.
  */
 const getExchangeRate = async (req, res) => {
     try {
-        const now = Date.now();
-
-        // Return cached rate if still fresh
-        if (cachedRate && (now - cacheTimestamp) < CACHE_DURATION) {
-            return res.json({
-                success: true,
-                rate: cachedRate.rate,
-                source: cachedRate.source,
-                updatedAt: cachedRate.updatedAt,
-                cached: true
-            });
-        }
-
-        // Try primary source: open.er-api.com (free, no key required)
-        let rate = null;
-        let source = '';
-
-        try {
-            const response = await axios.get('https://open.er-api.com/v6/latest/USD', { timeout: 5000 });
-            if (response.data && response.data.rates && response.data.rates.UZS) {
-                rate = response.data.rates.UZS;
-                source = 'open.er-api.com';
-            }
-        } catch (primaryError) {
-            console.warn('[ExchangeRate] Primary API failed:', primaryError.message);
-        }
-
-        // Fallback source: exchangerate-api.com
-        if (!rate) {
-            try {
-                const response = await axios.get('https://api.exchangerate-api.com/v4/latest/USD', { timeout: 5000 });
-                if (response.data && response.data.rates && response.data.rates.UZS) {
-                    rate = response.data.rates.UZS;
-                    source = 'exchangerate-api.com';
-                }
-            } catch (fallbackError) {
-                console.warn('[ExchangeRate] Fallback API failed:', fallbackError.message);
-            }
-        }
-
-        if (!rate) {
-            // If all APIs fail, use last cached value or a reasonable default
-            if (cachedRate) {
-                return res.json({
-                    success: true,
-                    rate: cachedRate.rate,
-                    source: cachedRate.source,
-                    updatedAt: cachedRate.updatedAt,
-                    cached: true,
-                    stale: true
-                });
-            }
-
-            return res.status(503).json({
-                success: false,
-                error: 'Unable to fetch exchange rate from any source'
-            });
-        }
-
-        // Update cache
-        cachedRate = {
-            rate: Math.round(rate),
-            source,
-            updatedAt: new Date().toISOString()
-        };
-        cacheTimestamp = now;
+        const current = await getUsdUzsRate();
 
         res.json({
             success: true,
-            rate: cachedRate.rate,
-            source: cachedRate.source,
-            updatedAt: cachedRate.updatedAt,
-            cached: false
+            rate: current.rate,
+            source: current.source,
+            updatedAt: current.updatedAt,
+            cached: current.cached,
+            ...(current.stale && { stale: true })
         });
 
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, error: error.message });
+        }
         console.error('[ExchangeRate] Error:', error.message);
         res.status(500).json({
             success: false,
@@ -96,4 +35,55 @@ const getExchangeRate = async (req, res) => {
     }
 };
 
-module.exports = { getExchangeRate };
+/**
+ * Daily USD/UZS rates. Query: from, to (default: last 30 days)
+ */
+const getExchangeRateHistory = async (req, res) => {
+    try {
+        const to = req.query.to ? new Date(req.query.to) : new Date();
+        const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * DAY_MS);
+        if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+            return res.status(400).json({ success: false, error: 'from and to must be valid dates, from before to' });
+        }
+        if (to - from > MAX_HISTORY_DAYS * DAY_MS) {
+            return res.status(400).json({ success: false, error: `At most ${MAX_HISTORY_DAYS} days per request` });
+        }
+
+        const history = await getRateHistory({ from, to });
+        res.json({ success: true, data: history, period: { from, to } });
+
+    } catch (error) {
+        console.error('[ExchangeRate] History error:', error.message);
+        res.status(500).json({ success: false, error: 'Failed to fetch exchange rate history' });
+    }
+};
+
+/**
+ * Subscription prices for the caller's region.
+ * Query: region (UZ | INTL) or country (ISO code); otherwise the CDN country header.
+ */
+const getRegionalPrices = async (req, res) => {
+    try {
+        let priceList;
+        if (req.query.region) {
+            priceList = getPriceList(req.query.region);
+            if (!priceList) {
+                return res.status(400).json({ success: false, error: 'region must be UZ or INTL' });
+            }
+        } else {
+            priceList = getPriceListForCountry(req.query.country || req.headers['cf-ipcountry']);
+        }
+
+        const data = await quotePriceList(priceList.id);
+        res.json({ success: true, data });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, error: error.message });
+        }
+        console.error('[ExchangeRate] Price list error:', error.message);
+        res.status(500).json({ success: false, error: 'Failed to build price list' });
+    }
+};
+
+module.exports = { getExchangeRate, getExchangeRateHistory, getRegionalPrices };
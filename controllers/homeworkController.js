@@ -1,6 +1,7 @@
 const HomeworkProgress = require('../models/homeworkProgress');
 const UserProgress = require('../models/userProgress');
 const Lesson = require('../models/lesson');
+const { gradeRubricAnswers, scoreAnswers } = require('../services/essayGradingService');
 
 // ✅ Get all homework records for a user
 exports.getAllHomeworks = async (req, res) => {
@@ -189,15 +190,12 @@ exports.submitHomework = async (req, res) => {
       };
     });
 
-    // Calculate score and stars
+    // Essay/text questions with a rubric: AI draft grade, final after teacher review
+    const { needsReview } = await gradeRubricAnswers(gradedAnswers, lesson.homework, { userId: firebaseId });
+
+    // Calculate score and stars (rubric answers earn partial credit)
     const totalQuestions = gradedAnswers.length;
-    const correctAnswers = gradedAnswers.filter(a => a.isCorrect).length;
-    const score = totalQuestions > 0 ? Math.round((correctAnswers / totalQuestions) * 100) : 0;
-    
-    let stars = 0;
-    if (score >= 90) stars = 3;
-    else if (score >= 70) stars = 2;
-    else if (score >= 50) stars = 1;
+    const { score, stars, correctAnswers } = scoreAnswers(gradedAnswers);
 
     // Update homework progress
     const homework = await HomeworkProgress.findOneAndUpdate(
@@ -207,6 +205,9 @@ exports.submitHomework = async (req, res) => {
         completed: true,
         score,
         stars,
+        review: needsReview
+          ? { status: 'pending', requestedAt: new Date(), completedAt: null, reviewedBy: null }
+          : { status: 'not_required' },
         submittedAt: new Date(),
         updatedAt: new Date()
       },
@@ -237,6 +238,7 @@ exports.submitHomework = async (req, res) => {
         stars,
         totalQuestions,
         correctAnswers,
+        gradeStatus: needsReview ? 'pending_review' : 'final',
         details: `${correctAnswers}/${totalQuestions} correct (${score}%)`
       }
     });
@@ -6,7 +6,10 @@ const mongoose = require('mongoose');
 const MulticardTransaction = require('../models/MulticardTransaction');
 const User = require('../models/user');
 const { getAuthToken } = require('./multicardAuth');
-const { getDurationFromAmount } = require('../config/subscriptionConfig');
+const { normalizeCodes, resolveTier, quoteCheckout, reserveCheckout, linkRedemptions } = require('../services/promoCampaignService');
+const { startGroupCheckout } = require('../services/subscriptionGroupService');
+const { claimPayment } = require('../services/paymentService');
+const { getProvider } = require('../services/paymentProviders');
 
 dotenv.config();
 
@@ -131,12 +134,12 @@ const initiatePayment = async (req, res) => {
     const { userId, plan, amount, ofd, lang, sms } = req.body;
 
     // Validate required fields
-    if (!userId || !plan || !amount || !ofd) {
+    if (!userId || !plan || (!amount && !req.body.groupId) || !ofd) {
         return res.status(400).json({
             success: false,
             error: {
                 code: 'ERROR_FIELDS',
-                details: 'userId, plan, amount, and ofd are required.'
+                details: 'userId, plan, amount (or groupId), and ofd are required.'
             }
         });
     }
@@ -150,8 +153,8 @@ const initiatePayment = async (req, res) => {
             ]
         });
 
-        // Block payment if user already has an active subscription
-        if (user && user.hasActiveSubscription()) {
+        // Block payment if user already has an active subscription (group plans can be renewed early)
+        if (user && user.hasActiveSubscription() && !req.body.groupId) {
             const expiryDate = new Date(user.subscriptionExpiryDate);
             return res.status(400).json({
                 success: false,
@@ -207,8 +210,63 @@ const initiatePayment = async (req, res) => {
         const normalized = normalizeAmountToTiyin(amount);
         let finalAmount = normalized || 25000000; // Default: 1-month pro (250,000 UZS)
 
-        // Build OFD array according to API specs, normalizing item prices/totals
-        const ofdData = ofd.map(item => {
+        // A named tier is charged at its own price: the stored tierId sets the
+        // subscription length, so it must never come with a client-chosen amount
+        let tier = resolveTier(req.body.tierId || plan, finalAmount);
+        if (tier) finalAmount = tier.priceInTiyin;
+
+        // Promo campaign discounts (services/promoCampaignService.js)
+        let promo = null;
+        const promoCodes = normalizeCodes(req.body);
+
+        // Family / group plan checkout: the group sets the price (services/subscriptionGroupService.js)
+        let group = null;
+        if (req.body.groupId) {
+            if (promoCodes.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: { code: 'PROMO_INVALID', details: 'Promo codes cannot be used for family or group plans' }
+                });
+            }
+            try {
+                const checkout = await startGroupCheckout(user, req.body.groupId);
+                group = checkout.group;
+                tier = checkout.tier;
+                finalAmount = checkout.amount;
+            } catch (groupError) {
+                if (!groupError.status) throw groupError;
+                return res.status(groupError.status).json({
+                    success: false,
+                    error: { code: 'GROUP_INVALID', details: groupError.message }
+                });
+            }
+        }
+
+        if (promoCodes.length > 0) {
+            try {
+                promo = await quoteCheckout({ user, tierId: tier?.id, codes: promoCodes });
+            } catch (promoError) {
+                if (!promoError.status) throw promoError;
+                return res.status(promoError.status).json({
+                    success: false,
+                    error: {
+                        code: promoError.code || 'PROMO_INVALID',
+                        details: promoError.message
+                    }
+                });
+            }
+            finalAmount = promo.finalAmount;
+        }
+
+        // Build OFD array according to API specs, normalizing item prices/totals.
+        // Tier, discounted and group checkouts are a single line so the receipt matches the amount.
+        let ofdItems = ofd;
+        if (group) {
+            ofdItems = [{ ...ofd[0], qty: group.seats, price: finalAmount / group.seats, total: finalAmount }];
+        } else if (promo || tier) {
+            ofdItems = [{ ...ofd[0], qty: 1, price: finalAmount, total: finalAmount }];
+        }
+        const ofdData = ofdItems.map(item => {
             const qty = item.qty || 1;
             const price = item.price ? (normalizeAmountToTiyin(item.price) || finalAmount) : finalAmount;
             const total = item.total ? (normalizeAmountToTiyin(item.total) || (qty * price)) : (qty * price);
@@ -268,9 +326,12 @@ const initiatePayment = async (req, res) => {
         const transaction = new MulticardTransaction({
             userId: user._id, // ✅ Use MongoDB ObjectId
             firebaseUserId: userId, // ✅ Store Firebase UID separately
+            paidBy: req.paidBy, // Set by parent checkout (routes/parentRoutes.js)
             invoiceId,
             amount: finalAmount, // ✅ Use finalAmount
             plan,
+            tierId: tier?.id || null,
+            groupId: group?._id || null,
             status: 'pending',
             multicardUuid: invoiceData.uuid,
             checkoutUrl: invoiceData.checkout_url,
@@ -280,6 +341,22 @@ const initiatePayment = async (req, res) => {
 
         await transaction.save();
 
+        if (promo) {
+            try {
+                await reserveCheckout(promo, { user, provider: 'multicard', reference: invoiceId });
+            } catch (promoError) {
+                if (!promoError.status) throw promoError;
+                // Another checkout took the last use: don't leave the discounted invoice payable
+                await getProvider('multicard').cancel(transaction).catch(cancelError =>
+                    console.error(`❌ Could not cancel Multicard invoice ${invoiceId}:`, cancelError.message));
+                return res.status(promoError.status).json({
+                    success: false,
+                    error: { code: promoError.code || 'PROMO_INVALID', details: promoError.message }
+                });
+            }
+            await linkRedemptions('multicard', invoiceId, transaction._id);
+        }
+
         res.json({
             success: true,
             data: {
@@ -289,6 +366,8 @@ const initiatePayment = async (req, res) => {
                 deeplink: invoiceData.deeplink,
                 invoiceId: invoiceId,
                 addedOn: invoiceData.added_on,
+                ...(promo && { promo }),
+                ...(group && { group: { id: group._id, type: group.type, tierId: group.tierId, seats: group.seats } }),
             }
         });
 
@@ -382,21 +461,7 @@ const handleSuccessCallback = async (req, res) => {
 
         if (response.data?.success && response.data.data?.payment?.status === 'success') {
             // Grant subscription NOW (idempotent — safe even if webhook already processed it)
-            if (transaction.status !== 'paid') {
-                transaction.status = 'paid';
-                transaction.paidAt = new Date();
-
-                const user = await User.findById(transaction.userId);
-                if (user) {
-                    const { durationDays, durationMonths } = getDurationFromAmount(transaction.amount);
-                    await user.grantSubscription(transaction.plan || 'pro', durationDays, 'multicard', durationMonths);
-                    user.subscriptionAmount = transaction.amount;
-                    user.lastPaymentDate = new Date();
-                    await user.save();
-                    console.log(`✅ Subscription granted via return callback for user ${user.firebaseId}`);
-                }
-                await transaction.save();
-            }
+            await claimPayment('multicard', transaction);
 
             res.redirect(`${frontendUrl}/payment/success/multicard?invoice_id=${invoice_id}&plan=${transaction.plan || 'pro'}`);
         } else {
@@ -439,6 +504,17 @@ const handleWebhook = async (req, res) => {
         });
     }
 
+    if (!getProvider('multicard').verifyWebhook(req)) {
+        console.error(`❌ Invalid webhook signature for invoice_id: ${payment.store_invoice_id}`);
+        return res.status(401).json({
+            success: false,
+            error: {
+                code: 'INVALID_SIGNATURE',
+                details: 'Webhook signature does not match'
+            }
+        });
+    }
+
     try {
         // Find the transaction using your internal invoice ID
         const transaction = await MulticardTransaction.findOne({
@@ -456,8 +532,11 @@ const handleWebhook = async (req, res) => {
             });
         }
 
-        // Idempotency check: If already processed, return success
-        if (transaction.status === 'paid' || transaction.status === 'failed' || transaction.status === 'canceled') {
+        // Idempotency check: If already processed, return success.
+        // A success for a transaction that is no longer pending goes to claimPayment,
+        // which leaves it to reconciliation.
+        if (transaction.status === 'paid' ||
+            (['failed', 'canceled', 'refunded', 'expired'].includes(transaction.status) && payment.status !== 'success')) {
             return res.status(200).json({
                 success: true,
                 message: 'Webhook already processed'
@@ -487,22 +566,20 @@ const handleWebhook = async (req, res) => {
         // Process based on payment status
         // Status enum: draft, progress, billing, success, error, revert
         if (payment.status === 'success') {
-            transaction.status = 'paid';
-            transaction.paidAt = new Date(payment.payment_time || Date.now());
-
-            // Find the user and grant them their subscription/purchase
-            const user = await User.findById(transaction.userId);
-            if (user) {
-                const { durationDays, durationMonths } = getDurationFromAmount(transaction.amount);
-
-                await user.grantSubscription(transaction.plan || 'pro', durationDays, 'multicard', durationMonths);
-
-                user.subscriptionAmount = transaction.amount;
-                user.lastPaymentDate = new Date();
-                await user.save();
-            } else {
-                console.error(`❌ User not found: ${transaction.userId}`);
-            }
+            // Claim the transaction atomically and grant the subscription/purchase:
+            // the success callback or the auto-renew job may be settling the same payment
+            const settled = await claimPayment('multicard', transaction, {
+                paidAt: new Date(payment.payment_time || Date.now()),
+                set: {
+                    webhookPayload: transaction.webhookPayload,
+                    multicardUuid: transaction.multicardUuid,
+                    paymentDetails: transaction.paymentDetails
+                }
+            });
+            return res.status(200).json({
+                success: true,
+                message: settled ? 'Webhook processed successfully' : 'Webhook already processed'
+            });
         } else if (payment.status === 'revert') {
             transaction.status = 'refunded';
         } else if (payment.status === 'error') {
@@ -761,9 +838,7 @@ const processScanPay = async (req, res) => {
         if (response.data?.success) {
             const paymentData = response.data.data;
 
-            // Update transaction with payment details
-            transaction.status = paymentData.status === 'success' ? 'paid' : 'pending';
-            transaction.paymentDetails = {
+            const paymentDetails = {
                 paymentAmount: paymentData.payment_amount,
                 commissionAmount: paymentData.commission_amount,
                 commissionType: paymentData.commission_type,
@@ -781,22 +856,17 @@ const processScanPay = async (req, res) => {
             };
 
             if (paymentData.status === 'success') {
-                transaction.paidAt = new Date(paymentData.payment_time || Date.now());
-
-                // Grant subscription
-                const user = await User.findById(transaction.userId);
-                if (user) {
-                    const { durationDays, durationMonths } = getDurationFromAmount(transaction.amount);
-                    await user.grantSubscription(transaction.plan || 'pro', durationDays, 'multicard', durationMonths);
-
-                    user.subscriptionAmount = transaction.amount;
-                    user.lastPaymentDate = new Date();
-                    await user.save();
-                }
+                // Grant subscription, unless the webhook already did
+                await claimPayment('multicard', transaction, {
+                    paidAt: new Date(paymentData.payment_time || Date.now()),
+                    set: { paymentDetails }
+                });
+            } else {
+                transaction.status = 'pending';
+                transaction.paymentDetails = paymentDetails;
+                await transaction.save();
             }
 
-            await transaction.save();
-
             res.json({
                 success: true,
                 data: paymentData
@@ -897,122 +967,12 @@ const handleSuccessCallbackOld = async (req, res) => {
             });
         }
 
-        // Update transaction
-        transaction.status = 'paid';
-        transaction.paidAt = new Date(payment_time);
-        transaction.multicardUuid = uuid;
-        transaction.paymentDetails = {
-            ps,
-            phone,
-            cardPan: card_pan,
-            cardToken: card_token,
-            receiptUrl: receipt_url,
-            billingId: billing_id,
-            paymentTime: new Date(payment_time),
-        };
-
-        await transaction.save();
-
-        // Grant subscription to user
-        const user = await User.findById(transaction.userId);
-        if (user) {
-            const { durationDays, durationMonths } = getDurationFromAmount(transaction.amount);
-            await user.grantSubscription(transaction.plan || 'pro', durationDays, 'multicard', durationMonths);
-
-            user.subscriptionAmount = transaction.amount;
-            user.lastPaymentDate = new Date();
-            await user.save();
-        } else {
-            console.error(`❌ User not found: ${transaction.userId}`);
-        }
-
-        res.status(200).json({
-            success: true,
-            message: 'Payment processed successfully'
-        });
-
-    } catch (error) {
-        console.error('❌ Error processing success callback:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Internal server error',
-            error: process.env.NODE_ENV === 'development' ? error.message : undefined
-        });
-    }
-};
-/**
- * Handle webhook callback (new format with status updates)
- * This uses SHA1 signature verification
- * Supports multiple payment statuses: draft, progress, success, error, revert, hold
- */
-const handleWebhookCallback = async (req, res) => {
-    const webhookData = req.body;
-
-    const {
-        uuid,
-        amount,
-        invoice_id,
-        status,
-        billing_id,
-        payment_time,
-        refund_time,
-        phone,
-        card_pan,
-        ps,
-        card_token,
-        receipt_url,
-        sign
-    } = webhookData;
-
-    // Verify signature: SHA1({uuid}{invoice_id}{amount}{secret})
-    const expectedSign = crypto
-        .createHash('sha1')
-        .update(`${uuid}${invoice_id}${amount}${process.env.MULTICARD_SECRET}`)
-        .digest('hex');
-
-    if (sign !== expectedSign) {
-        console.error('❌ Invalid signature in webhook callback');
-        console.error(`   Expected: ${expectedSign}`);
-        console.error(`   Received: ${sign}`);
-        return res.status(403).json({
-            success: false,
-            message: 'Invalid signature'
-        });
-    }
-
-    try {
-        const transaction = await MulticardTransaction.findOne({ invoiceId: invoice_id });
-        if (!transaction) {
-            console.error(`❌ Transaction not found: ${invoice_id}`);
-            return res.status(404).json({
-                success: false,
-                message: 'Transaction not found'
-            });
-        }
-
-        // Store webhook data
-        transaction.webhookPayload = webhookData;
-        transaction.multicardUuid = uuid;
-
-        // Handle different statuses
-        switch (status) {
-            case 'draft':
-                transaction.status = 'pending';
-                break;
-
-            case 'progress':
-                transaction.status = 'pending';
-                break;
-
-            case 'success':
-                // Idempotency check
-                if (transaction.status === 'paid') {
-                    return res.status(200).json({ success: true });
-                }
-
-                transaction.status = 'paid';
-                transaction.paidAt = new Date(payment_time);
-                transaction.paymentDetails = {
+        // Mark paid and grant subscription to user, unless the webhook already did
+        const settled = await claimPayment('multicard', transaction, {
+            paidAt: new Date(payment_time),
+            set: {
+                multicardUuid: uuid,
+                paymentDetails: {
                     ps,
                     phone,
                     cardPan: card_pan,
@@ -1020,62 +980,24 @@ const handleWebhookCallback = async (req, res) => {
                     receiptUrl: receipt_url,
                     billingId: billing_id,
                     paymentTime: new Date(payment_time),
-                };
-
-                // Grant subscription
-                const user = await User.findById(transaction.userId);
-                if (user) {
-                    const { durationDays, durationMonths } = getDurationFromAmount(transaction.amount);
-                    await user.grantSubscription(transaction.plan || 'pro', durationDays, 'multicard', durationMonths);
-
-                    user.subscriptionAmount = transaction.amount;
-                    user.lastPaymentDate = new Date();
-                    await user.save();
                 }
-                break;
-
-            case 'error':
-                transaction.status = 'failed';
-                transaction.errorCode = webhookData.ps_response_code || webhookData.error_code;
-                transaction.errorMessage = webhookData.ps_response_msg || webhookData.error_message;
-                break;
-
-            case 'revert':
-                transaction.status = 'refunded';
-                transaction.refundedAt = refund_time ? new Date(refund_time) : new Date();
-
-                // Revoke subscription if needed
-                const userToRevoke = await User.findById(transaction.userId);
-                if (userToRevoke) {
-                    await userToRevoke.revokeSubscription('multicard');
-                }
-                break;
-
-            case 'hold':
-                transaction.status = 'pending';
-                break;
-
-            default:
-                break;
-        }
-
-        await transaction.save();
+            }
+        });
 
-        // Return 2xx status to prevent retries
         res.status(200).json({
             success: true,
-            message: 'Webhook processed'
+            message: settled ? 'Payment processed successfully' : 'Transaction already processed'
         });
 
     } catch (error) {
-        console.error('❌ Error processing webhook callback:', error.message);
-        res.status(200).json({
-            success: true,
-            message: 'Error logged, preventing retry'
+        console.error('❌ Error processing success callback:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
     }
 };
-
 /**
  * Delete/Cancel an invoice (if not yet paid)
  */
@@ -1651,6 +1573,19 @@ const deleteCardToken = async (req, res) => {
         );
 
         if (response.data?.success) {
+            // Forget the card locally; auto-renew can't charge a deleted token
+            const owner = await User.findOne({ 'savedCards.cardToken': cardToken });
+            if (owner) {
+                owner.savedCards = owner.savedCards.filter(card => card.cardToken !== cardToken);
+                if (owner.autoRenew?.enabled && owner.autoRenew.cardToken === cardToken) {
+                    owner.autoRenew.enabled = false;
+                    owner.autoRenew.cancelledAt = new Date();
+                    owner.autoRenew.cancelReason = 'card_removed';
+                    owner.autoRenew.nextAttemptAt = null;
+                }
+                await owner.save();
+            }
+
             res.json({
                 success: true,
                 data: response.data.data || []
@@ -1851,14 +1786,15 @@ const createPaymentByToken = async (req, res) => {
             }
 
             // Create transaction record (only if userId is available)
+            let transaction = null;
             if (userObjectId) {
-                const transaction = new MulticardTransaction({
+                transaction = new MulticardTransaction({
                     userId: userObjectId,
                     multicardUuid: paymentData.uuid,
                     invoiceId: paymentData.store_invoice_id || finalInvoiceId,
                     amount: paymentData.total_amount || amount,
                     plan: processedBody.plan || 'standard',
-                    status: paymentData.status === 'success' ? 'paid' : 'pending',
+                    status: 'pending',
                     checkoutUrl: paymentData.checkout_url,
                     paymentDetails: {
                         paymentAmount: paymentData.payment_amount,
@@ -1874,19 +1810,11 @@ const createPaymentByToken = async (req, res) => {
                 await transaction.save();
             }
 
-            // If payment successful immediately, grant subscription
-            if (paymentData.status === 'success' && userObjectId) {
-                const User = require('../models/user');
-                const user = await User.findById(userObjectId);
-                if (user) {
-                    const txAmount = paymentData.total_amount || amount;
-                    const { durationDays, durationMonths } = getDurationFromAmount(txAmount);
-                    await user.grantSubscription(processedBody.plan || 'pro', durationDays, 'multicard', durationMonths);
-
-                    user.subscriptionAmount = txAmount;
-                    user.lastPaymentDate = new Date();
-                    await user.save();
-                }
+            // If payment successful immediately, mark it paid and grant subscription
+            if (paymentData.status === 'success' && transaction) {
+                await claimPayment('multicard', transaction, {
+                    paidAt: new Date(paymentData.payment_time || Date.now())
+                });
             }
 
             res.json({
@@ -2460,31 +2388,38 @@ const getApplicationInfo = async (req, res) => {
     }
 };
 
+/**
+ * Raw call for the merchant's bank account details.
+ * Also printed on organisation invoices (services/organizationService.js).
+ */
+const fetchRecipientBankAccount = async () => {
+    const token = await getAuthToken();
+
+    const response = await axios.get(
+        `${API_URL}/payment/merchant-account/recipient`,
+        {
+            headers: { 'Authorization': `Bearer ${token}` }
+        }
+    );
+
+    if (!response.data?.success) {
+        throw new Error('Failed to get bank account info');
+    }
+    return response.data.data;
+};
+
 /**
  * Get recipient bank account details
  * Returns merchant's bank account information
  */
 const getRecipientBankAccount = async (req, res) => {
     try {
-        const token = await getAuthToken();
-
-        const response = await axios.get(
-            `${API_URL}/payment/merchant-account/recipient`,
-            {
-                headers: { 'Authorization': `Bearer ${token}` }
-            }
-        );
+        const accountInfo = await fetchRecipientBankAccount();
 
-        if (response.data?.success) {
-            const accountInfo = response.data.data;
-
-            res.json({
-                success: true,
-                data: accountInfo
-            });
-        } else {
-            throw new Error('Failed to get bank account info');
-        }
+        res.json({
+            success: true,
+            data: accountInfo
+        });
 
     } catch (error) {
         console.error('❌ Error getting bank account info:', error.message);
@@ -2502,6 +2437,30 @@ const getRecipientBankAccount = async (req, res) => {
  * Get payment history for a store
  * Returns list of completed payment transactions with statistics
  */
+/**
+ * Raw call to the store payment history API (dates as YYYY-MM-DD HH:mm:ss).
+ * Also used by the finance reconciliation (services/reconciliationService.js).
+ */
+const fetchPaymentHistory = async (storeId, { offset = 0, limit = 100, onlyStatus, startDate, endDate }) => {
+    const token = await getAuthToken();
+
+    const params = {
+        offset: parseInt(offset),
+        limit: parseInt(limit),
+        start_date: startDate,
+        end_date: endDate,
+        ...(onlyStatus && { only_status: onlyStatus })
+    };
+
+    return axios.get(
+        `${API_URL}/payment/store/${storeId}/history`,
+        {
+            headers: { 'Authorization': `Bearer ${token}` },
+            params
+        }
+    );
+};
+
 const getPaymentHistory = async (req, res) => {
     const { storeId } = req.params;
     const {
@@ -2535,23 +2494,7 @@ const getPaymentHistory = async (req, res) => {
     }
 
     try {
-        const token = await getAuthToken();
-
-        const params = {
-            offset: parseInt(offset),
-            limit: parseInt(limit),
-            start_date: startDate,
-            end_date: endDate,
-            ...(onlyStatus && { only_status: onlyStatus })
-        };
-
-        const response = await axios.get(
-            `${API_URL}/payment/store/${storeId}/history`,
-            {
-                headers: { 'Authorization': `Bearer ${token}` },
-                params
-            }
-        );
+        const response = await fetchPaymentHistory(storeId, { offset, limit, onlyStatus, startDate, endDate });
 
         if (response.data?.success) {
             const historyData = response.data.data;
@@ -2840,7 +2783,6 @@ module.exports = {
     testConnection,
     processScanPay,
     handleSuccessCallbackOld,
-    handleWebhookCallback,
     deleteInvoice,
     createCardBindingSession,
     handleCardBindingCallback,
@@ -2861,7 +2803,9 @@ module.exports = {
     getPaymentInfo,
     getApplicationInfo,
     getRecipientBankAccount,
+    fetchRecipientBankAccount,
     getPaymentHistory,
+    fetchPaymentHistory,
     getCreditHistory,
     getPaymentStatistics,
     exportPaymentHistory,
@@ -3,7 +3,17 @@
 const User = require('../models/user');
 const PaymeTransaction = require('../models/paymeTransaction');
 const axios = require('axios');
-const { PAYMENT_AMOUNTS, getTierById, getDurationFromAmount } = require('../config/subscriptionConfig');
+const { PAYMENT_AMOUNTS, getTierById, getDurationForPayment } = require('../config/subscriptionConfig');
+const {
+  normalizeCodes,
+  resolveTier,
+  quoteCheckout,
+  reserveCheckout,
+  findPaymeReservation,
+  linkRedemptions
+} = require('../services/promoCampaignService');
+const { startGroupCheckout, findPaymeGroupCheckout } = require('../services/subscriptionGroupService');
+const { activateSubscription, claimPayment } = require('../services/paymentService');
 
 // ================================================
 // CONFIGURATION AND CONSTANTS
@@ -464,7 +474,8 @@ const handleCheckPerformTransaction = async (req, res, id, params) => {
   const accountLogin = account.Login;
   if (accountLogin && accountLogin.length >= 20) {
     const existingUser = await User.findOne({ firebaseId: accountLogin });
-    if (existingUser && existingUser.hasActiveSubscription()) {
+    // Group plan owners renew while their subscription is still running
+    if (existingUser && existingUser.hasActiveSubscription() && !(await findPaymeGroupCheckout(accountLogin, amount))) {
       return res.status(200).json(createErrorResponse(id, PaymeErrorCode.UNABLE_TO_PERFORM_OPERATION));
     }
   }
@@ -524,6 +535,11 @@ const handleCreateTransaction = async (req, res, id, params) => {
     return res.status(200).json(createErrorResponse(id, PaymeErrorCode.INVALID_ACCOUNT, getAccountFieldName()));
   }
 
+  // A checkout discounted with promo codes is matched by user and amount
+  const promoReservation = account.Login ? await findPaymeReservation(account.Login, amount) : null;
+  // Family / group plan checkouts likewise, by owner and group price
+  const groupCheckout = account.Login && !promoReservation ? await findPaymeGroupCheckout(account.Login, amount) : null;
+
   // Create new transaction in MongoDB
   const newTransaction = await PaymeTransaction.create({
     paycom_transaction_id: txId,
@@ -535,9 +551,15 @@ const handleCreateTransaction = async (req, res, id, params) => {
     Login: account.Login || 'unknown',
     user_id: account.Login || 'unknown',
     payment_type: 'one_time',
+    tier_id: promoReservation?.tierId || groupCheckout?.tierId || null,
+    group_id: groupCheckout?._id || null,
     metadata: { account }
   });
 
+  if (promoReservation) {
+    await linkRedemptions('payme', promoReservation.reference, newTransaction._id);
+  }
+
   return res.status(200).json({
     jsonrpc: "2.0",
     id: id,
@@ -576,65 +598,30 @@ const handlePerformTransaction = async (req, res, id, params) => {
     return res.status(200).json(createErrorResponse(id, PaymeErrorCode.UNABLE_TO_PERFORM_OPERATION));
   }
 
-  // Business logic: grant subscription to the user
+  // Claim the transaction (CREATED -> COMPLETED) before granting the subscription,
+  // so a repeated or concurrent PerformTransaction cannot activate twice.
+  // Auto-creates users that exist in Firebase but not MongoDB.
+  let settled;
   try {
-    const accountLogin = transaction.metadata?.account?.Login || transaction.user_id;
-    if (accountLogin) {
-      // Find user by firebaseId, or auto-create if they exist in Firebase but not MongoDB
-      let user = await User.findOne({ firebaseId: accountLogin });
-
-      if (!user && accountLogin.length > 5 && !accountLogin.startsWith('aced')) {
-        // User paid but doesn't have a MongoDB record yet — create one
-        user = await User.findOneAndUpdate(
-          { firebaseId: accountLogin },
-          { $setOnInsert: { firebaseId: accountLogin, Login: accountLogin, subscriptionPlan: 'free' } },
-          { upsert: true, new: true, setDefaultsOnInsert: true }
-        );
-        console.log('Auto-created MongoDB user for PayMe payment:', accountLogin);
-      }
-
-      if (user) {
-        const { durationDays, durationMonths } = getDurationFromAmount(transaction.amount);
-
-        await user.grantSubscription('pro', durationDays, 'payment', durationMonths);
-
-        user.subscriptionAmount = transaction.amount;
-        user.lastPaymentDate = new Date();
-        await user.save();
-
-        try {
-          const Message = require('../models/message');
-          await Message.createPaymentMessage(user._id, user.firebaseId, {
-            amount: transaction.amount,
-            plan: 'pro',
-            duration: durationMonths,
-            startDate: user.subscriptionActivatedAt || new Date(),
-            endDate: user.subscriptionExpiryDate,
-            paymentMethod: 'PayMe',
-            transactionId: transaction._id.toString()
-          });
-        } catch (msgError) {
-          console.error('Failed to send payment notification:', msgError);
-        }
-      }
-    }
+    settled = await claimPayment('payme', transaction, { createMissingUser: true });
   } catch (dbError) {
     console.error('Database error during PerformTransaction:', dbError);
     return res.status(200).json(createErrorResponse(id, PaymeErrorCode.INTERNAL_ERROR));
   }
 
-  // Update transaction state in MongoDB
-  transaction.state = TransactionState.COMPLETED;
-  transaction.perform_time = new Date();
-  await transaction.save();
+  // Not claimed: performed or cancelled meanwhile
+  const performed = settled ? settled.transaction : await PaymeTransaction.findById(transaction._id);
+  if (performed?.state !== TransactionState.COMPLETED) {
+    return res.status(200).json(createErrorResponse(id, PaymeErrorCode.UNABLE_TO_PERFORM_OPERATION));
+  }
 
   return res.status(200).json({
     jsonrpc: "2.0",
     id: id,
     result: {
-      transaction: transaction._id.toString(),
-      perform_time: transaction.perform_time.getTime(),
-      state: transaction.state
+      transaction: performed._id.toString(),
+      perform_time: performed.perform_time ? performed.perform_time.getTime() : 0,
+      state: performed.state
     }
   });
 };
@@ -722,11 +709,11 @@ const handleCheckTransaction = async (req, res, id, params) => {
   });
 };
 
-const handleGetStatement = async (req, res, id, params) => {
-
-  const from = params?.from || 0;
-  const to = params?.to || Date.now();
-
+/**
+ * Transactions created in [from, to] (ms timestamps) in the GetStatement format.
+ * Also used by the finance reconciliation (services/reconciliationService.js).
+ */
+const buildPaymeStatement = async (from, to) => {
   const dbTransactions = await PaymeTransaction.find({
     create_time: {
       $gte: new Date(from),
@@ -734,7 +721,7 @@ const handleGetStatement = async (req, res, id, params) => {
     }
   }).sort({ create_time: 1 });
 
-  const transactions = dbTransactions.map(tx => ({
+  return dbTransactions.map(tx => ({
     id: tx.paycom_transaction_id,
     time: tx.create_time.getTime(),
     amount: tx.amount,
@@ -747,6 +734,14 @@ const handleGetStatement = async (req, res, id, params) => {
     reason: tx.reason || null,
     receivers: tx.receivers ? JSON.parse(tx.receivers) : null
   }));
+};
+
+const handleGetStatement = async (req, res, id, params) => {
+
+  const from = params?.from || 0;
+  const to = params?.to || Date.now();
+
+  const transactions = await buildPaymeStatement(from, to);
 
   return res.status(200).json({
     jsonrpc: "2.0",
@@ -1061,9 +1056,9 @@ const initiatePaymePayment = async (req, res) => {
       return safeErrorResponse(res, 400, 'Plan is required', 'Payment initiation');
     }
 
-    // Block payment if user already has an active subscription
+    // Block payment if user already has an active subscription (group plans can be renewed early)
     const existingUser = await User.findOne({ firebaseId: userId });
-    if (existingUser && existingUser.hasActiveSubscription()) {
+    if (existingUser && existingUser.hasActiveSubscription() && !req.body.groupId) {
       const expiryDate = new Date(existingUser.subscriptionExpiryDate);
       return safeErrorResponse(res, 400,
         `You already have an active ${existingUser.subscriptionPlan} subscription until ${expiryDate.toISOString()}. You can renew after it expires.`,
@@ -1082,10 +1077,10 @@ const initiatePaymePayment = async (req, res) => {
     // Determine amount in tiyin. Allow override from request body (accepts UZS or tiyin).
     const overrideAmount = normalizeAmountToTiyin(rawAmount);
     const defaultAmount = PAYMENT_AMOUNTS[plan];
-    if (!defaultAmount && !overrideAmount) {
+    if (!defaultAmount && !overrideAmount && !req.body.groupId) {
       return safeErrorResponse(res, 400, 'Invalid plan amount', 'Payment initiation');
     }
-    const amount = overrideAmount || defaultAmount;
+    let amount = overrideAmount || defaultAmount;
 
     // Generate clean order ID
     const timestamp = Date.now();
@@ -1093,6 +1088,42 @@ const initiatePaymePayment = async (req, res) => {
     const baseOrderId = `aced${timestamp}${randomStr}`;
     const cleanOrderId = baseOrderId.replace(/[^a-zA-Z0-9]/g, '');
 
+    // Promo campaign discounts (services/promoCampaignService.js)
+    let promo = null;
+    const promoCodes = normalizeCodes(req.body);
+
+    // Family / group plan checkout: the group sets the price (services/subscriptionGroupService.js)
+    let group = null;
+    if (req.body.groupId) {
+      if (!existingUser) {
+        return safeErrorResponse(res, 404, 'User not found', 'Payment initiation');
+      }
+      if (promoCodes.length > 0) {
+        return safeErrorResponse(res, 400, 'Promo codes cannot be used for family or group plans', 'Payment initiation');
+      }
+      try {
+        ({ group, amount } = await startGroupCheckout(existingUser, req.body.groupId));
+      } catch (groupError) {
+        if (!groupError.status) throw groupError;
+        return safeErrorResponse(res, groupError.status, groupError.message, 'Payment initiation');
+      }
+    }
+
+    if (promoCodes.length > 0) {
+      if (!existingUser) {
+        return safeErrorResponse(res, 404, 'User not found', 'Payment initiation');
+      }
+      const tier = resolveTier(req.body.tierId || plan, amount);
+      try {
+        promo = await quoteCheckout({ user: existingUser, tierId: tier?.id, codes: promoCodes });
+        await reserveCheckout(promo, { user: existingUser, provider: 'payme', reference: cleanOrderId });
+      } catch (promoError) {
+        if (!promoError.status) throw promoError;
+        return safeErrorResponse(res, promoError.status, promoError.message, 'Payment initiation');
+      }
+      amount = promo.finalAmount;
+    }
+
 
     // Always generate a real PayMe URL if merchant ID is configured
     if (!merchantId) {
@@ -1133,7 +1164,9 @@ const initiatePaymePayment = async (req, res) => {
             amount: amount,
             plan: plan,
             state: 1
-          }
+          },
+          ...(promo && { promo }),
+          ...(group && { group: { id: group._id, type: group.type, tierId: group.tierId, seats: group.seats } })
         });
       } else {
         throw new Error(result.error || 'URL generation failed');
@@ -1160,7 +1193,9 @@ const initiatePaymePayment = async (req, res) => {
             amount: amount,
             plan: plan,
             state: 1
-          }
+          },
+          ...(promo && { promo }),
+          ...(group && { group: { id: group._id, type: group.type, tierId: group.tierId, seats: group.seats } })
         });
       } else {
         throw new Error(result.error || 'Form generation failed');
@@ -1494,15 +1529,12 @@ const checkPaymentStatus = async (req, res) => {
       if (transaction.state === TransactionState.COMPLETED && user) {
         // If user doesn't have an active subscription, activate from this transaction
         if (!user.hasActiveSubscription()) {
-          const { durationDays, durationMonths } = getDurationFromAmount(transaction.amount);
+          const { durationDays } = getDurationForPayment(transaction.amount, transaction.tier_id);
           const performTime = transaction.perform_time || transaction.create_time;
           const expiry = new Date(new Date(performTime).getTime() + (durationDays * 24 * 60 * 60 * 1000));
 
           if (expiry > new Date()) {
-            await user.grantSubscription('pro', durationDays, 'payment', durationMonths);
-            user.subscriptionAmount = transaction.amount;
-            user.lastPaymentDate = new Date(performTime);
-            await user.save();
+            await activateSubscription('payme', transaction, { user, notify: false });
           }
         }
       }
@@ -1646,6 +1678,14 @@ const applyPromoCode = async (req, res) => {
       });
     }
 
+    // Discount codes are applied at checkout, not redeemed for a subscription
+    if (promoCodeDoc.isCheckoutDiscount()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This promo code can only be used during payment checkout'
+      });
+    }
+
     // Check if expired
     if (promoCodeDoc.expiresAt && promoCodeDoc.expiresAt < new Date()) {
       return res.status(400).json({
@@ -2448,6 +2488,7 @@ module.exports = {
   handleCancelTransaction,
   handleCheckTransaction,
   handleGetStatement,
+  buildPaymeStatement,
   handleChangePassword,
 
   // Constants
@@ -1,19 +1,15 @@
 const axios = require('axios');
-const OpenAI = require('openai');
 const Lesson = require('../models/lesson');
 const User = require('../models/user');
 const { ElevenLabsClient } = require("@elevenlabs/elevenlabs-js");
 const { extractExerciseContent, buildVoiceAssistantContext } = require('../utils/exerciseContentExtractor');
+const { complete } = require('../services/llmGateway');
+const { TOKEN_BUDGET_EXCEEDED } = require('../services/aiMeteringService');
 require('dotenv').config();
 
 // String similarity using Levenshtein distance
 const stringSimilarity = require('string-similarity');  // You may need to install this package
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
 // Initialize ElevenLabs Client
 const elevenlabs = new ElevenLabsClient({
   apiKey: process.env.ELEVENLABS_API_KEY,
@@ -219,7 +215,7 @@ exports.initVoiceSession = async (req, res) => {
     };
     const targetLanguage = languageNames[language] || 'English';
 
-    // 5. Generate a context-aware "Speech Script" via OpenAI
+    // 5. Generate a context-aware "Speech Script" via the LLM gateway
     const systemPrompt = `You are an AI tutor voice assistant helping a student with their lesson.
 You have access to the current exercise the student is viewing.
 Based on this context, create a brief, engaging introduction or hint (under 100 words).
@@ -231,17 +227,17 @@ You MUST reply in **${targetLanguage}**, even if the user's code or content cont
 
 ${exerciseContext}`;
 
-    // Call OpenAI using official package
-    const aiResponse = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
+    const aiResponse = await complete({
+      feature: "voiceAssistant",
       messages: [
         { role: "system", content: systemPrompt },
         { role: "user", content: "Introduce this exercise to me or give me a helpful hint to get started." }
       ],
-      max_tokens: 200
+      maxTokens: 200,
+      meter: { userId: req.user?.uid, action: "voice-intro" }
     });
 
-    const aiText = aiResponse.choices[0].message.content;
+    const aiText = aiResponse.content;
 
     // 5. Create a Signed Session with ElevenLabs Conversational AI
     // This allows the frontend to connect without exposing your API Key
@@ -259,6 +255,9 @@ ${exerciseContext}`;
 
   } catch (error) {
     console.error("Voice Init Error:", error);
+    if (error.code === TOKEN_BUDGET_EXCEEDED) {
+      return res.status(429).json({ error: error.message, limitExceeded: true });
+    }
     res.status(500).json({ error: "Failed to initialize Elya" });
   }
 };
@@ -412,15 +411,16 @@ IMPORTANT GUIDELINES:
       { role: "user", content: query }
     ];
 
-    // 7. Call OpenAI
-    const aiResponse = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
+    // 7. Call the LLM gateway
+    const aiResponse = await complete({
+      feature: "voiceAssistant",
       messages,
-      max_tokens: 300,
-      temperature: 0.7
+      maxTokens: 300,
+      temperature: 0.7,
+      meter: { userId: req.user?.uid, action: "voice-query" }
     });
 
-    const responseText = aiResponse.choices[0].message.content;
+    const responseText = aiResponse.content;
 
     res.json({
       success: true,
@@ -431,6 +431,9 @@ IMPORTANT GUIDELINES:
 
   } catch (error) {
     console.error("Voice Query Error:", error);
+    if (error.code === TOKEN_BUDGET_EXCEEDED) {
+      return res.status(429).json({ error: error.message, limitExceeded: true });
+    }
     res.status(500).json({ error: "Failed to process voice query", details: error.message });
   }
 };
@@ -238,7 +238,54 @@ const verifyAdmin = async (req, res, next) => {
   }
 };
 
-// Export both middlewares
+/**
+ * 🍎 TEACHER VERIFICATION MIDDLEWARE
+ * Use AFTER verifyToken. Allows users with the teacher or admin role and
+ * attaches the user document as req.dbUser.
+ */
+const verifyTeacher = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.uid) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    const User = require('../models/user');
+    const user = await User.findOne({ firebaseId: req.user.uid }).select('role firebaseId email name');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (user.role !== 'teacher' && user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Teacher access required',
+        userRole: user.role
+      });
+    }
+
+    req.dbUser = user;
+    req.isAdmin = user.role === 'admin';
+    next();
+
+  } catch (error) {
+    console.error('❌ Teacher verification failed:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Teacher verification failed',
+      details: error.message
+    });
+  }
+};
+
+// Export middlewares
 module.exports = authenticateUser;
 module.exports.verifyToken = authenticateUser;
-module.exports.verifyAdmin = verifyAdmin;
\ No newline at end of file
+module.exports.verifyAdmin = verifyAdmin;
+module.exports.verifyTeacher = verifyTeacher;
\ No newline at end of file
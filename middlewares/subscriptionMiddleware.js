@@ -7,7 +7,10 @@
 const User = require('../models/user');
 const PaymeTransaction = require('../models/paymeTransaction');
 const MulticardTransaction = require('../models/MulticardTransaction');
-const { getDurationFromAmount } = require('../config/subscriptionConfig');
+const ClickTransaction = require('../models/clickTransaction');
+const { getDurationForPayment } = require('../config/subscriptionConfig');
+const { syncUserGroupSubscription, reconcileGroupSubscriptions } = require('../services/subscriptionGroupService');
+const { syncUserOrganizationSeat, reconcileOrganizationSeats } = require('../services/organizationService');
 
 /**
  * Middleware that checks and corrects subscription status for the current user.
@@ -49,7 +52,10 @@ const validateSubscription = async (req, res, next) => {
  * Rules:
  * 1. If plan is non-free and expiryDate has passed -> revert to free
  * 2. If plan is non-free but no expiryDate -> revert to free
- * 3. If plan is free but there are completed transactions -> activate & stack all
+ * 3. Members of a running family / group plan, or holders of a licensed
+ *    organisation seat, get the group's / organisation's subscription;
+ *    users who lost one fall back to rule 4
+ * 4. If plan is free but there are completed transactions -> activate & stack all
  *
  * @param {Object} user - Mongoose User document
  * @returns {boolean} true if any changes were made and saved
@@ -76,7 +82,11 @@ async function ensureSubscriptionStatus(user) {
     changed = true;
   }
 
-  // --- CASE 3: User is free - check for unactivated completed payments ---
+  // --- CASE 3: Subscription owned by a family / group plan or an organisation ---
+  if (await syncUserGroupSubscription(user, now)) changed = true;
+  if (await syncUserOrganizationSeat(user, now)) changed = true;
+
+  // --- CASE 4: User is free - check for unactivated completed payments ---
   if (user.subscriptionPlan === 'free') {
     const activated = await tryActivateFromPayments(user);
     if (activated) changed = true;
@@ -102,7 +112,7 @@ async function tryActivateFromPayments(user) {
   const firebaseId = user.firebaseId;
   const now = new Date();
 
-  // Collect all completed transactions from both payment providers
+  // Collect all completed transactions from every payment provider
   const allTransactions = [];
 
   // --- PayMe transactions ---
@@ -112,16 +122,18 @@ async function tryActivateFromPayments(user) {
       { Login: firebaseId },
       { 'metadata.account.Login': firebaseId }
     ],
-    state: 2 // COMPLETED
+    state: 2, // COMPLETED
+    group_id: null // Group plan payments are derived from the group (CASE 3)
   }).sort({ perform_time: 1 }).lean();
 
   for (const tx of paymeCompleted) {
-    const { durationDays } = getDurationFromAmount(tx.amount);
+    const { durationDays, durationMonths } = getDurationForPayment(tx.amount, tx.tier_id);
     allTransactions.push({
       id: tx.paycom_transaction_id,
       provider: 'payme',
       paidAt: tx.perform_time || tx.create_time,
       durationDays,
+      durationMonths,
       amount: tx.amount
     });
   }
@@ -132,16 +144,40 @@ async function tryActivateFromPayments(user) {
       { firebaseUserId: firebaseId },
       { userId: user._id }
     ],
-    status: 'paid'
+    status: 'paid',
+    groupId: null
   }).sort({ paidAt: 1 }).lean();
 
   for (const tx of multicardCompleted) {
-    const { durationDays } = getDurationFromAmount(tx.amount);
+    const { durationDays, durationMonths } = getDurationForPayment(tx.amount, tx.tierId);
     allTransactions.push({
       id: tx.invoiceId || tx.multicardUuid,
       provider: 'multicard',
       paidAt: tx.paidAt || tx.createdAt,
       durationDays,
+      durationMonths,
+      amount: tx.amount
+    });
+  }
+
+  // --- Click transactions ---
+  const clickCompleted = await ClickTransaction.find({
+    $or: [
+      { firebaseUserId: firebaseId },
+      { userId: user._id }
+    ],
+    status: 'paid',
+    groupId: null
+  }).sort({ paidAt: 1 }).lean();
+
+  for (const tx of clickCompleted) {
+    const { durationDays, durationMonths } = getDurationForPayment(tx.amount, tx.tierId);
+    allTransactions.push({
+      id: tx.merchantTransId,
+      provider: 'click',
+      paidAt: tx.paidAt || tx.createdAt,
+      durationDays,
+      durationMonths,
       amount: tx.amount
     });
   }
@@ -168,7 +204,7 @@ async function tryActivateFromPayments(user) {
 
   // Use the last transaction for metadata
   const lastTx = allTransactions[allTransactions.length - 1];
-  const { durationMonths } = getDurationFromAmount(lastTx.amount);
+  const { durationMonths } = lastTx;
 
   console.log(`[Subscription] Activating ${firebaseId} from ${allTransactions.length} transactions, expiry: ${expiry.toISOString()}`);
 
@@ -239,7 +275,31 @@ async function reconcileAllSubscriptions() {
     console.error('[Reconcile] Error finding no-expiry users:', e.message);
   }
 
-  // 3. Find free users who have completed payments that should still be active
+  // 3. Family / group plan members: mirror running groups, revoke the rest
+  try {
+    const groupStats = await reconcileGroupSubscriptions(now);
+    stats.activated += groupStats.activated;
+    stats.expired += groupStats.revoked;
+    stats.fixed += groupStats.activated + groupStats.revoked;
+    stats.errors += groupStats.errors;
+    stats.groups = groupStats;
+  } catch (e) {
+    console.error('[Reconcile] Error reconciling group subscriptions:', e.message);
+  }
+
+  // 3b. Organisation seat holders: refresh licences, revoke reclaimed / expired seats
+  try {
+    const organizationStats = await reconcileOrganizationSeats(now);
+    stats.activated += organizationStats.activated;
+    stats.expired += organizationStats.revoked;
+    stats.fixed += organizationStats.activated + organizationStats.revoked;
+    stats.errors += organizationStats.errors;
+    stats.organizations = organizationStats;
+  } catch (e) {
+    console.error('[Reconcile] Error reconciling organisation seats:', e.message);
+  }
+
+  // 4. Find free users who have completed payments that should still be active
   try {
     const freeUsers = await User.find({ subscriptionPlan: 'free' });
     stats.checked = freeUsers.length;
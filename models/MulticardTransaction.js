@@ -11,6 +11,22 @@ const multicardTransactionSchema = new mongoose.Schema({
         type: String,
         index: true
     },
+    // Firebase UID of the linked parent when a parent pays for a child's subscription
+    paidBy: {
+        type: String,
+        index: true
+    },
+
+    // Charged automatically with the user's bound card (services/autoRenewService.js)
+    autoRenew: {
+        type: Boolean,
+        default: false
+    },
+    // Renewal period an auto-renew charge pays for (firebaseId:expiry date); one paid charge per period
+    renewalKey: {
+        type: String,
+        index: true
+    },
 
     // Type of transaction
     transactionType: {
@@ -33,9 +49,25 @@ const multicardTransactionSchema = new mongoose.Schema({
         type: Number,
         comment: 'Amount in tiyin (1 UZS = 100 tiyin)'
     },
+    // USD/UZS rate when the transaction was created, for USD revenue reports
+    fx: {
+        usdUzs: { type: Number, default: null },
+        source: { type: String, default: null },
+        rateAt: { type: Date, default: null }
+    },
     plan: { 
         type: String
     },
+    tierId: {
+        type: String,
+        comment: 'Tier bought (config/subscriptionConfig.js); the amount differs from its price with promo codes or group seats'
+    },
+    groupId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SubscriptionGroup',
+        default: null,
+        comment: 'Family / group plan this payment is for (services/subscriptionGroupService.js)'
+    },
     checkoutUrl: { 
         type: String 
     },
@@ -158,6 +190,27 @@ multicardTransactionSchema.index({ userId: 1, status: 1 });
 multicardTransactionSchema.index({ transactionType: 1, status: 1 });
 multicardTransactionSchema.index({ sessionId: 1 }); // For card binding lookups
 
+// New transactions record the USD/UZS rate in force (services/exchangeRateService.js)
+multicardTransactionSchema.pre('save', async function () {
+    if (!this.isNew || this.fx?.usdUzs) return;
+    const { getFxSnapshot } = require('../services/exchangeRateService');
+    const snapshot = await getFxSnapshot();
+    if (snapshot) this.fx = snapshot;
+});
+
+// On status changes: ledger, promo codes, group plans and referrals
+// (services/paymentService.js onPaymentStatusChange)
+multicardTransactionSchema.pre('save', function (next) {
+    this.$locals.statusChanged = this.isNew || this.isModified('status');
+    next();
+});
+
+multicardTransactionSchema.post('save', async function (doc) {
+    if (!doc.$locals.statusChanged) return;
+    const { onPaymentStatusChange } = require('../services/paymentService');
+    await onPaymentStatusChange('multicard', doc);
+});
+
 const MulticardTransaction = mongoose.model('MulticardTransaction', multicardTransactionSchema);
 
 module.exports = MulticardTransaction;
\ No newline at end of file
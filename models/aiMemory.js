@@ -39,9 +39,64 @@ const memoryItemSchema = new mongoose.Schema({
   createdAt: {
     type: Date,
     default: Date.now
+  },
+  lastSeenAt: {              // Last time the fact came up again (drives decay)
+    type: Date,
+    default: Date.now
+  },
+  mentions: {                // How many conversations produced this fact
+    type: Number,
+    default: 1
   }
 }, { _id: true });
 
+const MAX_MEMORIES = 50;
+
+// Days for a memory's importance to halve when it doesn't come up again.
+// Interests and goals last; a single question asked fades within days.
+const HALF_LIFE_DAYS = {
+  learning_preference: 90,
+  interest: 90,
+  goal: 60,
+  strength_topic: 45,
+  breakthrough: 30,
+  struggle_topic: 30,
+  misconception: 21,
+  context: 30,
+  question_asked: 7
+};
+
+// Word sets at or above this Jaccard similarity are the same memory
+const MERGE_SIMILARITY = 0.6;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Lower-case words of 3+ letters in any script (Uzbek, Russian, English)
+const tokenize = (text) => new Set(
+  (String(text || '').toLowerCase().match(/[\p{L}\p{N}']{3,}/gu) || [])
+);
+
+const similarity = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(word => { if (b.has(word)) shared++; });
+  return shared / (a.size + b.size - shared);
+};
+
+const sameScope = (a, b) => !a || !b || a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Importance after decay: halves every HALF_LIFE_DAYS[type] since the memory
+ * last came up, with a small boost for facts mentioned repeatedly.
+ */
+const effectiveImportance = (memory, now = Date.now()) => {
+  const lastSeen = new Date(memory.lastSeenAt || memory.createdAt || now).getTime();
+  const ageDays = Math.max(0, now - lastSeen) / DAY_MS;
+  const halfLife = HALF_LIFE_DAYS[memory.type] || 30;
+  const boost = 1 + Math.log2(Math.max(1, memory.mentions || 1)) * 0.25;
+  return (memory.importance || 5) * Math.pow(0.5, ageDays / halfLife) * boost;
+};
+
 const aiMemorySchema = new mongoose.Schema({
   userId: {
     type: String,            // Firebase UID
@@ -50,6 +105,13 @@ const aiMemorySchema = new mongoose.Schema({
     index: true
   },
 
+  // Learner's switch: when off nothing is recorded or used in prompts
+  memoryEnabled: {
+    type: Boolean,
+    default: true
+  },
+  memoryDisabledAt: Date,
+
   // Important facts AI should remember
   memories: {
     type: [memoryItemSchema],
@@ -119,24 +181,35 @@ aiMemorySchema.statics.getOrCreate = async function(userId) {
   return memory;
 };
 
-// Add a memory item
-aiMemorySchema.methods.addMemory = async function(type, content, options = {}) {
-  // Check for duplicates
-  const existing = this.memories.find(m =>
-    m.type === type &&
-    m.content.toLowerCase() === content.toLowerCase()
-  );
+// Merge a memory into an existing one of the same type and scope whose
+// wording is similar enough, otherwise append it. Does not save.
+aiMemorySchema.methods.mergeMemory = function(type, content, options = {}) {
+  const words = tokenize(content);
+  const now = new Date();
 
-  if (existing) {
-    // Update importance if it's higher
-    if (options.importance && options.importance > existing.importance) {
-      existing.importance = options.importance;
+  let best = null;
+  let bestScore = 0;
+  this.memories.forEach(m => {
+    if (m.type !== type || !sameScope(m.subject, options.subject)) return;
+    const score = m.content.toLowerCase() === content.toLowerCase() ? 1 : similarity(words, tokenize(m.content));
+    if (score > bestScore) {
+      best = m;
+      bestScore = score;
     }
-    existing.createdAt = new Date();
-    return this.save();
+  });
+
+  if (best && bestScore >= MERGE_SIMILARITY) {
+    // Keep the more detailed wording and the higher importance
+    if (content.length > best.content.length) best.content = content;
+    if (options.importance && options.importance > best.importance) best.importance = options.importance;
+    best.subject = best.subject || options.subject;
+    best.topic = best.topic || options.topic;
+    best.lessonId = best.lessonId || options.lessonId;
+    best.mentions = (best.mentions || 1) + 1;
+    best.lastSeenAt = now;
+    return best;
   }
 
-  // Add new memory
   this.memories.push({
     type,
     content,
@@ -144,43 +217,66 @@ aiMemorySchema.methods.addMemory = async function(type, content, options = {}) {
     topic: options.topic,
     lessonId: options.lessonId,
     importance: options.importance || 5,
-    expiresAt: options.expiresAt
+    expiresAt: options.expiresAt,
+    lastSeenAt: now
   });
+  return this.memories[this.memories.length - 1];
+};
 
-  // Keep only top 50 memories by importance
-  if (this.memories.length > 50) {
-    this.memories.sort((a, b) => b.importance - a.importance);
-    this.memories = this.memories.slice(0, 50);
-  }
+// Drop expired memories and keep the MAX_MEMORIES with the highest decayed importance
+aiMemorySchema.methods.pruneMemories = function() {
+  const now = Date.now();
+  const live = this.memories.filter(m => !m.expiresAt || m.expiresAt.getTime() > now);
+  if (live.length === this.memories.length && live.length <= MAX_MEMORIES) return;
 
+  live.sort((a, b) => effectiveImportance(b, now) - effectiveImportance(a, now));
+  this.memories = live.slice(0, MAX_MEMORIES);
+};
+
+// Add a memory item (merged into a similar one when it exists)
+aiMemorySchema.methods.addMemory = async function(type, content, options = {}) {
+  this.mergeMemory(type, content, options);
+  this.pruneMemories();
   this.lastUpdatedAt = new Date();
   return this.save();
 };
 
-// Get relevant memories for a context
-aiMemorySchema.methods.getRelevantMemories = function(subject = null, topic = null, limit = 10) {
-  let relevant = this.memories;
+/**
+ * Rank memories by relevance to the current context and decayed importance.
+ * Lesson, topic and subject matches and words shared with `query` (e.g. the
+ * lesson name and the student's question) raise the score. Memories tied to
+ * another subject are left out.
+ * @param {Object} [context] - { subject, topic, lessonId, query }
+ * @param {number} [limit=10]
+ * @returns {Array<Object>} memory items, most relevant first
+ */
+aiMemorySchema.methods.rankMemories = function({ subject, topic, lessonId, query } = {}, limit = 10) {
+  const now = Date.now();
+  const queryWords = tokenize([topic, query].filter(Boolean).join(' '));
 
-  // Filter by subject/topic if provided
-  if (subject) {
-    relevant = relevant.filter(m => !m.subject || m.subject === subject);
-  }
-  if (topic) {
-    relevant = relevant.filter(m => !m.topic || m.topic === topic);
-  }
+  return this.memories
+    .filter(m => (!m.expiresAt || m.expiresAt.getTime() > now) && sameScope(m.subject, subject))
+    .map(m => {
+      let relevance = 1;
+      if (lessonId && m.lessonId && String(m.lessonId) === String(lessonId)) relevance += 1.5;
+      if (topic && m.topic && m.topic.toLowerCase() === topic.toLowerCase()) relevance += 1;
+      if (subject && m.subject) relevance += 0.5;
 
-  // Remove expired memories
-  const now = new Date();
-  relevant = relevant.filter(m => !m.expiresAt || m.expiresAt > now);
+      const words = tokenize(`${m.content} ${m.topic || ''}`);
+      let shared = 0;
+      queryWords.forEach(word => { if (words.has(word)) shared++; });
+      relevance += Math.min(shared, 4) * 0.5;
 
-  // Sort by importance and recency
-  relevant.sort((a, b) => {
-    const importanceDiff = b.importance - a.importance;
-    if (importanceDiff !== 0) return importanceDiff;
-    return new Date(b.createdAt) - new Date(a.createdAt);
-  });
+      return { memory: m, score: effectiveImportance(m, now) * relevance };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(entry => entry.memory);
+};
 
-  return relevant.slice(0, limit);
+// Get relevant memories for a context
+aiMemorySchema.methods.getRelevantMemories = function(subject = null, topic = null, limit = 10) {
+  return this.rankMemories({ subject, topic }, limit);
 };
 
 // Update active subject
@@ -213,8 +309,9 @@ aiMemorySchema.methods.updateActiveSubject = async function(subject, lessonId, t
 };
 
 // Build context string for AI
-aiMemorySchema.methods.buildContextForAI = function(subject = null, topic = null) {
-  const memories = this.getRelevantMemories(subject, topic, 8);
+// options: { lessonId, query } sharpen the ranking (see rankMemories)
+aiMemorySchema.methods.buildContextForAI = function(subject = null, topic = null, options = {}) {
+  const memories = this.rankMemories({ subject, topic, ...options }, 8);
 
   if (memories.length === 0 && !this.learnerProfile) {
     return '';
@@ -0,0 +1,27 @@
+// models/aiUsageEvent.js - One record per LLM call: tokens and estimated cost by user, feature and model
+const mongoose = require('mongoose');
+
+const aiUsageEventSchema = new mongoose.Schema({
+  userId: { type: String, default: null }, // Firebase UID; null for calls not made for a user
+  feature: { type: String, required: true }, // LLM_FEATURES key (lessonChat, lessonAnalysis, ...)
+  action: { type: String, required: true }, // Endpoint-level label (chat, smart-hint, ai-tests/quiz, ...)
+  provider: { type: String, required: true },
+  model: { type: String, required: true },
+  promptTokens: { type: Number, default: 0 },
+  completionTokens: { type: Number, default: 0 },
+  totalTokens: { type: Number, default: 0 },
+  costUsd: { type: Number, default: 0 },
+  // Token counts were estimated from text length (stream cancelled before the provider reported usage)
+  estimated: { type: Boolean, default: false },
+  latencyMs: Number,
+  day: { type: String, required: true }, // YYYY-MM-DD, same calendar as AIUsage
+  createdAt: { type: Date, default: Date.now }
+});
+
+aiUsageEventSchema.index({ userId: 1, day: 1 });
+aiUsageEventSchema.index({ day: 1 });
+aiUsageEventSchema.index({ createdAt: -1 });
+
+const AIUsageEvent = mongoose.models.AIUsageEvent || mongoose.model('AIUsageEvent', aiUsageEventSchema);
+
+module.exports = AIUsageEvent;
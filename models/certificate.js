@@ -0,0 +1,63 @@
+// models/certificate.js - Backend-issued completion certificates
+const mongoose = require('mongoose');
+
+const certificateSchema = new mongoose.Schema({
+  // Public identifier printed on the PDF and used by the verification page
+  serial: { type: String, required: true, unique: true },
+
+  userId: { type: String, required: true, index: true }, // Firebase UID
+  recipientName: { type: String, required: true, trim: true },
+
+  type: { type: String, enum: ['school_level', 'course'], required: true },
+
+  // School Mode level certificates
+  level: Number,
+  grade: String, // CEFR grade from platformSettings.levelGradeMapping
+
+  // Course certificates
+  courseId: { type: mongoose.Schema.Types.ObjectId, ref: 'UpdatedCourse' },
+  courseTitle: String,
+
+  score: Number,
+  issuedAt: { type: Date, required: true },
+
+  // HMAC-SHA256 over the canonical certificate fields (services/certificateService.js)
+  signature: { type: String, required: true },
+  // SHA-256 of the issued PDF so a copy can be compared with the original
+  pdfHash: String,
+  pdf: { type: Buffer, select: false },
+
+  status: { type: String, enum: ['valid', 'revoked'], default: 'valid' },
+  revokedAt: Date,
+  revokedReason: String,
+
+  verificationCount: { type: Number, default: 0 },
+  lastVerifiedAt: Date
+}, { timestamps: true });
+
+// One certificate per level / course per learner
+certificateSchema.index(
+  { userId: 1, type: 1, level: 1 },
+  { unique: true, partialFilterExpression: { type: 'school_level' } }
+);
+certificateSchema.index(
+  { userId: 1, type: 1, courseId: 1 },
+  { unique: true, partialFilterExpression: { type: 'course' } }
+);
+
+// Title shown on the PDF and the verification page
+certificateSchema.virtual('achievement').get(function() {
+  if (this.type === 'course') return this.courseTitle;
+  return this.grade ? `Level ${this.level} (${this.grade})` : `Level ${this.level}`;
+});
+
+certificateSchema.methods.revoke = function(reason) {
+  this.status = 'revoked';
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+const Certificate = mongoose.models.Certificate || mongoose.model('Certificate', certificateSchema);
+
+module.exports = Certificate;
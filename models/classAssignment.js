@@ -0,0 +1,48 @@
+// models/classAssignment.js - Homework, tests and lessons assigned to a class
+const mongoose = require('mongoose');
+
+const ITEM_MODELS = {
+  homework: 'Homework',
+  test: 'Test',
+  lesson: 'Lesson'
+};
+
+const classAssignmentSchema = new mongoose.Schema({
+  classId: { type: mongoose.Schema.Types.ObjectId, ref: 'Classroom', required: true, index: true },
+
+  type: { type: String, enum: Object.keys(ITEM_MODELS), required: true },
+  itemId: { type: mongoose.Schema.Types.ObjectId, required: true, refPath: 'itemModel' },
+  itemModel: { type: String, enum: Object.values(ITEM_MODELS) },
+
+  // Cached so rosters and gradebooks don't need to populate every item
+  title: { type: String, trim: true },
+  instructions: { type: String, trim: true, maxlength: 2000 },
+
+  assignedBy: { type: String, required: true }, // Firebase UID of the teacher
+  availableFrom: { type: Date, default: Date.now },
+  dueDate: Date,
+  allowLateSubmissions: { type: Boolean, default: true },
+
+  // Weight in the class average (e.g. tests count double)
+  weight: { type: Number, default: 1, min: 0 },
+
+  isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+classAssignmentSchema.index({ classId: 1, dueDate: 1 });
+classAssignmentSchema.index({ classId: 1, type: 1, itemId: 1 });
+
+classAssignmentSchema.pre('validate', function(next) {
+  this.itemModel = ITEM_MODELS[this.type];
+  next();
+});
+
+classAssignmentSchema.virtual('isOverdue').get(function() {
+  return !!this.dueDate && this.dueDate < new Date();
+});
+
+classAssignmentSchema.statics.ITEM_MODELS = ITEM_MODELS;
+
+const ClassAssignment = mongoose.models.ClassAssignment || mongoose.model('ClassAssignment', classAssignmentSchema);
+
+module.exports = ClassAssignment;
@@ -0,0 +1,165 @@
+// models/classroom.js - Teacher-owned classes with join codes and student rosters
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// No 0/O or 1/I so codes can be read off a board
+const JOIN_CODE_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+const JOIN_CODE_LENGTH = 6;
+
+const rosterEntrySchema = new mongoose.Schema({
+  userId: { type: String, required: true }, // Firebase UID
+  name: String,
+  email: String,
+  joinedAt: { type: Date, default: Date.now },
+  addedBy: { type: String, enum: ['join_code', 'teacher'], default: 'join_code' },
+  // Teachers can only invite: the student joins (and shares grades) once they accept
+  status: { type: String, enum: ['invited', 'active', 'removed'], default: 'active' },
+  invitedAt: Date,
+  invitedBy: String, // teacher's Firebase UID
+  removedAt: Date
+}, { _id: false });
+
+const classroomSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  description: { type: String, trim: true, maxlength: 1000 },
+  subject: { type: String, trim: true },
+  gradeLevel: { type: String, trim: true }, // e.g. "7B" or "A2"
+  schoolName: { type: String, trim: true },
+
+  teacherId: { type: String, required: true, index: true }, // Firebase UID
+  teacherName: String,
+  coTeacherIds: { type: [String], default: [] },
+
+  joinCode: { type: String, unique: true, sparse: true },
+  joinCodeEnabled: { type: Boolean, default: true },
+  maxStudents: { type: Number, default: 60, min: 1, max: 500 },
+
+  students: { type: [rosterEntrySchema], default: [] },
+
+  isArchived: { type: Boolean, default: false },
+  archivedAt: Date
+}, { timestamps: true });
+
+classroomSchema.index({ 'students.userId': 1, isArchived: 1 });
+classroomSchema.index({ coTeacherIds: 1 });
+
+classroomSchema.virtual('activeStudents').get(function() {
+  return (this.students || []).filter(s => s.status === 'active');
+});
+
+const generateJoinCode = () =>
+  Array.from(crypto.randomBytes(JOIN_CODE_LENGTH), b => JOIN_CODE_ALPHABET[b % JOIN_CODE_ALPHABET.length]).join('');
+
+classroomSchema.methods.isTeacher = function(userId) {
+  return this.teacherId === userId || (this.coTeacherIds || []).includes(userId);
+};
+
+classroomSchema.methods.hasStudent = function(userId) {
+  return (this.students || []).some(s => s.userId === userId && s.status === 'active');
+};
+
+// Add (or re-activate) a student; returns false when the class is full
+classroomSchema.methods.addStudent = function(user, addedBy = 'join_code') {
+  const existing = this.students.find(s => s.userId === user.firebaseId);
+  if (existing && existing.status === 'active') return true;
+  if (this.activeStudents.length >= this.maxStudents) return false;
+
+  if (existing) {
+    existing.status = 'active';
+    existing.removedAt = undefined;
+    existing.joinedAt = new Date();
+    existing.addedBy = addedBy;
+  } else {
+    this.students.push({
+      userId: user.firebaseId,
+      name: user.name,
+      email: user.email,
+      addedBy
+    });
+  }
+  return true;
+};
+
+classroomSchema.methods.hasInvite = function(userId) {
+  return (this.students || []).some(s => s.userId === userId && s.status === 'invited');
+};
+
+// Invite a student; they are enrolled only after acceptInvite.
+// Returns 'invited', or 'active' when they are already enrolled.
+classroomSchema.methods.inviteStudent = function(user, teacherId) {
+  const existing = this.students.find(s => s.userId === user.firebaseId);
+  if (existing && existing.status === 'active') return 'active';
+
+  const invite = { status: 'invited', addedBy: 'teacher', invitedAt: new Date(), invitedBy: teacherId, removedAt: undefined };
+  if (existing) {
+    Object.assign(existing, invite);
+  } else {
+    this.students.push({ userId: user.firebaseId, name: user.name, email: user.email, ...invite });
+  }
+  return 'invited';
+};
+
+// Accept a pending invite; returns false when the class is full
+classroomSchema.methods.acceptInvite = function(userId) {
+  const entry = this.students.find(s => s.userId === userId && s.status === 'invited');
+  if (!entry) return false;
+  if (this.activeStudents.length >= this.maxStudents) return false;
+  entry.status = 'active';
+  entry.joinedAt = new Date();
+  return true;
+};
+
+// Remove an enrolled student or withdraw/decline a pending invite
+classroomSchema.methods.removeStudent = function(userId) {
+  const entry = this.students.find(s => s.userId === userId && ['active', 'invited'].includes(s.status));
+  if (!entry) return false;
+  entry.status = 'removed';
+  entry.removedAt = new Date();
+  return true;
+};
+
+// Assign a fresh join code, retrying on the (unlikely) collision with another class
+classroomSchema.methods.regenerateJoinCode = async function() {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const code = generateJoinCode();
+    const taken = await this.constructor.exists({ joinCode: code, _id: { $ne: this._id } });
+    if (!taken) {
+      this.joinCode = code;
+      return code;
+    }
+  }
+  throw new Error('Could not generate a unique join code');
+};
+
+classroomSchema.statics.findByJoinCode = function(code) {
+  return this.findOne({
+    joinCode: String(code || '').trim().toUpperCase(),
+    joinCodeEnabled: true,
+    isArchived: false
+  });
+};
+
+// Classes a user teaches (as owner or co-teacher)
+classroomSchema.statics.findForTeacher = function(userId, { includeArchived = false } = {}) {
+  const query = { $or: [{ teacherId: userId }, { coTeacherIds: userId }] };
+  if (!includeArchived) query.isArchived = false;
+  return this.find(query).sort({ createdAt: -1 });
+};
+
+classroomSchema.statics.findInvitesFor = function(userId) {
+  return this.find({
+    students: { $elemMatch: { userId, status: 'invited' } },
+    isArchived: false
+  }).sort({ updatedAt: -1 });
+};
+
+classroomSchema.statics.findForStudent = function(userId) {
+  return this.find({
+    students: { $elemMatch: { userId, status: 'active' } },
+    isArchived: false
+  }).sort({ name: 1 });
+};
+
+const Classroom = mongoose.models.Classroom || mongoose.model('Classroom', classroomSchema);
+
+module.exports = Classroom;
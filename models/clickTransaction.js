@@ -0,0 +1,66 @@
+// models/clickTransaction.js - Checkout paid through Click (click.uz) SHOP API
+const mongoose = require('mongoose');
+
+const clickTransactionSchema = new mongoose.Schema({
+  // Our order id, sent to Click as transaction_param and returned as merchant_trans_id
+  merchantTransId: { type: String, required: true, unique: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  firebaseUserId: { type: String, index: true },
+
+  amount: { type: Number, required: true, min: 100 }, // tiyin; Click sends UZS
+  plan: { type: String, default: 'pro' },
+  // Tier bought (config/subscriptionConfig.js); the amount differs from its price with promo codes or group seats
+  tierId: { type: String, default: null },
+  // Family / group plan this payment is for (services/subscriptionGroupService.js)
+  groupId: { type: mongoose.Schema.Types.ObjectId, ref: 'SubscriptionGroup', default: null },
+
+  status: {
+    type: String,
+    enum: ['pending', 'prepared', 'paid', 'cancelled', 'refunded'],
+    default: 'pending',
+    index: true
+  },
+  checkoutUrl: { type: String },
+
+  // Set by Click's Prepare / Complete requests (controllers/clickController.js)
+  clickTransId: { type: String, index: true },
+  clickPaydocId: { type: String },
+  // merchant_prepare_id / merchant_confirm_id we answer with
+  prepareId: { type: Number, index: true },
+  preparedAt: { type: Date },
+  paidAt: { type: Date },
+  cancelledAt: { type: Date },
+  refundedAt: { type: Date },
+  errorCode: { type: Number },
+  errorNote: { type: String },
+
+  // USD/UZS rate when the transaction was created, for USD revenue reports
+  fx: {
+    usdUzs: { type: Number, default: null },
+    source: { type: String, default: null },
+    rateAt: { type: Date, default: null }
+  }
+}, { timestamps: true });
+
+clickTransactionSchema.index({ firebaseUserId: 1, status: 1 });
+
+// New transactions record the USD/UZS rate in force (services/exchangeRateService.js)
+clickTransactionSchema.pre('save', async function() {
+  this.$locals.statusChanged = this.isNew || this.isModified('status');
+  if (!this.isNew || this.fx?.usdUzs) return;
+  const { getFxSnapshot } = require('../services/exchangeRateService');
+  const snapshot = await getFxSnapshot();
+  if (snapshot) this.fx = snapshot;
+});
+
+// On status changes: ledger, promo codes, group plans and referrals
+// (services/paymentService.js onPaymentStatusChange)
+clickTransactionSchema.post('save', async function(doc) {
+  if (!doc.$locals.statusChanged) return;
+  const { onPaymentStatusChange } = require('../services/paymentService');
+  await onPaymentStatusChange('click', doc);
+});
+
+const ClickTransaction = mongoose.models.ClickTransaction || mongoose.model('ClickTransaction', clickTransactionSchema);
+
+module.exports = ClickTransaction;
@@ -0,0 +1,16 @@
+// models/exchangeRate.js - USD/UZS exchange rate history, one document per fetch
+const mongoose = require('mongoose');
+
+const exchangeRateSchema = new mongoose.Schema({
+  base: { type: String, default: 'USD', uppercase: true },
+  quote: { type: String, default: 'UZS', uppercase: true },
+  rate: { type: Number, required: true, min: 0 }, // Units of quote per 1 base (UZS per USD)
+  source: { type: String, required: true }, // open.er-api.com, exchangerate-api.com
+  fetchedAt: { type: Date, default: Date.now }
+});
+
+exchangeRateSchema.index({ base: 1, quote: 1, fetchedAt: -1 });
+
+const ExchangeRate = mongoose.models.ExchangeRate || mongoose.model('ExchangeRate', exchangeRateSchema);
+
+module.exports = ExchangeRate;
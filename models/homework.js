@@ -1,5 +1,44 @@
 const mongoose = require('mongoose');
 
+// ✅ Rubric criterion for essay/text exercises graded by AI + teacher review
+const RubricCriterionSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  weight: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  // Performance levels, e.g. 0 "Missing" ... 4 "Excellent"
+  levels: [{
+    score: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    label: {
+      type: String,
+      default: ''
+    },
+    descriptor: {
+      type: String,
+      default: ''
+    },
+    _id: false
+  }]
+}, { _id: false });
+
 // ✅ Exercise Schema - Properly defined for homework exercises
 const ExerciseSchema = new mongoose.Schema({
   _id: {
@@ -60,6 +99,25 @@ const ExerciseSchema = new mongoose.Schema({
   timeLimit: {
     type: Number, // in seconds
     default: null
+  },
+  // Essay/text exercises with a rubric are graded per criterion instead of by exact match
+  rubric: {
+    criteria: {
+      type: [RubricCriterionSchema],
+      default: undefined
+    },
+    minWords: {
+      type: Number,
+      default: null
+    },
+    maxWords: {
+      type: Number,
+      default: null
+    },
+    guidance: {
+      type: String,
+      default: '' // Extra notes for the grader (what to focus on, common mistakes)
+    }
   }
 }, { _id: false }); // Disable auto _id generation since we provide our own
 
@@ -268,9 +326,19 @@ HomeworkSchema.methods.validateExercises = function() {
       errors.push(`Exercise ${index + 1}: Question is required`);
     }
     
-    if (!exercise.correctAnswer) {
+    const hasRubric = exercise.rubric && exercise.rubric.criteria && exercise.rubric.criteria.length > 0;
+
+    if (!exercise.correctAnswer && !hasRubric) {
       errors.push(`Exercise ${index + 1}: Correct answer is required`);
     }
+
+    if (hasRubric) {
+      exercise.rubric.criteria.forEach(criterion => {
+        if (!criterion.levels || criterion.levels.length < 2) {
+          errors.push(`Exercise ${index + 1}: Rubric criterion "${criterion.name}" needs at least 2 levels`);
+        }
+      });
+    }
     
     if (exercise.type === 'multiple-choice' && (!exercise.options || exercise.options.length < 2)) {
       errors.push(`Exercise ${index + 1}: Multiple choice questions must have at least 2 options`);
@@ -50,10 +50,72 @@ const HomeworkProgressSchema = new mongoose.Schema({
     },
     type: {
       type: String,
-      enum: ['auto', 'manual'],
+      enum: ['auto', 'manual', 'rubric'],
       default: 'auto'
+    },
+    // Share of the exercise earned (0-1); partial for rubric-graded answers
+    credit: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: null
+    },
+    // ✅ Per-criterion rubric grading (AI draft, then teacher approval/override)
+    rubricGrading: {
+      criteria: [{
+        key: String,
+        name: String,
+        weight: Number,
+        score: Number,
+        maxScore: Number,
+        level: String,
+        feedback: String,
+        _id: false
+      }],
+      overallFeedback: {
+        type: String,
+        default: ''
+      },
+      aiCredit: {
+        type: Number,
+        default: null
+      },
+      model: {
+        type: String,
+        default: null
+      },
+      status: {
+        type: String,
+        enum: ['ai_graded', 'failed', 'approved', 'overridden']
+      },
+      error: String,
+      gradedAt: Date,
+      reviewedBy: String,
+      reviewedAt: Date,
+      teacherComment: String
     }
   }],
+
+  // ✅ Teacher review of rubric-graded answers; the score is provisional while pending
+  review: {
+    status: {
+      type: String,
+      enum: ['not_required', 'pending', 'completed'],
+      default: 'not_required'
+    },
+    requestedAt: {
+      type: Date,
+      default: null
+    },
+    completedAt: {
+      type: Date,
+      default: null
+    },
+    reviewedBy: {
+      type: String,
+      default: null
+    }
+  },
   
   completed: {
     type: Boolean,
@@ -109,6 +171,7 @@ HomeworkProgressSchema.index({ userId: 1, homeworkId: 1 });
 HomeworkProgressSchema.index({ userId: 1 });
 HomeworkProgressSchema.index({ completed: 1 });
 HomeworkProgressSchema.index({ submittedAt: -1 });
+HomeworkProgressSchema.index({ 'review.status': 1, submittedAt: 1 });
 
 // ✅ Validation to ensure either lessonId or homeworkId is present
 HomeworkProgressSchema.pre('save', function(next) {
@@ -132,6 +195,11 @@ HomeworkProgressSchema.virtual('isOverdue').get(function() {
   return new Date() > new Date(this.metadata.dueDate);
 });
 
+// ✅ Virtual: grade is final unless rubric answers are still waiting for a teacher
+HomeworkProgressSchema.virtual('isGradeFinal').get(function() {
+  return this.review?.status !== 'pending';
+});
+
 // ✅ Instance method to calculate completion percentage
 HomeworkProgressSchema.methods.getCompletionPercentage = function() {
   if (!this.answers || this.answers.length === 0) return 0;
@@ -0,0 +1,122 @@
+// models/ledgerEntry.js - Double-entry journal for money received and returned through payment providers
+const mongoose = require('mongoose');
+
+const ACCOUNTS = {
+  clearing: (provider) => `clearing:${provider}`, // money held by the provider for us
+  REVENUE: 'revenue:subscriptions',
+  REFUNDS: 'contra_revenue:refunds'
+};
+
+const ledgerLineSchema = new mongoose.Schema({
+  account: { type: String, required: true },
+  debit: { type: Number, default: 0, min: 0 }, // tiyin
+  credit: { type: Number, default: 0, min: 0 } // tiyin
+}, { _id: false });
+
+const ledgerEntrySchema = new mongoose.Schema({
+  // "<provider>:<externalId>:<kind>" - one journal entry per provider event, so webhook retries are no-ops
+  key: { type: String, required: true, unique: true },
+  provider: { type: String, enum: ['payme', 'multicard', 'click'], required: true },
+  kind: { type: String, enum: ['payment', 'refund'], required: true },
+  externalId: { type: String, required: true }, // paycom_transaction_id or Multicard invoiceId (ours, known before the uuid)
+  transactionId: { type: mongoose.Schema.Types.ObjectId }, // PaymeTransaction or MulticardTransaction _id
+  refundId: { type: mongoose.Schema.Types.ObjectId, ref: 'Refund' },
+  userId: String, // Firebase UID
+  amount: { type: Number, required: true, min: 0 }, // tiyin
+  currency: { type: String, default: 'UZS' },
+  // USD/UZS rate of the transaction (services/exchangeRateService.js); null before rates were stored
+  fx: {
+    usdUzs: { type: Number, default: null },
+    source: { type: String, default: null },
+    rateAt: { type: Date, default: null }
+  },
+  occurredAt: { type: Date, required: true },
+  source: { type: String, enum: ['webhook', 'refund', 'backfill'], default: 'webhook' },
+  lines: {
+    type: [ledgerLineSchema],
+    validate: {
+      validator: function(lines) {
+        const debit = lines.reduce((sum, line) => sum + line.debit, 0);
+        const credit = lines.reduce((sum, line) => sum + line.credit, 0);
+        return lines.length >= 2 && debit === credit;
+      },
+      message: 'Ledger entry must balance (total debit = total credit)'
+    }
+  }
+}, { timestamps: true });
+
+ledgerEntrySchema.index({ provider: 1, externalId: 1 });
+ledgerEntrySchema.index({ occurredAt: -1 });
+ledgerEntrySchema.index({ userId: 1, occurredAt: -1 });
+
+/**
+ * Lines for a kind of event: a payment moves money from revenue into the
+ * provider's clearing account, a refund moves it back out through contra-revenue.
+ */
+ledgerEntrySchema.statics.buildLines = function(provider, kind, amount) {
+  return kind === 'payment'
+    ? [
+      { account: ACCOUNTS.clearing(provider), debit: amount },
+      { account: ACCOUNTS.REVENUE, credit: amount }
+    ]
+    : [
+      { account: ACCOUNTS.REFUNDS, debit: amount },
+      { account: ACCOUNTS.clearing(provider), credit: amount }
+    ];
+};
+
+/**
+ * Insert an entry unless one with the same key exists.
+ * @returns {Promise<{ entry: Object, created: boolean }>}
+ */
+ledgerEntrySchema.statics.post = async function(data) {
+  try {
+    const entry = await this.create({ ...data, lines: this.buildLines(data.provider, data.kind, data.amount) });
+    return { entry, created: true };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return { entry: await this.findOne({ key: data.key }), created: false };
+  }
+};
+
+/**
+ * Debit, credit and balance per account, optionally limited to a period.
+ */
+ledgerEntrySchema.statics.getBalances = function({ from, to } = {}) {
+  const match = {};
+  if (from || to) {
+    match.occurredAt = {};
+    if (from) match.occurredAt.$gte = from;
+    if (to) match.occurredAt.$lt = to;
+  }
+
+  return this.aggregate([
+    { $match: match },
+    { $unwind: '$lines' },
+    {
+      $group: {
+        _id: '$lines.account',
+        debit: { $sum: '$lines.debit' },
+        credit: { $sum: '$lines.credit' },
+        entries: { $sum: 1 }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        account: '$_id',
+        debit: 1,
+        credit: 1,
+        balance: { $subtract: ['$debit', '$credit'] },
+        entries: 1
+      }
+    },
+    { $sort: { account: 1 } }
+  ]);
+};
+
+ledgerEntrySchema.statics.ACCOUNTS = ACCOUNTS;
+
+const LedgerEntry = mongoose.models.LedgerEntry || mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+module.exports = LedgerEntry;
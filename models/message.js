@@ -256,6 +256,47 @@ messageSchema.statics.createExpiryWarning = async function (userId, firebaseId,
     });
 };
 
+/**
+ * Create a notice sent right after a subscription lapses
+ */
+messageSchema.statics.createGraceNotice = async function (userId, firebaseId, expiredAt, graceEndsAt) {
+    return this.create({
+        userId,
+        firebaseId,
+        type: 'warning',
+        title: 'Your Subscription Has Ended',
+        content: `Your subscription ended on ${new Date(expiredAt).toLocaleDateString()}. Renew before ${new Date(graceEndsAt).toLocaleDateString()} to pick up right where you left off — your progress, streaks and saved words are waiting for you.`,
+        priority: 'high',
+        data: {
+            expiredAt,
+            graceEndsAt
+        }
+    });
+};
+
+/**
+ * Create a win-back offer for a lapsed subscriber
+ */
+messageSchema.statics.createWinBackOffer = async function (userId, firebaseId, offer) {
+    const { code, discountPercent, validUntil, daysSinceExpiry } = offer;
+
+    let content = `We miss you! It has been ${daysSinceExpiry} days since your subscription ended.\n\n`;
+    content += `Come back with **${discountPercent}% off** your next subscription using your personal code:\n\n`;
+    content += `**${code}**\n\n`;
+    content += `The code is valid until ${new Date(validUntil).toLocaleDateString()}.`;
+
+    return this.create({
+        userId,
+        firebaseId,
+        type: 'promo',
+        title: `${discountPercent}% Off to Welcome You Back`,
+        content,
+        priority: 'normal',
+        data: offer,
+        expiresAt: validUntil
+    });
+};
+
 /**
  * Create a promo code applied message
  */
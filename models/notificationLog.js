@@ -0,0 +1,36 @@
+// models/notificationLog.js - One record per lifecycle notification so a user never gets the same one twice
+const mongoose = require('mongoose');
+
+const notificationLogSchema = new mongoose.Schema({
+  userId: { type: String, required: true }, // Firebase UID
+  kind: {
+    type: String,
+    enum: ['expiry_warning', 'grace_notice', 'win_back'],
+    required: true
+  },
+  // Identifies the occurrence, e.g. "<subscription expiry ISO>:7d" for the 7-day warning
+  key: { type: String, required: true },
+  messageId: { type: mongoose.Schema.Types.ObjectId, ref: 'Message' },
+  data: mongoose.Schema.Types.Mixed,
+  sentAt: { type: Date, default: Date.now }
+});
+
+notificationLogSchema.index({ userId: 1, kind: 1, key: 1 }, { unique: true });
+notificationLogSchema.index({ kind: 1, sentAt: -1 });
+
+/**
+ * Claim a notification before sending it. Resolves to null when it was already
+ * claimed (by an earlier run or another instance).
+ */
+notificationLogSchema.statics.claim = async function(userId, kind, key, data) {
+  try {
+    return await this.create({ userId, kind, key, data });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+const NotificationLog = mongoose.models.NotificationLog || mongoose.model('NotificationLog', notificationLogSchema);
+
+module.exports = NotificationLog;
@@ -0,0 +1,45 @@
+// models/organization.js - School / study centre buying seat licences in bulk
+const mongoose = require('mongoose');
+
+const organizationSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 200 },
+  // Printed on invoices
+  legalName: { type: String, default: '', trim: true, maxlength: 300 },
+  inn: { type: String, default: '', trim: true }, // Taxpayer id (ИНН)
+  address: { type: String, default: '', maxlength: 500 },
+  type: {
+    type: String,
+    enum: ['school', 'study_centre', 'university', 'company', 'other'],
+    default: 'school'
+  },
+  contactName: { type: String, default: '' },
+  contactEmail: { type: String, default: '', lowercase: true, trim: true },
+  contactPhone: { type: String, default: '' },
+
+  // Firebase UIDs allowed to use the organisation admin portal
+  admins: [{ type: String }],
+  status: { type: String, enum: ['active', 'suspended'], default: 'active', index: true },
+
+  // Cached from paid invoices by services/organizationService.js refreshLicense()
+  license: {
+    seats: { type: Number, default: 0 }, // Seats paid for the period covering now
+    tierId: { type: String, default: null },
+    expiresAt: { type: Date, default: null }, // End of the paid, uninterrupted licence
+    updatedAt: { type: Date, default: null }
+  },
+
+  createdBy: { type: String, required: true }
+}, { timestamps: true });
+
+organizationSchema.index({ admins: 1 });
+
+/**
+ * Whether allocated seats currently get a subscription.
+ */
+organizationSchema.methods.hasActiveLicense = function(now = new Date()) {
+  return this.status === 'active' && this.license?.seats > 0 && !!this.license.expiresAt && this.license.expiresAt > now;
+};
+
+const Organization = mongoose.models.Organization || mongoose.model('Organization', organizationSchema);
+
+module.exports = Organization;
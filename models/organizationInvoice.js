@@ -0,0 +1,44 @@
+// models/organizationInvoice.js - Pro-forma invoice for an organisation's seat licence, paid by bank transfer
+const mongoose = require('mongoose');
+
+const organizationInvoiceSchema = new mongoose.Schema({
+  number: { type: String, required: true, unique: true }, // ACED-2026-00042
+  organization: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true, index: true },
+
+  tierId: { type: String, required: true }, // Licence length, GROUP_TIER_IDS in config/subscriptionConfig.js
+  seats: { type: Number, required: true, min: 1 },
+  seatPriceInTiyin: { type: Number, required: true },
+  discountPercent: { type: Number, default: 0 },
+  totalInTiyin: { type: Number, required: true },
+  currency: { type: String, default: 'UZS' },
+
+  status: {
+    type: String,
+    enum: ['issued', 'paid', 'cancelled'],
+    default: 'issued',
+    index: true
+  },
+  issuedAt: { type: Date, default: Date.now },
+  dueAt: { type: Date, required: true },
+  // Licence starts no earlier than this; the actual period is set when the payment arrives
+  startsAt: { type: Date, default: null },
+  periodStart: { type: Date, default: null },
+  periodEnd: { type: Date, default: null },
+
+  // Bank details printed on the invoice (Multicard merchant recipient account)
+  recipient: { type: mongoose.Schema.Types.Mixed, default: null },
+  notes: { type: String, default: '', maxlength: 1000 },
+  pdf: { type: Buffer, select: false },
+
+  paidAt: { type: Date, default: null },
+  paymentReference: { type: String, default: '' }, // Bank payment order number
+  markedPaidBy: { type: String, default: null },
+  cancelledAt: { type: Date, default: null },
+  createdBy: { type: String, required: true }
+}, { timestamps: true });
+
+organizationInvoiceSchema.index({ organization: 1, status: 1, periodEnd: -1 });
+
+const OrganizationInvoice = mongoose.models.OrganizationInvoice || mongoose.model('OrganizationInvoice', organizationInvoiceSchema);
+
+module.exports = OrganizationInvoice;
@@ -0,0 +1,29 @@
+// models/organizationSeat.js - One licence seat of an organisation, allocated to an email
+const mongoose = require('mongoose');
+
+const organizationSeatSchema = new mongoose.Schema({
+  organization: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true },
+  email: { type: String, required: true, lowercase: true, trim: true },
+  // Firebase UID, linked when a user signs in with this verified email
+  userId: { type: String, default: null },
+  status: { type: String, enum: ['allocated', 'reclaimed'], default: 'allocated' },
+
+  allocatedAt: { type: Date, default: Date.now },
+  allocatedBy: { type: String, required: true },
+  claimedAt: { type: Date, default: null },
+  reclaimedAt: { type: Date, default: null },
+  reclaimedBy: { type: String, default: null }
+}, { timestamps: true });
+
+organizationSeatSchema.index({ organization: 1, status: 1 });
+organizationSeatSchema.index({ email: 1, status: 1 });
+organizationSeatSchema.index({ userId: 1, status: 1 });
+// One allocated seat per email and organisation
+organizationSeatSchema.index(
+  { organization: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: 'allocated' } }
+);
+
+const OrganizationSeat = mongoose.models.OrganizationSeat || mongoose.model('OrganizationSeat', organizationSeatSchema);
+
+module.exports = OrganizationSeat;
@@ -0,0 +1,89 @@
+// models/parentLink.js - Parent ↔ child account links created through a consent code
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const CODE_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+const CODE_LENGTH = 8;
+const CODE_TTL_HOURS = 48;
+
+const parentLinkSchema = new mongoose.Schema({
+  childId: { type: String, required: true, index: true }, // Firebase UID of the learner
+  parentId: { type: String, index: true }, // Firebase UID, set when the code is redeemed
+
+  // The child (or whoever holds the child's account) issues the code = consent
+  consentCode: { type: String, unique: true, sparse: true },
+  codeExpiresAt: Date,
+  consentedAt: { type: Date, default: Date.now },
+  linkedAt: Date,
+
+  status: { type: String, enum: ['pending', 'active', 'revoked', 'expired'], default: 'pending' },
+  revokedAt: Date,
+  revokedBy: { type: String, enum: ['child', 'parent', 'admin'] },
+
+  relationship: { type: String, trim: true, maxlength: 50 }, // e.g. "mother", "guardian"
+
+  weeklyDigest: { type: Boolean, default: true },
+  lastDigestSentAt: Date,
+  // Set when a due digest could not be sent (no parent email, child gone) so the
+  // link waits a full interval instead of staying at the front of every batch
+  lastDigestSkippedAt: Date,
+  digestSkipReason: String,
+
+  // Checkouts started by the parent for this child
+  payments: [{
+    provider: { type: String, enum: ['payme', 'multicard'] },
+    plan: String,
+    amount: Number, // tiyin
+    reference: String, // Multicard invoice ID or Payme order ID
+    initiatedAt: { type: Date, default: Date.now }
+  }]
+}, { timestamps: true });
+
+parentLinkSchema.index({ parentId: 1, childId: 1, status: 1 });
+parentLinkSchema.index({ status: 1, weeklyDigest: 1, lastDigestSentAt: 1, lastDigestSkippedAt: 1 });
+
+const generateCode = () =>
+  Array.from(crypto.randomBytes(CODE_LENGTH), b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+
+parentLinkSchema.virtual('isCodeValid').get(function() {
+  return this.status === 'pending' && !!this.codeExpiresAt && this.codeExpiresAt > new Date();
+});
+
+parentLinkSchema.methods.revoke = function(by) {
+  this.status = 'revoked';
+  this.revokedAt = new Date();
+  this.revokedBy = by;
+  this.consentCode = undefined;
+  return this.save();
+};
+
+// Issue a consent code for a child, replacing any unused one
+parentLinkSchema.statics.createConsentCode = async function(childId) {
+  await this.updateMany(
+    { childId, status: 'pending' },
+    { $set: { status: 'expired' }, $unset: { consentCode: 1 } }
+  );
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const code = generateCode();
+    if (await this.exists({ consentCode: code })) continue;
+
+    return await this.create({
+      childId,
+      consentCode: code,
+      codeExpiresAt: new Date(Date.now() + CODE_TTL_HOURS * 60 * 60 * 1000),
+      consentedAt: new Date()
+    });
+  }
+  throw new Error('Could not generate a unique consent code');
+};
+
+parentLinkSchema.statics.findActive = function(parentId, childId) {
+  return this.findOne({ parentId, childId, status: 'active' });
+};
+
+parentLinkSchema.statics.CODE_TTL_HOURS = CODE_TTL_HOURS;
+
+const ParentLink = mongoose.models.ParentLink || mongoose.model('ParentLink', parentLinkSchema);
+
+module.exports = ParentLink;
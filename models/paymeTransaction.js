@@ -113,12 +113,17 @@ const paymeTransactionSchema = new mongoose.Schema({
       message: 'Amount must be an integer (in tiyins)'
     }
   },
-  currency: {  // ✨ New: Support for multiple currencies
+  currency: {  // Charge currency; Payme settles in UZS, USD figures come from fx
     type: String,
     default: 'UZS',
     enum: ['UZS', 'USD'],
     uppercase: true
   },
+  fx: {  // USD/UZS rate when the transaction was created (services/exchangeRateService.js)
+    usdUzs: { type: Number, default: null },
+    source: { type: String, default: null },
+    rateAt: { type: Date, default: null }
+  },
   
   // Status tracking
   state: {
@@ -183,6 +188,15 @@ const paymeTransactionSchema = new mongoose.Schema({
       return this.payment_type === PAYMENT_TYPES.SUBSCRIPTION;
     }
   },
+  tier_id: {  // Tier bought when the amount differs from its price: promo codes (promoCampaignService) or group seats
+    type: String,
+    default: null
+  },
+  group_id: {  // Family / group plan this payment is for (see subscriptionGroupService)
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SubscriptionGroup',
+    default: null
+  },
   
   // Card Info (masked)
   card_info: {
@@ -420,10 +434,27 @@ paymeTransactionSchema.pre('save', function(next) {
       this.cancel_time = new Date();
     }
   }
-  
+
+  this.$locals.stateChanged = this.isModified('state');
   next();
 });
 
+// New transactions record the exchange rate in force, for USD revenue reports
+paymeTransactionSchema.pre('save', async function() {
+  if (!this.isNew || this.fx?.usdUzs) return;
+  const { getFxSnapshot } = require('../services/exchangeRateService');
+  const snapshot = await getFxSnapshot();
+  if (snapshot) this.fx = snapshot;
+});
+
+// On state changes: ledger, promo codes, group plans and referrals
+// (services/paymentService.js onPaymentStatusChange)
+paymeTransactionSchema.post('save', async function(doc) {
+  if (!doc.$locals.stateChanged) return;
+  const { onPaymentStatusChange } = require('../services/paymentService');
+  await onPaymentStatusChange('payme', doc);
+});
+
 // =============================================
 // 💰 PAYME API INTEGRATION CLASS - ADDED TO MODEL
 // =============================================
@@ -0,0 +1,44 @@
+// models/personalWord.js - Words added by learners to their own decks
+const mongoose = require('mongoose');
+
+const personalWordSchema = new mongoose.Schema({
+  ownerId: { type: String, required: true, index: true }, // Firebase UID
+  deckId: { type: mongoose.Schema.Types.ObjectId, ref: 'VocabularyDeck', required: true, index: true },
+
+  word: { type: String, required: true, trim: true, maxlength: 200 },
+  translation: { type: String, required: true, trim: true, maxlength: 500 },
+  pronunciation: { type: String, trim: true },
+  language: { type: String, required: true, lowercase: true, trim: true },
+  translationLanguage: { type: String, default: 'russian' },
+  partOfSpeech: { type: String },
+  difficulty: { type: String, enum: ['beginner', 'intermediate', 'advanced'], default: 'beginner' },
+  definition: String,
+  examples: [{ sentence: String, translation: String }],
+  audioUrl: String,
+  imageUrl: String,
+
+  // Lower-cased word used for duplicate checks within a deck
+  wordKey: { type: String },
+
+  // Where the learner met the word
+  source: { type: String, enum: ['manual', 'lesson', 'chat', 'copy'], default: 'manual' },
+  sourceRef: {
+    lessonId: { type: mongoose.Schema.Types.ObjectId, ref: 'Lesson' },
+    stepIndex: Number,
+    termIndex: Number
+  }
+}, { timestamps: true });
+
+personalWordSchema.index({ deckId: 1, wordKey: 1 }, { unique: true });
+
+personalWordSchema.pre('validate', function(next) {
+  if (this.word) {
+    this.wordKey = this.word.trim().toLowerCase();
+  }
+  next();
+});
+
+const PersonalWord = mongoose.models.PersonalWord ||
+  mongoose.model('PersonalWord', personalWordSchema);
+
+module.exports = PersonalWord;
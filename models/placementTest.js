@@ -2,6 +2,7 @@
 
 const mongoose = require('mongoose');
 const { PLACEMENT_TEST_CONFIG } = require('../constants/learningModes');
+const { estimateAbility, shouldStop, thetaToLevel } = require('../services/itemResponseTheory');
 
 const placementTestSchema = new mongoose.Schema({
     userId: {
@@ -58,7 +59,15 @@ const placementTestSchema = new mongoose.Schema({
 
         // Adaptive Data
         difficultyAdjustment: Number,
-        confidenceScore: Number
+        confidenceScore: Number,
+
+        // IRT item parameters at the time the question was asked
+        irtDiscrimination: Number,
+        irtDifficulty: Number,
+
+        // Ability estimate after this answer
+        abilityAfter: Number,
+        standardErrorAfter: Number
     }],
 
     // Results
@@ -78,9 +87,24 @@ const placementTestSchema = new mongoose.Schema({
             questionsAnswered: Number,
             correctAnswers: Number,
             strengths: [String],
-            weaknesses: [String]
+            weaknesses: [String],
+            // IRT ability with 95% confidence interval
+            ability: Number,
+            standardError: Number,
+            ciLower: Number,
+            ciUpper: Number,
+            levelRange: {
+                min: Number,
+                max: Number
+            }
         }],
 
+        // Why the adaptive test ended
+        stopReason: {
+            type: String,
+            enum: ['max_questions', 'precision_reached', 'item_pool_exhausted']
+        },
+
         // Learning Profile
         learningProfile: {
             speed: {
@@ -144,9 +168,82 @@ placementTestSchema.methods.getNextQuestion = function(lastAnswerCorrect) {
     return nextDifficulty;
 };
 
+/**
+ * Gets the answered questions of a subject as IRT responses.
+ * Questions asked before IRT parameters were stored are skipped.
+ * @param {string} [subject] - Limit to one subject
+ * @returns {Array<Object>} Responses with correct, a and b
+ */
+placementTestSchema.methods.getIrtResponses = function(subject) {
+    return this.questions
+        .filter(q => typeof q.isCorrect === 'boolean' && typeof q.irtDifficulty === 'number')
+        .filter(q => !subject || q.subject === subject)
+        .map(q => ({
+            correct: q.isCorrect,
+            a: q.irtDiscrimination || 1,
+            b: q.irtDifficulty
+        }));
+};
+
+/**
+ * Estimates ability (θ) with standard error and 95% confidence interval.
+ * @param {string} [subject] - Limit to one subject
+ * @returns {Object} { theta, standardError, ciLower, ciUpper, itemsAdministered }
+ */
+placementTestSchema.methods.estimateAbility = function(subject) {
+    const responses = this.getIrtResponses(subject);
+    return {
+        ...estimateAbility(responses),
+        itemsAdministered: responses.length
+    };
+};
+
+/**
+ * Checks the IRT stopping rule subject by subject. A subject is done once its
+ * own ability estimate is precise enough; the test stops when every subject is
+ * done or the question limit is reached, so no subject is placed from a
+ * handful of items just because the pooled estimate looks precise.
+ * @returns {Object} { stop, reason, ability, subjects, pendingSubjects }
+ *   ability is the pooled estimate; subjects holds { subject, ability, done }
+ *   and pendingSubjects the unfinished subjects, least measured first
+ */
+placementTestSchema.methods.checkStoppingRule = function() {
+    const answered = this.questions.filter(q => typeof q.isCorrect === 'boolean').length;
+    const limits = {
+        minQuestions: PLACEMENT_TEST_CONFIG.MIN_QUESTIONS_PER_SUBJECT,
+        maxQuestions: Infinity,
+        targetStandardError: PLACEMENT_TEST_CONFIG.TARGET_STANDARD_ERROR
+    };
+
+    const subjects = this.config.subjects.map(subject => {
+        const ability = this.estimateAbility(subject);
+        const { stop } = shouldStop(
+            { answered: ability.itemsAdministered, standardError: ability.standardError },
+            limits
+        );
+        return { subject, ability, done: stop };
+    });
+
+    const pendingSubjects = subjects
+        .filter(s => !s.done)
+        .sort((a, b) => a.ability.itemsAdministered - b.ability.itemsAdministered)
+        .map(s => s.subject);
+
+    const minQuestions = Math.min(PLACEMENT_TEST_CONFIG.MIN_QUESTIONS, this.config.totalQuestions);
+    let decision = { stop: false, reason: null };
+    if (answered >= this.config.totalQuestions) {
+        decision = { stop: true, reason: 'max_questions' };
+    } else if (answered >= minQuestions && pendingSubjects.length === 0) {
+        decision = { stop: true, reason: 'precision_reached' };
+    }
+
+    return { ...decision, ability: this.estimateAbility(), subjects, pendingSubjects };
+};
+
 /**
  * Calculates the recommended level based on test performance.
- * Uses a weighted algorithm considering difficulty, accuracy, and speed.
+ * Uses the IRT ability estimate when item parameters are available,
+ * otherwise a weighted algorithm considering difficulty, accuracy, and speed.
  * @returns {Object} Object containing level and confidence score
  */
 placementTestSchema.methods.calculateLevel = function() {
@@ -154,6 +251,15 @@ placementTestSchema.methods.calculateLevel = function() {
         return { level: 1, confidence: 'low' };
     }
 
+    if (this.getIrtResponses().length > 0) {
+        const { theta, standardError } = this.estimateAbility();
+        return {
+            level: thetaToLevel(theta),
+            confidence: standardError <= PLACEMENT_TEST_CONFIG.TARGET_STANDARD_ERROR ? 'high'
+                : standardError <= 0.6 ? 'medium' : 'low'
+        };
+    }
+
     // Calculate average difficulty of correct answers
     const correctAnswers = this.questions.filter(q => q.isCorrect);
     const avgDifficulty = correctAnswers.reduce((sum, q) => sum + q.difficulty, 0) / correctAnswers.length || 1;
@@ -192,15 +298,27 @@ placementTestSchema.methods.analyzeResults = function() {
         const subjectQuestions = this.questions.filter(q => q.subject === subject);
         const correctCount = subjectQuestions.filter(q => q.isCorrect).length;
         const accuracy = correctCount / subjectQuestions.length || 0;
+        const ability = this.estimateAbility(subject);
+        const hasIrt = ability.itemsAdministered > 0;
 
         return {
             subject,
             score: Math.round(accuracy * 100),
-            level: Math.round(level * accuracy),
+            level: hasIrt ? thetaToLevel(ability.theta) : Math.round(level * accuracy),
             questionsAnswered: subjectQuestions.length,
             correctAnswers: correctCount,
             strengths: accuracy > 0.7 ? [`Strong in ${subject}`] : [],
-            weaknesses: accuracy < 0.5 ? [`Needs improvement in ${subject}`] : []
+            weaknesses: accuracy < 0.5 ? [`Needs improvement in ${subject}`] : [],
+            ...(hasIrt && {
+                ability: ability.theta,
+                standardError: ability.standardError,
+                ciLower: ability.ciLower,
+                ciUpper: ability.ciUpper,
+                levelRange: {
+                    min: thetaToLevel(ability.ciLower),
+                    max: thetaToLevel(ability.ciUpper)
+                }
+            })
         };
     });
 
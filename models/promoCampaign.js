@@ -0,0 +1,67 @@
+// models/promoCampaign.js - Marketing campaign grouping many discount promo codes
+const mongoose = require('mongoose');
+
+const eligibilitySchema = new mongoose.Schema({
+  // Only accounts created within newUserWindowDays before checkout
+  newUsersOnly: { type: Boolean, default: false },
+  newUserWindowDays: { type: Number, default: 30, min: 1 },
+  // Only users without any completed Payme / Multicard payment
+  firstPaymentOnly: { type: Boolean, default: false },
+  // Tier ids from SUBSCRIPTION_TIERS (config/subscriptionConfig.js); empty = every tier
+  tiers: [{ type: String }],
+  // User.learningMode values; empty = every mode
+  learningModes: [{ type: String, enum: ['study_centre', 'school', 'hybrid'] }]
+}, { _id: false });
+
+const promoCampaignSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 120 },
+  description: { type: String, default: '', maxlength: 1000 },
+  status: {
+    type: String,
+    enum: ['draft', 'active', 'paused', 'ended'],
+    default: 'active',
+    index: true
+  },
+  startsAt: { type: Date, default: null },
+  endsAt: { type: Date, default: null },
+
+  eligibility: { type: eligibilitySchema, default: () => ({}) },
+
+  // Stackable campaigns' codes can be combined with codes from other stackable campaigns
+  stackable: { type: Boolean, default: false },
+  // Higher priority discounts are applied first when stacking
+  priority: { type: Number, default: 0 },
+
+  // Redemptions per user across all of the campaign's codes (null = unlimited)
+  perUserLimit: { type: Number, default: 1, min: 1 },
+  maxRedemptions: { type: Number, default: null, min: 1 },
+  // Completed redemptions plus open reservations, checked against maxRedemptions atomically
+  redemptionCount: { type: Number, default: 0 },
+
+  tags: [{ type: String, trim: true }],
+  createdBy: { type: String, required: true },
+  createdByName: { type: String, default: 'Admin' }
+}, { timestamps: true });
+
+promoCampaignSchema.index({ status: 1, startsAt: 1, endsAt: 1 });
+
+/**
+ * Whether codes of this campaign can be used right now.
+ * @returns {{ running: boolean, reason?: string }}
+ */
+promoCampaignSchema.methods.checkRunning = function(now = new Date()) {
+  if (this.status !== 'active') {
+    return { running: false, reason: `Campaign is ${this.status}` };
+  }
+  if (this.startsAt && now < this.startsAt) {
+    return { running: false, reason: 'Campaign has not started yet' };
+  }
+  if (this.endsAt && now > this.endsAt) {
+    return { running: false, reason: 'Campaign has ended' };
+  }
+  return { running: true };
+};
+
+const PromoCampaign = mongoose.models.PromoCampaign || mongoose.model('PromoCampaign', promoCampaignSchema);
+
+module.exports = PromoCampaign;
@@ -64,6 +64,14 @@ const promocodeSchema = new mongoose.Schema({
     min: 0
   },
 
+  // Open checkout reservations (services/promoCampaignService.js); with
+  // currentUses they may not exceed maxUses
+  reservedUses: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
   // Time limits
   expiresAt: {
     type: Date,
@@ -138,6 +146,14 @@ const promocodeSchema = new mongoose.Schema({
     default: 'free'
   },
 
+  // Campaign this code belongs to (eligibility, stacking and limits come from it)
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCampaign',
+    default: null,
+    index: true
+  },
+
   // Tags for organization
   tags: [{
     type: String,
@@ -232,6 +248,12 @@ promocodeSchema.methods.isValid = function () {
   };
 };
 
+// Discount codes only lower a checkout price (services/promoCampaignService.js);
+// they must never be redeemed as a free subscription
+promocodeSchema.methods.isCheckoutDiscount = function () {
+  return this.promoType === 'discount_percent' || this.promoType === 'discount_amount';
+};
+
 // Check if specific user can use this code
 promocodeSchema.methods.canUserUse = function (userId, userCurrentPlan = 'free') {
   // Check general validity first
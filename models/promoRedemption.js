@@ -0,0 +1,67 @@
+// models/promoRedemption.js - One discount code applied to one checkout (reserved at initiation, completed on payment)
+const mongoose = require('mongoose');
+
+const promoRedemptionSchema = new mongoose.Schema({
+  campaign: { type: mongoose.Schema.Types.ObjectId, ref: 'PromoCampaign', default: null },
+  promoCode: { type: mongoose.Schema.Types.ObjectId, ref: 'Promocode', required: true },
+  code: { type: String, required: true },
+  userId: { type: String, required: true }, // Firebase UID
+
+  provider: { type: String, enum: ['payme', 'multicard', 'click'], required: true },
+  // Checkout reference: Payme order id from initiation, Multicard invoiceId
+  reference: { type: String, required: true },
+  // PaymeTransaction / MulticardTransaction once the provider transaction exists
+  transactionId: { type: mongoose.Schema.Types.ObjectId, default: null },
+
+  tierId: { type: String, required: true },
+  originalAmount: { type: Number, required: true }, // tiyin, tier price
+  discountAmount: { type: Number, required: true }, // tiyin, this code's share of the discount
+  finalAmount: { type: Number, required: true }, // tiyin, what the checkout charges after all codes
+  stacked: { type: Boolean, default: false }, // applied together with other codes
+
+  status: {
+    type: String,
+    enum: ['reserved', 'completed', 'released'],
+    default: 'reserved'
+  },
+  // An unpaid reservation stops counting toward limits after this
+  expiresAt: { type: Date, required: true },
+  // Still counted in Promocode.reservedUses / PromoCampaign.redemptionCount;
+  // cleared when the reservation is released or expires
+  holdsSlot: { type: Boolean, default: true },
+  // Which of the campaign's perUserLimit uses this is (1..perUserLimit);
+  // unset when the reservation is released or expires
+  userSlot: { type: Number },
+  completedAt: Date,
+  releasedAt: Date
+}, { timestamps: true });
+
+promoRedemptionSchema.index({ campaign: 1, status: 1 });
+promoRedemptionSchema.index({ campaign: 1, userId: 1, status: 1 });
+promoRedemptionSchema.index({ promoCode: 1, status: 1 });
+promoRedemptionSchema.index({ provider: 1, reference: 1 });
+promoRedemptionSchema.index({ provider: 1, userId: 1, finalAmount: 1, status: 1 });
+promoRedemptionSchema.index({ transactionId: 1 });
+promoRedemptionSchema.index({ holdsSlot: 1, status: 1, expiresAt: 1 });
+// Concurrent checkouts by one user cannot take the same per-user slot of a campaign
+promoRedemptionSchema.index(
+  { campaign: 1, userId: 1, userSlot: 1 },
+  { unique: true, partialFilterExpression: { userSlot: { $exists: true } } }
+);
+
+/**
+ * Filter for redemptions that count toward usage limits:
+ * completed ones and reservations that haven't expired.
+ */
+promoRedemptionSchema.statics.countingFilter = function(now = new Date()) {
+  return {
+    $or: [
+      { status: 'completed' },
+      { status: 'reserved', expiresAt: { $gt: now } }
+    ]
+  };
+};
+
+const PromoRedemption = mongoose.models.PromoRedemption || mongoose.model('PromoRedemption', promoRedemptionSchema);
+
+module.exports = PromoRedemption;
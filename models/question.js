@@ -1,6 +1,7 @@
 // models/question.js - Question Model for School Subject Placement Tests
 
 const mongoose = require('mongoose');
+const { calibrateItem, difficultyToTheta, selectMaxInformationItem } = require('../services/itemResponseTheory');
 
 const questionSchema = new mongoose.Schema({
     subject: {
@@ -255,6 +256,46 @@ const questionSchema = new mongoose.Schema({
         default: 30
     },
 
+    // IRT (2PL) item parameters, calibrated from usage statistics
+    irt: {
+        discrimination: {
+            type: Number,
+            default: 1
+        },
+        difficulty: {
+            type: Number,
+            default: null
+        },
+        sampleSize: {
+            type: Number,
+            default: 0
+        },
+        calibratedAt: Date
+    },
+
+    // Item quality analysis from placement test responses (see services/questionQuality.js)
+    quality: {
+        sampleSize: {
+            type: Number,
+            default: 0
+        },
+        pValue: Number,
+        pointBiserial: Number,
+        observedDifficulty: Number,
+        medianTimeSpent: Number,
+        timeOutlierRate: Number,
+        flags: {
+            type: [String],
+            default: []
+        },
+        recommendation: {
+            type: String,
+            enum: ['ok', 'review', 'retire', 'insufficient_data'],
+            default: 'insufficient_data'
+        },
+        analyzedAt: Date
+    },
+
     isActive: {
         type: Boolean,
         default: true,
@@ -268,6 +309,7 @@ const questionSchema = new mongoose.Schema({
 questionSchema.index({ subject: 1, difficulty: 1, isActive: 1 });
 questionSchema.index({ subject: 1, level: 1, isActive: 1 });
 questionSchema.index({ subject: 1, questionType: 1, isActive: 1 });
+questionSchema.index({ 'quality.recommendation': 1, subject: 1 });
 
 // Method to validate answer based on question type
 questionSchema.methods.validateAnswer = function(userAnswer, similarity = null) {
@@ -394,9 +436,79 @@ questionSchema.methods.recordUsage = async function(isCorrect, timeSpent = 30) {
     const currentTotal = this.averageTimeSpent * (this.totalAttempts - 1);
     this.averageTimeSpent = Math.round((currentTotal + timeSpent) / this.totalAttempts);
 
+    // Keep IRT difficulty in step with the observed p-value
+    this.calibrate();
+
     await this.save();
 };
 
+// Method to get IRT parameters, falling back to the labelled difficulty before calibration
+questionSchema.methods.getIrtParameters = function() {
+    const calibrated = this.irt && typeof this.irt.difficulty === 'number';
+    return {
+        a: this.irt?.discrimination || 1,
+        b: calibrated ? this.irt.difficulty : difficultyToTheta(this.difficulty),
+        calibrated
+    };
+};
+
+// Method to re-estimate IRT parameters from recorded usage
+questionSchema.methods.calibrate = function() {
+    const params = calibrateItem({
+        correctAttempts: this.correctAttempts,
+        totalAttempts: this.totalAttempts,
+        labelledDifficulty: this.difficulty,
+        discrimination: this.irt?.discrimination
+    });
+
+    this.irt = {
+        discrimination: params.a,
+        difficulty: params.b,
+        sampleSize: params.sampleSize,
+        calibratedAt: new Date()
+    };
+
+    return params;
+};
+
+// Static method to calibrate every question that has been answered at least once
+questionSchema.statics.calibrateItemParameters = async function(filter = {}) {
+    const questions = await this.find({ ...filter, totalAttempts: { $gt: 0 } })
+        .select('difficulty correctAttempts totalAttempts irt');
+
+    const operations = questions.map(question => {
+        question.calibrate();
+        return {
+            updateOne: {
+                filter: { _id: question._id },
+                update: { $set: { irt: question.irt } }
+            }
+        };
+    });
+
+    if (operations.length > 0) {
+        await this.bulkWrite(operations, { ordered: false });
+    }
+
+    return { calibrated: operations.length };
+};
+
+// Static method to get the most informative question at the learner's current ability
+questionSchema.statics.getMostInformativeQuestion = async function(subject, theta, excludeIds = []) {
+    const candidates = await this.find({
+        subject,
+        isActive: true,
+        _id: { $nin: excludeIds }
+    }).select('difficulty irt');
+
+    const selected = selectMaxInformationItem(
+        theta,
+        candidates.map(question => ({ ...question.getIrtParameters(), id: question._id }))
+    );
+
+    return selected ? await this.findById(selected.id) : null;
+};
+
 // Static method to get adaptive question
 questionSchema.statics.getAdaptiveQuestion = async function(subject, targetDifficulty, excludeIds = []) {
     const minDiff = Math.max(1, targetDifficulty - 0.5);
@@ -0,0 +1,60 @@
+// models/reconciliationReport.js - Result of comparing the payments ledger with provider records for a period
+const mongoose = require('mongoose');
+
+const ISSUE_TYPES = [
+  'missing_in_ledger',   // provider shows a payment / refund the ledger doesn't have
+  'missing_at_provider', // ledger payment the provider doesn't report
+  'amount_mismatch',
+  'orphaned_payment',    // paid, but the user's subscription was never extended
+  'duplicate_payment'
+];
+
+const reconciliationIssueSchema = new mongoose.Schema({
+  type: { type: String, enum: ISSUE_TYPES, required: true },
+  provider: { type: String, enum: ['payme', 'multicard', 'account'] },
+  externalId: String,
+  transactionId: mongoose.Schema.Types.ObjectId,
+  userId: String,
+  expected: mongoose.Schema.Types.Mixed,
+  actual: mongoose.Schema.Types.Mixed,
+  detail: String
+}, { _id: false });
+
+const providerSummarySchema = new mongoose.Schema({
+  providerPayments: { type: Number, default: 0 },
+  providerTotal: { type: Number, default: 0 }, // tiyin
+  ledgerPayments: { type: Number, default: 0 },
+  ledgerTotal: { type: Number, default: 0 }, // tiyin
+  error: String // the provider could not be checked
+}, { _id: false });
+
+const reconciliationReportSchema = new mongoose.Schema({
+  periodStart: { type: Date, required: true },
+  periodEnd: { type: Date, required: true },
+  trigger: { type: String, enum: ['scheduled', 'manual'], default: 'scheduled' },
+  requestedBy: String, // admin Firebase UID for manual runs
+  status: {
+    type: String,
+    enum: ['running', 'clean', 'issues', 'failed'],
+    default: 'running'
+  },
+  summary: {
+    payme: providerSummarySchema,
+    multicard: providerSummarySchema,
+    issueCounts: { type: Map, of: Number, default: {} }
+  },
+  issues: [reconciliationIssueSchema],
+  error: String,
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: Date
+}, { timestamps: true });
+
+reconciliationReportSchema.index({ periodStart: -1, trigger: 1 });
+reconciliationReportSchema.index({ status: 1, createdAt: -1 });
+
+reconciliationReportSchema.statics.ISSUE_TYPES = ISSUE_TYPES;
+
+const ReconciliationReport = mongoose.models.ReconciliationReport
+  || mongoose.model('ReconciliationReport', reconciliationReportSchema);
+
+module.exports = ReconciliationReport;
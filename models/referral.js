@@ -0,0 +1,55 @@
+// models/referral.js - One invited user attributed to the referrer whose link they signed up with
+const mongoose = require('mongoose');
+
+const fraudFlagSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['same_ip', 'same_device', 'same_card', 'reward_cap'],
+    required: true
+  },
+  detail: { type: String, default: '' },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+const referralSchema = new mongoose.Schema({
+  referrerId: { type: String, required: true, index: true }, // Firebase UID
+  referredId: { type: String, required: true, unique: true }, // Firebase UID, one referrer per user
+  code: { type: String, required: true },
+
+  // pending   - signed up, no payment yet
+  // qualified - first paid purchase seen, reward being credited
+  // flagged   - first paid purchase seen but fraud checks failed; waits for an admin
+  // rewarded  - referrer got the extra days
+  // rejected  - closed by an admin without a reward
+  status: {
+    type: String,
+    enum: ['pending', 'qualified', 'flagged', 'rewarded', 'rejected'],
+    default: 'pending',
+    index: true
+  },
+
+  // Hashed, see services/referralService.js fingerprint()
+  signup: {
+    ipHash: { type: String, default: null },
+    deviceHash: { type: String, default: null }
+  },
+  fraudFlags: [fraudFlagSchema],
+
+  qualifyingPayment: {
+    provider: { type: String, enum: ['payme', 'multicard', 'click', null], default: null },
+    transactionId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    amount: { type: Number, default: null }, // tiyin
+    paidAt: { type: Date, default: null }
+  },
+
+  rewardDays: { type: Number, default: 0 },
+  rewardedAt: { type: Date, default: null },
+  reviewedBy: { type: String, default: null },
+  reviewNote: { type: String, default: '' }
+}, { timestamps: true });
+
+referralSchema.index({ referrerId: 1, status: 1, rewardedAt: -1 });
+
+const Referral = mongoose.models.Referral || mongoose.model('Referral', referralSchema);
+
+module.exports = Referral;
@@ -0,0 +1,69 @@
+// models/refund.js - Audit record for every admin refund of a Payme, Multicard or Click payment
+const mongoose = require('mongoose');
+
+// Refunds that block another refund of the same payment (anything not failed)
+const OPEN_STATUSES = ['processing', 'pending_settlement', 'completed'];
+
+const subscriptionSnapshotSchema = new mongoose.Schema({
+  plan: String,
+  expiryDate: Date,
+  source: String
+}, { _id: false });
+
+const refundSchema = new mongoose.Schema({
+  provider: { type: String, enum: ['payme', 'multicard', 'click'], required: true },
+  // PaymeTransaction, MulticardTransaction or ClickTransaction _id
+  transactionId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  // paycom_transaction_id, multicardUuid or clickPaydocId
+  providerReference: String,
+  userId: { type: String, required: true }, // Firebase UID of the account that was refunded
+
+  type: { type: String, enum: ['full', 'partial'], required: true },
+  paymentAmount: { type: Number, required: true }, // tiyin
+  amount: { type: Number, required: true, min: 0 }, // tiyin returned to the payer
+
+  // Pro-ration inputs at the time of the refund
+  paidDays: Number, // days the payment bought
+  unusedDays: Number,
+  removedDays: Number, // days taken off the subscription
+
+  subscriptionAction: { type: String, enum: ['revoked', 'shortened', 'none'], default: 'none' },
+  subscriptionBefore: subscriptionSnapshotSchema,
+  subscriptionAfter: subscriptionSnapshotSchema,
+
+  // provider_api: refunded through the provider API; manual: settled in the merchant cabinet
+  settlement: { type: String, enum: ['provider_api', 'manual'], required: true },
+  status: {
+    type: String,
+    enum: ['processing', 'pending_settlement', 'completed', 'failed'],
+    default: 'processing'
+  },
+  providerResponse: mongoose.Schema.Types.Mixed,
+  error: String,
+
+  reason: { type: String, required: true },
+  requestedBy: { type: String, required: true }, // admin Firebase UID
+  settledBy: String,
+  settlementNote: String,
+  completedAt: Date
+}, { timestamps: true });
+
+refundSchema.index({ transactionId: 1, status: 1 });
+refundSchema.index({ userId: 1, createdAt: -1 });
+refundSchema.index({ status: 1, createdAt: -1 });
+// One open refund per payment, also when two admins refund it at once
+refundSchema.index(
+  { transactionId: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: OPEN_STATUSES } } }
+);
+
+/**
+ * The refund that blocks another refund of the same payment.
+ */
+refundSchema.statics.findOpenForTransaction = function(transactionId) {
+  return this.findOne({ transactionId, status: { $in: OPEN_STATUSES } });
+};
+
+const Refund = mongoose.models.Refund || mongoose.model('Refund', refundSchema);
+
+module.exports = Refund;
@@ -0,0 +1,26 @@
+// models/scheduledJob.js - Persistent state and lock for recurring background jobs (services/jobScheduler.js)
+const mongoose = require('mongoose');
+
+const scheduledJobSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  interval: { type: Number, required: true }, // ms between runs
+  nextRunAt: { type: Date, required: true, index: true },
+  enabled: { type: Boolean, default: true },
+
+  // Lease held by the instance running the job; expires if that instance dies
+  lockedBy: { type: String, default: null },
+  lockedUntil: { type: Date, default: null },
+
+  lastStartedAt: Date,
+  lastFinishedAt: Date,
+  lastDurationMs: Number,
+  lastStatus: { type: String, enum: ['success', 'failed', null], default: null },
+  lastResult: mongoose.Schema.Types.Mixed,
+  lastError: String,
+  runCount: { type: Number, default: 0 },
+  failureCount: { type: Number, default: 0 }
+}, { timestamps: true });
+
+const ScheduledJob = mongoose.models.ScheduledJob || mongoose.model('ScheduledJob', scheduledJobSchema);
+
+module.exports = ScheduledJob;
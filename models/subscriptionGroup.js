@@ -0,0 +1,79 @@
+// models/subscriptionGroup.js - Family / group plan: seats bought by one payer and shared with invited members
+const mongoose = require('mongoose');
+
+const memberSchema = new mongoose.Schema({
+  email: { type: String, default: '', lowercase: true, trim: true }, // Invites are by email; the owner's may be empty
+  userId: { type: String, default: null }, // Firebase UID, set when the invite is accepted
+  role: { type: String, enum: ['owner', 'member'], default: 'member' },
+  // invited and active members hold a seat
+  status: { type: String, enum: ['invited', 'active', 'removed'], default: 'invited' },
+  invitedAt: { type: Date, default: Date.now },
+  joinedAt: { type: Date, default: null },
+  removedAt: { type: Date, default: null }
+});
+
+const groupPaymentSchema = new mongoose.Schema({
+  provider: { type: String, enum: ['payme', 'multicard', 'click'], required: true },
+  transactionId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  amount: { type: Number, required: true }, // tiyin
+  paidAt: { type: Date, default: Date.now },
+  periodEnd: { type: Date, required: true }
+}, { _id: false });
+
+const subscriptionGroupSchema = new mongoose.Schema({
+  ownerId: { type: String, required: true, index: true }, // Firebase UID of the payer
+  name: { type: String, default: '', maxlength: 80 },
+  type: { type: String, enum: ['family', 'group'], required: true },
+  tierId: { type: String, required: true }, // GROUP_TIER_IDS in config/subscriptionConfig.js
+  seats: { type: Number, required: true, min: 2 },
+  priceInTiyin: { type: Number, required: true }, // Per billing period, all seats
+
+  // pending_payment until the first payment; expired once expiresAt passes without renewal
+  status: {
+    type: String,
+    enum: ['pending_payment', 'active', 'expired', 'cancelled'],
+    default: 'pending_payment',
+    index: true
+  },
+  activatedAt: { type: Date, default: null },
+  expiresAt: { type: Date, default: null },
+  // Last checkout initiation; Payme payments are matched to it by owner and amount
+  checkoutStartedAt: { type: Date, default: null },
+
+  members: [memberSchema],
+  payments: [groupPaymentSchema],
+  cancelledAt: { type: Date, default: null }
+}, { timestamps: true });
+
+subscriptionGroupSchema.index({ 'members.userId': 1, 'members.status': 1 });
+subscriptionGroupSchema.index({ 'members.email': 1, 'members.status': 1 });
+subscriptionGroupSchema.index({ status: 1, expiresAt: 1 });
+
+/**
+ * Whether members currently get a subscription from this group.
+ */
+subscriptionGroupSchema.methods.isRunning = function(now = new Date()) {
+  return this.status === 'active' && !!this.expiresAt && this.expiresAt > now;
+};
+
+/**
+ * Members holding a seat (invited or active).
+ */
+subscriptionGroupSchema.methods.seatHolders = function() {
+  return this.members.filter(member => member.status !== 'removed');
+};
+
+/**
+ * The running group the user is an active member of, if any.
+ */
+subscriptionGroupSchema.statics.findRunningForMember = function(firebaseId, now = new Date()) {
+  return this.findOne({
+    status: 'active',
+    expiresAt: { $gt: now },
+    members: { $elemMatch: { userId: firebaseId, status: 'active' } }
+  });
+};
+
+const SubscriptionGroup = mongoose.models.SubscriptionGroup || mongoose.model('SubscriptionGroup', subscriptionGroupSchema);
+
+module.exports = SubscriptionGroup;
@@ -112,6 +112,22 @@ const completedLevelSchema = new mongoose.Schema({
 }, { _id: false });
 
 
+const savedCardSchema = new mongoose.Schema({
+    cardToken: { type: String, required: true },
+    cardPan: String, // Masked, e.g. 860006******6311
+    ps: String, // uzcard, humo, visa, mastercard
+    holderName: String,
+    addedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Hashed sign-in IP / device, compared against referrals (services/referralService.js)
+const signInFingerprintSchema = new mongoose.Schema({
+    ipHash: String,
+    deviceHash: String,
+    seenAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+
 // --- Main User Schema ---
 
 const userSchema = new mongoose.Schema({
@@ -121,7 +137,7 @@ const userSchema = new mongoose.Schema({
     name: String,
     email: { type: String, unique: true, sparse: true, index: true },
     photoURL: String,
-    role: { type: String, enum: ['admin', 'user'], default: 'user' },
+    role: { type: String, enum: ['admin', 'teacher', 'parent', 'user'], default: 'user' },
 
     // --- 💳 Subscription & Status (SERVER-AUTHORITATIVE) ---
     subscriptionPlan: {
@@ -135,7 +151,19 @@ const userSchema = new mongoose.Schema({
     },
     subscriptionSource: {
         type: String,
-        enum: ['payment', 'promocode', 'admin', 'gift', null],
+        enum: ['payment', 'promocode', 'admin', 'gift', 'referral', 'group', 'organization', null],
+        default: null
+    },
+    // Family / group plan the subscription comes from (subscriptionSource 'group')
+    subscriptionGroup: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SubscriptionGroup',
+        default: null
+    },
+    // Organisation whose licence seat the subscription comes from (subscriptionSource 'organization')
+    subscriptionOrganization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
         default: null
     },
     subscriptionDuration: {
@@ -161,6 +189,28 @@ const userSchema = new mongoose.Schema({
         default: 'unpaid'
     },
 
+    // --- 💳 Bound Multicard cards & auto-renew ---
+    savedCards: [savedCardSchema],
+    autoRenew: {
+        enabled: { type: Boolean, default: false },
+        cardToken: { type: String, default: null },
+        tierId: { type: String, default: null }, // subscriptionConfig tier, e.g. 'pro-1'
+        enabledAt: { type: Date, default: null },
+        cancelledAt: { type: Date, default: null },
+        cancelReason: { type: String, enum: ['user', 'card_removed', 'payment_failed', null], default: null },
+        nextAttemptAt: { type: Date, default: null, index: true },
+        attempts: { type: Number, default: 0 }, // Failed attempts in the current renewal cycle
+        lastAttemptAt: { type: Date, default: null },
+        lastError: { type: String, default: null },
+        pendingInvoiceId: { type: String, default: null }, // Token payment waiting for the webhook
+        lastRenewedAt: { type: Date, default: null }
+    },
+
+    // --- 🤝 Referrals ---
+    referralCode: { type: String, unique: true, sparse: true, uppercase: true },
+    referredBy: { type: String, default: null, index: true }, // Referrer's firebaseId
+    signInFingerprints: [signInFingerprintSchema], // Most recent sign-ins only
+
     // --- 🤖 AI Usage Tracking ---
     aiUsage: {
         type: Map,
@@ -0,0 +1,50 @@
+// models/vocabularyDeck.js - User-owned vocabulary decks
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const vocabularyDeckSchema = new mongoose.Schema({
+  ownerId: { type: String, required: true, index: true }, // Firebase UID
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  description: { type: String, trim: true, maxlength: 500 },
+  language: { type: String, trim: true, lowercase: true }, // language being learned
+  translationLanguage: { type: String, default: 'russian' },
+
+  // "My words" deck created on first save
+  isDefault: { type: Boolean, default: false },
+
+  // Sharing: anyone with the code can view and copy the deck
+  isShared: { type: Boolean, default: false },
+  shareCode: { type: String, unique: true, sparse: true },
+  copiedFrom: { type: mongoose.Schema.Types.ObjectId, ref: 'VocabularyDeck' },
+
+  wordCount: { type: Number, default: 0 }
+}, { timestamps: true });
+
+vocabularyDeckSchema.index({ ownerId: 1, name: 1 });
+
+// Generate a short, URL-safe share code
+vocabularyDeckSchema.methods.enableSharing = function() {
+  if (!this.shareCode) {
+    this.shareCode = crypto.randomBytes(6).toString('base64url');
+  }
+  this.isShared = true;
+  return this.shareCode;
+};
+
+// Get the user's default deck, creating it on first use
+vocabularyDeckSchema.statics.getOrCreateDefault = async function(ownerId, language) {
+  const existing = await this.findOne({ ownerId, isDefault: true });
+  if (existing) return existing;
+
+  return await this.create({
+    ownerId,
+    name: 'My words',
+    language,
+    isDefault: true
+  });
+};
+
+const VocabularyDeck = mongoose.models.VocabularyDeck ||
+  mongoose.model('VocabularyDeck', vocabularyDeckSchema);
+
+module.exports = VocabularyDeck;
@@ -1,19 +1,76 @@
 const mongoose = require('mongoose');
+const { scheduleReview, GRADES } = require('../services/spacedRepetition');
 
 const vocabularyProgressSchema = new mongoose.Schema({
   userId: { type: String, required: true, index: true },
-  wordId: { type: mongoose.Schema.Types.ObjectId, ref: 'Vocabulary' },
+  vocabularyId: { type: mongoose.Schema.Types.ObjectId, refPath: 'wordModel', index: true },
+  // Curated words live in Vocabulary, learner-added words in PersonalWord
+  wordModel: { type: String, enum: ['Vocabulary', 'PersonalWord'], default: 'Vocabulary' },
+  deckId: { type: mongoose.Schema.Types.ObjectId, ref: 'VocabularyDeck', index: true },
+  wordId: { type: mongoose.Schema.Types.ObjectId, ref: 'Vocabulary' }, // legacy alias of vocabularyId
   term: String,
-  status: { type: String, enum: ['new', 'learning', 'review', 'mastered'], default: 'new' },
+  language: { type: String, index: true },
+  status: { type: String, enum: ['new', 'learning', 'review', 'relearning', 'mastered'], default: 'new' },
   nextReview: { type: Date, default: Date.now },
   strength: { type: Number, default: 0 },
   lastPracticed: { type: Date, default: Date.now },
+
+  // 🧠 Spaced repetition state (see services/spacedRepetition.js)
+  easeFactor: { type: Number, default: 2.5 },
+  interval: { type: Number, default: 0 }, // days
+  stability: { type: Number, default: 0 }, // days until recall probability drops to 90%
+  lapses: { type: Number, default: 0 },
+  reps: { type: Number, default: 0 },
+  learningStep: { type: Number, default: 0 },
+  lastReviewed: Date,
+  firstSeen: { type: Date, default: Date.now },
+
+  timesShown: { type: Number, default: 0 },
+  timesCorrect: { type: Number, default: 0 },
+  timesIncorrect: { type: Number, default: 0 },
+  timeSpent: { type: Number, default: 0 },
+
   history: [{
     date: { type: Date, default: Date.now },
-    result: String // 'correct' | 'incorrect'
+    result: String, // 'correct' | 'incorrect'
+    grade: { type: Number, min: 1, max: 4 }, // 1 again, 2 hard, 3 good, 4 easy
+    interval: Number,
+    elapsedDays: Number,
+    retrievability: Number
   }]
 }, { timestamps: true });
 
+vocabularyProgressSchema.index({ userId: 1, nextReview: 1 });
+vocabularyProgressSchema.index({ userId: 1, vocabularyId: 1 });
+
+/**
+ * Apply a graded review using the spaced repetition scheduler.
+ * @param {number} grade - 1 again, 2 hard, 3 good, 4 easy
+ * @param {Object} [options]
+ * @param {number} [options.timeSpent] - Seconds spent on the card
+ * @param {Date} [options.now] - Review time
+ * @returns {Object} The scheduling result
+ */
+vocabularyProgressSchema.methods.applyReview = function(grade, { timeSpent = 0, now = new Date() } = {}) {
+  const result = scheduleReview(this, grade, now);
+  const { historyEntry, ...state } = result;
+
+  Object.assign(this, state);
+  this.history.push(historyEntry);
+
+  this.timesShown += 1;
+  this.timeSpent += timeSpent || 0;
+  if (grade === GRADES.AGAIN) {
+    this.timesIncorrect += 1;
+  } else {
+    this.timesCorrect += 1;
+  }
+  this.strength = Math.round(Math.min(1, this.stability / 365) * 100);
+  this.lastPracticed = now;
+
+  return result;
+};
+
 // ✅ Check if model already exists to prevent "Cannot overwrite model" errors
 const VocabularyProgress = mongoose.models.VocabularyProgress ||
   mongoose.model('VocabularyProgress', vocabularyProgressSchema);
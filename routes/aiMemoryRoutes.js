@@ -0,0 +1,101 @@
+// routes/aiMemoryRoutes.js - What the AI tutor remembers about the learner: view, edit, export, delete, switch off
+const express = require('express');
+const router = express.Router();
+
+const verifyToken = require('../middlewares/authMiddleware');
+const {
+  getMemoryOverview,
+  updateMemory,
+  deleteMemory,
+  updateLearnerProfile,
+  clearMemories,
+  setMemoryEnabled,
+  exportMemories
+} = require('../services/aiMemoryService');
+
+const userIdOf = (req) => req.user?.uid || req.user?.firebaseId;
+
+const handle = (errorLabel, handler) => async (req, res) => {
+  try {
+    await handler(req, res, userIdOf(req));
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error(`❌ Error ${errorLabel}:`, error);
+    res.status(500).json({ success: false, error: `Error ${errorLabel}` });
+  }
+};
+
+router.use(verifyToken);
+
+/**
+ * GET /api/ai-memory
+ * Memory setting, learner profile, stored memories and subject tracking.
+ */
+router.get('/', handle('fetching AI memory', async (req, res, userId) => {
+  res.json({ success: true, data: await getMemoryOverview(userId) });
+}));
+
+/**
+ * GET /api/ai-memory/export
+ * Everything stored, as a JSON file download.
+ */
+router.get('/export', handle('exporting AI memory', async (req, res, userId) => {
+  const data = await exportMemories(userId);
+  res.setHeader('Content-Disposition', `attachment; filename="aced-ai-memory-${new Date().toISOString().slice(0, 10)}.json"`);
+  res.json(data);
+}));
+
+/**
+ * PATCH /api/ai-memory/settings
+ * Switch memory on or off. Body: { enabled: boolean, clear?: boolean }
+ */
+router.patch('/settings', handle('updating AI memory settings', async (req, res, userId) => {
+  const { enabled, clear = false } = req.body;
+  const result = await setMemoryEnabled(userId, enabled, { clear: clear === true });
+  res.json({
+    success: true,
+    data: result,
+    message: enabled ? '✅ AI memory turned on' : '✅ AI memory turned off'
+  });
+}));
+
+/**
+ * PATCH /api/ai-memory/profile
+ * Body: any of preferredExplanationStyle, pacePreference, encouragementLevel,
+ * commonMistakePatterns, strongAreas, weakAreas, interests
+ */
+router.patch('/profile', handle('updating learner profile', async (req, res, userId) => {
+  const learnerProfile = await updateLearnerProfile(userId, req.body);
+  res.json({ success: true, data: learnerProfile, message: '✅ Learner profile updated' });
+}));
+
+/**
+ * PATCH /api/ai-memory/memories/:memoryId
+ * Body: { content?, importance? }
+ */
+router.patch('/memories/:memoryId', handle('updating AI memory', async (req, res, userId) => {
+  const memory = await updateMemory(userId, req.params.memoryId, req.body);
+  res.json({ success: true, data: memory, message: '✅ Memory updated' });
+}));
+
+/**
+ * DELETE /api/ai-memory/memories/:memoryId
+ */
+router.delete('/memories/:memoryId', handle('deleting AI memory', async (req, res, userId) => {
+  await deleteMemory(userId, req.params.memoryId);
+  res.json({ success: true, message: '✅ Memory deleted' });
+}));
+
+/**
+ * DELETE /api/ai-memory
+ * Delete all memories, the learner profile and subject tracking.
+ */
+router.delete('/', handle('clearing AI memory', async (req, res, userId) => {
+  const deleted = await clearMemories(userId);
+  res.json({ success: true, data: { deleted }, message: '✅ AI memory cleared' });
+}));
+
+module.exports = router;
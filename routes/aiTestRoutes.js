@@ -1,49 +1,32 @@
 // ========================================
-// 🧠 AI TEST GENERATION ROUTES (DeepSeek)
+// 🧠 AI TEST GENERATION ROUTES
 // ========================================
 
 const express = require('express');
 const router = express.Router();
 const authenticateUser = require('../middlewares/authMiddleware');
 
-const DEEPSEEK_API_URL = 'https://api.deepseek.com/v1/chat/completions';
-const MODEL = 'deepseek-chat';
+const { complete } = require('../services/llmGateway');
 
 /**
- * Call DeepSeek API and return parsed JSON.
+ * Generate through the LLM gateway (testGeneration route) and return the parsed JSON.
+ * Replies that don't match `schema` fail over to the next provider.
+ * `meter` is { userId, action } for token budgets and cost reports.
  */
-const callDeepSeek = async (systemPrompt, userPrompt) => {
-    const apiKey = process.env.DEEPSEEK_API_KEY;
-    if (!apiKey) throw new Error('DEEPSEEK_API_KEY not configured');
-
-    const response = await fetch(DEEPSEEK_API_URL, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${apiKey}`
-        },
-        body: JSON.stringify({
-            model: MODEL,
-            messages: [
-                { role: 'system', content: systemPrompt },
-                { role: 'user', content: userPrompt }
-            ],
-            response_format: { type: 'json_object' },
-            temperature: 0.8,
-            max_tokens: 4096
-        })
+const generateJson = async (systemPrompt, userPrompt, schema, meter) => {
+    const result = await complete({
+        feature: 'testGeneration',
+        messages: [
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: userPrompt }
+        ],
+        json: true,
+        schema,
+        temperature: 0.8,
+        maxTokens: 4096,
+        meter
     });
-
-    if (!response.ok) {
-        const err = await response.text();
-        throw new Error(`DeepSeek API error ${response.status}: ${err}`);
-    }
-
-    const data = await response.json();
-    const text = data.choices?.[0]?.message?.content;
-    if (!text) throw new Error('No response from DeepSeek');
-
-    return JSON.parse(text.replace(/```json\n?|\n?```/g, '').trim());
+    return result.data;
 };
 
 // ========================================
@@ -96,12 +79,15 @@ Return a JSON object with exactly these fields:
 
 Exactly one option must have isCorrect: true. Provide exactly 4 options.`;
 
-        const result = await callDeepSeek(systemPrompt, userPrompt);
+        const result = await generateJson(systemPrompt, userPrompt, { question: 'string', options: 'array' }, {
+            userId: req.user.uid,
+            action: 'ai-tests/quiz'
+        });
         res.json({ success: true, data: result });
 
     } catch (error) {
         console.error('❌ AI quiz generation error:', error.message);
-        res.status(500).json({ success: false, error: error.message });
+        res.status(error.status || 500).json({ success: false, error: error.message });
     }
 });
 
@@ -143,12 +129,15 @@ Return a JSON object like this:
 
 Each question must have exactly 4 options with exactly one correct. Make questions diverse.`;
 
-        const result = await callDeepSeek(systemPrompt, userPrompt);
-        res.json({ success: true, data: result.questions || [result] });
+        const result = await generateJson(systemPrompt, userPrompt, { questions: 'array' }, {
+            userId: req.user.uid,
+            action: 'ai-tests/mock-test'
+        });
+        res.json({ success: true, data: result.questions });
 
     } catch (error) {
         console.error('❌ AI mock test generation error:', error.message);
-        res.status(500).json({ success: false, error: error.message });
+        res.status(error.status || 500).json({ success: false, error: error.message });
     }
 });
 
@@ -185,7 +174,10 @@ Return a JSON object:
 Generate 3 to 5 milestones. Type must be one of: "Practice", "Mock Exam", "Review".
 Milestones should logically progress from topic review to full mock exam.`;
 
-        const result = await callDeepSeek(systemPrompt, userPrompt);
+        const result = await generateJson(systemPrompt, userPrompt, { milestones: 'array' }, {
+            userId: req.user.uid,
+            action: 'ai-tests/study-plan'
+        });
 
         const pathway = {
             id: require('crypto').randomUUID(),
@@ -205,7 +197,7 @@ Milestones should logically progress from topic review to full mock exam.`;
 
     } catch (error) {
         console.error('❌ AI study plan generation error:', error.message);
-        res.status(500).json({ success: false, error: error.message });
+        res.status(error.status || 500).json({ success: false, error: error.message });
     }
 });
 
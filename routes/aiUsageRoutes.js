@@ -0,0 +1,62 @@
+// routes/aiUsageRoutes.js - LLM token and cost dashboard (admin)
+const express = require('express');
+const router = express.Router();
+
+const verifyToken = require('../middlewares/authMiddleware');
+const { verifyAdmin } = require('../middlewares/authMiddleware');
+const { getCostDashboard, getDailyTokenStatus } = require('../services/aiMeteringService');
+
+// Optional ISO dates from the query; undefined when missing, null when invalid
+const parseDate = (value) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * GET /api/ai-usage/costs
+ * Tokens and estimated USD cost by day, feature, model and user.
+ * Query: from, to (default: last 30 days), feature, userId, topUsers
+ */
+router.get('/costs', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    if (from === null || to === null) {
+      return res.status(400).json({ success: false, error: 'from and to must be valid dates' });
+    }
+    if (from && to && from >= to) {
+      return res.status(400).json({ success: false, error: 'from must be before to' });
+    }
+
+    const dashboard = await getCostDashboard({
+      from,
+      to,
+      feature: req.query.feature,
+      userId: req.query.userId,
+      topUsers: Math.min(200, Math.max(1, parseInt(req.query.topUsers, 10) || 20))
+    });
+    res.json({ success: true, data: dashboard });
+
+  } catch (error) {
+    console.error('❌ Error building AI cost dashboard:', error);
+    res.status(500).json({ success: false, error: 'Error building AI cost dashboard' });
+  }
+});
+
+/**
+ * GET /api/ai-usage/users/:userId/tokens
+ * A user's token use today against their daily budget.
+ */
+router.get('/users/:userId/tokens', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const status = await getDailyTokenStatus(req.params.userId);
+    res.json({ success: true, data: status });
+
+  } catch (error) {
+    console.error('❌ Error fetching AI token status:', error);
+    res.status(500).json({ success: false, error: 'Error fetching AI token status' });
+  }
+});
+
+module.exports = router;
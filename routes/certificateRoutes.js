@@ -0,0 +1,233 @@
+// routes/certificateRoutes.js - Certificate download, listing and public verification
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+
+const Certificate = require('../models/certificate');
+const User = require('../models/user');
+const UpdatedCourse = require('../models/updatedCourse');
+const CourseProgress = require('../models/courseProgress');
+const verifyToken = require('../middlewares/authMiddleware');
+const { verifyAdmin } = require('../middlewares/authMiddleware');
+const { verifyCertificate, issueCourseCertificate, getVerificationUrl } = require('../services/certificateService');
+
+const STATUS_TEXT = {
+  valid: { title: 'Certificate verified', color: '#2E7D32', icon: '✅' },
+  revoked: { title: 'Certificate revoked', color: '#C62828', icon: '⛔' },
+  tampered: { title: 'Certificate record failed integrity check', color: '#C62828', icon: '⚠️' },
+  not_found: { title: 'Certificate not found', color: '#C62828', icon: '❌' }
+};
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function renderVerificationPage(serial, result) {
+  const status = STATUS_TEXT[result.status] || STATUS_TEXT.not_found;
+  const cert = result.certificate;
+
+  const rows = cert ? [
+    ['Serial', cert.serial],
+    ['Awarded to', cert.recipientName],
+    [cert.type === 'course' ? 'Course' : 'Achievement', cert.achievement],
+    ['Score', typeof cert.score === 'number' ? `${Math.round(cert.score)}%` : null],
+    ['Issued', new Date(cert.issuedAt).toISOString().slice(0, 10)],
+    ['Revoked', cert.revokedAt ? `${new Date(cert.revokedAt).toISOString().slice(0, 10)} ${cert.revokedReason || ''}` : null],
+    ['PDF SHA-256', cert.pdfHash]
+  ].filter(([, value]) => value !== null && value !== undefined) : [];
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(status.title)} - ACED</title>
+  <style>
+    body { font-family: -apple-system, Segoe UI, Helvetica, Arial, sans-serif; background: #F5F7FB; margin: 0; padding: 40px 16px; color: #212121; }
+    .card { max-width: 640px; margin: 0 auto; background: #fff; border-radius: 12px; box-shadow: 0 2px 12px rgba(0,0,0,.08); padding: 32px; }
+    h1 { color: ${status.color}; font-size: 24px; margin: 0 0 24px; }
+    table { width: 100%; border-collapse: collapse; }
+    th { text-align: left; color: #616161; font-weight: 500; padding: 8px 16px 8px 0; vertical-align: top; white-space: nowrap; }
+    td { padding: 8px 0; word-break: break-all; }
+    p { color: #616161; font-size: 14px; }
+  </style>
+</head>
+<body>
+  <div class="card">
+    <h1>${status.icon} ${escapeHtml(status.title)}</h1>
+    ${cert ? `<table>${rows.map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('')}</table>` :
+    `<p>No certificate with serial <strong>${escapeHtml(serial)}</strong> was issued by ACED.</p>`}
+    <p>Certificates are issued by ACED and signed when issued. The SHA-256 of a genuine PDF matches the value above.</p>
+  </div>
+</body>
+</html>`;
+}
+
+// Owner or admin may access a certificate's private data
+async function canAccess(req, certificate) {
+  if (req.user?.uid === certificate.userId) return true;
+  const viewer = await User.findOne({ firebaseId: req.user?.uid }).select('role');
+  return viewer?.role === 'admin';
+}
+
+/**
+ * GET /api/certificates/verify/:serial
+ * Public verification page (HTML, or JSON with ?format=json / Accept: application/json)
+ */
+router.get('/verify/:serial', async (req, res) => {
+  try {
+    const { serial } = req.params;
+    const result = await verifyCertificate(serial);
+    const wantsJson = req.query.format === 'json' || req.accepts(['html', 'json']) === 'json';
+
+    if (wantsJson) {
+      return res.status(result.found ? 200 : 404).json({ success: true, data: result });
+    }
+
+    res.status(result.found ? 200 : 404).type('html').send(renderVerificationPage(serial, result));
+
+  } catch (error) {
+    console.error('❌ Error verifying certificate:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error verifying certificate'
+    });
+  }
+});
+
+/**
+ * GET /api/certificates/my
+ * Certificates issued to the current user
+ */
+router.get('/my', verifyToken, async (req, res) => {
+  try {
+    const certificates = await Certificate.find({ userId: req.user.uid })
+      .sort({ issuedAt: -1 });
+
+    res.json({
+      success: true,
+      data: certificates.map(cert => ({
+        ...cert.toObject({ virtuals: true }),
+        verificationUrl: getVerificationUrl(cert.serial)
+      })),
+      count: certificates.length
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching certificates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error fetching certificates'
+    });
+  }
+});
+
+/**
+ * POST /api/certificates/course/:courseId/claim
+ * Issue the certificate for a completed course (e.g. completed before certificates were issued automatically)
+ */
+router.post('/course/:courseId/claim', verifyToken, async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(courseId)) {
+      return res.status(400).json({ success: false, error: 'Invalid course ID' });
+    }
+
+    const [course, progress] = await Promise.all([
+      UpdatedCourse.findById(courseId).select('title certificateOffered'),
+      CourseProgress.findOne({ userId: req.user.uid, courseId })
+    ]);
+
+    if (!course) {
+      return res.status(404).json({ success: false, error: 'Course not found' });
+    }
+    if (!course.certificateOffered) {
+      return res.status(400).json({ success: false, error: 'This course does not offer a certificate' });
+    }
+    if (!progress || !progress.completed) {
+      return res.status(400).json({ success: false, error: 'Course not completed yet' });
+    }
+
+    const certificate = await issueCourseCertificate(req.user.uid, course, progress);
+
+    res.json({
+      success: true,
+      data: {
+        serial: certificate.serial,
+        issuedAt: certificate.issuedAt,
+        verificationUrl: getVerificationUrl(certificate.serial)
+      },
+      message: '✅ Certificate issued'
+    });
+
+  } catch (error) {
+    console.error('❌ Error issuing course certificate:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error issuing course certificate'
+    });
+  }
+});
+
+/**
+ * GET /api/certificates/:serial/pdf
+ * Download the stored PDF (owner or admin)
+ */
+router.get('/:serial/pdf', verifyToken, async (req, res) => {
+  try {
+    const certificate = await Certificate.findOne({ serial: req.params.serial.toUpperCase() }).select('+pdf');
+    if (!certificate) {
+      return res.status(404).json({ success: false, error: 'Certificate not found' });
+    }
+    if (!(await canAccess(req, certificate))) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="aced-certificate-${certificate.serial}.pdf"`);
+    res.send(certificate.pdf);
+
+  } catch (error) {
+    console.error('❌ Error downloading certificate:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error downloading certificate'
+    });
+  }
+});
+
+/**
+ * POST /api/certificates/:serial/revoke
+ * Revoke a certificate (admin only). Body: { reason }
+ */
+router.post('/:serial/revoke', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const certificate = await Certificate.findOne({ serial: req.params.serial.toUpperCase() });
+    if (!certificate) {
+      return res.status(404).json({ success: false, error: 'Certificate not found' });
+    }
+
+    await certificate.revoke(req.body.reason);
+
+    res.json({
+      success: true,
+      data: { serial: certificate.serial, status: certificate.status, revokedAt: certificate.revokedAt },
+      message: '✅ Certificate revoked'
+    });
+
+  } catch (error) {
+    console.error('❌ Error revoking certificate:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error revoking certificate'
+    });
+  }
+});
+
+module.exports = router;
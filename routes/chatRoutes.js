@@ -4,6 +4,8 @@ const router = express.Router();
 const {
   getAIResponse,
   getLessonContextAIResponse,
+  streamAIResponse,
+  streamLessonContextAIResponse,
   analyzeLessonForSpeech,
   getUserAIUsageStats,
   checkCanSendAIMessage,
@@ -52,6 +54,10 @@ router.post('/', verifyToken, chatLimiter, getAIResponse);
 // Enhanced lesson-specific AI chat
 router.post('/lesson-context', verifyToken, chatLimiter, getLessonContextAIResponse);
 
+// Streaming variants (Server-Sent Events: token, done, error)
+router.post('/stream', verifyToken, chatLimiter, streamAIResponse);
+router.post('/lesson-context/stream', verifyToken, chatLimiter, streamLessonContextAIResponse);
+
 // Analyze lesson content for speech & highlights (Perfect Harmony endpoint)
 router.post('/analyze-speech', verifyToken, analyzeSpeechLimiter, analyzeLessonForSpeech);
 
@@ -162,6 +168,7 @@ router.post('/smart-hint', verifyToken, async (req, res) => {
     };
 
     req.body = contextRequest;
+    req.aiAction = 'smart-hint';
     await getLessonContextAIResponse(req, res);
 
   } catch (error) {
@@ -213,6 +220,7 @@ router.post('/progress-insight', verifyToken, async (req, res) => {
     };
 
     req.body = contextRequest;
+    req.aiAction = 'progress-insight';
     await getLessonContextAIResponse(req, res);
 
   } catch (error) {
@@ -259,6 +267,7 @@ router.post('/explanation-help', verifyToken, async (req, res) => {
     };
 
     req.body = contextRequest;
+    req.aiAction = 'explanation-help';
     await getLessonContextAIResponse(req, res);
 
   } catch (error) {
@@ -0,0 +1,62 @@
+// routes/checkoutRoutes.js - Provider-neutral checkout: Payme, Multicard or Click picked by name
+const express = require('express');
+const router = express.Router();
+
+const User = require('../models/user');
+const verifyToken = require('../middlewares/authMiddleware');
+const { listProviders } = require('../services/paymentProviders');
+const { createCheckout, getCheckoutStatus } = require('../services/paymentService');
+
+// Routes below share one shape: load the user, run the service call, map errors with .status
+const withUser = (errorLabel, handler) => async (req, res) => {
+  try {
+    const user = await User.findOne({ firebaseId: req.user.uid });
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    await handler(req, res, user);
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error(`❌ Error ${errorLabel}:`, error);
+    res.status(500).json({ success: false, error: `Error ${errorLabel}` });
+  }
+};
+
+/**
+ * GET /api/checkout/providers
+ * Payment providers and whether they are configured.
+ */
+router.get('/providers', (req, res) => {
+  res.json({ success: true, data: listProviders() });
+});
+
+/**
+ * POST /api/checkout
+ * Body: { provider: 'payme' | 'multicard' | 'click', tierId, promoCodes?, groupId?, lang?, returnUrl? }
+ * With groupId the group plan's price is charged and tierId is ignored.
+ */
+router.post('/', verifyToken, withUser('starting checkout', async (req, res, user) => {
+  const data = await createCheckout({ providerName: req.body.provider, user, body: req.body });
+
+  res.status(201).json({ success: true, data, message: '✅ Checkout created' });
+}));
+
+/**
+ * GET /api/checkout/:provider/:reference
+ * Status of the user's checkout. Query: refresh=true to also ask the provider.
+ */
+router.get('/:provider/:reference', verifyToken, withUser('fetching checkout', async (req, res, user) => {
+  const data = await getCheckoutStatus({
+    providerName: req.params.provider,
+    reference: req.params.reference,
+    user,
+    refresh: req.query.refresh === 'true'
+  });
+
+  res.json({ success: true, data });
+}));
+
+module.exports = router;
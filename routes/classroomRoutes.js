@@ -0,0 +1,727 @@
+// routes/classroomRoutes.js - Teacher classes, rosters, assignments and gradebook
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+
+const Classroom = require('../models/classroom');
+const ClassAssignment = require('../models/classAssignment');
+const User = require('../models/user');
+const Homework = require('../models/homework');
+const Test = require('../models/Test');
+const Lesson = require('../models/lesson');
+const verifyToken = require('../middlewares/authMiddleware');
+const { verifyTeacher } = require('../middlewares/authMiddleware');
+const { buildGradebook, gradebookToCsv } = require('../services/gradebookService');
+
+const CLASS_FIELDS = ['name', 'description', 'subject', 'gradeLevel', 'schoolName', 'maxStudents'];
+const ASSIGNMENT_FIELDS = ['instructions', 'availableFrom', 'dueDate', 'allowLateSubmissions', 'weight', 'title'];
+
+// Title field of each assignable item
+const ITEM_SOURCES = {
+  homework: { model: Homework, titleField: 'title' },
+  test: { model: Test, titleField: 'title' },
+  lesson: { model: Lesson, titleField: 'lessonName' }
+};
+
+function isValidObjectId(id) {
+  return mongoose.Types.ObjectId.isValid(id);
+}
+
+function pickFields(body, fields) {
+  const picked = {};
+  fields.forEach(field => {
+    if (body[field] !== undefined) picked[field] = body[field];
+  });
+  return picked;
+}
+
+// Load a class the current user teaches (admins may open any class) or send 404/403
+async function findTaughtClass(req, res) {
+  const { classId } = req.params;
+  if (!isValidObjectId(classId)) {
+    res.status(400).json({ success: false, error: 'Invalid class ID' });
+    return null;
+  }
+
+  const classroom = await Classroom.findById(classId);
+  if (!classroom) {
+    res.status(404).json({ success: false, error: 'Class not found' });
+    return null;
+  }
+
+  if (!classroom.isTeacher(req.user.uid) && !req.isAdmin) {
+    res.status(403).json({ success: false, error: 'Access denied: not a teacher of this class' });
+    return null;
+  }
+
+  return classroom;
+}
+
+function summarizeClass(classroom) {
+  return {
+    _id: classroom._id,
+    name: classroom.name,
+    description: classroom.description,
+    subject: classroom.subject,
+    gradeLevel: classroom.gradeLevel,
+    schoolName: classroom.schoolName,
+    teacherId: classroom.teacherId,
+    teacherName: classroom.teacherName,
+    joinCode: classroom.joinCode,
+    joinCodeEnabled: classroom.joinCodeEnabled,
+    maxStudents: classroom.maxStudents,
+    studentCount: classroom.activeStudents.length,
+    isArchived: classroom.isArchived,
+    createdAt: classroom.createdAt
+  };
+}
+
+// ========================================
+// 🎒 STUDENT ROUTES
+// ========================================
+
+/**
+ * POST /api/classes/join
+ * Join a class with its join code. Body: { joinCode }
+ */
+router.post('/join', verifyToken, async (req, res) => {
+  try {
+    const { joinCode } = req.body;
+    if (!joinCode) {
+      return res.status(400).json({ success: false, error: 'joinCode is required' });
+    }
+
+    const classroom = await Classroom.findByJoinCode(joinCode);
+    if (!classroom) {
+      return res.status(404).json({ success: false, error: 'No open class found for this code' });
+    }
+
+    if (classroom.isTeacher(req.user.uid)) {
+      return res.status(400).json({ success: false, error: 'Teachers cannot join their own class as a student' });
+    }
+
+    const user = await User.findOne({ firebaseId: req.user.uid }).select('firebaseId name email');
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    if (!classroom.addStudent(user, 'join_code')) {
+      return res.status(409).json({ success: false, error: 'This class is full' });
+    }
+    await classroom.save();
+
+    res.json({
+      success: true,
+      data: {
+        _id: classroom._id,
+        name: classroom.name,
+        subject: classroom.subject,
+        teacherName: classroom.teacherName
+      },
+      message: `✅ Joined ${classroom.name}`
+    });
+
+  } catch (error) {
+    console.error('❌ Error joining class:', error);
+    res.status(500).json({ success: false, error: 'Error joining class' });
+  }
+});
+
+/**
+ * GET /api/classes/enrolled
+ * Classes the current user is a student in, with their active assignments
+ */
+router.get('/enrolled', verifyToken, async (req, res) => {
+  try {
+    const classes = await Classroom.findForStudent(req.user.uid);
+    const assignments = await ClassAssignment.find({
+      classId: { $in: classes.map(c => c._id) },
+      isActive: true,
+      availableFrom: { $lte: new Date() }
+    }).sort({ dueDate: 1 });
+
+    res.json({
+      success: true,
+      data: classes.map(classroom => ({
+        _id: classroom._id,
+        name: classroom.name,
+        subject: classroom.subject,
+        gradeLevel: classroom.gradeLevel,
+        teacherName: classroom.teacherName,
+        assignments: assignments
+          .filter(a => a.classId.toString() === classroom._id.toString())
+          .map(a => a.toObject({ virtuals: true }))
+      })),
+      count: classes.length
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching enrolled classes:', error);
+    res.status(500).json({ success: false, error: 'Error fetching enrolled classes' });
+  }
+});
+
+/**
+ * GET /api/classes/invites
+ * Pending class invitations for the current user
+ */
+router.get('/invites', verifyToken, async (req, res) => {
+  try {
+    const classes = await Classroom.findInvitesFor(req.user.uid);
+
+    res.json({
+      success: true,
+      data: classes.map(classroom => {
+        const invite = classroom.students.find(s => s.userId === req.user.uid && s.status === 'invited');
+        return {
+          _id: classroom._id,
+          name: classroom.name,
+          subject: classroom.subject,
+          gradeLevel: classroom.gradeLevel,
+          schoolName: classroom.schoolName,
+          teacherName: classroom.teacherName,
+          invitedAt: invite?.invitedAt
+        };
+      }),
+      count: classes.length
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching class invites:', error);
+    res.status(500).json({ success: false, error: 'Error fetching class invites' });
+  }
+});
+
+/**
+ * POST /api/classes/:classId/invite/accept
+ * Accept a teacher's invitation; the teacher can then see your grades and progress
+ */
+router.post('/:classId/invite/accept', verifyToken, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.classId)) {
+      return res.status(400).json({ success: false, error: 'Invalid class ID' });
+    }
+
+    const classroom = await Classroom.findById(req.params.classId);
+    if (!classroom || classroom.isArchived || !classroom.hasInvite(req.user.uid)) {
+      return res.status(404).json({ success: false, error: 'No pending invitation for this class' });
+    }
+
+    if (!classroom.acceptInvite(req.user.uid)) {
+      return res.status(409).json({ success: false, error: 'This class is full' });
+    }
+    await classroom.save();
+
+    res.json({
+      success: true,
+      data: {
+        _id: classroom._id,
+        name: classroom.name,
+        subject: classroom.subject,
+        teacherName: classroom.teacherName
+      },
+      message: `✅ Joined ${classroom.name}`
+    });
+
+  } catch (error) {
+    console.error('❌ Error accepting class invite:', error);
+    res.status(500).json({ success: false, error: 'Error accepting class invite' });
+  }
+});
+
+/**
+ * POST /api/classes/:classId/invite/decline
+ * Decline a teacher's invitation
+ */
+router.post('/:classId/invite/decline', verifyToken, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.classId)) {
+      return res.status(400).json({ success: false, error: 'Invalid class ID' });
+    }
+
+    const classroom = await Classroom.findById(req.params.classId);
+    if (!classroom || !classroom.hasInvite(req.user.uid)) {
+      return res.status(404).json({ success: false, error: 'No pending invitation for this class' });
+    }
+
+    classroom.removeStudent(req.user.uid);
+    await classroom.save();
+
+    res.json({ success: true, message: `✅ Invitation to ${classroom.name} declined` });
+
+  } catch (error) {
+    console.error('❌ Error declining class invite:', error);
+    res.status(500).json({ success: false, error: 'Error declining class invite' });
+  }
+});
+
+/**
+ * POST /api/classes/:classId/leave
+ * Leave a class
+ */
+router.post('/:classId/leave', verifyToken, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.classId)) {
+      return res.status(400).json({ success: false, error: 'Invalid class ID' });
+    }
+
+    const classroom = await Classroom.findById(req.params.classId);
+    if (!classroom || !classroom.removeStudent(req.user.uid)) {
+      return res.status(404).json({ success: false, error: 'You are not enrolled in this class' });
+    }
+    await classroom.save();
+
+    res.json({ success: true, message: `✅ Left ${classroom.name}` });
+
+  } catch (error) {
+    console.error('❌ Error leaving class:', error);
+    res.status(500).json({ success: false, error: 'Error leaving class' });
+  }
+});
+
+// ========================================
+// 🍎 TEACHER ROUTES
+// ========================================
+
+/**
+ * GET /api/classes
+ * Classes taught by the current user. Query: includeArchived=true
+ */
+router.get('/', verifyToken, verifyTeacher, async (req, res) => {
+  try {
+    const classes = await Classroom.findForTeacher(req.user.uid, {
+      includeArchived: req.query.includeArchived === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: classes.map(summarizeClass),
+      count: classes.length
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching classes:', error);
+    res.status(500).json({ success: false, error: 'Error fetching classes' });
+  }
+});
+
+/**
+ * POST /api/classes
+ * Create a class with a fresh join code
+ */
+router.post('/', verifyToken, verifyTeacher, async (req, res) => {
+  try {
+    const fields = pickFields(req.body, CLASS_FIELDS);
+    if (!fields.name || !String(fields.name).trim()) {
+      return res.status(400).json({ success: false, error: 'Class name is required' });
+    }
+
+    const classroom = new Classroom({
+      ...fields,
+      teacherId: req.user.uid,
+      teacherName: req.dbUser.name || req.dbUser.email
+    });
+    await classroom.regenerateJoinCode();
+    await classroom.save();
+
+    res.status(201).json({
+      success: true,
+      data: summarizeClass(classroom),
+      message: '✅ Class created'
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error('❌ Error creating class:', error);
+    res.status(500).json({ success: false, error: 'Error creating class' });
+  }
+});
+
+/**
+ * GET /api/classes/:classId
+ * Class details with roster (teachers) or basic info (enrolled students)
+ */
+router.get('/:classId', verifyToken, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.classId)) {
+      return res.status(400).json({ success: false, error: 'Invalid class ID' });
+    }
+
+    const classroom = await Classroom.findById(req.params.classId);
+    if (!classroom) {
+      return res.status(404).json({ success: false, error: 'Class not found' });
+    }
+
+    if (classroom.isTeacher(req.user.uid)) {
+      return res.json({
+        success: true,
+        data: {
+          ...summarizeClass(classroom),
+          coTeacherIds: classroom.coTeacherIds,
+          students: classroom.activeStudents,
+          pendingInvites: classroom.students.filter(s => s.status === 'invited')
+        }
+      });
+    }
+
+    if (classroom.hasStudent(req.user.uid)) {
+      return res.json({
+        success: true,
+        data: {
+          _id: classroom._id,
+          name: classroom.name,
+          description: classroom.description,
+          subject: classroom.subject,
+          gradeLevel: classroom.gradeLevel,
+          teacherName: classroom.teacherName,
+          studentCount: classroom.activeStudents.length
+        }
+      });
+    }
+
+    res.status(403).json({ success: false, error: 'Access denied' });
+
+  } catch (error) {
+    console.error('❌ Error fetching class:', error);
+    res.status(500).json({ success: false, error: 'Error fetching class' });
+  }
+});
+
+/**
+ * PUT /api/classes/:classId
+ * Update class details
+ */
+router.put('/:classId', verifyToken, verifyTeacher, async (req, res) => {
+  try {
+    const classroom = await findTaughtClass(req, res);
+    if (!classroom) return;
+
+    Object.assign(classroom, pickFields(req.body, CLASS_FIELDS));
+    await classroom.save();
+
+    res.json({
+      success: true,
+      data: summarizeClass(classroom),
+      message: '✅ Class updated'
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error('❌ Error updating class:', error);
+    res.status(500).json({ success: false, error: 'Error updating class' });
+  }
+});
+
+/**
+ * DELETE /api/classes/:classId
+ * Archive a class (results stay available to the teacher)
+ */
+router.delete('/:classId', verifyToken, verifyTeacher, async (req, res) => {
+  try {
+    const classroom = await findTaughtClass(req, res);
+    if (!classroom) return;
+
+    if (classroom.teacherId !== req.user.uid && !req.isAdmin) {
+      return res.status(403).json({ success: false, error: 'Only the class owner can archive it' });
+    }
+
+    classroom.isArchived = true;
+    classroom.archivedAt = new Date();
+    classroom.joinCodeEnabled = false;
+    await classroom.save();
+
+    res.json({ success: true, message: '✅ Class archived' });
+
+  } catch (error) {
+    console.error('❌ Error archiving class:', error);
+    res.status(500).json({ success: false, error: 'Error archiving class' });
+  }
+});
+
+/**
+ * POST /api/classes/:classId/join-code
+ * Regenerate the join code, or enable/disable joining. Body: { enabled?, regenerate? }
+ */
+router.post('/:classId/join-code', verifyToken, verifyTeacher, async (req, res) => {
+  try {
+    const classroom = await findTaughtClass(req, res);
+    if (!classroom) return;
+
+    const { enabled, regenerate = true } = req.body;
+    if (typeof enabled === 'boolean') classroom.joinCodeEnabled = enabled;
+    if (regenerate) await classroom.regenerateJoinCode();
+    await classroom.save();
+
+    res.json({
+      success: true,
+      data: { joinCode: classroom.joinCode, joinCodeEnabled: classroom.joinCodeEnabled },
+      message: '✅ Join code updated'
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating join code:', error);
+    res.status(500).json({ success: false, error: 'Error updating join code' });
+  }
+});
+
+/**
+ * POST /api/classes/:classId/students
+ * Invite a student by email or Firebase UID. Body: { email } or { userId }
+ * The student joins only after accepting (POST /:classId/invite/accept) or by
+ * using the join code; until then the teacher sees none of their data.
+ */
+router.post('/:classId/students', verifyToken, verifyTeacher, async (req, res) => {
+  try {
+    const classroom = await findTaughtClass(req, res);
+    if (!classroom) return;
+
+    const { email, userId } = req.body;
+    if (!email && !userId) {
+      return res.status(400).json({ success: false, error: 'email or userId is required' });
+    }
+
+    const student = await User.findOne(userId ? { firebaseId: userId } : { email: String(email).toLowerCase().trim() })
+      .select('firebaseId name email');
+    if (!student) {
+      return res.status(404).json({ success: false, error: 'No user found with this email or ID' });
+    }
+
+    if (classroom.isTeacher(student.firebaseId)) {
+      return res.status(400).json({ success: false, error: 'Teachers cannot be invited to their own class' });
+    }
+
+    if (classroom.inviteStudent(student, req.user.uid) === 'active') {
+      return res.status(409).json({ success: false, error: 'This student is already in the class' });
+    }
+    await classroom.save();
+
+    res.json({
+      success: true,
+      data: classroom.students.find(s => s.userId === student.firebaseId),
+      message: `✅ Invitation sent to ${student.name || student.email}`
+    });
+
+  } catch (error) {
+    console.error('❌ Error inviting student:', error);
+    res.status(500).json({ success: false, error: 'Error inviting student' });
+  }
+});
+
+/**
+ * DELETE /api/classes/:classId/students/:studentId
+ * Remove a student from the roster or withdraw their invitation
+ */
+router.delete('/:classId/students/:studentId', verifyToken, verifyTeacher, async (req, res) => {
+  try {
+    const classroom = await findTaughtClass(req, res);
+    if (!classroom) return;
+
+    if (!classroom.removeStudent(req.params.studentId)) {
+      return res.status(404).json({ success: false, error: 'Student not in this class' });
+    }
+    await classroom.save();
+
+    res.json({ success: true, message: '✅ Student removed' });
+
+  } catch (error) {
+    console.error('❌ Error removing student:', error);
+    res.status(500).json({ success: false, error: 'Error removing student' });
+  }
+});
+
+/**
+ * GET /api/classes/:classId/assignments
+ * Active assignments (teachers and enrolled students)
+ */
+router.get('/:classId/assignments', verifyToken, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.classId)) {
+      return res.status(400).json({ success: false, error: 'Invalid class ID' });
+    }
+
+    const classroom = await Classroom.findById(req.params.classId);
+    if (!classroom) {
+      return res.status(404).json({ success: false, error: 'Class not found' });
+    }
+
+    const isTeacher = classroom.isTeacher(req.user.uid);
+    if (!isTeacher && !classroom.hasStudent(req.user.uid)) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+
+    const filter = { classId: classroom._id, isActive: true };
+    // Students only see assignments once they open
+    if (!isTeacher) filter.availableFrom = { $lte: new Date() };
+
+    const assignments = await ClassAssignment.find(filter).sort({ dueDate: 1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: assignments.map(a => a.toObject({ virtuals: true })),
+      count: assignments.length
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching assignments:', error);
+    res.status(500).json({ success: false, error: 'Error fetching assignments' });
+  }
+});
+
+/**
+ * POST /api/classes/:classId/assignments
+ * Assign homework, a test or a lesson to the class
+ * Body: { type: homework|test|lesson, itemId, dueDate?, availableFrom?, instructions?, weight?, allowLateSubmissions? }
+ */
+router.post('/:classId/assignments', verifyToken, verifyTeacher, async (req, res) => {
+  try {
+    const classroom = await findTaughtClass(req, res);
+    if (!classroom) return;
+
+    const { type, itemId } = req.body;
+    const source = ITEM_SOURCES[type];
+    if (!source) {
+      return res.status(400).json({ success: false, error: 'type must be one of: homework, test, lesson' });
+    }
+    if (!isValidObjectId(itemId)) {
+      return res.status(400).json({ success: false, error: 'Invalid itemId' });
+    }
+
+    const item = await source.model.findById(itemId).select(source.titleField);
+    if (!item) {
+      return res.status(404).json({ success: false, error: `${type} not found` });
+    }
+
+    const fields = pickFields(req.body, ASSIGNMENT_FIELDS);
+    if (fields.dueDate && fields.availableFrom && new Date(fields.dueDate) < new Date(fields.availableFrom)) {
+      return res.status(400).json({ success: false, error: 'dueDate must be after availableFrom' });
+    }
+
+    const assignment = await ClassAssignment.create({
+      ...fields,
+      classId: classroom._id,
+      type,
+      itemId,
+      title: fields.title || item[source.titleField],
+      assignedBy: req.user.uid
+    });
+
+    res.status(201).json({
+      success: true,
+      data: assignment,
+      message: '✅ Assignment created'
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error('❌ Error creating assignment:', error);
+    res.status(500).json({ success: false, error: 'Error creating assignment' });
+  }
+});
+
+/**
+ * PUT /api/classes/:classId/assignments/:assignmentId
+ * Update due dates, instructions or weight
+ */
+router.put('/:classId/assignments/:assignmentId', verifyToken, verifyTeacher, async (req, res) => {
+  try {
+    const classroom = await findTaughtClass(req, res);
+    if (!classroom) return;
+
+    if (!isValidObjectId(req.params.assignmentId)) {
+      return res.status(400).json({ success: false, error: 'Invalid assignment ID' });
+    }
+
+    const assignment = await ClassAssignment.findOne({ _id: req.params.assignmentId, classId: classroom._id });
+    if (!assignment) {
+      return res.status(404).json({ success: false, error: 'Assignment not found' });
+    }
+
+    Object.assign(assignment, pickFields(req.body, ASSIGNMENT_FIELDS));
+    if (assignment.dueDate && assignment.availableFrom && assignment.dueDate < assignment.availableFrom) {
+      return res.status(400).json({ success: false, error: 'dueDate must be after availableFrom' });
+    }
+    await assignment.save();
+
+    res.json({ success: true, data: assignment, message: '✅ Assignment updated' });
+
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error('❌ Error updating assignment:', error);
+    res.status(500).json({ success: false, error: 'Error updating assignment' });
+  }
+});
+
+/**
+ * DELETE /api/classes/:classId/assignments/:assignmentId
+ * Remove an assignment from the class (student results are kept)
+ */
+router.delete('/:classId/assignments/:assignmentId', verifyToken, verifyTeacher, async (req, res) => {
+  try {
+    const classroom = await findTaughtClass(req, res);
+    if (!classroom) return;
+
+    if (!isValidObjectId(req.params.assignmentId)) {
+      return res.status(400).json({ success: false, error: 'Invalid assignment ID' });
+    }
+
+    const assignment = await ClassAssignment.findOneAndUpdate(
+      { _id: req.params.assignmentId, classId: classroom._id },
+      { $set: { isActive: false } },
+      { new: true }
+    );
+    if (!assignment) {
+      return res.status(404).json({ success: false, error: 'Assignment not found' });
+    }
+
+    res.json({ success: true, message: '✅ Assignment removed' });
+
+  } catch (error) {
+    console.error('❌ Error removing assignment:', error);
+    res.status(500).json({ success: false, error: 'Error removing assignment' });
+  }
+});
+
+/**
+ * GET /api/classes/:classId/gradebook
+ * Per-student results for every active assignment. Query: format=csv
+ */
+router.get('/:classId/gradebook', verifyToken, verifyTeacher, async (req, res) => {
+  try {
+    const classroom = await findTaughtClass(req, res);
+    if (!classroom) return;
+
+    const assignments = await ClassAssignment.find({ classId: classroom._id, isActive: true })
+      .sort({ dueDate: 1, createdAt: 1 });
+    const gradebook = await buildGradebook(classroom, assignments);
+
+    if (req.query.format === 'csv') {
+      const filename = `${classroom.name.replace(/[^\w-]+/g, '_')}-gradebook.csv`;
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      // BOM so Excel opens Cyrillic names correctly
+      return res.send('\uFEFF' + gradebookToCsv(gradebook));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        class: summarizeClass(classroom),
+        ...gradebook
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error building gradebook:', error);
+    res.status(500).json({ success: false, error: 'Error building gradebook' });
+  }
+});
+
+module.exports = router;
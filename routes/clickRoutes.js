@@ -0,0 +1,17 @@
+// routes/clickRoutes.js - Click SHOP API callbacks (no user auth: requests are signed, see controllers/clickController.js)
+const express = require('express');
+const router = express.Router();
+
+const { handlePrepare, handleComplete } = require('../controllers/clickController');
+
+/**
+ * POST /api/payments/click/prepare
+ */
+router.post('/prepare', handlePrepare);
+
+/**
+ * POST /api/payments/click/complete
+ */
+router.post('/complete', handleComplete);
+
+module.exports = router;
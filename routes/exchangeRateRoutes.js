@@ -1,9 +1,11 @@
 // routes/exchangeRateRoutes.js
 const express = require('express');
 const router = express.Router();
-const { getExchangeRate } = require('../controllers/exchangeRateController');
+const { getExchangeRate, getExchangeRateHistory, getRegionalPrices } = require('../controllers/exchangeRateController');
 
-// Public endpoint - no auth required (cached, rate-limited by default Express settings)
+// Public endpoints - no auth required (cached, rate-limited by default Express settings)
 router.get('/', getExchangeRate);
+router.get('/history', getExchangeRateHistory);
+router.get('/prices', getRegionalPrices);
 
 module.exports = router;
@@ -8,9 +8,21 @@ const HomeworkProgress = require('../models/homeworkProgress');
 const Lesson = require('../models/lesson');
 const User = require('../models/user');
 const UserProgress = require('../models/userProgress');
+const Classroom = require('../models/classroom');
+const ClassAssignment = require('../models/classAssignment');
 
 // Import middleware
 const verifyToken = require('../middlewares/authMiddleware');
+const { verifyTeacher } = require('../middlewares/authMiddleware');
+
+// Import services
+const {
+  hasRubric,
+  normalizeRubric,
+  gradeRubricAnswers,
+  scoreAnswers,
+  applyTeacherReview
+} = require('../services/essayGradingService');
 
 // ========================================
 // 🔧 MIDDLEWARE FUNCTIONS
@@ -144,7 +156,8 @@ router.post('/', verifyToken, async (req, res) => {
           options: [],
           difficulty: exercise.difficulty || 1,
           category: exercise.category || '',
-          tags: exercise.tags || []
+          tags: exercise.tags || [],
+          rubric: normalizeRubric(exercise.rubric)
         };
         
         // Process options for multiple choice questions
@@ -236,7 +249,8 @@ router.put('/:id', verifyToken, validateObjectId, async (req, res) => {
             options: [],
             difficulty: exercise.difficulty || 1,
             category: exercise.category || '',
-            tags: exercise.tags || []
+            tags: exercise.tags || [],
+            rubric: normalizeRubric(exercise.rubric)
           };
           
           // Process options
@@ -820,18 +834,18 @@ router.post('/user/:firebaseId/homework/:homeworkId/submit', verifyToken, valida
       };
     });
 
-    // Calculate score
+    // Essay/text exercises with a rubric: AI draft grade, final after teacher review
+    const { needsReview } = await gradeRubricAnswers(gradedAnswers, homework.exercises, {
+      subject: homework.subject,
+      level: homework.level,
+      userId: firebaseId
+    });
+
+    // Calculate score and stars (rubric answers earn partial credit)
     const totalQuestions = gradedAnswers.length;
-    const correctAnswers = gradedAnswers.filter(a => a.isCorrect).length;
     const totalPoints = gradedAnswers.reduce((sum, a) => sum + a.points, 0);
     const maxPoints = homework.exercises.reduce((sum, ex) => sum + (ex.points || 1), 0);
-    const score = totalQuestions > 0 ? Math.round((correctAnswers / totalQuestions) * 100) : 0;
-    
-    // Calculate stars
-    let stars = 0;
-    if (score >= 90) stars = 3;
-    else if (score >= 70) stars = 2;
-    else if (score >= 50) stars = 1;
+    const { score, stars, correctAnswers } = scoreAnswers(gradedAnswers);
 
   
 
@@ -850,6 +864,9 @@ router.post('/user/:firebaseId/homework/:homeworkId/submit', verifyToken, valida
         type: 'standalone',
         homeworkTitle: homework.title
       },
+      review: needsReview
+        ? { status: 'pending', requestedAt: new Date(), completedAt: null, reviewedBy: null }
+        : { status: 'not_required' },
       submittedAt: new Date(),
       updatedAt: new Date()
     };
@@ -871,9 +888,12 @@ router.post('/user/:firebaseId/homework/:homeworkId/submit', verifyToken, valida
         correctAnswers,
         totalQuestions,
         stars,
+        gradeStatus: needsReview ? 'pending_review' : 'final',
         details: `${correctAnswers}/${totalQuestions} correct (${score}%)`
       },
-      message: '✅ Homework submitted successfully'
+      message: needsReview
+        ? '✅ Homework submitted. Written answers were pre-graded and are waiting for teacher review'
+        : '✅ Homework submitted successfully'
     });
     
   } catch (error) {
@@ -1014,15 +1034,12 @@ router.post('/user/:firebaseId/lesson/:lessonId/submit', verifyToken, validateFi
       };
     });
 
-    // Calculate score and stars
+    // Essay/text questions with a rubric: AI draft grade, final after teacher review
+    const { needsReview } = await gradeRubricAnswers(gradedAnswers, lesson.homework, { userId: firebaseId });
+
+    // Calculate score and stars (rubric answers earn partial credit)
     const totalQuestions = gradedAnswers.length;
-    const correctAnswers = gradedAnswers.filter(a => a.isCorrect).length;
-    const score = totalQuestions > 0 ? Math.round((correctAnswers / totalQuestions) * 100) : 0;
-    
-    let stars = 0;
-    if (score >= 90) stars = 3;
-    else if (score >= 70) stars = 2;
-    else if (score >= 50) stars = 1;
+    const { score, stars, correctAnswers } = scoreAnswers(gradedAnswers);
 
     // Update homework progress
     const homework = await HomeworkProgress.findOneAndUpdate(
@@ -1032,6 +1049,9 @@ router.post('/user/:firebaseId/lesson/:lessonId/submit', verifyToken, validateFi
         completed: true,
         score,
         stars,
+        review: needsReview
+          ? { status: 'pending', requestedAt: new Date(), completedAt: null, reviewedBy: null }
+          : { status: 'not_required' },
         submittedAt: new Date(),
         updatedAt: new Date()
       },
@@ -1063,6 +1083,7 @@ router.post('/user/:firebaseId/lesson/:lessonId/submit', verifyToken, validateFi
         stars,
         totalQuestions,
         correctAnswers,
+        gradeStatus: needsReview ? 'pending_review' : 'final',
         details: `${correctAnswers}/${totalQuestions} correct (${score}%)`
       }
     });
@@ -1078,6 +1099,242 @@ router.post('/user/:firebaseId/lesson/:lessonId/submit', verifyToken, validateFi
   }
 });
 
+// ========================================
+// 👩‍🏫 TEACHER REVIEW QUEUE - Rubric-graded answers
+// ========================================
+
+// Submissions a teacher may review: homework or lessons they created, or
+// homework and lessons assigned to one of their classes (for students on that
+// class roster). Lesson homework is stored with lessonId instead of homeworkId.
+// Admins see all.
+async function getReviewScope(req) {
+  if (req.isAdmin) return {};
+
+  const uid = req.user.uid;
+  const teacher = await User.findOne({ firebaseId: uid }).select('_id');
+  const [createdIds, createdLessonIds, classes] = await Promise.all([
+    Homework.find({ createdBy: uid }).distinct('_id'),
+    teacher ? Lesson.find({ createdBy: teacher._id }).distinct('_id') : [],
+    Classroom.findForTeacher(uid)
+  ]);
+
+  const scope = [{ homeworkId: { $in: createdIds } }];
+  if (createdLessonIds.length > 0) {
+    scope.push({ lessonId: { $in: createdLessonIds } });
+  }
+  for (const classroom of classes) {
+    const studentIds = classroom.students.filter(s => s.status === 'active').map(s => s.userId);
+    if (studentIds.length === 0) continue;
+
+    const assigned = await ClassAssignment.find({ classId: classroom._id, type: { $in: ['homework', 'lesson'] } })
+      .select('type itemId');
+    const homeworkIds = assigned.filter(a => a.type === 'homework').map(a => a.itemId);
+    const lessonIds = assigned.filter(a => a.type === 'lesson').map(a => a.itemId);
+    if (homeworkIds.length > 0) {
+      scope.push({ homeworkId: { $in: homeworkIds }, userId: { $in: studentIds } });
+    }
+    if (lessonIds.length > 0) {
+      scope.push({ lessonId: { $in: lessonIds }, userId: { $in: studentIds } });
+    }
+  }
+  return { $or: scope };
+}
+
+// Exercises for a progress record (standalone homework or lesson homework)
+async function loadExercises(progress) {
+  if (progress.homeworkId) {
+    const homework = await Homework.findById(progress.homeworkId).select('title subject level exercises');
+    return homework ? { title: homework.title, exercises: homework.exercises } : null;
+  }
+  const lesson = await Lesson.findById(progress.lessonId).select('homework lessonName title');
+  return lesson && lesson.homework ? { title: lesson.lessonName || lesson.title, exercises: lesson.homework } : null;
+}
+
+// GET submissions waiting for teacher review (oldest first)
+router.get('/review/queue', verifyToken, verifyTeacher, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const filter = { 'review.status': 'pending', ...(await getReviewScope(req)) };
+    if (req.query.homeworkId && mongoose.Types.ObjectId.isValid(req.query.homeworkId)) {
+      filter.homeworkId = req.query.homeworkId;
+    }
+    if (req.query.lessonId && mongoose.Types.ObjectId.isValid(req.query.lessonId)) {
+      filter.lessonId = req.query.lessonId;
+    }
+
+    const [items, total] = await Promise.all([
+      HomeworkProgress.find(filter)
+        .select('userId homeworkId lessonId score submittedAt review metadata answers.questionIndex answers.type answers.rubricGrading.status answers.credit')
+        .populate('homeworkId', 'title subject level')
+        .populate('lessonId', 'lessonName title')
+        .sort({ submittedAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      HomeworkProgress.countDocuments(filter)
+    ]);
+
+    const students = await User.find({ firebaseId: { $in: [...new Set(items.map(i => i.userId))] } }).select('firebaseId name email');
+    const studentById = new Map(students.map(s => [s.firebaseId, s]));
+
+    res.json({
+      success: true,
+      data: items.map(item => {
+        const rubricAnswers = item.answers.filter(a => a.type === 'rubric');
+        return {
+          progressId: item._id,
+          student: {
+            userId: item.userId,
+            name: studentById.get(item.userId)?.name,
+            email: studentById.get(item.userId)?.email
+          },
+          homework: item.homeworkId
+            ? { id: item.homeworkId._id, title: item.homeworkId.title, subject: item.homeworkId.subject }
+            : { lessonId: item.lessonId?._id, title: item.lessonId?.lessonName || item.lessonId?.title },
+          provisionalScore: item.score,
+          rubricAnswers: rubricAnswers.length,
+          aiFailures: rubricAnswers.filter(a => a.rubricGrading?.status === 'failed').length,
+          submittedAt: item.submittedAt
+        };
+      }),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching review queue:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch review queue',
+      details: error.message
+    });
+  }
+});
+
+// GET one submission with exercises, rubrics and AI grading
+router.get('/review/:progressId', verifyToken, verifyTeacher, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.progressId)) {
+      return res.status(400).json({ success: false, error: '❌ Invalid ObjectId format' });
+    }
+
+    const progress = await HomeworkProgress.findOne({ _id: req.params.progressId, ...(await getReviewScope(req)) });
+    if (!progress) {
+      return res.status(404).json({ success: false, error: 'Submission not found' });
+    }
+
+    const source = await loadExercises(progress);
+    const student = await User.findOne({ firebaseId: progress.userId }).select('firebaseId name email');
+
+    res.json({
+      success: true,
+      data: {
+        progressId: progress._id,
+        student: student ? { userId: student.firebaseId, name: student.name, email: student.email } : { userId: progress.userId },
+        title: source?.title,
+        score: progress.score,
+        review: progress.review,
+        submittedAt: progress.submittedAt,
+        answers: progress.answers.map(answer => {
+          const exercise = source?.exercises?.[answer.questionIndex];
+          return {
+            questionIndex: answer.questionIndex,
+            question: exercise?.question,
+            instruction: exercise?.instruction,
+            rubric: hasRubric(exercise) ? exercise.rubric : undefined,
+            userAnswer: answer.userAnswer,
+            type: answer.type,
+            isCorrect: answer.isCorrect,
+            points: answer.points,
+            credit: answer.credit,
+            rubricGrading: answer.rubricGrading
+          };
+        })
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching submission for review:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch submission',
+      details: error.message
+    });
+  }
+});
+
+// POST approve or override the rubric grades and make the grade final
+// Body: { answers?: [{ questionIndex, criteria?: [{ key, score, feedback? }], teacherComment? }] }
+// Rubric answers not listed are approved as graded by the AI.
+router.post('/review/:progressId', verifyToken, verifyTeacher, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.progressId)) {
+      return res.status(400).json({ success: false, error: '❌ Invalid ObjectId format' });
+    }
+
+    const progress = await HomeworkProgress.findOne({ _id: req.params.progressId, ...(await getReviewScope(req)) });
+    if (!progress) {
+      return res.status(404).json({ success: false, error: 'Submission not found' });
+    }
+    if (progress.review?.status !== 'pending') {
+      return res.status(400).json({ success: false, error: 'Submission is not waiting for review' });
+    }
+
+    const source = await loadExercises(progress);
+    if (!source) {
+      return res.status(404).json({ success: false, error: 'Homework not found' });
+    }
+
+    const reviews = Array.isArray(req.body.answers) ? req.body.answers : [];
+    for (const answer of progress.answers) {
+      if (answer.type !== 'rubric') continue;
+      const exercise = source.exercises[answer.questionIndex];
+      if (!hasRubric(exercise)) continue;
+
+      const review = reviews.find(r => Number(r.questionIndex) === answer.questionIndex) || {};
+      applyTeacherReview(answer, exercise, review, req.user.uid);
+    }
+
+    const { score, stars, correctAnswers } = scoreAnswers(progress.answers);
+    progress.score = score;
+    progress.stars = stars;
+    progress.totalPoints = progress.answers.reduce((sum, a) => sum + (a.points || 0), 0);
+    progress.review.status = 'completed';
+    progress.review.completedAt = new Date();
+    progress.review.reviewedBy = req.user.uid;
+    progress.markModified('answers');
+    await progress.save();
+
+    if (progress.lessonId) {
+      await UserProgress.findOneAndUpdate(
+        { userId: progress.userId, lessonId: progress.lessonId },
+        { homeworkScore: score, updatedAt: new Date() },
+        { upsert: false }
+      );
+    }
+
+    res.json({
+      success: true,
+      data: {
+        progress,
+        score,
+        stars,
+        correctAnswers,
+        gradeStatus: 'final'
+      },
+      message: '✅ Review saved, grade is final'
+    });
+
+  } catch (error) {
+    console.error('❌ Error saving homework review:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save review',
+      details: error.message
+    });
+  }
+});
+
 // ========================================
 // 🧹 CLEANUP & UTILITY ROUTES
 // ========================================
@@ -8,7 +8,10 @@ const PlacementTest = require('../models/placementTest');
 const UserProgress = require('../models/userProgress');
 const Question = require('../models/question');
 const verifyToken = require('../middlewares/authMiddleware');
-const { LEARNING_MODES, MODE_LABELS, SCHOOL_SETTINGS } = require('../constants/learningModes');
+const { verifyAdmin } = require('../middlewares/authMiddleware');
+const { analyzeQuestionBank, runQualityAnalysis } = require('../services/questionQuality');
+const { issueLevelCertificate, getVerificationUrl } = require('../services/certificateService');
+const { LEARNING_MODES, MODE_LABELS, SCHOOL_SETTINGS, PLACEMENT_TEST_CONFIG } = require('../constants/learningModes');
 const platformSettings = require('../config/platformSettings');
 
 // ========================================
@@ -130,7 +133,6 @@ router.post('/placement-test/:userId/start', verifyToken, async (req, res) => {
         const { subject } = req.body;
 
         // Validate subject
-        const { PLACEMENT_TEST_CONFIG } = require('../constants/learningModes');
         if (!subject || !PLACEMENT_TEST_CONFIG.SUBJECTS.includes(subject)) {
             return res.status(400).json({
                 error: 'Invalid subject',
@@ -152,18 +154,12 @@ router.post('/placement-test/:userId/start', verifyToken, async (req, res) => {
             }
         });
 
-        // Get first question (difficulty 1 - start easy!)
-        const firstQuestion = await getAdaptiveQuestion(1, subject);
+        // First question: most informative item just below average ability
+        const firstQuestion = await Question.getMostInformativeQuestion(subject, PLACEMENT_TEST_CONFIG.STARTING_ABILITY)
+            || await getAdaptiveQuestion(1, subject);
 
         // Store first question in test (with correctAnswer for server-side tracking)
-        test.questions.push({
-            questionId: firstQuestion._id,
-            subject: subject,
-            difficulty: 1, // Start easy!
-            questionText: firstQuestion.questionText,
-            options: firstQuestion.options,
-            correctAnswer: firstQuestion.correctAnswer
-        });
+        test.questions.push(buildPlacementQuestion(firstQuestion, subject));
 
         await test.save();
 
@@ -237,57 +233,36 @@ router.post('/placement-test/:testId/answer', verifyToken, async (req, res) => {
             // Non-critical, continue
         }
 
-        // Check if test complete
-        if (test.questions.length >= test.config.totalQuestions) {
-            const results = test.analyzeResults();
-            test.results = results;
-            test.status = 'completed';
-            test.completedAt = new Date();
-            await test.save();
-
-            // Update user profile
-            const user = await User.findOne({ firebaseId: test.userId });
-            await user.recordPlacementTest({
-                overallScore: results.overallScore,
-                levelAssigned: results.recommendedLevel,
-                percentile: results.percentile,
-                subjects: results.subjectScores
-            });
+        // Update the subject's ability estimate and check the per-subject stopping rule
+        const { stop, reason, ability, subjects, pendingSubjects } = test.checkStoppingRule();
+        const answeredSubject = subjects.find(s => s.subject === currentQuestion.subject);
+        currentQuestion.abilityAfter = (answeredSubject?.ability || ability).theta;
+        currentQuestion.standardErrorAfter = (answeredSubject?.ability || ability).standardError;
 
-            return res.json({
-                success: true,
-                testComplete: true,
-                results: {
-                    overallScore: results.overallScore,
-                    percentile: results.percentile,
-                    recommendedLevel: results.recommendedLevel,
-                    confidence: results.confidenceScore,
-                    subjectScores: results.subjectScores
-                }
-            });
+        if (stop) {
+            return res.json(await completePlacementTest(test, reason));
         }
 
-        // Get next question based on performance
-        const nextDifficulty = test.getNextQuestion(currentQuestion.isCorrect);
-        const nextSubject = test.config.subjects[test.questions.length % test.config.subjects.length];
-
-        // Get list of already asked question IDs to avoid repeats
+        // Next question: the least measured unfinished subject, maximum
+        // information at that subject's ability estimate
         const askedQuestionIds = test.questions.map(q => q.questionId);
-        const nextQuestion = await getAdaptiveQuestion(nextDifficulty, nextSubject, askedQuestionIds);
+        let nextSubject = null;
+        let nextQuestion = null;
+        for (const subject of pendingSubjects) {
+            const { theta } = subjects.find(s => s.subject === subject).ability;
+            nextQuestion = await Question.getMostInformativeQuestion(subject, theta, askedQuestionIds);
+            if (nextQuestion) {
+                nextSubject = subject;
+                break;
+            }
+        }
 
         if (!nextQuestion) {
-            throw new Error('No more questions available');
+            return res.json(await completePlacementTest(test, 'item_pool_exhausted'));
         }
 
         // Store question with correctAnswer for backend tracking
-        test.questions.push({
-            questionId: nextQuestion._id,
-            subject: nextSubject,
-            difficulty: nextDifficulty,
-            questionText: nextQuestion.questionText,
-            options: nextQuestion.options,
-            correctAnswer: nextQuestion.correctAnswer
-        });
+        test.questions.push(buildPlacementQuestion(nextQuestion, nextSubject));
 
         await test.save();
 
@@ -302,7 +277,11 @@ router.post('/placement-test/:testId/answer', verifyToken, async (req, res) => {
             },
             questionNumber: test.questions.length,
             totalQuestions: test.config.totalQuestions,
-            progress: (test.questions.length / test.config.totalQuestions) * 100
+            progress: (test.questions.length / test.config.totalQuestions) * 100,
+            currentEstimate: {
+                ability: ability.theta,
+                standardError: ability.standardError
+            }
         });
 
     } catch (error) {
@@ -328,9 +307,29 @@ router.get('/placement-test/:userId/results', verifyToken, async (req, res) => {
             });
         }
 
+        const results = user.schoolProfile.placementTestResults || {};
+
+        // Ability per subject with 95% confidence interval (IRT-scored tests only)
+        const abilityEstimates = (results.subjects || [])
+            .filter(s => typeof s.ability === 'number')
+            .map(s => ({
+                subject: s.subject,
+                ability: s.ability,
+                standardError: s.standardError,
+                confidenceInterval: {
+                    level: 0.95,
+                    lower: s.ciLower,
+                    upper: s.ciUpper
+                },
+                level: s.level,
+                levelRange: s.levelRange,
+                questionsAnswered: s.questionsAnswered
+            }));
+
         res.json({
             success: true,
-            results: user.schoolProfile.placementTestResults,
+            results,
+            abilityEstimates,
             currentLevel: user.schoolProfile.currentLevelCap,
             currentGrade: user.schoolProfile.currentGrade,
             testDate: user.schoolProfile.placementTestDate
@@ -345,6 +344,88 @@ router.get('/placement-test/:userId/results', verifyToken, async (req, res) => {
     }
 });
 
+/**
+ * POST /api/learning-mode/admin/question-quality/run
+ * Run item analysis on the placement question pool and store the results
+ * Body: { subject?, since?, includeInactive? }
+ */
+router.post('/admin/question-quality/run', verifyToken, verifyAdmin, async (req, res) => {
+    try {
+        const { subject, since, includeInactive } = req.body;
+        const report = await runQualityAnalysis({
+            subject,
+            since: since ? new Date(since) : undefined,
+            includeInactive: includeInactive === true
+        });
+
+        res.json({
+            success: true,
+            summary: report.summary,
+            updated: report.updated,
+            recalibrated: report.recalibrated,
+            message: `✅ Analysed ${report.summary.analyzed} of ${report.summary.totalQuestions} questions`
+        });
+
+    } catch (error) {
+        console.error('❌ Error running question quality analysis:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to run question quality analysis',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/learning-mode/admin/question-quality
+ * Stored item analysis, worst items first
+ * Query: subject, recommendation (ok|review|retire|insufficient_data), flag, live=true
+ * live=true recomputes the report (including distractor and timing detail) without saving it
+ */
+router.get('/admin/question-quality', verifyToken, verifyAdmin, async (req, res) => {
+    try {
+        const { subject, recommendation, flag, live } = req.query;
+
+        if (live === 'true') {
+            const report = await analyzeQuestionBank({ subject });
+            const items = report.items.filter(item =>
+                (!recommendation || item.recommendation === recommendation) &&
+                (!flag || item.flags.includes(flag))
+            );
+            return res.json({ success: true, summary: report.summary, items });
+        }
+
+        const filter = { 'quality.analyzedAt': { $exists: true } };
+        if (subject) filter.subject = subject;
+        if (recommendation) filter['quality.recommendation'] = recommendation;
+        if (flag) filter['quality.flags'] = flag;
+
+        const questions = await Question.find(filter)
+            .select('subject questionType questionText difficulty isActive totalAttempts irt quality')
+            .lean();
+
+        const severity = { retire: 0, review: 1, insufficient_data: 2, ok: 3 };
+        questions.sort((a, b) =>
+            severity[a.quality.recommendation] - severity[b.quality.recommendation] ||
+            b.quality.flags.length - a.quality.flags.length
+        );
+
+        res.json({
+            success: true,
+            count: questions.length,
+            items: questions
+        });
+
+    } catch (error) {
+        console.error('❌ Error fetching question quality report:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch question quality report',
+            message: error.message
+        });
+    }
+});
+
 // ========================================
 // 🏫 SCHOOL MODE SPECIFIC ROUTES
 // ========================================
@@ -392,11 +473,21 @@ router.get('/school/:userId/curriculum', verifyToken, async (req, res) => {
 
 /**
  * POST /api/learning-mode/school/:userId/complete-level
- * Mark a level as completed and unlock next level
+ * Mark a level as completed and unlock next level.
+ * The score is computed from the learner's stored lesson progress, never taken
+ * from the request, because it goes on a signed certificate.
  */
 router.post('/school/:userId/complete-level', verifyToken, async (req, res) => {
     try {
-        const { level, score, certificate } = req.body;
+        if (req.user?.uid !== req.params.userId) {
+            return res.status(403).json({ error: 'Access denied: user mismatch' });
+        }
+
+        const level = parseInt(req.body.level, 10);
+        if (!Number.isInteger(level) || level < 1) {
+            return res.status(400).json({ error: 'A valid level is required' });
+        }
+
         const user = await User.findOne({ firebaseId: req.params.userId });
 
         if (!user) {
@@ -419,6 +510,7 @@ router.post('/school/:userId/complete-level', verifyToken, async (req, res) => {
         }
 
         // Check minimum passing score
+        const { score } = levelRequirements;
         if (score < user.schoolProfile.minPassingScore) {
             return res.status(400).json({
                 error: 'Score below passing threshold',
@@ -427,8 +519,23 @@ router.post('/school/:userId/complete-level', verifyToken, async (req, res) => {
             });
         }
 
+        // Issue the certificate server-side when the score qualifies
+        let certificate = null;
+        try {
+            const issued = await issueLevelCertificate(user, level, score);
+            if (issued) {
+                certificate = {
+                    serial: issued.serial,
+                    verificationUrl: getVerificationUrl(issued.serial)
+                };
+            }
+        } catch (err) {
+            console.error('Error issuing level certificate:', err);
+            // Non-critical, the learner can still progress
+        }
+
         // Mark level as completed
-        await user.completeLevel(level, score, certificate);
+        await user.completeLevel(level, score, certificate ? certificate.verificationUrl : null);
 
         // Generate achievement
         const achievement = {
@@ -762,33 +869,39 @@ async function generateCurriculum(currentLevel, curriculumType = 'standard') {
 }
 
 /**
- * Check if level requirements are met
+ * Check if level requirements are met.
+ * The level score is the average accuracy of the completed lessons of that level.
  */
 async function checkLevelRequirements(user, level) {
     try {
         const requiredCourses = user.schoolProfile.requiredCoursesPerLevel || 5;
 
         // Get completed lessons for this level
-        const completedLessons = await UserProgress.countDocuments({
+        const completedLessons = await UserProgress.find({
             userId: user.firebaseId,
             completed: true,
             lessonId: {
                 $in: await Lesson.find({ level }).distinct('_id')
             }
-        });
+        }).select('accuracy').lean();
 
-        const met = completedLessons >= requiredCourses;
+        const completed = completedLessons.length;
+        const met = completed >= requiredCourses;
+        const score = completed > 0
+            ? Math.round(completedLessons.reduce((sum, p) => sum + (p.accuracy || 0), 0) / completed)
+            : 0;
 
         return {
             met,
             required: requiredCourses,
-            completed: completedLessons,
-            missing: met ? 0 : requiredCourses - completedLessons
+            completed,
+            missing: met ? 0 : requiredCourses - completed,
+            score
         };
 
     } catch (error) {
         console.error('Error checking requirements:', error);
-        return { met: false, required: 5, completed: 0, missing: 5 };
+        return { met: false, required: 5, completed: 0, missing: 5, score: 0 };
     }
 }
 
@@ -830,6 +943,65 @@ async function getAdaptiveQuestion(difficulty, subject, excludeIds = []) {
     }
 }
 
+/**
+ * Build a placement test question entry, keeping the IRT parameters used to score it
+ */
+function buildPlacementQuestion(question, subject) {
+    const { a, b } = question.getIrtParameters();
+    return {
+        questionId: question._id,
+        subject,
+        difficulty: question.difficulty,
+        questionText: question.questionText,
+        options: question.options,
+        correctAnswer: question.correctAnswer,
+        irtDiscrimination: a,
+        irtDifficulty: b
+    };
+}
+
+/**
+ * Score a finished placement test, save it and update the user's school profile
+ */
+async function completePlacementTest(test, stopReason) {
+    const results = test.analyzeResults();
+    results.stopReason = stopReason;
+    test.results = results;
+    test.status = 'completed';
+    test.completedAt = new Date();
+    await test.save();
+
+    const ability = test.estimateAbility();
+
+    // Update user profile
+    const user = await User.findOne({ firebaseId: test.userId });
+    await user.recordPlacementTest({
+        overallScore: results.overallScore,
+        levelAssigned: results.recommendedLevel,
+        percentile: results.percentile,
+        subjects: results.subjectScores,
+        ability: ability.theta,
+        standardError: ability.standardError
+    });
+
+    return {
+        success: true,
+        testComplete: true,
+        stopReason,
+        results: {
+            overallScore: results.overallScore,
+            percentile: results.percentile,
+            recommendedLevel: results.recommendedLevel,
+            confidence: results.confidenceScore,
+            ability: ability.theta,
+            standardError: ability.standardError,
+            confidenceInterval: { level: 0.95, lower: ability.ciLower, upper: ability.ciUpper },
+            questionsAnswered: ability.itemsAdministered,
+            subjectScores: results.subjectScores
+        }
+    };
+}
+
 /**
  * Check if an answer is correct
  * @param {Object} question - The question object with correctAnswer
@@ -0,0 +1,225 @@
+// routes/ledgerRoutes.js - Payments ledger and finance reconciliation reports (admin)
+const express = require('express');
+const router = express.Router();
+
+const LedgerEntry = require('../models/ledgerEntry');
+const ReconciliationReport = require('../models/reconciliationReport');
+const verifyToken = require('../middlewares/authMiddleware');
+const { verifyAdmin } = require('../middlewares/authMiddleware');
+const { backfillLedger, getRevenueReport } = require('../services/ledgerService');
+const { runReconciliation } = require('../services/reconciliationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Optional ISO dates from query/body; undefined when missing, null when invalid
+const parseDate = (value) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const parsePeriod = (source, res) => {
+  const from = parseDate(source.from);
+  const to = parseDate(source.to);
+  if (from === null || to === null) {
+    res.status(400).json({ success: false, error: 'from and to must be valid dates' });
+    return null;
+  }
+  if (from && to && from >= to) {
+    res.status(400).json({ success: false, error: 'from must be before to' });
+    return null;
+  }
+  return { from, to };
+};
+
+/**
+ * GET /api/payments/ledger
+ * Journal entries. Query: provider, kind, userId, externalId, from, to, page, limit
+ */
+router.get('/', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const period = parsePeriod(req.query, res);
+    if (!period) return;
+
+    const { provider, kind, userId, externalId } = req.query;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+    const filter = {};
+    if (provider) filter.provider = provider;
+    if (kind) filter.kind = kind;
+    if (userId) filter.userId = userId;
+    if (externalId) filter.externalId = externalId;
+    if (period.from || period.to) {
+      filter.occurredAt = {};
+      if (period.from) filter.occurredAt.$gte = period.from;
+      if (period.to) filter.occurredAt.$lt = period.to;
+    }
+
+    const [entries, total] = await Promise.all([
+      LedgerEntry.find(filter).sort({ occurredAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      LedgerEntry.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching ledger entries:', error);
+    res.status(500).json({ success: false, error: 'Error fetching ledger entries' });
+  }
+});
+
+/**
+ * GET /api/payments/ledger/balances
+ * Debit, credit and balance per account. Query: from, to
+ */
+router.get('/balances', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const period = parsePeriod(req.query, res);
+    if (!period) return;
+
+    const balances = await LedgerEntry.getBalances(period);
+    res.json({ success: true, data: balances });
+
+  } catch (error) {
+    console.error('❌ Error fetching ledger balances:', error);
+    res.status(500).json({ success: false, error: 'Error fetching ledger balances' });
+  }
+});
+
+/**
+ * GET /api/payments/ledger/revenue
+ * Payments, refunds and net revenue per period.
+ * Query: from, to (default: last 30 days), currency (UZS | USD), groupBy (day | month)
+ */
+router.get('/revenue', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const period = parsePeriod(req.query, res);
+    if (!period) return;
+
+    const currency = String(req.query.currency || 'UZS').toUpperCase();
+    const groupBy = req.query.groupBy || 'day';
+    if (!['UZS', 'USD'].includes(currency)) {
+      return res.status(400).json({ success: false, error: 'currency must be UZS or USD' });
+    }
+    if (!['day', 'month'].includes(groupBy)) {
+      return res.status(400).json({ success: false, error: 'groupBy must be day or month' });
+    }
+
+    const to = period.to || new Date();
+    const from = period.from || new Date(to.getTime() - 30 * DAY_MS);
+    const report = await getRevenueReport({ from, to, currency, groupBy });
+    res.json({ success: true, data: { ...report, period: { from, to } } });
+
+  } catch (error) {
+    console.error('❌ Error building revenue report:', error);
+    res.status(500).json({ success: false, error: 'Error building revenue report' });
+  }
+});
+
+/**
+ * POST /api/payments/ledger/backfill
+ * Post entries for existing provider transactions. Body: { from?, to? }
+ */
+router.post('/backfill', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const period = parsePeriod(req.body, res);
+    if (!period) return;
+
+    const stats = await backfillLedger(period);
+    const created = Object.values(stats).reduce((sum, provider) => sum + provider.created, 0);
+    res.json({
+      success: true,
+      data: stats,
+      message: `✅ Ledger backfilled: ${created} entries created`
+    });
+
+  } catch (error) {
+    console.error('❌ Error backfilling ledger:', error);
+    res.status(500).json({ success: false, error: 'Error backfilling ledger' });
+  }
+});
+
+/**
+ * GET /api/payments/ledger/reconciliation
+ * Report list without the issue details. Query: status, page, limit
+ */
+router.get('/reconciliation', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const filter = req.query.status ? { status: req.query.status } : {};
+
+    const [reports, total] = await Promise.all([
+      ReconciliationReport.find(filter)
+        .select('-issues')
+        .sort({ periodStart: -1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      ReconciliationReport.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: reports,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching reconciliation reports:', error);
+    res.status(500).json({ success: false, error: 'Error fetching reconciliation reports' });
+  }
+});
+
+/**
+ * POST /api/payments/ledger/reconciliation/run
+ * Reconcile a period now. Body: { from?, to? } (default: the last 24 hours)
+ */
+router.post('/reconciliation/run', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const period = parsePeriod(req.body, res);
+    if (!period) return;
+
+    const to = period.to || new Date();
+    const from = period.from || new Date(to.getTime() - DAY_MS);
+    if (to - from > 31 * DAY_MS) {
+      return res.status(400).json({ success: false, error: 'Period cannot be longer than 31 days' });
+    }
+
+    const report = await runReconciliation({ from, to, trigger: 'manual', requestedBy: req.user.uid });
+    res.json({
+      success: true,
+      data: report,
+      message: `✅ Reconciliation finished: ${report.status}`
+    });
+
+  } catch (error) {
+    console.error('❌ Error running reconciliation:', error);
+    res.status(500).json({ success: false, error: 'Error running reconciliation' });
+  }
+});
+
+/**
+ * GET /api/payments/ledger/reconciliation/:reportId
+ */
+router.get('/reconciliation/:reportId', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const report = await ReconciliationReport.findById(req.params.reportId).lean().catch(() => null);
+    if (!report) {
+      return res.status(404).json({ success: false, error: 'Report not found' });
+    }
+
+    res.json({ success: true, data: report });
+
+  } catch (error) {
+    console.error('❌ Error fetching reconciliation report:', error);
+    res.status(500).json({ success: false, error: 'Error fetching reconciliation report' });
+  }
+});
+
+module.exports = router;
@@ -481,6 +481,100 @@ router.delete('/variables/:key', (req, res) => {
     });
 });
 
+// ============================================
+// AUTO-RENEW WITH A BOUND CARD
+// ============================================
+
+const { enableAutoRenew, disableAutoRenew, RENEW_DAYS_BEFORE, RENEWABLE_TIERS } = require('../services/autoRenewService');
+
+const formatAutoRenew = (user) => ({
+    enabled: !!user.autoRenew?.enabled,
+    cardToken: user.autoRenew?.cardToken || null,
+    card: (user.savedCards || []).find(c => c.cardToken === user.autoRenew?.cardToken) || null,
+    tierId: user.autoRenew?.tierId || null,
+    nextAttemptAt: user.autoRenew?.enabled ? user.autoRenew.nextAttemptAt : null,
+    attempts: user.autoRenew?.attempts || 0,
+    lastError: user.autoRenew?.lastError || null,
+    lastRenewedAt: user.autoRenew?.lastRenewedAt || null,
+    cancelledAt: user.autoRenew?.cancelledAt || null,
+    cancelReason: user.autoRenew?.cancelReason || null,
+    subscriptionExpiryDate: user.subscriptionExpiryDate,
+    renewDaysBefore: RENEW_DAYS_BEFORE,
+    availableTiers: RENEWABLE_TIERS,
+    savedCards: (user.savedCards || []).map(c => ({
+        cardToken: c.cardToken,
+        cardPan: c.cardPan,
+        ps: c.ps,
+        holderName: c.holderName,
+        addedAt: c.addedAt
+    }))
+});
+
+// Get auto-renew settings and saved cards for the current user
+router.get('/auto-renew', verifyToken, async (req, res) => {
+    try {
+        const user = await User.findOne({ firebaseId: req.user.uid });
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+
+        res.json({ success: true, data: formatAutoRenew(user) });
+    } catch (error) {
+        console.error('❌ Error fetching auto-renew settings:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Enable auto-renew (or change card/tier). Body: { cardToken, tierId? }
+router.post('/auto-renew', verifyToken, async (req, res) => {
+    try {
+        const { cardToken, tierId } = req.body;
+        if (!cardToken) {
+            return res.status(400).json({ success: false, error: 'cardToken is required' });
+        }
+
+        const user = await User.findOne({ firebaseId: req.user.uid });
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+
+        await enableAutoRenew(user, { cardToken, tierId });
+
+        res.json({
+            success: true,
+            data: formatAutoRenew(user),
+            message: '✅ Auto-renew enabled'
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, error: error.message });
+        }
+        console.error('❌ Error enabling auto-renew:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Cancel auto-renew at any time; the current subscription stays active until expiry
+router.delete('/auto-renew', verifyToken, async (req, res) => {
+    try {
+        const user = await User.findOne({ firebaseId: req.user.uid });
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+
+        await disableAutoRenew(user, 'user');
+
+        res.json({
+            success: true,
+            data: formatAutoRenew(user),
+            message: '✅ Auto-renew cancelled'
+        });
+    } catch (error) {
+        console.error('❌ Error cancelling auto-renew:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // ============================================
 // USER TRANSACTION HISTORY
 // ============================================
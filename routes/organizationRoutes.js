@@ -0,0 +1,302 @@
+// routes/organizationRoutes.js - Institutional licences: organisations, seat allocation, invoices, usage reports
+const express = require('express');
+const router = express.Router();
+
+const User = require('../models/user');
+const Organization = require('../models/organization');
+const OrganizationSeat = require('../models/organizationSeat');
+const OrganizationInvoice = require('../models/organizationInvoice');
+const verifyToken = require('../middlewares/authMiddleware');
+const { verifyAdmin } = require('../middlewares/authMiddleware');
+const {
+  getSeatCounts,
+  allocateSeats,
+  reclaimSeat,
+  renderInvoicePdf,
+  createInvoice,
+  markInvoicePaid,
+  cancelInvoice,
+  getUsageReport
+} = require('../services/organizationService');
+const httpError = require('../utils/httpError');
+
+const TYPES = ['school', 'study_centre', 'university', 'company', 'other'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Routes below share one error shape: .status is the client's fault, anything else is a 500
+const handle = (errorLabel, handler) => async (req, res) => {
+  try {
+    await handler(req, res);
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error(`❌ Error ${errorLabel}:`, error);
+    res.status(500).json({ success: false, error: `Error ${errorLabel}` });
+  }
+};
+
+/**
+ * Load :orgId for one of its admins or a platform admin.
+ */
+const requireOrgAdmin = async (req) => {
+  const org = await Organization.findById(req.params.orgId).catch(() => null);
+  if (!org) throw httpError(404, 'Organisation not found');
+  if (org.admins.includes(req.user.uid)) return org;
+
+  const user = await User.findOne({ firebaseId: req.user.uid }).select('role').lean();
+  if (user?.role === 'admin') return org;
+  throw httpError(403, 'Organisation admin access required');
+};
+
+const loadOrg = async (req) => {
+  const org = await Organization.findById(req.params.orgId).catch(() => null);
+  if (!org) throw httpError(404, 'Organisation not found');
+  return org;
+};
+
+/**
+ * Organisation fields from a create/update body; only keys present in the body are returned.
+ */
+const readOrganizationFields = (body) => {
+  const fields = {};
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim()) throw httpError(400, 'name is required');
+    fields.name = body.name.trim();
+  }
+  ['legalName', 'inn', 'address', 'contactName', 'contactEmail', 'contactPhone'].forEach(key => {
+    if (body[key] !== undefined) fields[key] = String(body[key] || '').trim();
+  });
+  if (body.type !== undefined) {
+    if (!TYPES.includes(body.type)) throw httpError(400, `type must be one of: ${TYPES.join(', ')}`);
+    fields.type = body.type;
+  }
+  if (body.status !== undefined) {
+    if (!['active', 'suspended'].includes(body.status)) throw httpError(400, 'status must be active or suspended');
+    fields.status = body.status;
+  }
+  if (body.admins !== undefined) {
+    if (!Array.isArray(body.admins)) throw httpError(400, 'admins must be an array of user ids');
+    fields.admins = [...new Set(body.admins.map(uid => String(uid).trim()).filter(Boolean))];
+  }
+
+  return fields;
+};
+
+// ========================================
+// PLATFORM ADMIN
+// ========================================
+
+/**
+ * POST /api/organizations
+ * Body: { name, legalName?, inn?, address?, type?, contact*?, admins?: [firebaseId] }
+ */
+router.post('/', verifyToken, verifyAdmin, handle('creating organisation', async (req, res) => {
+  const fields = readOrganizationFields(req.body);
+  if (!fields.name) throw httpError(400, 'name is required');
+
+  const org = await Organization.create({ ...fields, createdBy: req.user.uid });
+
+  res.status(201).json({ success: true, data: org, message: '✅ Organisation created' });
+}));
+
+/**
+ * GET /api/organizations
+ * Query: status, search, page, limit
+ */
+router.get('/', verifyToken, verifyAdmin, handle('fetching organisations', async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+  const filter = {};
+  if (req.query.status) filter.status = req.query.status;
+  if (req.query.search) {
+    const pattern = new RegExp(String(req.query.search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    filter.$or = [{ name: pattern }, { legalName: pattern }, { inn: pattern }];
+  }
+
+  const [organizations, total] = await Promise.all([
+    Organization.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+    Organization.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: organizations,
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+  });
+}));
+
+/**
+ * PUT /api/organizations/:orgId
+ */
+router.put('/:orgId', verifyToken, verifyAdmin, handle('updating organisation', async (req, res) => {
+  const org = await loadOrg(req);
+  Object.assign(org, readOrganizationFields(req.body));
+  await org.save();
+
+  res.json({ success: true, data: org, message: '✅ Organisation updated' });
+}));
+
+/**
+ * POST /api/organizations/:orgId/invoices
+ * Issue a pro-forma invoice. Body: { tierId, seats, seatPriceInTiyin?, startsAt?, dueDays?, notes? }
+ */
+router.post('/:orgId/invoices', verifyToken, verifyAdmin, handle('creating invoice', async (req, res) => {
+  const org = await loadOrg(req);
+  const invoice = await createInvoice(org, req.body, req.user.uid);
+
+  const { pdf, ...data } = invoice.toObject();
+  res.status(201).json({ success: true, data, message: `✅ Invoice ${invoice.number} issued` });
+}));
+
+/**
+ * POST /api/organizations/:orgId/invoices/:invoiceId/mark-paid
+ * Record the bank transfer and activate all seats. Body: { paidAt?, reference? }
+ */
+router.post('/:orgId/invoices/:invoiceId/mark-paid', verifyToken, verifyAdmin, handle('marking invoice paid', async (req, res) => {
+  const org = await loadOrg(req);
+  const { invoice, organization, activated } = await markInvoicePaid(org, req.params.invoiceId, req.body, req.user.uid);
+
+  res.json({
+    success: true,
+    data: { invoice, license: organization.license, activated },
+    message: `✅ Invoice ${invoice.number} paid, ${activated} seats activated`
+  });
+}));
+
+/**
+ * POST /api/organizations/:orgId/invoices/:invoiceId/cancel
+ */
+router.post('/:orgId/invoices/:invoiceId/cancel', verifyToken, verifyAdmin, handle('cancelling invoice', async (req, res) => {
+  const org = await loadOrg(req);
+  const invoice = await cancelInvoice(org, req.params.invoiceId);
+
+  res.json({ success: true, data: invoice, message: `✅ Invoice ${invoice.number} cancelled` });
+}));
+
+// ========================================
+// ORGANISATION ADMIN PORTAL
+// ========================================
+
+/**
+ * GET /api/organizations/mine
+ * Organisations the user administers.
+ */
+router.get('/mine', verifyToken, handle('fetching organisations', async (req, res) => {
+  const organizations = await Organization.find({ admins: req.user.uid }).sort({ name: 1 });
+  const data = await Promise.all(organizations.map(async org => ({
+    ...org.toObject(),
+    seats: await getSeatCounts(org)
+  })));
+
+  res.json({ success: true, data });
+}));
+
+/**
+ * GET /api/organizations/:orgId
+ */
+router.get('/:orgId', verifyToken, handle('fetching organisation', async (req, res) => {
+  const org = await requireOrgAdmin(req);
+
+  res.json({ success: true, data: { ...org.toObject(), seats: await getSeatCounts(org) } });
+}));
+
+/**
+ * GET /api/organizations/:orgId/seats
+ * Query: status (allocated | reclaimed, default allocated), search, page, limit
+ */
+router.get('/:orgId/seats', verifyToken, handle('fetching seats', async (req, res) => {
+  const org = await requireOrgAdmin(req);
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+  const filter = { organization: org._id, status: req.query.status === 'reclaimed' ? 'reclaimed' : 'allocated' };
+  if (req.query.search) {
+    filter.email = new RegExp(String(req.query.search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+  }
+
+  const [seats, total, counts] = await Promise.all([
+    OrganizationSeat.find(filter).sort({ allocatedAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+    OrganizationSeat.countDocuments(filter),
+    getSeatCounts(org)
+  ]);
+
+  res.json({
+    success: true,
+    data: { seats, counts },
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+  });
+}));
+
+/**
+ * POST /api/organizations/:orgId/seats
+ * Allocate seats. Body: { emails: [string] }
+ * Users get the subscription when they sign in with the verified email.
+ */
+router.post('/:orgId/seats', verifyToken, handle('allocating seats', async (req, res) => {
+  const org = await requireOrgAdmin(req);
+  const result = await allocateSeats(org, req.body.emails, req.user.uid);
+
+  res.status(201).json({
+    success: true,
+    data: { ...result, counts: await getSeatCounts(org) },
+    message: `✅ ${result.allocated.length} seats allocated`
+  });
+}));
+
+/**
+ * DELETE /api/organizations/:orgId/seats/:seatId
+ * Reclaim a seat; its holder loses the subscription.
+ */
+router.delete('/:orgId/seats/:seatId', verifyToken, handle('reclaiming seat', async (req, res) => {
+  const org = await requireOrgAdmin(req);
+  const seat = await reclaimSeat(org, req.params.seatId, req.user.uid);
+
+  res.json({ success: true, data: seat, message: `✅ Seat of ${seat.email} reclaimed` });
+}));
+
+/**
+ * GET /api/organizations/:orgId/invoices
+ */
+router.get('/:orgId/invoices', verifyToken, handle('fetching invoices', async (req, res) => {
+  const org = await requireOrgAdmin(req);
+  const invoices = await OrganizationInvoice.find({ organization: org._id }).sort({ issuedAt: -1 }).lean();
+
+  res.json({ success: true, data: invoices });
+}));
+
+/**
+ * GET /api/organizations/:orgId/invoices/:invoiceId/pdf
+ */
+router.get('/:orgId/invoices/:invoiceId/pdf', verifyToken, handle('downloading invoice', async (req, res) => {
+  const org = await requireOrgAdmin(req);
+  const invoice = await OrganizationInvoice.findOne({ _id: req.params.invoiceId, organization: org._id })
+    .select('+pdf')
+    .catch(() => null);
+  if (!invoice) throw httpError(404, 'Invoice not found');
+
+  const pdf = invoice.pdf || await renderInvoicePdf(invoice, org);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="aced-invoice-${invoice.number}.pdf"`);
+  res.send(pdf);
+}));
+
+/**
+ * GET /api/organizations/:orgId/usage
+ * Seat usage and learning activity. Query: from, to (default: last 30 days)
+ */
+router.get('/:orgId/usage', verifyToken, handle('building usage report', async (req, res) => {
+  const org = await requireOrgAdmin(req);
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * DAY_MS);
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+    throw httpError(400, 'from and to must be valid dates, from before to');
+  }
+
+  const data = await getUsageReport(org, { from, to });
+  res.json({ success: true, data });
+}));
+
+module.exports = router;
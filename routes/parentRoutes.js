@@ -0,0 +1,312 @@
+// routes/parentRoutes.js - Parent accounts linked to child learners
+const express = require('express');
+const router = express.Router();
+
+const ParentLink = require('../models/parentLink');
+const User = require('../models/user');
+const verifyToken = require('../middlewares/authMiddleware');
+const { buildChildSummary } = require('../services/parentReportService');
+const { initiatePaymePayment } = require('../controllers/paymentController');
+const multicardController = require('../controllers/multicardController');
+
+// Load the active link between the current parent and :childId or send 404
+async function findChildLink(req, res) {
+  const link = await ParentLink.findActive(req.user.uid, req.params.childId);
+  if (!link) {
+    res.status(404).json({ success: false, error: 'Child not linked to your account' });
+    return null;
+  }
+  return link;
+}
+
+// ========================================
+// 🧒 CHILD SIDE (consent)
+// ========================================
+
+/**
+ * POST /api/parents/consent-code
+ * Issue a one-time code the child gives to a parent. Creating the code is the child's consent.
+ */
+router.post('/consent-code', verifyToken, async (req, res) => {
+  try {
+    const child = await User.findOne({ firebaseId: req.user.uid }).select('firebaseId role');
+    if (!child) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const link = await ParentLink.createConsentCode(child.firebaseId);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        consentCode: link.consentCode,
+        expiresAt: link.codeExpiresAt
+      },
+      message: `✅ Share this code with your parent. It is valid for ${ParentLink.CODE_TTL_HOURS} hours.`
+    });
+
+  } catch (error) {
+    console.error('❌ Error creating consent code:', error);
+    res.status(500).json({ success: false, error: 'Error creating consent code' });
+  }
+});
+
+/**
+ * GET /api/parents/my-parents
+ * Parents linked to the current user
+ */
+router.get('/my-parents', verifyToken, async (req, res) => {
+  try {
+    const links = await ParentLink.find({ childId: req.user.uid, status: 'active' });
+    const parents = await User.find({ firebaseId: { $in: links.map(l => l.parentId) } }).select('firebaseId name email');
+    const byId = new Map(parents.map(p => [p.firebaseId, p]));
+
+    res.json({
+      success: true,
+      data: links.map(link => ({
+        linkId: link._id,
+        parentId: link.parentId,
+        name: byId.get(link.parentId)?.name,
+        email: byId.get(link.parentId)?.email,
+        relationship: link.relationship,
+        linkedAt: link.linkedAt
+      }))
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching linked parents:', error);
+    res.status(500).json({ success: false, error: 'Error fetching linked parents' });
+  }
+});
+
+/**
+ * DELETE /api/parents/my-parents/:linkId
+ * Withdraw consent and unlink a parent
+ */
+router.delete('/my-parents/:linkId', verifyToken, async (req, res) => {
+  try {
+    const link = await ParentLink.findOne({ _id: req.params.linkId, childId: req.user.uid, status: 'active' })
+      .catch(() => null);
+    if (!link) {
+      return res.status(404).json({ success: false, error: 'Link not found' });
+    }
+
+    await link.revoke('child');
+    res.json({ success: true, message: '✅ Parent unlinked' });
+
+  } catch (error) {
+    console.error('❌ Error unlinking parent:', error);
+    res.status(500).json({ success: false, error: 'Error unlinking parent' });
+  }
+});
+
+// ========================================
+// 👪 PARENT SIDE
+// ========================================
+
+/**
+ * POST /api/parents/link
+ * Redeem a child's consent code. Body: { consentCode, relationship? }
+ */
+router.post('/link', verifyToken, async (req, res) => {
+  try {
+    const { consentCode, relationship } = req.body;
+    if (!consentCode) {
+      return res.status(400).json({ success: false, error: 'consentCode is required' });
+    }
+
+    const link = await ParentLink.findOne({ consentCode: String(consentCode).trim().toUpperCase() });
+    if (!link || !link.isCodeValid) {
+      return res.status(404).json({ success: false, error: 'Invalid or expired consent code' });
+    }
+
+    if (link.childId === req.user.uid) {
+      return res.status(400).json({ success: false, error: 'You cannot link your own account as a child' });
+    }
+
+    const parent = await User.findOne({ firebaseId: req.user.uid });
+    if (!parent) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const existing = await ParentLink.findActive(parent.firebaseId, link.childId);
+    if (existing) {
+      link.status = 'expired';
+      link.consentCode = undefined;
+      await link.save();
+      return res.status(409).json({ success: false, error: 'This child is already linked to your account' });
+    }
+
+    link.parentId = parent.firebaseId;
+    link.status = 'active';
+    link.linkedAt = new Date();
+    link.consentCode = undefined;
+    link.relationship = relationship;
+    await link.save();
+
+    // Parent features are shown to plain users once they link a child
+    if (parent.role === 'user') {
+      parent.role = 'parent';
+      await parent.save();
+    }
+
+    const child = await User.findOne({ firebaseId: link.childId }).select('firebaseId name');
+
+    res.json({
+      success: true,
+      data: { childId: link.childId, name: child?.name, linkedAt: link.linkedAt },
+      message: '✅ Child linked to your account'
+    });
+
+  } catch (error) {
+    console.error('❌ Error linking child:', error);
+    res.status(500).json({ success: false, error: 'Error linking child' });
+  }
+});
+
+/**
+ * GET /api/parents/children
+ * Linked children with a short weekly summary
+ */
+router.get('/children', verifyToken, async (req, res) => {
+  try {
+    const links = await ParentLink.find({ parentId: req.user.uid, status: 'active' }).sort({ linkedAt: 1 });
+
+    const children = await Promise.all(links.map(async link => {
+      const summary = await buildChildSummary(link.childId, { days: 7 });
+      return summary && {
+        ...summary.child,
+        relationship: link.relationship,
+        weeklyDigest: link.weeklyDigest,
+        linkedAt: link.linkedAt,
+        thisWeek: {
+          lessonsCompleted: summary.activity.lessonsCompleted,
+          minutesSpent: summary.activity.minutesSpent,
+          currentStreak: summary.activity.currentStreak
+        },
+        subscription: summary.subscription
+      };
+    }));
+
+    res.json({ success: true, data: children.filter(Boolean) });
+
+  } catch (error) {
+    console.error('❌ Error fetching children:', error);
+    res.status(500).json({ success: false, error: 'Error fetching children' });
+  }
+});
+
+/**
+ * GET /api/parents/children/:childId/dashboard
+ * Read-only dashboard: progress, streaks, time spent, subscription. Query: days (1-90, default 7)
+ */
+router.get('/children/:childId/dashboard', verifyToken, async (req, res) => {
+  try {
+    const link = await findChildLink(req, res);
+    if (!link) return;
+
+    const days = Math.min(90, Math.max(1, parseInt(req.query.days, 10) || 7));
+    const summary = await buildChildSummary(link.childId, { days });
+    if (!summary) {
+      return res.status(404).json({ success: false, error: 'Child account not found' });
+    }
+
+    res.json({ success: true, data: summary });
+
+  } catch (error) {
+    console.error('❌ Error building child dashboard:', error);
+    res.status(500).json({ success: false, error: 'Error building child dashboard' });
+  }
+});
+
+/**
+ * PUT /api/parents/children/:childId/settings
+ * Body: { weeklyDigest?, relationship? }
+ */
+router.put('/children/:childId/settings', verifyToken, async (req, res) => {
+  try {
+    const link = await findChildLink(req, res);
+    if (!link) return;
+
+    if (typeof req.body.weeklyDigest === 'boolean') link.weeklyDigest = req.body.weeklyDigest;
+    if (req.body.relationship !== undefined) link.relationship = req.body.relationship;
+    await link.save();
+
+    res.json({
+      success: true,
+      data: { weeklyDigest: link.weeklyDigest, relationship: link.relationship },
+      message: '✅ Settings updated'
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating link settings:', error);
+    res.status(500).json({ success: false, error: 'Error updating settings' });
+  }
+});
+
+/**
+ * DELETE /api/parents/children/:childId
+ * Unlink a child
+ */
+router.delete('/children/:childId', verifyToken, async (req, res) => {
+  try {
+    const link = await findChildLink(req, res);
+    if (!link) return;
+
+    await link.revoke('parent');
+    res.json({ success: true, message: '✅ Child unlinked' });
+
+  } catch (error) {
+    console.error('❌ Error unlinking child:', error);
+    res.status(500).json({ success: false, error: 'Error unlinking child' });
+  }
+});
+
+/**
+ * POST /api/parents/children/:childId/checkout
+ * Pay for the child's subscription through the existing Payme / Multicard flows.
+ * Body: { provider: 'payme'|'multicard', plan, amount?, ...provider-specific fields }
+ * The subscription is activated on the child's account.
+ */
+router.post('/children/:childId/checkout', verifyToken, async (req, res) => {
+  try {
+    const link = await findChildLink(req, res);
+    if (!link) return;
+
+    const { provider = 'payme' } = req.body;
+    const handlers = {
+      payme: initiatePaymePayment,
+      multicard: multicardController.initiatePayment
+    };
+    if (!handlers[provider]) {
+      return res.status(400).json({ success: false, error: 'provider must be payme or multicard' });
+    }
+
+    // The payment account is the child; the parent is recorded as payer
+    req.body.userId = link.childId;
+    req.paidBy = req.user.uid;
+
+    // Record the checkout on the link once the provider handler responds successfully
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      if (body && body.success) {
+        link.payments.push({
+          provider,
+          plan: req.body.plan,
+          amount: body.transaction?.amount || body.data?.amount || req.body.amount,
+          reference: body.data?.invoiceId || body.transaction?.id
+        });
+        link.save().catch(err => console.error('❌ Error recording parent checkout:', err.message));
+      }
+      return sendJson(body);
+    };
+
+    return handlers[provider](req, res);
+
+  } catch (error) {
+    console.error('❌ Error starting parent checkout:', error);
+    res.status(500).json({ success: false, error: 'Error starting checkout' });
+  }
+});
+
+module.exports = router;
@@ -924,7 +924,7 @@ router.post('/apply-promo', async (req, res) => {
     }
 
     // Only apply if it's a subscription-granting promo code
-    if (!promocode.grantsPlan) {
+    if (!promocode.grantsPlan || promocode.isCheckoutDiscount()) {
       return res.status(400).json({
         success: false,
         error: 'This promo code can only be used during payment checkout'
@@ -0,0 +1,302 @@
+// routes/promoCampaignRoutes.js - Promo campaigns: targeting, stacking, code generation and reports (admin)
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+
+const PromoCampaign = require('../models/promoCampaign');
+const Promocode = require('../models/promoCode');
+const verifyToken = require('../middlewares/authMiddleware');
+const { verifyAdmin } = require('../middlewares/authMiddleware');
+const { getTierById } = require('../config/subscriptionConfig');
+const { getCampaignReport } = require('../services/promoCampaignService');
+
+const STATUSES = ['draft', 'active', 'paused', 'ended'];
+const LEARNING_MODES = ['study_centre', 'school', 'hybrid'];
+const MAX_CODES_PER_BATCH = 500;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const parseDate = (value, field) => {
+  if (value === null || value === '') return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) throw badRequest(`${field} must be a valid date`);
+  return date;
+};
+
+const parseLimit = (value, field) => {
+  if (value === null || value === '') return null;
+  const number = parseInt(value, 10);
+  if (!Number.isInteger(number) || number < 1) throw badRequest(`${field} must be a positive number or null`);
+  return number;
+};
+
+/**
+ * Campaign fields from a create/update body; only keys present in the body are returned.
+ */
+const readCampaignFields = (body) => {
+  const fields = {};
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim()) throw badRequest('name is required');
+    fields.name = body.name.trim();
+  }
+  if (body.description !== undefined) fields.description = String(body.description || '').trim();
+  if (body.status !== undefined) {
+    if (!STATUSES.includes(body.status)) throw badRequest(`status must be one of: ${STATUSES.join(', ')}`);
+    fields.status = body.status;
+  }
+  if (body.startsAt !== undefined) fields.startsAt = parseDate(body.startsAt, 'startsAt');
+  if (body.endsAt !== undefined) fields.endsAt = parseDate(body.endsAt, 'endsAt');
+  if (body.stackable !== undefined) fields.stackable = Boolean(body.stackable);
+  if (body.priority !== undefined) fields.priority = parseInt(body.priority, 10) || 0;
+  if (body.perUserLimit !== undefined) fields.perUserLimit = parseLimit(body.perUserLimit, 'perUserLimit');
+  if (body.maxRedemptions !== undefined) fields.maxRedemptions = parseLimit(body.maxRedemptions, 'maxRedemptions');
+  if (body.tags !== undefined) {
+    fields.tags = Array.isArray(body.tags) ? body.tags.map(tag => String(tag).trim()).filter(Boolean) : [];
+  }
+
+  if (body.eligibility !== undefined) {
+    const rules = body.eligibility || {};
+    const tiers = Array.isArray(rules.tiers) ? rules.tiers : [];
+    const unknownTier = tiers.find(id => !getTierById(id));
+    if (unknownTier) throw badRequest(`Unknown tier: ${unknownTier}`);
+    const learningModes = Array.isArray(rules.learningModes) ? rules.learningModes : [];
+    const unknownMode = learningModes.find(mode => !LEARNING_MODES.includes(mode));
+    if (unknownMode) throw badRequest(`Unknown learning mode: ${unknownMode}`);
+
+    fields.eligibility = {
+      newUsersOnly: Boolean(rules.newUsersOnly),
+      newUserWindowDays: parseLimit(rules.newUserWindowDays ?? 30, 'eligibility.newUserWindowDays') || 30,
+      firstPaymentOnly: Boolean(rules.firstPaymentOnly),
+      tiers,
+      learningModes
+    };
+  }
+
+  return fields;
+};
+
+const findCampaign = (id) => (mongoose.Types.ObjectId.isValid(id) ? PromoCampaign.findById(id) : null);
+
+/**
+ * GET /api/promo-campaigns
+ * Query: status, page, limit
+ */
+router.get('/', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const filter = req.query.status ? { status: req.query.status } : {};
+
+    const [campaigns, total] = await Promise.all([
+      PromoCampaign.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      PromoCampaign.countDocuments(filter)
+    ]);
+
+    const codeCounts = await Promocode.aggregate([
+      { $match: { campaign: { $in: campaigns.map(c => c._id) } } },
+      { $group: { _id: '$campaign', codes: { $sum: 1 } } }
+    ]);
+    const countById = new Map(codeCounts.map(c => [String(c._id), c.codes]));
+
+    res.json({
+      success: true,
+      data: campaigns.map(c => ({ ...c, codes: countById.get(String(c._id)) || 0 })),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching promo campaigns:', error);
+    res.status(500).json({ success: false, error: 'Error fetching promo campaigns' });
+  }
+});
+
+/**
+ * POST /api/promo-campaigns
+ * Body: { name, description?, status?, startsAt?, endsAt?, stackable?, priority?,
+ *         perUserLimit?, maxRedemptions?, tags?, eligibility? }
+ */
+router.post('/', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const fields = readCampaignFields({ name: '', ...req.body });
+    if (fields.startsAt && fields.endsAt && fields.startsAt >= fields.endsAt) {
+      return res.status(400).json({ success: false, error: 'startsAt must be before endsAt' });
+    }
+
+    const campaign = await PromoCampaign.create({
+      ...fields,
+      createdBy: req.user.uid,
+      createdByName: req.user.name || req.user.email || 'Admin'
+    });
+
+    res.status(201).json({
+      success: true,
+      data: campaign,
+      message: `✅ Campaign "${campaign.name}" created`
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('❌ Error creating promo campaign:', error);
+    res.status(500).json({ success: false, error: 'Error creating promo campaign' });
+  }
+});
+
+/**
+ * GET /api/promo-campaigns/:id
+ */
+router.get('/:id', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const campaign = await findCampaign(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+
+    const codes = await Promocode.find({ campaign: campaign._id })
+      .select('code promoType discountPercent discountAmount maxUses currentUses expiresAt isActive')
+      .sort({ createdAt: -1 })
+      .limit(500)
+      .lean();
+
+    res.json({ success: true, data: { ...campaign.toObject(), codes } });
+
+  } catch (error) {
+    console.error('❌ Error fetching promo campaign:', error);
+    res.status(500).json({ success: false, error: 'Error fetching promo campaign' });
+  }
+});
+
+/**
+ * PUT /api/promo-campaigns/:id
+ * Same body as create; only the given fields change.
+ */
+router.put('/:id', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const campaign = await findCampaign(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+
+    campaign.set(readCampaignFields(req.body));
+    if (campaign.startsAt && campaign.endsAt && campaign.startsAt >= campaign.endsAt) {
+      return res.status(400).json({ success: false, error: 'startsAt must be before endsAt' });
+    }
+    await campaign.save();
+
+    res.json({ success: true, data: campaign, message: '✅ Campaign updated' });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('❌ Error updating promo campaign:', error);
+    res.status(500).json({ success: false, error: 'Error updating promo campaign' });
+  }
+});
+
+/**
+ * POST /api/promo-campaigns/:id/codes
+ * Generate discount codes for the campaign.
+ * Body: { count, promoType: 'discount_percent'|'discount_amount', discountPercent?,
+ *         discountAmount? (tiyin), prefix?, maxUses?, expiresAt? }
+ */
+router.post('/:id/codes', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const campaign = await findCampaign(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+
+    const { promoType, discountPercent, discountAmount, prefix = '' } = req.body;
+    const count = parseInt(req.body.count, 10) || 1;
+    if (count < 1 || count > MAX_CODES_PER_BATCH) {
+      return res.status(400).json({ success: false, error: `count must be between 1 and ${MAX_CODES_PER_BATCH}` });
+    }
+    if (promoType === 'discount_percent') {
+      if (!(discountPercent > 0 && discountPercent <= 100)) {
+        return res.status(400).json({ success: false, error: 'discountPercent must be between 1 and 100' });
+      }
+    } else if (promoType === 'discount_amount') {
+      if (!(Number.isInteger(discountAmount) && discountAmount > 0)) {
+        return res.status(400).json({ success: false, error: 'discountAmount must be a positive amount in tiyin' });
+      }
+    } else {
+      return res.status(400).json({ success: false, error: 'promoType must be discount_percent or discount_amount' });
+    }
+    if (!/^[A-Za-z0-9]{0,8}$/.test(prefix)) {
+      return res.status(400).json({ success: false, error: 'prefix must be up to 8 letters or digits' });
+    }
+
+    const maxUses = parseLimit(req.body.maxUses ?? null, 'maxUses');
+    const expiresAt = parseDate(req.body.expiresAt ?? null, 'expiresAt') || campaign.endsAt;
+
+    const codes = new Set();
+    let attempts = 0;
+    while (codes.size < count && attempts < count * 5) {
+      attempts++;
+      const code = Promocode.generateCode(prefix, Math.max(8, prefix.length + 6));
+      if (!codes.has(code) && !(await Promocode.exists({ code }))) codes.add(code);
+    }
+    if (codes.size < count) {
+      return res.status(500).json({ success: false, error: 'Failed to generate unique codes, please try again' });
+    }
+
+    const created = await Promocode.insertMany([...codes].map(code => ({
+      code,
+      grantsPlan: 'pro',
+      promoType,
+      discountPercent: promoType === 'discount_percent' ? discountPercent : null,
+      discountAmount: promoType === 'discount_amount' ? discountAmount : null,
+      description: `${campaign.name} discount`,
+      maxUses,
+      expiresAt,
+      campaign: campaign._id,
+      tags: campaign.tags,
+      createdBy: req.user.uid,
+      createdByName: req.user.name || req.user.email || 'Admin',
+      createdByEmail: req.user.email || ''
+    })));
+
+    res.status(201).json({
+      success: true,
+      data: created.map(promo => promo.code),
+      message: `✅ ${created.length} codes generated for "${campaign.name}"`
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('❌ Error generating campaign codes:', error);
+    res.status(500).json({ success: false, error: 'Error generating campaign codes' });
+  }
+});
+
+/**
+ * GET /api/promo-campaigns/:id/report
+ * Redemptions and revenue. Query: from, to (on payment completion)
+ */
+router.get('/:id/report', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const from = req.query.from ? parseDate(req.query.from, 'from') : undefined;
+    const to = req.query.to ? parseDate(req.query.to, 'to') : undefined;
+
+    const report = await getCampaignReport(req.params.id, { from, to });
+    res.json({ success: true, data: report });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('❌ Error building campaign report:', error);
+    res.status(500).json({ success: false, error: 'Error building campaign report' });
+  }
+});
+
+module.exports = router;
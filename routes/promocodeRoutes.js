@@ -13,6 +13,7 @@ try {
 }
 
 const User = require('../models/user');
+const { normalizeCodes, quoteCheckout } = require('../services/promoCampaignService');
 
 // --- Middleware ---
 // Enhanced auth middleware with better error handling
@@ -180,6 +181,36 @@ router.get('/validate/:code', async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/promocodes/quote
+ * @desc    Price a checkout with discount codes before paying (see services/promoCampaignService.js)
+ * @access  Private
+ * Body: { tierId, promoCodes: [] } or { tierId, promoCode }
+ */
+router.post('/quote', authMiddleware, async (req, res) => {
+  try {
+    const codes = normalizeCodes(req.body);
+    if (codes.length === 0) {
+      return res.status(400).json({ success: false, error: 'At least one promo code is required' });
+    }
+
+    const user = await User.findOne({ firebaseId: req.user.uid });
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const quote = await quoteCheckout({ user, tierId: req.body.tierId, codes });
+    res.json({ success: true, data: quote });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error('❌ Error quoting promo codes:', error);
+    res.status(500).json({ success: false, error: 'Failed to apply promo codes' });
+  }
+});
+
 /**
  * @route   GET /api/promocodes/user/:userId/history
  * @desc    Get all promocodes used by a specific user (for admin panel)
@@ -1079,6 +1110,10 @@ async function processPromoApplication(user, promoCode, res) {
       return res.status(400).json({ success: false, message: validity.reason || 'Promocode is not valid.' });
     }
 
+    if (promoCode.isCheckoutDiscount()) {
+      return res.status(400).json({ success: false, message: 'This promo code can only be used during payment checkout.' });
+    }
+
     if (promoCode.expiresAt && promoCode.expiresAt < new Date()) {
       return res.status(400).json({ success: false, message: 'This promo code has expired.' });
     }
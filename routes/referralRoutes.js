@@ -0,0 +1,98 @@
+// routes/referralRoutes.js - Referral link and dashboard (users), fraud review (admin)
+const express = require('express');
+const router = express.Router();
+
+const User = require('../models/user');
+const Referral = require('../models/referral');
+const verifyToken = require('../middlewares/authMiddleware');
+const { verifyAdmin } = require('../middlewares/authMiddleware');
+const { getDashboard, reviewReferral } = require('../services/referralService');
+
+/**
+ * GET /api/referrals/me
+ * The current user's referral code, link, totals and invited users.
+ */
+router.get('/me', verifyToken, async (req, res) => {
+  try {
+    const user = await User.findOne({ firebaseId: req.user.uid });
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const dashboard = await getDashboard(user);
+    res.json({ success: true, data: dashboard });
+
+  } catch (error) {
+    console.error('❌ Error fetching referral dashboard:', error);
+    res.status(500).json({ success: false, error: 'Error fetching referral dashboard' });
+  }
+});
+
+/**
+ * GET /api/referrals
+ * All referrals (admin). Query: status, referrerId, referredId, flag, page, limit
+ */
+router.get('/', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { status, referrerId, referredId, flag } = req.query;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (referrerId) filter.referrerId = referrerId;
+    if (referredId) filter.referredId = referredId;
+    if (flag) filter['fraudFlags.type'] = flag;
+
+    const [referrals, total] = await Promise.all([
+      Referral.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      Referral.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: referrals,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching referrals:', error);
+    res.status(500).json({ success: false, error: 'Error fetching referrals' });
+  }
+});
+
+/**
+ * POST /api/referrals/:referralId/review
+ * Approve (credit the reward) or reject a flagged referral.
+ * Body: { decision: 'approve'|'reject', note? }
+ */
+router.post('/:referralId/review', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { decision, note = '' } = req.body;
+    if (!['approve', 'reject'].includes(decision)) {
+      return res.status(400).json({ success: false, error: "decision must be 'approve' or 'reject'" });
+    }
+
+    const referral = await reviewReferral(req.params.referralId, decision, {
+      reviewedBy: req.user.uid,
+      note: String(note).slice(0, 500)
+    });
+
+    res.json({
+      success: true,
+      data: referral,
+      message: decision === 'approve'
+        ? `✅ Referral approved, ${referral.rewardDays} days credited`
+        : '✅ Referral rejected'
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('❌ Error reviewing referral:', error);
+    res.status(500).json({ success: false, error: 'Error reviewing referral' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,140 @@
+// routes/refundRoutes.js - Admin refunds for Payme, Multicard and Click payments
+const express = require('express');
+const router = express.Router();
+
+const Refund = require('../models/refund');
+const verifyToken = require('../middlewares/authMiddleware');
+const { verifyAdmin } = require('../middlewares/authMiddleware');
+const { previewRefund, refundPayment, settleRefund } = require('../services/refundService');
+
+const sendServiceError = (res, error, label) => {
+  if (error.status) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  console.error(`❌ ${label}:`, error);
+  res.status(500).json({ success: false, error: label });
+};
+
+/**
+ * GET /api/payments/refunds
+ * Refund audit log. Query: status, provider, userId, page, limit
+ */
+router.get('/', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { status, provider, userId } = req.query;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (provider) filter.provider = provider;
+    if (userId) filter.userId = userId;
+
+    const [refunds, total] = await Promise.all([
+      Refund.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      Refund.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: refunds,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching refunds:', error);
+    res.status(500).json({ success: false, error: 'Error fetching refunds' });
+  }
+});
+
+/**
+ * GET /api/payments/refunds/preview/:reference
+ * What a refund would return and how the subscription would change.
+ * :reference is a Payme transaction id, Multicard uuid / invoice id, Click order / paydoc id, or transaction _id.
+ * Query: type (full|partial, default partial), provider?, amount?
+ */
+router.get('/preview/:reference', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { type, provider, amount } = req.query;
+    const preview = await previewRefund(req.params.reference, {
+      type,
+      provider,
+      amount: amount !== undefined ? Number(amount) : undefined
+    });
+
+    res.json({ success: true, data: preview });
+
+  } catch (error) {
+    sendServiceError(res, error, 'Error previewing refund');
+  }
+});
+
+/**
+ * POST /api/payments/refunds
+ * Body: { reference, type: 'full'|'partial', reason, provider?, amount? }
+ */
+router.post('/', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { reference, type, reason, provider, amount } = req.body;
+    if (!reference) {
+      return res.status(400).json({ success: false, error: 'reference is required' });
+    }
+
+    const refund = await refundPayment(String(reference), {
+      type,
+      reason,
+      provider,
+      amount: amount !== undefined ? Number(amount) : undefined,
+      adminId: req.user.uid
+    });
+
+    res.status(201).json({
+      success: true,
+      data: refund,
+      message: refund.status === 'completed'
+        ? '✅ Payment refunded'
+        : '✅ Refund recorded. Return the money in the merchant cabinet, then mark it settled.'
+    });
+
+  } catch (error) {
+    sendServiceError(res, error, 'Error refunding payment');
+  }
+});
+
+/**
+ * GET /api/payments/refunds/:refundId
+ */
+router.get('/:refundId', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const refund = await Refund.findById(req.params.refundId).lean().catch(() => null);
+    if (!refund) {
+      return res.status(404).json({ success: false, error: 'Refund not found' });
+    }
+
+    res.json({ success: true, data: refund });
+
+  } catch (error) {
+    console.error('❌ Error fetching refund:', error);
+    res.status(500).json({ success: false, error: 'Error fetching refund' });
+  }
+});
+
+/**
+ * POST /api/payments/refunds/:refundId/settle
+ * Mark a manual refund as paid out. Body: { note? }
+ */
+router.post('/:refundId/settle', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const refund = await settleRefund(req.params.refundId, {
+      adminId: req.user.uid,
+      note: req.body.note
+    });
+
+    res.json({ success: true, data: refund, message: '✅ Refund marked as settled' });
+
+  } catch (error) {
+    sendServiceError(res, error, 'Error settling refund');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,145 @@
+// routes/subscriptionGroupRoutes.js - Family and group plans: seats, invitations, members
+const express = require('express');
+const router = express.Router();
+
+const User = require('../models/user');
+const verifyToken = require('../middlewares/authMiddleware');
+const {
+  GROUP_PLANS,
+  GROUP_TIER_IDS,
+  getTierById,
+  getGroupPrice
+} = require('../config/subscriptionConfig');
+const {
+  createGroup,
+  inviteMember,
+  acceptInvite,
+  removeMember,
+  leaveGroup,
+  cancelGroup,
+  listGroupsForUser
+} = require('../services/subscriptionGroupService');
+
+// Routes below share one shape: load the user, run the service call, map errors with .status
+const withUser = (errorLabel, handler) => async (req, res) => {
+  try {
+    const user = await User.findOne({ firebaseId: req.user.uid });
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    await handler(req, res, user);
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error(`❌ Error ${errorLabel}:`, error);
+    res.status(500).json({ success: false, error: `Error ${errorLabel}` });
+  }
+};
+
+// Invitations are matched on the token's email, so it has to be verified
+const verifiedEmail = (req) => (req.user.email_verified ? req.user.email : null);
+
+/**
+ * GET /api/subscription-groups/plans
+ * Group plan types with the seat price of every tier.
+ */
+router.get('/plans', (req, res) => {
+  const plans = Object.values(GROUP_PLANS).map(plan => ({
+    ...plan,
+    tiers: GROUP_TIER_IDS.map(tierId => {
+      const tier = getTierById(tierId);
+      return {
+        tierId,
+        label: tier.label,
+        duration: tier.duration,
+        seatPriceInTiyin: getGroupPrice(plan.id, tierId, plan.minSeats).seatPriceInTiyin
+      };
+    })
+  }));
+
+  res.json({ success: true, data: plans });
+});
+
+/**
+ * GET /api/subscription-groups
+ * Groups the user owns or belongs to, and invitations to their email.
+ */
+router.get('/', verifyToken, withUser('fetching groups', async (req, res, user) => {
+  const data = await listGroupsForUser(user, verifiedEmail(req));
+  res.json({ success: true, data });
+}));
+
+/**
+ * POST /api/subscription-groups
+ * Create a group waiting for payment. Body: { type, tierId, seats, name? }
+ * Pay with the Payme / Multicard checkout, passing groupId.
+ */
+router.post('/', verifyToken, withUser('creating group', async (req, res, user) => {
+  const group = await createGroup(user, req.body);
+  res.status(201).json({
+    success: true,
+    data: group,
+    message: '✅ Group created. Complete the payment to activate it.'
+  });
+}));
+
+/**
+ * POST /api/subscription-groups/:groupId/invites
+ * Invite a member by email (owner). Body: { email }
+ */
+router.post('/:groupId/invites', verifyToken, withUser('inviting member', async (req, res, user) => {
+  const { group, emailed } = await inviteMember(user, req.params.groupId, req.body.email);
+  res.status(201).json({
+    success: true,
+    data: { group, emailed },
+    message: emailed ? '✅ Invitation sent' : '✅ Invitation created. Share the link with the member.'
+  });
+}));
+
+/**
+ * POST /api/subscription-groups/:groupId/accept
+ * Accept an invitation sent to the signed-in email.
+ */
+router.post('/:groupId/accept', verifyToken, withUser('accepting invitation', async (req, res, user) => {
+  const group = await acceptInvite(user, req.params.groupId, verifiedEmail(req));
+  res.json({
+    success: true,
+    data: { groupId: group._id, subscriptionPlan: user.subscriptionPlan, subscriptionExpiryDate: user.subscriptionExpiryDate },
+    message: '✅ You joined the group'
+  });
+}));
+
+/**
+ * DELETE /api/subscription-groups/:groupId/members/:memberId
+ * Remove a member or withdraw an invitation (owner). The member loses access.
+ */
+router.delete('/:groupId/members/:memberId', verifyToken, withUser('removing member', async (req, res, user) => {
+  const group = await removeMember(user, req.params.groupId, req.params.memberId);
+  res.json({ success: true, data: group, message: '✅ Member removed' });
+}));
+
+/**
+ * POST /api/subscription-groups/:groupId/leave
+ * Leave a group as a member.
+ */
+router.post('/:groupId/leave', verifyToken, withUser('leaving group', async (req, res, user) => {
+  await leaveGroup(user, req.params.groupId);
+  res.json({
+    success: true,
+    data: { subscriptionPlan: user.subscriptionPlan, subscriptionExpiryDate: user.subscriptionExpiryDate },
+    message: '✅ You left the group'
+  });
+}));
+
+/**
+ * POST /api/subscription-groups/:groupId/cancel
+ * Cancel a group that hasn't been paid for (owner).
+ */
+router.post('/:groupId/cancel', verifyToken, withUser('cancelling group', async (req, res, user) => {
+  const group = await cancelGroup(user, req.params.groupId);
+  res.json({ success: true, data: group, message: '✅ Group cancelled' });
+}));
+
+module.exports = router;
@@ -30,6 +30,10 @@ const testController = require('../controllers/testController');
 const userProgressController = require('../controllers/userProgressController');
 const { getRecommendations } = require('../controllers/recommendationController');
 
+// ✅ Services
+const { recordSignIn, attributeSignup } = require('../services/referralService');
+const { claimSeatsForUser } = require('../services/organizationService');
+
 
 // ========================================
 // 🛠️ UTILITY FUNCTIONS
@@ -313,10 +317,29 @@ router.post('/save', verifyToken, async (req, res) => {
       }
     );
 
+    // Organisation seats allocated to this email are linked on sign-in, once the email is verified
+    if (req.user.email_verified && req.user.email) {
+      await claimSeatsForUser(user, req.user.email).catch((seatError) => {
+        console.error('❌ Failed to claim organisation seats:', seatError.message);
+      });
+    }
+
     // Ensure subscription status is correct (auto-expire / auto-activate from payments)
     const { ensureSubscriptionStatus } = require('../middlewares/subscriptionMiddleware');
     await ensureSubscriptionStatus(user);
 
+    // Referral attribution (?ref= link) and the sign-in fingerprint used by its fraud checks
+    let referral;
+    if (req.body.referralCode) {
+      referral = await attributeSignup(user, req.body.referralCode, req).catch((referralError) => {
+        console.error('❌ Referral attribution failed:', referralError.message);
+        return { attributed: false, reason: 'Referral could not be applied' };
+      });
+    }
+    await recordSignIn(user, req).catch((fingerprintError) => {
+      console.error('❌ Failed to record sign-in fingerprint:', fingerprintError.message);
+    });
+
     // ✅ CRITICAL: Return all status fields
     const responseUser = {
       firebaseId: user.firebaseId,
@@ -344,7 +367,8 @@ router.post('/save', verifyToken, async (req, res) => {
       message: '✅ User saved successfully',
       server: 'api.aced.live',
       subscriptionPlan: user.subscriptionPlan,
-      userStatus: user.subscriptionPlan
+      userStatus: user.subscriptionPlan,
+      ...(referral && { referral })
     });
 
   } catch (err) {
@@ -597,6 +621,50 @@ router.post('/admin/reconcile-subscriptions', verifyToken, verifyAdmin, async (r
   }
 });
 
+// ✅ GET /api/users/admin/jobs - Scheduled background jobs with last run and next run
+router.get('/admin/jobs', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { getJobStatuses } = require('../services/jobScheduler');
+    const jobs = await getJobStatuses();
+
+    res.json({ success: true, data: jobs });
+  } catch (error) {
+    console.error('❌ Error fetching scheduled jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch scheduled jobs'
+    });
+  }
+});
+
+// ✅ POST /api/users/admin/jobs/:name/run - Run a scheduled job now (skipped if another instance is running it)
+router.post('/admin/jobs/:name/run', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { runJobNow, getJobStatuses } = require('../services/jobScheduler');
+    const jobs = await getJobStatuses();
+    if (!jobs.some(job => job.name === req.params.name)) {
+      return res.status(404).json({ success: false, error: 'Unknown job' });
+    }
+
+    const outcome = await runJobNow(req.params.name);
+    if (!outcome.ran) {
+      return res.status(409).json({ success: false, error: 'Job is already running on another instance' });
+    }
+
+    res.json({
+      success: !outcome.error,
+      data: outcome,
+      message: outcome.error ? `❌ Job failed: ${outcome.error}` : '✅ Job completed'
+    });
+  } catch (error) {
+    console.error('❌ Error running scheduled job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run scheduled job'
+    });
+  }
+});
+
 // ✅ NEW: POST /api/users/admin/:userId/reset-subscription - Reset subscription to free (admin)
 // 🔒 SECURITY: Added verifyAdmin middleware
 router.post('/admin/:userId/reset-subscription', validateUserId, verifyToken, verifyAdmin, async (req, res) => {
@@ -757,6 +825,62 @@ router.post('/admin/:userId/extend-subscription', validateUserId, verifyToken, v
   }
 });
 
+// ✅ PUT /api/users/admin/:userId/role - Grant or revoke the teacher/parent/admin role
+router.put('/admin/:userId/role', validateUserId, verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (!['admin', 'teacher', 'parent', 'user'].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Role must be one of: admin, teacher, parent, user'
+      });
+    }
+
+    const user = await User.findOne({
+      $or: [
+        { firebaseId: userId },
+        { _id: mongoose.Types.ObjectId.isValid(userId) ? userId : null }
+      ]
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (user.firebaseId === req.user.uid && role !== 'admin') {
+      return res.status(400).json({
+        success: false,
+        error: 'Admins cannot remove their own admin role'
+      });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: `Role changed from ${previousRole} to ${role}`,
+      user: {
+        firebaseId: user.firebaseId,
+        email: user.email,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error updating user role:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update user role'
+    });
+  }
+});
+
 // ✅ NEW: GET /api/users/admin/users-comprehensive - Get users with REAL progress data
 // 🔒 SECURITY: Added verifyAdmin middleware
 router.get('/admin/users-comprehensive', verifyToken, verifyAdmin, async (req, res) => {
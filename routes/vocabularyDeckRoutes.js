@@ -0,0 +1,486 @@
+// routes/vocabularyDeckRoutes.js - Personal vocabulary decks and learner-added words
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+
+const VocabularyDeck = require('../models/vocabularyDeck');
+const PersonalWord = require('../models/personalWord');
+const VocabularyProgress = require('../models/vocabularyProgress');
+const Lesson = require('../models/lesson');
+const verifyToken = require('../middlewares/authMiddleware');
+const { getLocalizedContent } = require('../utils/exerciseContentExtractor');
+
+const LANGUAGE_CODES = { en: 'english', ru: 'russian', uz: 'uzbek' };
+
+const WORD_FIELDS = [
+  'word', 'translation', 'pronunciation', 'language', 'translationLanguage',
+  'partOfSpeech', 'difficulty', 'definition', 'examples', 'audioUrl', 'imageUrl'
+];
+
+function isValidObjectId(id) {
+  return mongoose.Types.ObjectId.isValid(id);
+}
+
+function pickWordFields(body) {
+  const fields = {};
+  WORD_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  if (typeof fields.word === 'string') fields.word = fields.word.trim();
+  if (typeof fields.translation === 'string') fields.translation = fields.translation.trim();
+  if (body.example && !fields.examples) {
+    fields.examples = [{ sentence: body.example, translation: body.exampleTranslation || '' }];
+  }
+  return fields;
+}
+
+// Load a deck owned by the current user or send 404
+async function findOwnedDeck(req, res) {
+  const { deckId } = req.params;
+  if (!isValidObjectId(deckId)) {
+    res.status(400).json({ success: false, error: 'Invalid deck ID' });
+    return null;
+  }
+
+  const deck = await VocabularyDeck.findOne({ _id: deckId, ownerId: req.user.uid });
+  if (!deck) {
+    res.status(404).json({ success: false, error: 'Deck not found' });
+    return null;
+  }
+  return deck;
+}
+
+// Create the word and its review card so it shows up in GET /api/vocabulary/review
+async function addWordToDeck(deck, ownerId, fields, source = 'manual', sourceRef) {
+  const word = await PersonalWord.create({
+    ...fields,
+    language: fields.language || deck.language || 'english',
+    translationLanguage: fields.translationLanguage || deck.translationLanguage,
+    ownerId,
+    deckId: deck._id,
+    source,
+    sourceRef
+  });
+
+  await VocabularyProgress.create({
+    userId: ownerId,
+    vocabularyId: word._id,
+    wordModel: 'PersonalWord',
+    deckId: deck._id,
+    term: word.word,
+    language: word.language,
+    status: 'new'
+  });
+
+  await VocabularyDeck.updateOne({ _id: deck._id }, { $inc: { wordCount: 1 } });
+
+  return word;
+}
+
+function handleDuplicateWord(error, res) {
+  if (error.code === 11000) {
+    res.status(409).json({
+      success: false,
+      error: 'This word is already in the deck'
+    });
+    return true;
+  }
+  return false;
+}
+
+// Resolve a term from a lesson vocabulary step (same shapes the lesson routes accept)
+function getLessonStepTerms(step) {
+  if (!step) return [];
+  if (Array.isArray(step.content?.terms)) return step.content.terms;
+  if (Array.isArray(step.data?.terms)) return step.data.terms;
+  if (Array.isArray(step.data)) return step.data;
+  if (Array.isArray(step.vocabulary)) return step.vocabulary;
+  return [];
+}
+
+// ========================================
+// 📚 DECKS
+// ========================================
+
+// GET /api/vocabulary/decks - List the current user's decks
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const decks = await VocabularyDeck.find({ ownerId: req.user.uid })
+      .sort({ isDefault: -1, updatedAt: -1 });
+
+    res.json({
+      success: true,
+      data: decks,
+      count: decks.length
+    });
+  } catch (error) {
+    console.error('❌ Error fetching decks:', error);
+    res.status(500).json({ success: false, error: 'Error fetching decks' });
+  }
+});
+
+// POST /api/vocabulary/decks - Create a deck
+router.post('/', verifyToken, async (req, res) => {
+  try {
+    const { name, description, language, translationLanguage } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ success: false, error: 'Deck name is required' });
+    }
+
+    const deck = await VocabularyDeck.create({
+      ownerId: req.user.uid,
+      name,
+      description,
+      language,
+      translationLanguage
+    });
+
+    res.status(201).json({
+      success: true,
+      data: deck,
+      message: '✅ Deck created'
+    });
+  } catch (error) {
+    console.error('❌ Error creating deck:', error);
+    res.status(500).json({ success: false, error: 'Error creating deck', details: error.message });
+  }
+});
+
+// POST /api/vocabulary/decks/save-from-lesson - Save a term from a lesson vocabulary step
+// Body: { lessonId, stepIndex, termIndex, deckId?, language?, interfaceLanguage? ('ru' | 'uz' | 'en') }
+router.post('/save-from-lesson', verifyToken, async (req, res) => {
+  try {
+    const { lessonId, stepIndex, termIndex, deckId, language, interfaceLanguage = 'ru' } = req.body;
+    const ownerId = req.user.uid;
+
+    if (!isValidObjectId(lessonId) || !Number.isInteger(stepIndex) || !Number.isInteger(termIndex)) {
+      return res.status(400).json({
+        success: false,
+        error: 'lessonId, stepIndex and termIndex are required'
+      });
+    }
+
+    const lesson = await Lesson.findById(lessonId).select('steps subject lessonName title');
+    if (!lesson) {
+      return res.status(404).json({ success: false, error: 'Lesson not found' });
+    }
+
+    const step = lesson.steps?.[stepIndex];
+    if (!step || step.type !== 'vocabulary') {
+      return res.status(400).json({ success: false, error: 'Step is not a vocabulary step' });
+    }
+
+    const term = getLessonStepTerms(step)[termIndex];
+    if (!term || (!term.term && !term.word)) {
+      return res.status(404).json({ success: false, error: 'Term not found in this step' });
+    }
+
+    const rawTerm = term.term || term.word;
+    const word = getLocalizedContent(rawTerm, 'en');
+    const translation = typeof rawTerm === 'object' && rawTerm[interfaceLanguage] && rawTerm[interfaceLanguage] !== word
+      ? rawTerm[interfaceLanguage]
+      : getLocalizedContent(term.translation || term.definition, interfaceLanguage);
+    const example = getLocalizedContent(term.example, 'en');
+
+    let deck;
+    if (deckId) {
+      if (!isValidObjectId(deckId)) {
+        return res.status(400).json({ success: false, error: 'Invalid deck ID' });
+      }
+      deck = await VocabularyDeck.findOne({ _id: deckId, ownerId });
+      if (!deck) {
+        return res.status(404).json({ success: false, error: 'Deck not found' });
+      }
+    } else {
+      deck = await VocabularyDeck.getOrCreateDefault(ownerId, language || 'english');
+    }
+
+    const saved = await addWordToDeck(deck, ownerId, {
+      word,
+      translation,
+      language: language || deck.language || 'english',
+      translationLanguage: LANGUAGE_CODES[interfaceLanguage] || deck.translationLanguage,
+      pronunciation: term.pronunciation,
+      definition: getLocalizedContent(term.definition, interfaceLanguage),
+      examples: example ? [{ sentence: example, translation: getLocalizedContent(term.example, interfaceLanguage) }] : [],
+      audioUrl: term.audioUrl
+    }, 'lesson', { lessonId, stepIndex, termIndex });
+
+    res.status(201).json({
+      success: true,
+      data: saved,
+      deck: { _id: deck._id, name: deck.name },
+      message: `✅ "${saved.word}" saved to ${deck.name}`
+    });
+  } catch (error) {
+    if (handleDuplicateWord(error, res)) return;
+    console.error('❌ Error saving lesson term:', error);
+    res.status(500).json({ success: false, error: 'Error saving word', details: error.message });
+  }
+});
+
+// GET /api/vocabulary/decks/shared/:shareCode - View a shared deck (public)
+router.get('/shared/:shareCode', async (req, res) => {
+  try {
+    const deck = await VocabularyDeck.findOne({ shareCode: req.params.shareCode, isShared: true })
+      .select('-ownerId');
+    if (!deck) {
+      return res.status(404).json({ success: false, error: 'Shared deck not found' });
+    }
+
+    const words = await PersonalWord.find({ deckId: deck._id })
+      .select('word translation pronunciation language partOfSpeech definition examples audioUrl imageUrl')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: { deck, words },
+      count: words.length
+    });
+  } catch (error) {
+    console.error('❌ Error fetching shared deck:', error);
+    res.status(500).json({ success: false, error: 'Error fetching shared deck' });
+  }
+});
+
+// POST /api/vocabulary/decks/shared/:shareCode/copy - Copy a shared deck into my decks
+router.post('/shared/:shareCode/copy', verifyToken, async (req, res) => {
+  try {
+    const ownerId = req.user.uid;
+    const source = await VocabularyDeck.findOne({ shareCode: req.params.shareCode, isShared: true });
+    if (!source) {
+      return res.status(404).json({ success: false, error: 'Shared deck not found' });
+    }
+
+    const deck = await VocabularyDeck.create({
+      ownerId,
+      name: req.body.name || source.name,
+      description: source.description,
+      language: source.language,
+      translationLanguage: source.translationLanguage,
+      copiedFrom: source._id
+    });
+
+    const sourceWords = await PersonalWord.find({ deckId: source._id }).lean();
+    let copied = 0;
+    for (const sourceWord of sourceWords) {
+      const fields = {};
+      WORD_FIELDS.forEach(field => {
+        if (sourceWord[field] !== undefined) fields[field] = sourceWord[field];
+      });
+      try {
+        await addWordToDeck(deck, ownerId, fields, 'copy');
+        copied++;
+      } catch (copyError) {
+        if (copyError.code !== 11000) throw copyError;
+      }
+    }
+
+    deck.wordCount = copied;
+
+    res.status(201).json({
+      success: true,
+      data: deck,
+      copied,
+      message: `✅ Copied ${copied} words into "${deck.name}"`
+    });
+  } catch (error) {
+    console.error('❌ Error copying deck:', error);
+    res.status(500).json({ success: false, error: 'Error copying deck', details: error.message });
+  }
+});
+
+// GET /api/vocabulary/decks/:deckId - Deck with its words and review state
+router.get('/:deckId', verifyToken, async (req, res) => {
+  try {
+    const deck = await findOwnedDeck(req, res);
+    if (!deck) return;
+
+    const [words, progress] = await Promise.all([
+      PersonalWord.find({ deckId: deck._id }).sort({ createdAt: -1 }),
+      VocabularyProgress.find({ userId: req.user.uid, deckId: deck._id })
+        .select('vocabularyId status nextReview interval lapses')
+    ]);
+
+    const progressByWord = new Map(progress.map(p => [String(p.vocabularyId), p]));
+
+    res.json({
+      success: true,
+      data: {
+        deck,
+        words: words.map(word => ({
+          ...word.toObject(),
+          review: progressByWord.get(String(word._id)) || null
+        }))
+      },
+      count: words.length
+    });
+  } catch (error) {
+    console.error('❌ Error fetching deck:', error);
+    res.status(500).json({ success: false, error: 'Error fetching deck' });
+  }
+});
+
+// PUT /api/vocabulary/decks/:deckId - Rename or update a deck
+router.put('/:deckId', verifyToken, async (req, res) => {
+  try {
+    const deck = await findOwnedDeck(req, res);
+    if (!deck) return;
+
+    const { name, description, language, translationLanguage } = req.body;
+    if (name !== undefined) {
+      if (!name || !name.trim()) {
+        return res.status(400).json({ success: false, error: 'Deck name cannot be empty' });
+      }
+      deck.name = name;
+    }
+    if (description !== undefined) deck.description = description;
+    if (language !== undefined) deck.language = language;
+    if (translationLanguage !== undefined) deck.translationLanguage = translationLanguage;
+
+    await deck.save();
+
+    res.json({ success: true, data: deck, message: '✅ Deck updated' });
+  } catch (error) {
+    console.error('❌ Error updating deck:', error);
+    res.status(500).json({ success: false, error: 'Error updating deck', details: error.message });
+  }
+});
+
+// DELETE /api/vocabulary/decks/:deckId - Delete a deck, its words and their review cards
+router.delete('/:deckId', verifyToken, async (req, res) => {
+  try {
+    const deck = await findOwnedDeck(req, res);
+    if (!deck) return;
+
+    const [words, progress] = await Promise.all([
+      PersonalWord.deleteMany({ deckId: deck._id }),
+      VocabularyProgress.deleteMany({ userId: req.user.uid, deckId: deck._id, wordModel: 'PersonalWord' })
+    ]);
+    await deck.deleteOne();
+
+    res.json({
+      success: true,
+      deleted: { words: words.deletedCount, reviewCards: progress.deletedCount },
+      message: `✅ Deck "${deck.name}" deleted`
+    });
+  } catch (error) {
+    console.error('❌ Error deleting deck:', error);
+    res.status(500).json({ success: false, error: 'Error deleting deck' });
+  }
+});
+
+// POST /api/vocabulary/decks/:deckId/share - Enable or disable sharing ({ enabled: boolean })
+router.post('/:deckId/share', verifyToken, async (req, res) => {
+  try {
+    const deck = await findOwnedDeck(req, res);
+    if (!deck) return;
+
+    if (req.body.enabled === false) {
+      deck.isShared = false;
+    } else {
+      deck.enableSharing();
+    }
+    await deck.save();
+
+    res.json({
+      success: true,
+      data: {
+        isShared: deck.isShared,
+        shareCode: deck.isShared ? deck.shareCode : null
+      },
+      message: deck.isShared ? '✅ Deck is now shared' : '✅ Sharing disabled'
+    });
+  } catch (error) {
+    console.error('❌ Error updating deck sharing:', error);
+    res.status(500).json({ success: false, error: 'Error updating deck sharing' });
+  }
+});
+
+// ========================================
+// ✏️ WORDS
+// ========================================
+
+// POST /api/vocabulary/decks/:deckId/words - Add a word
+// Body: { word, translation, language?, pronunciation?, definition?, example?, exampleTranslation?, audioUrl?, imageUrl? }
+router.post('/:deckId/words', verifyToken, async (req, res) => {
+  try {
+    const deck = await findOwnedDeck(req, res);
+    if (!deck) return;
+
+    const fields = pickWordFields(req.body);
+    if (!fields.word || !fields.translation) {
+      return res.status(400).json({ success: false, error: 'Word and translation are required' });
+    }
+
+    const source = ['manual', 'chat'].includes(req.body.source) ? req.body.source : 'manual';
+    const word = await addWordToDeck(deck, req.user.uid, fields, source);
+
+    res.status(201).json({ success: true, data: word, message: '✅ Word added' });
+  } catch (error) {
+    if (handleDuplicateWord(error, res)) return;
+    console.error('❌ Error adding word:', error);
+    res.status(500).json({ success: false, error: 'Error adding word', details: error.message });
+  }
+});
+
+// PUT /api/vocabulary/decks/:deckId/words/:wordId - Edit a word
+router.put('/:deckId/words/:wordId', verifyToken, async (req, res) => {
+  try {
+    const deck = await findOwnedDeck(req, res);
+    if (!deck) return;
+
+    if (!isValidObjectId(req.params.wordId)) {
+      return res.status(400).json({ success: false, error: 'Invalid word ID' });
+    }
+
+    const word = await PersonalWord.findOne({ _id: req.params.wordId, deckId: deck._id });
+    if (!word) {
+      return res.status(404).json({ success: false, error: 'Word not found' });
+    }
+
+    Object.assign(word, pickWordFields(req.body));
+    await word.save();
+
+    await VocabularyProgress.updateOne(
+      { userId: req.user.uid, vocabularyId: word._id },
+      { $set: { term: word.word, language: word.language } }
+    );
+
+    res.json({ success: true, data: word, message: '✅ Word updated' });
+  } catch (error) {
+    if (handleDuplicateWord(error, res)) return;
+    console.error('❌ Error updating word:', error);
+    res.status(500).json({ success: false, error: 'Error updating word', details: error.message });
+  }
+});
+
+// DELETE /api/vocabulary/decks/:deckId/words/:wordId - Remove a word and its review card
+router.delete('/:deckId/words/:wordId', verifyToken, async (req, res) => {
+  try {
+    const deck = await findOwnedDeck(req, res);
+    if (!deck) return;
+
+    if (!isValidObjectId(req.params.wordId)) {
+      return res.status(400).json({ success: false, error: 'Invalid word ID' });
+    }
+
+    const word = await PersonalWord.findOneAndDelete({ _id: req.params.wordId, deckId: deck._id });
+    if (!word) {
+      return res.status(404).json({ success: false, error: 'Word not found' });
+    }
+
+    await Promise.all([
+      VocabularyProgress.deleteOne({ userId: req.user.uid, vocabularyId: word._id }),
+      VocabularyDeck.updateOne({ _id: deck._id, wordCount: { $gt: 0 } }, { $inc: { wordCount: -1 } })
+    ]);
+
+    res.json({ success: true, message: '✅ Word removed' });
+  } catch (error) {
+    console.error('❌ Error removing word:', error);
+    res.status(500).json({ success: false, error: 'Error removing word' });
+  }
+});
+
+module.exports = router;
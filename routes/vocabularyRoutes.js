@@ -2,9 +2,10 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
+const multer = require('multer');
 
 // Import models - with fallback handling
-let Vocabulary, VocabularyProgress, VocabularyCategory, VocabularyDialogue, Lesson, UserProgress, User;
+let Vocabulary, VocabularyProgress, VocabularyCategory, VocabularyDialogue, PersonalWord, Lesson, UserProgress, User;
 
 try {
   Vocabulary = require('../models/vocabulary');
@@ -12,6 +13,7 @@ try {
   VocabularyProgress = vocabModels.VocabularyProgress || require('../models/vocabularyProgress');
   VocabularyCategory = vocabModels.VocabularyCategory;
   VocabularyDialogue = vocabModels.VocabularyDialogue;
+  PersonalWord = require('../models/personalWord');
 } catch (error) {
 }
 
@@ -22,6 +24,40 @@ try {
 } catch (error) {
 }
 
+const {
+  normalizeGrade,
+  getRetrievability,
+  sortByReviewPriority,
+  isLeech
+} = require('../services/spacedRepetition');
+
+const { getVocabularyMastery } = require('../services/vocabularyAnalytics');
+const {
+  SUPPORTED_FORMATS,
+  IMPORT_FORMATS,
+  detectFormatFromFilename,
+  parseVocabularyFile,
+  parseAnkiPackage,
+  findDuplicates,
+  serializeVocabulary
+} = require('../services/vocabularyImportExport');
+
+// Deck files are parsed in memory, never written to disk
+const deckUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const format = detectFormatFromFilename(file.originalname);
+    if (format || ['text/csv', 'text/plain', 'text/tab-separated-values'].includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only CSV, TSV, Anki plain-text exports and Anki packages (.apkg) are allowed.'), false);
+    }
+  },
+  limits: {
+    fileSize: 20 * 1024 * 1024 // 20MB: Anki packages often bundle media
+  }
+});
+
 // Import auth middleware with fallback
 let verifyToken;
 try {
@@ -62,9 +98,10 @@ router.get('/user/:userId', async (req, res) => {
             language: progress.vocabularyId.language,
             partOfSpeech: progress.vocabularyId.partOfSpeech,
             difficulty: progress.vocabularyId.difficulty,
-            source: 'database',
+            source: progress.wordModel === 'PersonalWord' ? 'personal' : 'database',
+            deckId: progress.deckId,
             progress: progress.status === 'mastered' ? 100 : 
-                     progress.status === 'reviewing' ? 70 : 
+                     (progress.status === 'review' || progress.status === 'relearning') ? 70 : 
                      progress.status === 'learning' ? 40 : 0,
             examples: progress.vocabularyId.examples || [],
             updatedAt: progress.updatedAt,
@@ -72,7 +109,11 @@ router.get('/user/:userId', async (req, res) => {
               extractedFrom: 'vocabulary_database',
               status: progress.status,
               timesShown: progress.timesShown,
-              timesCorrect: progress.timesCorrect
+              timesCorrect: progress.timesCorrect,
+              nextReview: progress.nextReview,
+              lastReviewed: progress.lastReviewed,
+              stability: progress.stability,
+              lapses: progress.lapses
             }
           }));
         
@@ -513,8 +554,9 @@ router.get('/progress/:userId', verifyToken, async (req, res) => {
       total: progress.length,
       new: progress.filter(p => p.status === 'new').length,
       learning: progress.filter(p => p.status === 'learning').length,
-      reviewing: progress.filter(p => p.status === 'reviewing').length,
-      mastered: progress.filter(p => p.status === 'mastered').length
+      reviewing: progress.filter(p => p.status === 'review' || p.status === 'relearning').length,
+      mastered: progress.filter(p => p.status === 'mastered').length,
+      due: progress.filter(p => p.status !== 'new' && p.nextReview && p.nextReview <= new Date()).length
     };
     
     res.json({
@@ -532,11 +574,13 @@ router.get('/progress/:userId', verifyToken, async (req, res) => {
   }
 });
 
-// ✅ POST /api/vocabulary/progress/:userId/update - Update word learning progress  
+// ✅ POST /api/vocabulary/progress/:userId/update - Grade a review and schedule the next one
+// Body: { vocabularyId, grade: 'again' | 'hard' | 'good' | 'easy' (or 1-4), timeSpent }
+// The legacy { correct: true/false } body is still accepted and maps to good/again.
 router.post('/progress/:userId/update', verifyToken, async (req, res) => {
   try {
     const { userId } = req.params;
-    const { vocabularyId, correct, timeSpent } = req.body;
+    const { vocabularyId, correct, grade, timeSpent } = req.body;
     
     
     if (!VocabularyProgress) {
@@ -547,59 +591,52 @@ router.post('/progress/:userId/update', verifyToken, async (req, res) => {
         fallback: true
       });
     }
+
+    const normalizedGrade = normalizeGrade(grade, correct);
+    if (!vocabularyId || !normalizedGrade) {
+      return res.status(400).json({
+        success: false,
+        error: 'vocabularyId and a grade (again, hard, good, easy) are required'
+      });
+    }
     
     let progress = await VocabularyProgress.findOne({ userId, vocabularyId });
     
     if (!progress) {
+      let word = Vocabulary ? await Vocabulary.findById(vocabularyId).select('word language') : null;
+      let wordModel = 'Vocabulary';
+      if (!word && PersonalWord) {
+        word = await PersonalWord.findOne({ _id: vocabularyId, ownerId: userId }).select('word language deckId');
+        wordModel = 'PersonalWord';
+      }
       progress = new VocabularyProgress({
         userId,
         vocabularyId,
-        status: 'learning',
-        firstSeen: new Date(),
-        timesShown: 0,
-        timesCorrect: 0,
-        timesIncorrect: 0,
-        timeSpent: 0,
-        interval: 1
+        wordModel,
+        deckId: word?.deckId,
+        term: word?.word,
+        language: word?.language,
+        status: 'new'
       });
     }
     
-    // Update statistics
-    progress.timesShown += 1;
-    progress.timeSpent += timeSpent || 0;
-    progress.lastReviewed = new Date();
-    
-    if (correct) {
-      progress.timesCorrect += 1;
-      
-      // Simple spaced repetition algorithm
-      if (progress.timesCorrect >= 3 && progress.status === 'learning') {
-        progress.status = 'reviewing';
-        progress.interval = 3;
-      } else if (progress.timesCorrect >= 5 && progress.status === 'reviewing') {
-        progress.status = 'mastered';
-        progress.interval = 7;
-      } else {
-        progress.interval = Math.min(progress.interval * 1.3, 30);
-      }
-    } else {
-      progress.timesIncorrect += 1;
-      progress.interval = Math.max(1, progress.interval * 0.8);
-      
-      if (progress.status === 'mastered') {
-        progress.status = 'reviewing';
-      }
-    }
-    
-    // Calculate next review date
-    progress.nextReview = new Date(Date.now() + progress.interval * 24 * 60 * 60 * 1000);
-    progress.updatedAt = new Date();
+    const schedule = progress.applyReview(normalizedGrade, { timeSpent });
     
     await progress.save();
     
     res.json({
       success: true,
       data: progress,
+      schedule: {
+        grade: normalizedGrade,
+        status: schedule.status,
+        interval: schedule.interval,
+        nextReview: schedule.nextReview,
+        easeFactor: schedule.easeFactor,
+        stability: schedule.stability,
+        lapses: schedule.lapses,
+        isLeech: isLeech(progress)
+      },
       message: '✅ Progress updated successfully'
     });
     
@@ -616,11 +653,14 @@ router.post('/progress/:userId/update', verifyToken, async (req, res) => {
   }
 });
 
-// GET /api/vocabulary/review/:userId - Get words due for review
+// GET /api/vocabulary/review/:userId - Get the daily review queue
+// Due cards are ordered by estimated recall probability (most at risk first),
+// then topped up with unseen cards up to `newLimit`: learner-added words first,
+// then curated words the user has not studied yet.
 router.get('/review/:userId', verifyToken, async (req, res) => {
   try {
     const { userId } = req.params;
-    const { limit = 20, language } = req.query;
+    const { limit = 20, newLimit = 10, language, deckId } = req.query;
     
     if (!VocabularyProgress) {
       return res.json({
@@ -631,31 +671,83 @@ router.get('/review/:userId', verifyToken, async (req, res) => {
       });
     }
     
-    const query = {
+    const now = new Date();
+    const maxCards = parseInt(limit) || 20;
+    
+    const deckFilter = deckId && mongoose.Types.ObjectId.isValid(deckId) ? { deckId } : {};
+    
+    const dueCards = await VocabularyProgress.find({
       userId,
-      status: { $in: ['learning', 'reviewing'] },
+      ...deckFilter,
+      status: { $ne: 'new' },
       $or: [
-        { nextReview: { $lte: new Date() } },
+        { nextReview: { $lte: now } },
         { nextReview: { $exists: false } }
       ]
-    };
-    
-    const wordsForReview = await VocabularyProgress.find(query)
+    })
       .populate({
         path: 'vocabularyId',
         match: language ? { language } : {},
-        select: 'word translation pronunciation examples difficulty language topic subtopic'
-      })
-      .limit(parseInt(limit))
-      .sort({ nextReview: 1 });
+        select: 'word translation pronunciation examples difficulty language topic subtopic audioUrl'
+      });
     
     // Filter out null vocabulary (in case of language filter)
-    const filteredWords = wordsForReview.filter(w => w.vocabularyId);
+    const dueWords = sortByReviewPriority(dueCards.filter(w => w.vocabularyId), now).slice(0, maxCards);
+    
+    let newWords = [];
+    const newSlots = Math.min(parseInt(newLimit) || 0, maxCards - dueWords.length);
+    if (newSlots > 0) {
+      const newCards = await VocabularyProgress.find({ userId, ...deckFilter, status: 'new' })
+        .populate({
+          path: 'vocabularyId',
+          match: language ? { language } : {},
+          select: 'word translation pronunciation examples difficulty language topic subtopic audioUrl'
+        })
+        .sort({ createdAt: 1 })
+        .limit(newSlots * 3);
+      newWords = newCards.filter(w => w.vocabularyId).slice(0, newSlots);
+    }
+    
+    // Curated words get a progress record on their first review, so unseen
+    // ones are read from Vocabulary directly. They belong to no deck.
+    const curatedSlots = newSlots - newWords.length;
+    if (curatedSlots > 0 && !deckId && Vocabulary) {
+      const seenIds = await VocabularyProgress.distinct('vocabularyId', { userId, wordModel: { $ne: 'PersonalWord' } });
+      const curated = await Vocabulary.find({
+        _id: { $nin: seenIds },
+        isActive: { $ne: false },
+        ...(language ? { language } : {})
+      })
+        .select('word translation pronunciation examples difficulty language topic subtopic audioUrl')
+        .sort({ createdAt: 1 })
+        .limit(curatedSlots)
+        .lean();
+      newWords.push(...curated.map(word => ({
+        userId,
+        vocabularyId: word,
+        wordModel: 'Vocabulary',
+        term: word.word,
+        language: word.language,
+        status: 'new',
+        nextReview: now,
+        lapses: 0
+      })));
+    }
+    
+    const queue = [...dueWords, ...newWords].map(card => ({
+      ...(card.toObject ? card.toObject() : card),
+      retrievability: Math.round(getRetrievability(card, now) * 1000) / 1000,
+      isLeech: isLeech(card)
+    }));
     
     res.json({
       success: true,
-      data: filteredWords,
-      count: filteredWords.length,
+      data: queue,
+      count: queue.length,
+      stats: {
+        due: dueWords.length,
+        new: newWords.length
+      },
       message: '✅ Review words retrieved successfully'
     });
   } catch (error) {
@@ -707,7 +799,7 @@ router.get('/analytics/:userId', verifyToken, async (req, res) => {
     const analytics = {
       totalWordsLearned: userProgress.filter(p => p.status === 'mastered').length,
       wordsInProgress: userProgress.filter(p => p.status === 'learning').length,
-      wordsForReview: userProgress.filter(p => p.status === 'reviewing').length,
+      wordsForReview: userProgress.filter(p => p.status === 'review' || p.status === 'relearning').length,
       accuracy: userProgress.length > 0 
         ? Math.round((userProgress.reduce((sum, p) => sum + (p.timesCorrect / (p.timesShown || 1)), 0) / userProgress.length) * 100)
         : 0,
@@ -739,6 +831,14 @@ router.get('/analytics/:userId', verifyToken, async (req, res) => {
       }
     });
 
+    // Vocabulary size, CEFR estimate and retention per language
+    const mastery = await getVocabularyMastery(userId);
+    analytics.mastery = {
+      languages: mastery.languages,
+      retention: mastery.retention,
+      leechCount: mastery.leeches.length
+    };
+
     res.json({
       success: true,
       data: analytics,
@@ -754,6 +854,49 @@ router.get('/analytics/:userId', verifyToken, async (req, res) => {
   }
 });
 
+// GET /api/vocabulary/analytics/:userId/leeches - Words the learner keeps failing
+// Available to the learner and to admins so they can intervene
+router.get('/analytics/:userId/leeches', verifyToken, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { language } = req.query;
+
+    if (req.user?.uid !== userId) {
+      const viewer = User ? await User.findOne({ firebaseId: req.user?.uid }).select('role') : null;
+      if (viewer?.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied: user mismatch'
+        });
+      }
+    }
+
+    if (!VocabularyProgress) {
+      return res.json({
+        success: true,
+        data: [],
+        count: 0,
+        message: 'Analytics not available (vocabulary system not configured)'
+      });
+    }
+
+    const { leeches } = await getVocabularyMastery(userId, { language });
+
+    res.json({
+      success: true,
+      data: leeches,
+      count: leeches.length,
+      message: `✅ Found ${leeches.length} leeches`
+    });
+  } catch (error) {
+    console.error('❌ Error fetching vocabulary leeches:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error fetching vocabulary leeches'
+    });
+  }
+});
+
 // ✅ GET /api/vocabulary/stats/overview - Get vocabulary statistics
 router.get('/stats/overview', async (req, res) => {
   try {
@@ -939,6 +1082,21 @@ router.get('/languages/stats/:userId', async (req, res) => {
       });
     }
     
+    // Attach vocabulary size and CEFR estimates from review history
+    if (VocabularyProgress) {
+      try {
+        const mastery = await getVocabularyMastery(userId);
+        Object.values(languageStats).forEach(lang => {
+          const estimate = mastery.languages[lang.code];
+          lang.estimatedVocabularySize = estimate ? estimate.estimatedVocabularySize : 0;
+          lang.cefrLevel = estimate ? estimate.cefr.code : null;
+          lang.estimateConfidence = estimate ? estimate.confidence : 'low';
+        });
+      } catch (masteryError) {
+        console.error('❌ Error estimating vocabulary mastery:', masteryError.message);
+      }
+    }
+    
     const languages = Object.values(languageStats);
     const totalWords = languages.reduce((sum, lang) => sum + lang.totalWords, 0);
     const totalFromLessons = languages.reduce((sum, lang) => sum + lang.wordsFromLessons, 0);
@@ -1196,8 +1354,21 @@ router.get('/practice/:userId/:languageCode', async (req, res) => {
       practiceWords = practiceWords.filter(word => word.difficulty === difficulty);
     }
     
-    // Sort by progress (prioritize words with lower progress)
-    practiceWords.sort((a, b) => (a.progress || 0) - (b.progress || 0));
+    // Scheduled words (due first, lowest recall probability first), then words
+    // without scheduler state ordered by progress
+    const now = new Date();
+    const scheduled = practiceWords.filter(word => word.metadata?.lastReviewed);
+    const unscheduled = practiceWords
+      .filter(word => !word.metadata?.lastReviewed)
+      .sort((a, b) => (a.progress || 0) - (b.progress || 0));
+    const dueScheduled = scheduled.filter(word => !word.metadata.nextReview || new Date(word.metadata.nextReview) <= now);
+    const laterScheduled = scheduled.filter(word => word.metadata.nextReview && new Date(word.metadata.nextReview) > now);
+    
+    practiceWords = [
+      ...sortByReviewPriority(dueScheduled.map(word => ({ ...word.metadata, word })), now).map(card => card.word),
+      ...unscheduled,
+      ...sortByReviewPriority(laterScheduled.map(word => ({ ...word.metadata, word })), now).map(card => card.word)
+    ];
     
     // Take requested count
     practiceWords = practiceWords.slice(0, parseInt(count));
@@ -1903,6 +2074,231 @@ router.post('/admin/import-csv', verifyToken, async (req, res) => {
   }
 });
 
+// Insert imported rows without stopping at the first bad one. A partial
+// failure still saves the other rows, so report both instead of a 500.
+const insertImportRows = async (rows, now) => {
+  if (rows.length === 0) return { created: 0, failed: [] };
+
+  const docs = rows.map(r => ({ ...r.data, isActive: true, createdAt: now, updatedAt: now }));
+  let results;
+  try {
+    const inserted = await Vocabulary.insertMany(docs, { ordered: false, throwOnValidationError: true });
+    return { created: inserted.length, failed: [] };
+  } catch (error) {
+    // Bulk write and validation errors carry one result per input document
+    if (!Array.isArray(error.results)) throw error;
+    results = error.results;
+  }
+
+  const failed = [];
+  results.forEach((result, index) => {
+    if (result instanceof Vocabulary) return;
+    failed.push({
+      row: rows[index].row,
+      word: rows[index].data.word,
+      error: result?.err?.errmsg || result?.errmsg || result?.message || 'Insert failed'
+    });
+  });
+  return { created: rows.length - failed.length, failed };
+};
+
+// POST /api/vocabulary/admin/import - Import a CSV/TSV/Anki deck file or an Anki package (.apkg)
+// multipart/form-data: file (or JSON body: content), format, hasHeader, columnMap,
+// language, topic, subtopic, translationLanguage, dryRun, onDuplicate (skip | update | create)
+router.post('/admin/import', verifyToken, (req, res, next) => {
+  deckUpload.single('file')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        error: err.message
+      });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    if (!Vocabulary) {
+      return res.status(503).json({
+        success: false,
+        error: 'Vocabulary system not available'
+      });
+    }
+
+    const format = req.body.format || (req.file && detectFormatFromFilename(req.file.originalname)) || 'auto';
+    if (format !== 'auto' && !IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported format "${format}". Use one of: ${IMPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    if (format === 'apkg' && !req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Upload the Anki package as "file"'
+      });
+    }
+
+    const content = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+    if (format !== 'apkg' && (!content || typeof content !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Upload a file or send its text as "content"'
+      });
+    }
+
+    let columnMap = req.body.columnMap;
+    if (typeof columnMap === 'string' && columnMap.trim()) {
+      try {
+        columnMap = JSON.parse(columnMap);
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          error: 'columnMap must be a JSON object like {"word": 0, "translation": 1}'
+        });
+      }
+    }
+
+    const parseFlag = (value) => value === undefined || value === '' ? undefined : value === true || value === 'true';
+    const dryRun = parseFlag(req.body.dryRun) !== false;
+    const onDuplicate = ['skip', 'update', 'create'].includes(req.body.onDuplicate) ? req.body.onDuplicate : 'skip';
+
+    const defaults = {
+      language: req.body.language,
+      topic: req.body.topic,
+      subtopic: req.body.subtopic,
+      translationLanguage: req.body.translationLanguage
+    };
+    const parsed = format === 'apkg'
+      ? await parseAnkiPackage(req.file.buffer, { columnMap, defaults })
+      : parseVocabularyFile(content, {
+        format,
+        hasHeader: parseFlag(req.body.hasHeader),
+        columnMap,
+        defaults
+      });
+
+    const { fresh, inFile, existing } = await findDuplicates(Vocabulary, parsed.rows);
+
+    const summary = {
+      format: parsed.format,
+      totalRows: parsed.rows.length + parsed.errors.length,
+      valid: parsed.rows.length,
+      invalid: parsed.errors.length,
+      new: fresh.length,
+      duplicatesInFile: inFile.length,
+      duplicatesExisting: existing.length,
+      onDuplicate
+    };
+
+    const report = {
+      columns: parsed.columns,
+      errors: parsed.errors,
+      duplicates: [
+        ...inFile.map(d => ({ row: d.row, word: d.data.word, reason: 'duplicate_in_file', duplicateOfRow: d.duplicateOfRow })),
+        ...existing.map(d => ({ row: d.row, word: d.data.word, reason: 'already_exists', existingId: d.existingId }))
+      ]
+    };
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        dryRun: true,
+        summary,
+        preview: fresh.slice(0, 50).map(r => ({ row: r.row, ...r.data })),
+        ...report,
+        message: `🔍 Preview: ${fresh.length} new words, ${existing.length} already exist, ${parsed.errors.length} invalid rows`
+      });
+    }
+
+    const now = new Date();
+    const toCreate = onDuplicate === 'create' ? [...fresh, ...existing] : fresh;
+    const { created, failed } = await insertImportRows(toCreate, now);
+
+    let updated = 0;
+    if (onDuplicate === 'update' && existing.length > 0) {
+      const result = await Vocabulary.bulkWrite(existing.map(r => {
+        const { word, language, topic, ...fields } = r.data;
+        return {
+          updateOne: {
+            filter: { _id: r.existingId },
+            update: { $set: { ...fields, updatedAt: now } }
+          }
+        };
+      }), { ordered: false });
+      updated = result.modifiedCount || 0;
+    }
+
+    res.status(201).json({
+      success: true,
+      dryRun: false,
+      summary: { ...summary, created, failed: failed.length, updated },
+      ...report,
+      insertErrors: failed,
+      message: `✅ Imported ${created} words${updated ? `, updated ${updated}` : ''}${failed.length ? `, ${failed.length} rows failed` : ''}`
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('❌ Error importing vocabulary deck:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error importing vocabulary deck',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/vocabulary/admin/export - Export vocabulary as CSV, TSV or an Anki plain-text file
+router.get('/admin/export', verifyToken, async (req, res) => {
+  try {
+    const { format = 'csv', language, topic, subtopic, includeInactive } = req.query;
+
+    if (!SUPPORTED_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported format "${format}". Use one of: ${SUPPORTED_FORMATS.join(', ')}`
+      });
+    }
+
+    if (!Vocabulary) {
+      return res.status(503).json({
+        success: false,
+        error: 'Vocabulary system not available'
+      });
+    }
+
+    const query = {};
+    if (includeInactive !== 'true') query.isActive = true;
+    if (language) query.language = language;
+    if (topic) query.topic = topic;
+    if (subtopic) query.subtopic = subtopic;
+
+    const words = await Vocabulary.find(query)
+      .sort({ language: 1, topic: 1, subtopic: 1, word: 1 })
+      .lean();
+
+    const extension = format === 'anki' ? 'txt' : format;
+    const contentType = format === 'csv' ? 'text/csv' : format === 'tsv' ? 'text/tab-separated-values' : 'text/plain';
+    const filename = ['vocabulary', language, topic, subtopic]
+      .filter(Boolean)
+      .join('-')
+      .replace(/[^a-z0-9_-]+/gi, '_');
+
+    res.setHeader('Content-Type', `${contentType}; charset=utf-8`);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.${extension}"`);
+    res.send(serializeVocabulary(words, format));
+  } catch (error) {
+    console.error('❌ Error exporting vocabulary:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error exporting vocabulary',
+      details: error.message
+    });
+  }
+});
+
 // DELETE /api/vocabulary/admin/cleanup - Cleanup/delete operations
 router.delete('/admin/cleanup', verifyToken, async (req, res) => {
   try {
@@ -0,0 +1,74 @@
+// scripts/analyzeQuestionQuality.js - Batch item analysis for the placement question pool
+//
+// Usage: node scripts/analyzeQuestionQuality.js [--subject=Mathematics] [--since=2025-01-01] [--dry-run]
+
+const mongoose = require('mongoose');
+const { analyzeQuestionBank, runQualityAnalysis } = require('../services/questionQuality');
+
+// Load environment variables
+require('dotenv').config();
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/aced-learning';
+
+const args = Object.fromEntries(process.argv.slice(2).map(arg => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    return [key, value === undefined ? true : value];
+}));
+
+async function analyzeQuestionQuality() {
+    let exitCode = 0;
+
+    try {
+        console.log('🔌 Connecting to MongoDB...');
+        await mongoose.connect(MONGODB_URI);
+        console.log('✅ Connected to MongoDB');
+
+        const options = {
+            subject: args.subject,
+            since: args.since ? new Date(args.since) : undefined
+        };
+
+        const report = args['dry-run']
+            ? await analyzeQuestionBank(options)
+            : await runQualityAnalysis(options);
+
+        console.log('\n📊 Question Quality Summary:');
+        console.log('═══════════════════════════════════════');
+        console.log(`Questions:          ${report.summary.totalQuestions}`);
+        console.log(`Enough responses:   ${report.summary.analyzed}`);
+        Object.entries(report.summary.byRecommendation).forEach(([recommendation, count]) => {
+            console.log(`  - ${recommendation.padEnd(18)} ${count}`);
+        });
+
+        if (Object.keys(report.summary.byFlag).length > 0) {
+            console.log('\nFlags:');
+            Object.entries(report.summary.byFlag)
+                .sort((a, b) => b[1] - a[1])
+                .forEach(([flag, count]) => console.log(`  - ${flag.padEnd(28)} ${count}`));
+        }
+
+        const retire = report.items.filter(item => item.recommendation === 'retire');
+        if (retire.length > 0) {
+            console.log('\n🚫 Candidates for retirement:');
+            retire.forEach(item => {
+                console.log(`  [${item.subject}] ${item.questionId} - ${item.flags.join(', ')}`);
+                console.log(`      ${item.questionText}`);
+            });
+        }
+
+        console.log('═══════════════════════════════════════');
+        console.log(args['dry-run']
+            ? '🔍 Dry run - nothing saved'
+            : `✨ Saved ${report.updated} reports, recalibrated ${report.recalibrated} questions`);
+
+    } catch (error) {
+        console.error('❌ Error analysing questions:', error);
+        exitCode = 1;
+    } finally {
+        await mongoose.connection.close();
+        console.log('🔌 Database connection closed');
+        process.exit(exitCode);
+    }
+}
+
+analyzeQuestionQuality();
@@ -102,9 +102,8 @@ require('dotenv').config();
 const mongoose = require('mongoose');
 const axios = require('axios');
 const MulticardTransaction = require('../models/MulticardTransaction');
-const User = require('../models/user');
 const { getAuthToken } = require('../controllers/multicardAuth');
-const { getDurationFromAmount } = require('../config/subscriptionConfig');
+const { claimPayment } = require('../services/paymentService');
 
 const API_URL = process.env.MULTICARD_API_URL || 'https://api.multicard.uz/api/v1';
 
@@ -141,34 +140,31 @@ async function fixPendingTransactions() {
                 console.log(`   Multicard status: ${mcStatus}`);
 
                 if (mcStatus === 'success') {
-                    tx.status = 'paid';
-                    tx.paidAt = new Date(paymentData.payment_time || Date.now());
                     if (paymentData.card_pan) tx.cardPan = paymentData.card_pan;
                     if (paymentData.ps) tx.ps = paymentData.ps;
                     if (paymentData.receipt_url) {
                         tx.paymentDetails = {
-                            ...tx.paymentDetails,
+                            ...tx.paymentDetails?.toObject?.(),
                             receiptUrl: paymentData.receipt_url,
                             paymentTime: paymentData.payment_time
                         };
                     }
-                    await tx.save();
 
-                    // Grant subscription
-                    const user = await User.findById(tx.userId);
-                    if (user) {
-                        const { durationDays, durationMonths } = getDurationFromAmount(tx.amount);
-                        // Only grant if not already pro
-                        if (user.subscriptionPlan !== 'pro' || !user.subscriptionExpiryDate || user.subscriptionExpiryDate < new Date()) {
-                            await user.grantSubscription(tx.plan || 'pro', durationDays, 'multicard', durationMonths);
-                            user.subscriptionAmount = tx.amount;
-                            user.lastPaymentDate = new Date();
-                            await user.save();
-                            console.log(`   ✅ FIXED: Marked paid + granted subscription to ${user.email || user._id}`);
-                        } else {
-                            console.log(`   ✅ FIXED: Marked paid (user already has active subscription)`);
-                        }
+                    // Claim atomically: the webhook may be settling the same payment
+                    // and grant the subscription through the shared activation path
+                    const settled = await claimPayment('multicard', tx, {
+                        paidAt: new Date(paymentData.payment_time || Date.now()),
+                        set: { cardPan: tx.cardPan, ps: tx.ps, paymentDetails: tx.paymentDetails }
+                    });
+                    if (!settled) {
+                        console.log(`   ⏭️ Not pending any more (settled meanwhile)`);
+                        continue;
                     }
+
+                    const { user } = settled;
+                    console.log(user
+                        ? `   ✅ FIXED: Marked paid + granted subscription to ${user.email || user._id}`
+                        : `   ✅ FIXED: Marked paid (no user found to grant)`);
                     fixed++;
                 } else if (mcStatus === 'error' || mcStatus === 'revert') {
                     tx.status = mcStatus === 'revert' ? 'refunded' : 'failed';
@@ -19,6 +19,10 @@ mongoose.set('debug', process.env.NODE_ENV === 'development');
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Number of reverse proxies in front of the app: req.ip is taken from
+// X-Forwarded-For only up to these hops, so clients cannot spoof it
+app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS ?? 1));
+
 // ========================================
 // 🛡️ SECURITY & MIDDLEWARE
 // ========================================
@@ -184,6 +188,15 @@ mountRoute('/api/user', './routes/userRoutes', 'User routes (legacy)');
 // 1. Multicard routes FIRST (most specific paths)
 mountRoute('/api/payments/multicard', './routes/multicardRoutes', 'Multicard payment routes');
 
+// 1a. Click SHOP API callbacks (Prepare / Complete)
+mountRoute('/api/payments/click', './routes/clickRoutes', 'Click payment routes');
+
+// 1b. Admin refunds across payment providers
+mountRoute('/api/payments/refunds', './routes/refundRoutes', 'Refund routes');
+
+// 1c. Payments ledger and finance reconciliation
+mountRoute('/api/payments/ledger', './routes/ledgerRoutes', 'Payments ledger routes');
+
 // 2. Main payments routes (includes PayMe webhook at root POST /)
 mountRoute('/api/payments', './routes/payments', 'Main payment routes');
 
@@ -193,6 +206,21 @@ mountRoute('/api/payments', './routes/paymeRoutes', 'PayMe routes');
 // 4. Promocode routes
 mountRoute('/api/promocodes', './routes/promocodeRoutes', 'Promocode routes');
 
+// 5. Promo campaigns (admin)
+mountRoute('/api/promo-campaigns', './routes/promoCampaignRoutes', 'Promo campaign routes');
+
+// 6. Referral program
+mountRoute('/api/referrals', './routes/referralRoutes', 'Referral routes');
+
+// 7. Family and group plans
+mountRoute('/api/subscription-groups', './routes/subscriptionGroupRoutes', 'Subscription group routes');
+
+// 8. Institutional licences (organisations, seats, invoices)
+mountRoute('/api/organizations', './routes/organizationRoutes', 'Organization routes');
+
+// 9. Checkout with any payment provider
+mountRoute('/api/checkout', './routes/checkoutRoutes', 'Checkout routes');
+
 // ========================================
 // PROGRESS & ANALYTICS ROUTES
 // ========================================
@@ -215,7 +243,8 @@ mountRoute('/api/subjects', './routes/subjectRoutes', 'Subject routes');
 mountRoute('/api/topics', './routes/topicRoutes', 'Topic routes');
 mountRoute('/api/lessons', './routes/lessonRoutes', 'Lesson routes');
 
-// Vocabulary routes
+// Vocabulary routes (personal decks first - more specific path)
+mountRoute('/api/vocabulary/decks', './routes/vocabularyDeckRoutes', 'Personal vocabulary deck routes');
 try {
   mountRoute('/api/vocabulary', './routes/vocabularyRoutes', 'Vocabulary routes');
 } catch (e) {
@@ -243,6 +272,15 @@ mountRoute('/api/learning-mode', './routes/learningModeRoutes', 'Dual-mode learn
 // Seed routes (questions database)
 mountRoute('/api/seed', './routes/seedRoutes', 'Seed routes (questions database)');
 
+// Teacher classes, rosters, assignments and gradebook
+mountRoute('/api/classes', './routes/classroomRoutes', 'Classroom routes');
+
+// Certificates (issued on level/course completion, public verification)
+mountRoute('/api/certificates', './routes/certificateRoutes', 'Certificate routes');
+
+// Parent accounts (child links, read-only dashboard, checkout for a child)
+mountRoute('/api/parents', './routes/parentRoutes', 'Parent account routes');
+
 // Dashboard routes (mode-differentiated dashboards)
 mountRoute('/api/dashboard', './routes/dashboardRoutes', 'Mode-differentiated dashboard routes');
 
@@ -259,7 +297,7 @@ mountRoute('/api/games', './routes/gameRoutes', 'Game system routes');
 
 mountRoute('/api/homeworks', './routes/homeworkRoutes', 'Homework routes');
 mountRoute('/api/tests', './routes/testRoutes', 'Test routes');
-mountRoute('/api/ai-tests', './routes/aiTestRoutes', 'AI Test Generation routes (DeepSeek)');
+mountRoute('/api/ai-tests', './routes/aiTestRoutes', 'AI Test Generation routes');
 
 // ========================================
 // RATINGS ROUTES
@@ -274,6 +312,12 @@ mountRoute('/api/ratings', './routes/ratingRoutes', 'Rating routes');
 // Chat Routes: Includes standard AI, lesson context AI
 mountRoute('/api/chat', './routes/chatRoutes', 'Chat & AI routes');
 
+// What the AI tutor remembers about the learner (view, edit, export, delete, switch off)
+mountRoute('/api/ai-memory', './routes/aiMemoryRoutes', 'AI memory privacy routes');
+
+// LLM token and cost dashboard (admin)
+mountRoute('/api/ai-usage', './routes/aiUsageRoutes', 'AI usage and cost routes');
+
 mountRoute('/api/email', './routes/emailRoutes', 'Email routes');
 
 // ========================================
@@ -366,31 +410,12 @@ app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
 
   // ========================================
-  // 📅 SUBSCRIPTION RECONCILIATION (auto-expire + auto-activate)
+  // ⏰ SCHEDULED JOBS (Mongo-backed, one run per interval across instances)
   // ========================================
-  const { reconcileAllSubscriptions } = require('./middlewares/subscriptionMiddleware');
-
-  // Run once on startup (after DB connects)
-  setTimeout(async () => {
-    try {
-      const stats = await reconcileAllSubscriptions();
-      console.log('📅 Subscription reconciliation (startup):', stats);
-    } catch (err) {
-      console.error('❌ Startup subscription reconciliation failed:', err.message);
-    }
-  }, 10000); // Wait 10s for DB connection
-
-  // Run every hour
-  setInterval(async () => {
-    try {
-      const stats = await reconcileAllSubscriptions();
-      if (stats.fixed > 0) {
-        console.log(`📅 Reconciled ${stats.fixed} subscription(s) — expired: ${stats.expired}, activated: ${stats.activated}`);
-      }
-    } catch (err) {
-      console.error('❌ Scheduled subscription reconciliation failed:', err.message);
-    }
-  }, 60 * 60 * 1000); // Every 1 hour
+  // Subscription reconciliation, auto-renew, lifecycle notices, parent digests
+  // — see services/scheduledJobs.js
+  const { startScheduledJobs } = require('./services/scheduledJobs');
+  startScheduledJobs();
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,370 @@
+/**
+ * AI Memory Service
+ *
+ * Turns tutor conversations into long-term AIMemory entries. After each lesson
+ * chat reply a structured LLM call (memoryExtraction route) reads the
+ * exchange, in whatever language it was held, and returns typed facts about
+ * the student. They are merged into the user's memory: similar facts are
+ * combined instead of duplicated, and importance decays unless a fact keeps
+ * coming up (see models/aiMemory.js).
+ *
+ * Learners can see, edit, export and delete what is stored about them, and
+ * switch memory off; while it is off nothing is extracted or put in prompts.
+ *
+ * @module services/aiMemoryService
+ */
+
+const AIMemory = require('../models/aiMemory');
+const { complete, isFeatureAvailable } = require('./llmGateway');
+const httpError = require('../utils/httpError');
+
+const MEMORY_TYPES = AIMemory.schema.path('memories').schema.path('type').enumValues;
+// Facts about a subject; preferences, interests and goals apply everywhere
+const SUBJECT_TYPES = ['struggle_topic', 'strength_topic', 'misconception', 'question_asked', 'breakthrough'];
+const MAX_ITEMS_PER_EXCHANGE = 5;
+const MAX_CONTENT_CHARS = 300;
+// Greetings and one-word replies carry nothing worth remembering
+const MIN_MESSAGE_CHARS = 12;
+
+const SYSTEM_PROMPT = `You maintain the long-term memory of an AI tutor on an educational platform.
+Read one exchange between a student and the tutor and list the facts worth remembering about the STUDENT for future lessons.
+The conversation may be in Uzbek, Russian or English. Always write the facts in English, in short third-person sentences ("Struggles with fractions with different denominators").
+
+Allowed types:
+- learning_preference: how the student likes to be taught
+- struggle_topic: a concept the student finds hard
+- strength_topic: a concept the student handles well
+- misconception: a specific wrong belief or repeated mistake
+- interest: a hobby or interest usable in examples (content is just the interest, e.g. "football")
+- question_asked: an important question worth recalling later
+- breakthrough: the student clearly understood something they struggled with
+- goal: an exam, grade or learning goal
+- context: other lasting facts (grade, school, exam date)
+
+Rules:
+- Only facts about the student, not about the lesson content or the tutor.
+- Skip small talk, greetings and anything that will not matter next week.
+- importance is 1-10: 8-10 for goals and persistent struggles, 4-6 for ordinary facts, 1-3 for trivia.
+- At most ${MAX_ITEMS_PER_EXCHANGE} facts. An empty list is a good answer when nothing is worth remembering.
+
+Respond with JSON only:
+{"memories": [{"type": "struggle_topic", "content": "...", "importance": 7, "topic": "optional topic name"}]}`;
+
+const PROFILE_FIELDS = {
+  preferredExplanationStyle: 'enum',
+  pacePreference: 'enum',
+  encouragementLevel: 'enum',
+  commonMistakePatterns: 'list',
+  strongAreas: 'list',
+  weakAreas: 'list',
+  interests: 'list'
+};
+const MAX_PROFILE_LIST = 20;
+
+const clampImportance = (value) => Math.min(10, Math.max(1, Math.round(Number(value) || 5)));
+
+/**
+ * Whether memory is on for a user (it is until they switch it off).
+ * @param {string} userId - Firebase UID
+ * @returns {Promise<boolean>}
+ */
+const isMemoryEnabled = async (userId) => {
+  const memory = await AIMemory.findOne({ userId }).select('memoryEnabled').lean();
+  return !memory || memory.memoryEnabled !== false;
+};
+
+/**
+ * Ask the LLM which facts in an exchange are worth remembering.
+ * @param {Object} exchange
+ * @param {string} [exchange.userId] - whose token budget the call counts against
+ * @param {string} exchange.userMessage
+ * @param {string} exchange.aiResponse
+ * @param {Object} [exchange.lessonContext] - { subject, topic, lessonId, lessonName }
+ * @returns {Promise<Array<Object>>} { type, content, importance, subject, topic, lessonId }
+ */
+const extractMemories = async ({ userId, userMessage, aiResponse, lessonContext = {} }) => {
+  const lesson = [
+    lessonContext.subject && `Subject: ${lessonContext.subject}`,
+    lessonContext.topic && `Topic: ${lessonContext.topic}`,
+    lessonContext.lessonName && `Lesson: ${lessonContext.lessonName}`
+  ].filter(Boolean).join('\n');
+
+  const result = await complete({
+    feature: 'memoryExtraction',
+    messages: [
+      { role: 'system', content: SYSTEM_PROMPT },
+      {
+        role: 'user',
+        content: `${lesson || 'No lesson context.'}\n\nSTUDENT:\n${userMessage.slice(0, 2000)}\n\nTUTOR:\n${String(aiResponse || '').slice(0, 2000)}`
+      }
+    ],
+    json: true,
+    schema: { memories: 'array' },
+    temperature: 0,
+    maxTokens: 600,
+    meter: { userId, action: 'memory-extraction' }
+  });
+
+  return result.data.memories
+    .filter(item => item && MEMORY_TYPES.includes(item.type) && typeof item.content === 'string' && item.content.trim())
+    .slice(0, MAX_ITEMS_PER_EXCHANGE)
+    .map(item => {
+      const scoped = SUBJECT_TYPES.includes(item.type);
+      return {
+        type: item.type,
+        content: item.content.trim().slice(0, MAX_CONTENT_CHARS),
+        importance: clampImportance(item.importance),
+        subject: scoped ? lessonContext.subject : undefined,
+        topic: scoped ? ((typeof item.topic === 'string' && item.topic.trim()) || lessonContext.topic) : undefined,
+        lessonId: scoped ? lessonContext.lessonId : undefined
+      };
+    });
+};
+
+/**
+ * Extract memories from a finished exchange and merge them into the user's
+ * AIMemory. Failures are logged, never thrown: memory is best effort.
+ * @param {string} userId - Firebase UID
+ * @param {string} userMessage
+ * @param {string} aiResponse
+ * @param {Object} [lessonContext]
+ * @returns {Promise<Array<Object>>} the memory items added or updated
+ */
+const saveConversationMemories = async (userId, userMessage, aiResponse, lessonContext = {}) => {
+  try {
+    if (!userMessage || userMessage.trim().length < MIN_MESSAGE_CHARS) return [];
+    if (!isFeatureAvailable('memoryExtraction')) return [];
+    if (!(await isMemoryEnabled(userId))) return [];
+
+    const items = await extractMemories({ userId, userMessage, aiResponse, lessonContext: lessonContext || {} });
+    if (items.length === 0) return [];
+
+    const aiMemory = await AIMemory.getOrCreate(userId);
+    // Switched off while the extraction call was running
+    if (aiMemory.memoryEnabled === false) return [];
+    const saved = items.map(item => aiMemory.mergeMemory(item.type, item.content, item));
+
+    // Interests also feed the learner profile used for examples
+    const interests = aiMemory.learnerProfile.interests || [];
+    items
+      .filter(item => item.type === 'interest' && item.content.length <= 40)
+      .forEach(item => {
+        const interest = item.content.toLowerCase();
+        if (!interests.includes(interest)) interests.push(interest);
+      });
+    aiMemory.learnerProfile.interests = interests.slice(-10);
+
+    aiMemory.pruneMemories();
+    aiMemory.lastUpdatedAt = new Date();
+    await aiMemory.save();
+    return saved;
+
+  } catch (error) {
+    console.error('❌ Memory extraction failed:', error.message);
+    return [];
+  }
+};
+
+// ============================================
+// LEARNER-FACING MANAGEMENT
+// ============================================
+
+const formatMemory = (m) => ({
+  id: m._id,
+  type: m.type,
+  content: m.content,
+  subject: m.subject || null,
+  topic: m.topic || null,
+  lessonId: m.lessonId || null,
+  importance: m.importance,
+  mentions: m.mentions || 1,
+  createdAt: m.createdAt,
+  lastSeenAt: m.lastSeenAt || m.createdAt,
+  expiresAt: m.expiresAt || null
+});
+
+const formatProfile = (profile = {}) => Object.fromEntries(Object.keys(PROFILE_FIELDS).map(field => [
+  field,
+  PROFILE_FIELDS[field] === 'list' ? [...(profile[field] || [])] : (profile[field] || null)
+]));
+
+const requireMemoryDoc = async (userId) => {
+  const memory = await AIMemory.findOne({ userId });
+  if (!memory) throw httpError(404, 'No AI memory stored for this user');
+  return memory;
+};
+
+/**
+ * Everything the tutor remembers about a user.
+ * @param {string} userId - Firebase UID
+ * @returns {Promise<Object>} { memoryEnabled, learnerProfile, memories, activeSubjects, contextSummary, updatedAt }
+ */
+const getMemoryOverview = async (userId) => {
+  const memory = await AIMemory.findOne({ userId }).lean();
+  if (!memory) {
+    return { memoryEnabled: true, learnerProfile: formatProfile(), memories: [], activeSubjects: [], contextSummary: null, updatedAt: null };
+  }
+
+  return {
+    memoryEnabled: memory.memoryEnabled !== false,
+    memoryDisabledAt: memory.memoryDisabledAt || null,
+    learnerProfile: formatProfile(memory.learnerProfile),
+    memories: [...memory.memories]
+      .sort((a, b) => new Date(b.lastSeenAt || b.createdAt) - new Date(a.lastSeenAt || a.createdAt))
+      .map(formatMemory),
+    activeSubjects: (memory.activeSubjects || []).map(s => ({
+      subject: s.subject,
+      lastAccessedAt: s.lastAccessedAt,
+      progressPercent: s.progressPercent
+    })),
+    contextSummary: memory.contextSummary || null,
+    updatedAt: memory.lastUpdatedAt || memory.updatedAt
+  };
+};
+
+/**
+ * Correct a memory's wording or importance.
+ * @param {string} userId
+ * @param {string} memoryId
+ * @param {Object} changes - { content?, importance? }
+ * @returns {Promise<Object>} the updated memory
+ */
+const updateMemory = async (userId, memoryId, { content, importance } = {}) => {
+  if (content === undefined && importance === undefined) throw httpError(400, 'Nothing to update: send content or importance');
+
+  const memory = await requireMemoryDoc(userId);
+  const item = memory.memories.id(memoryId);
+  if (!item) throw httpError(404, 'Memory not found');
+
+  if (content !== undefined) {
+    const text = String(content).trim();
+    if (!text) throw httpError(400, 'content cannot be empty');
+    if (text.length > 500) throw httpError(400, 'content must be at most 500 characters');
+    item.content = text;
+  }
+  if (importance !== undefined) {
+    const value = Number(importance);
+    if (!Number.isInteger(value) || value < 1 || value > 10) throw httpError(400, 'importance must be an integer from 1 to 10');
+    item.importance = value;
+  }
+
+  memory.lastUpdatedAt = new Date();
+  await memory.save();
+  return formatMemory(item);
+};
+
+/**
+ * @param {string} userId
+ * @param {string} memoryId
+ */
+const deleteMemory = async (userId, memoryId) => {
+  const memory = await requireMemoryDoc(userId);
+  const item = memory.memories.id(memoryId);
+  if (!item) throw httpError(404, 'Memory not found');
+
+  item.deleteOne();
+  memory.lastUpdatedAt = new Date();
+  await memory.save();
+};
+
+/**
+ * Change learner profile fields; lists replace the stored list.
+ * @param {string} userId
+ * @param {Object} changes - any of PROFILE_FIELDS
+ * @returns {Promise<Object>} the learner profile
+ */
+const updateLearnerProfile = async (userId, changes = {}) => {
+  const fields = Object.keys(changes).filter(field => PROFILE_FIELDS[field]);
+  if (fields.length === 0) throw httpError(400, `Send at least one of: ${Object.keys(PROFILE_FIELDS).join(', ')}`);
+
+  const update = {};
+  for (const field of fields) {
+    const value = changes[field];
+    if (PROFILE_FIELDS[field] === 'enum') {
+      const allowed = AIMemory.schema.path(`learnerProfile.${field}`).enumValues;
+      if (!allowed.includes(value)) throw httpError(400, `${field} must be one of: ${allowed.join(', ')}`);
+      update[`learnerProfile.${field}`] = value;
+    } else {
+      if (!Array.isArray(value)) throw httpError(400, `${field} must be an array of strings`);
+      update[`learnerProfile.${field}`] = value
+        .map(entry => String(entry).trim().slice(0, 100))
+        .filter(Boolean)
+        .slice(0, MAX_PROFILE_LIST);
+    }
+  }
+
+  const memory = await AIMemory.findOneAndUpdate(
+    { userId },
+    { $set: { ...update, lastUpdatedAt: new Date() }, $setOnInsert: { userId } },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  ).lean();
+  return formatProfile(memory.learnerProfile);
+};
+
+/**
+ * Delete every memory, the learner profile, subject tracking and summary.
+ * The on/off setting is kept.
+ * @param {string} userId
+ * @returns {Promise<number>} how many memories were deleted
+ */
+const clearMemories = async (userId) => {
+  const memory = await AIMemory.findOne({ userId });
+  if (!memory) return 0;
+
+  const deleted = memory.memories.length;
+  memory.memories = [];
+  memory.learnerProfile = {};
+  memory.activeSubjects = [];
+  memory.contextSummary = undefined;
+  memory.lastUpdatedAt = new Date();
+  await memory.save();
+  return deleted;
+};
+
+/**
+ * Switch memory on or off. Switching off stops recording and recall; stored
+ * memories stay until the learner deletes them (or `clear` is set).
+ * @param {string} userId
+ * @param {boolean} enabled
+ * @param {Object} [options]
+ * @param {boolean} [options.clear=false] - also delete what is stored
+ * @returns {Promise<{ memoryEnabled: boolean, cleared: number }>}
+ */
+const setMemoryEnabled = async (userId, enabled, { clear = false } = {}) => {
+  if (typeof enabled !== 'boolean') throw httpError(400, 'enabled must be true or false');
+
+  await AIMemory.updateOne(
+    { userId },
+    {
+      $set: { memoryEnabled: enabled, memoryDisabledAt: enabled ? null : new Date(), lastUpdatedAt: new Date() },
+      $setOnInsert: { userId }
+    },
+    { upsert: true }
+  );
+  const cleared = clear ? await clearMemories(userId) : 0;
+  return { memoryEnabled: enabled, cleared };
+};
+
+/**
+ * Machine-readable copy of everything stored, for data access requests.
+ * @param {string} userId
+ * @returns {Promise<Object>}
+ */
+const exportMemories = async (userId) => ({
+  exportedAt: new Date().toISOString(),
+  userId,
+  ...(await getMemoryOverview(userId))
+});
+
+module.exports = {
+  extractMemories,
+  saveConversationMemories,
+  isMemoryEnabled,
+  getMemoryOverview,
+  updateMemory,
+  deleteMemory,
+  updateLearnerProfile,
+  clearMemories,
+  setMemoryEnabled,
+  exportMemories
+};
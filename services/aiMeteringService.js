@@ -0,0 +1,202 @@
+/**
+ * AI Metering Service
+ *
+ * Token- and cost-based metering of LLM calls. The gateway records every call
+ * (services/llmGateway.js) with its prompt/completion tokens and an estimated
+ * cost from LLM_MODEL_PRICES; calls made for a user are also checked against
+ * the user's daily token budget (getDailyTokenBudget in subscriptionConfig).
+ *
+ * Message counts and the monthly free-plan message limit stay in
+ * models/aiUsage.js.
+ *
+ * @module services/aiMeteringService
+ */
+
+const AIUsageEvent = require('../models/aiUsageEvent');
+const { AIUsage } = require('../models/aiUsage');
+const User = require('../models/user');
+const { estimateCostUsd } = require('../config/llmConfig');
+const { getDailyTokenBudget } = require('../config/subscriptionConfig');
+const httpError = require('../utils/httpError');
+
+const TOKEN_BUDGET_EXCEEDED = 'TOKEN_BUDGET_EXCEEDED';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DASHBOARD_DAYS = 30;
+
+const round = (value, digits = 4) => {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Store one LLM call. Never throws: metering must not break the feature.
+ * @param {Object} call
+ * @param {string|null} call.userId
+ * @param {string} call.feature - LLM_FEATURES key
+ * @param {string} [call.action] - endpoint label, defaults to the feature
+ * @param {string} call.provider
+ * @param {string} call.model
+ * @param {Object} call.usage - { promptTokens, completionTokens, totalTokens }
+ * @param {number} [call.latencyMs]
+ * @param {boolean} [call.estimated=false]
+ * @returns {Promise<Object|null>} the event
+ */
+const recordCall = async ({ userId = null, feature, action, provider, model, usage, latencyMs, estimated = false }) => {
+  try {
+    const promptTokens = usage?.promptTokens || 0;
+    const completionTokens = usage?.completionTokens || 0;
+    return await AIUsageEvent.create({
+      userId,
+      feature,
+      action: action || feature,
+      provider,
+      model,
+      promptTokens,
+      completionTokens,
+      totalTokens: usage?.totalTokens || promptTokens + completionTokens,
+      costUsd: estimateCostUsd(model, { promptTokens, completionTokens }),
+      estimated,
+      latencyMs,
+      day: AIUsage.getCurrentDay()
+    });
+  } catch (error) {
+    console.error('❌ Failed to record AI usage event:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Tokens a user has used today against their daily budget.
+ * @param {string} userId - Firebase UID
+ * @returns {Promise<{ day: string, budget: number, used: number, remaining: number, costUsd: number, allowed: boolean }>}
+ */
+const getDailyTokenStatus = async (userId) => {
+  const day = AIUsage.getCurrentDay();
+  const [user, totals] = await Promise.all([
+    User.findOne({ firebaseId: userId }).select('subscriptionPlan subscriptionExpiryDate subscriptionDuration'),
+    AIUsageEvent.aggregate([
+      { $match: { userId, day } },
+      { $group: { _id: null, tokens: { $sum: '$totalTokens' }, costUsd: { $sum: '$costUsd' } } }
+    ])
+  ]);
+
+  const budget = getDailyTokenBudget(user);
+  const used = totals[0]?.tokens || 0;
+  return {
+    day,
+    budget,
+    used,
+    remaining: Math.max(0, budget - used),
+    costUsd: round(totals[0]?.costUsd || 0),
+    allowed: used < budget
+  };
+};
+
+/**
+ * Throw 429 when the user's daily token budget is spent.
+ * @param {string} userId
+ * @returns {Promise<Object>} the daily status
+ */
+const assertTokenBudget = async (userId) => {
+  const status = await getDailyTokenStatus(userId);
+  if (!status.allowed) {
+    const error = httpError(429, `Daily AI token limit (${status.budget.toLocaleString('en-US')}) reached. It resets tomorrow.`);
+    error.code = TOKEN_BUDGET_EXCEEDED;
+    error.tokens = status;
+    throw error;
+  }
+  return status;
+};
+
+const sumStage = {
+  calls: { $sum: 1 },
+  promptTokens: { $sum: '$promptTokens' },
+  completionTokens: { $sum: '$completionTokens' },
+  totalTokens: { $sum: '$totalTokens' },
+  costUsd: { $sum: '$costUsd' }
+};
+
+// _id is the group key: a value (day, userId) or an object (feature + action)
+const formatRow = ({ _id, ...totals }, key) => ({
+  ...(key ? { [key]: _id } : _id),
+  ...totals,
+  costUsd: round(totals.costUsd)
+});
+
+/**
+ * Admin cost dashboard for a period.
+ * @param {Object} [options]
+ * @param {Date} [options.from] - default: 30 days before `to`
+ * @param {Date} [options.to] - default: now
+ * @param {string} [options.feature] - only this LLM feature
+ * @param {string} [options.userId] - only this user's calls
+ * @param {number} [options.topUsers=20]
+ * @returns {Promise<Object>} { period, totals, byDay, byFeature, byModel, byUser }
+ */
+const getCostDashboard = async ({ from, to, feature, userId, topUsers = 20 } = {}) => {
+  const end = to || new Date();
+  const start = from || new Date(end.getTime() - DEFAULT_DASHBOARD_DAYS * DAY_MS);
+
+  const match = { createdAt: { $gte: start, $lt: end } };
+  if (feature) match.feature = feature;
+  if (userId) match.userId = userId;
+
+  const [result] = await AIUsageEvent.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        totals: [{ $group: { _id: null, ...sumStage, users: { $addToSet: '$userId' } } }],
+        byDay: [{ $group: { _id: '$day', ...sumStage } }, { $sort: { _id: 1 } }],
+        byFeature: [
+          { $group: { _id: { feature: '$feature', action: '$action' }, ...sumStage } },
+          { $sort: { costUsd: -1 } }
+        ],
+        byModel: [
+          { $group: { _id: { provider: '$provider', model: '$model' }, ...sumStage } },
+          { $sort: { costUsd: -1 } }
+        ],
+        byUser: [
+          { $match: { userId: { $ne: null } } },
+          { $group: { _id: '$userId', ...sumStage, lastCallAt: { $max: '$createdAt' } } },
+          { $sort: { costUsd: -1 } },
+          { $limit: topUsers }
+        ]
+      }
+    }
+  ]);
+
+  const totals = result.totals[0] || { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0, users: [] };
+
+  // Attach emails so admins can recognise the heaviest users
+  const userIds = result.byUser.map(row => row._id);
+  const accounts = await User.find({ firebaseId: { $in: userIds } }).select('firebaseId email subscriptionPlan').lean();
+  const accountById = new Map(accounts.map(a => [a.firebaseId, a]));
+
+  return {
+    period: { from: start, to: end },
+    totals: {
+      calls: totals.calls,
+      promptTokens: totals.promptTokens,
+      completionTokens: totals.completionTokens,
+      totalTokens: totals.totalTokens,
+      costUsd: round(totals.costUsd),
+      users: totals.users.filter(Boolean).length
+    },
+    byDay: result.byDay.map(row => formatRow(row, 'day')),
+    byFeature: result.byFeature.map(row => formatRow(row)),
+    byModel: result.byModel.map(row => formatRow(row)),
+    byUser: result.byUser.map(row => ({
+      ...formatRow(row, 'userId'),
+      email: accountById.get(row._id)?.email || null,
+      plan: accountById.get(row._id)?.subscriptionPlan || null
+    }))
+  };
+};
+
+module.exports = {
+  TOKEN_BUDGET_EXCEEDED,
+  recordCall,
+  getDailyTokenStatus,
+  assertTokenBudget,
+  getCostDashboard
+};
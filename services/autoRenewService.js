@@ -0,0 +1,497 @@
+/**
+ * Subscription Auto-Renew
+ *
+ * Opt-in renewal with a card bound through Multicard (User.savedCards). The
+ * card token is charged RENEW_DAYS_BEFORE days before subscriptionExpiryDate
+ * through the Multicard token payment API. Failed charges are retried with
+ * backoff (RETRY_DELAYS_HOURS); when retries run out auto-renew is switched
+ * off and the subscription expires normally. Every outcome is posted to the
+ * user's inbox (models/message.js).
+ *
+ * Every charge is recorded as a pending MulticardTransaction before the card
+ * is charged and tagged with the renewal period (renewalKey: user + the
+ * expiry date being renewed). A charge whose outcome is unknown (the webhook
+ * has not arrived, or the request timed out after it was sent) is never
+ * retried blindly: the next run asks Multicard for the payment status, and an
+ * invoice still open after PENDING_TIMEOUT_HOURS is cancelled at Multicard
+ * before a retry. A period that already has a paid charge is never charged
+ * again.
+ *
+ * @module services/autoRenewService
+ */
+
+const axios = require('axios');
+const User = require('../models/user');
+const Message = require('../models/message');
+const MulticardTransaction = require('../models/MulticardTransaction');
+const { getAuthToken } = require('../controllers/multicardAuth');
+const { fetchPaymentHistory } = require('../controllers/multicardController');
+const { getProvider } = require('./paymentProviders');
+const { getTierById } = require('../config/subscriptionConfig');
+const { claimPayment } = require('./paymentService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const RENEW_DAYS_BEFORE = Number(process.env.AUTO_RENEW_DAYS_BEFORE) || 3;
+// Delay before retry N (after failure N). One initial attempt + one per entry.
+const RETRY_DELAYS_HOURS = [6, 24, 48];
+// A token payment still open after this long is cancelled at Multicard, then retried
+const PENDING_TIMEOUT_HOURS = 2;
+const REQUEST_TIMEOUT = 30000;
+const RENEWABLE_TIERS = ['pro-1', 'pro-3', 'pro-6'];
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric'
+});
+
+/**
+ * When the first renewal attempt for the current subscription period is due.
+ * @param {Date} expiryDate
+ * @returns {Date|null}
+ */
+const getRenewalDate = (expiryDate) => expiryDate
+  ? new Date(new Date(expiryDate).getTime() - RENEW_DAYS_BEFORE * DAY_MS)
+  : null;
+
+/**
+ * Turn auto-renew on (or change the card / tier).
+ * @param {Object} user - User document
+ * @param {Object} options
+ * @param {string} options.cardToken - Token of one of user.savedCards
+ * @param {string} [options.tierId='pro-1']
+ * @returns {Promise<Object>} user.autoRenew
+ */
+const enableAutoRenew = async (user, { cardToken, tierId = 'pro-1' }) => {
+  const card = (user.savedCards || []).find(c => c.cardToken === cardToken);
+  if (!card) {
+    const error = new Error('Card not found among your saved cards');
+    error.status = 404;
+    throw error;
+  }
+  if (!RENEWABLE_TIERS.includes(tierId) || !getTierById(tierId)) {
+    const error = new Error(`tierId must be one of: ${RENEWABLE_TIERS.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+  if (!user.hasActiveSubscription()) {
+    const error = new Error('Auto-renew can only be enabled for an active subscription');
+    error.status = 400;
+    throw error;
+  }
+
+  if (!user.autoRenew.enabled) user.autoRenew.enabledAt = new Date();
+  user.autoRenew.enabled = true;
+  user.autoRenew.cardToken = cardToken;
+  user.autoRenew.tierId = tierId;
+  user.autoRenew.cancelledAt = null;
+  user.autoRenew.cancelReason = null;
+  user.autoRenew.attempts = 0;
+  user.autoRenew.lastError = null;
+  // Keep the pending-payment check if a charge is in flight
+  if (!user.autoRenew.pendingInvoiceId) {
+    user.autoRenew.nextAttemptAt = getRenewalDate(user.subscriptionExpiryDate);
+  }
+  await user.save();
+  return user.autoRenew;
+};
+
+/**
+ * Turn auto-renew off. A pending charge is left to the webhook.
+ * @param {Object} user - User document
+ * @param {string} [reason='user'] - user | card_removed | payment_failed
+ * @returns {Promise<Object>} user.autoRenew
+ */
+const disableAutoRenew = async (user, reason = 'user') => {
+  if (!user.autoRenew?.enabled) return user.autoRenew;
+
+  user.autoRenew.enabled = false;
+  user.autoRenew.cancelledAt = new Date();
+  user.autoRenew.cancelReason = reason;
+  user.autoRenew.nextAttemptAt = null;
+  await user.save();
+  return user.autoRenew;
+};
+
+/**
+ * Idempotency key of a renewal period: every charge for the same expiry date
+ * shares it, so a period is paid at most once.
+ * @param {Object} user
+ * @returns {string}
+ */
+const getRenewalKey = (user) =>
+  `${user.firebaseId}:${new Date(user.subscriptionExpiryDate || 0).toISOString().slice(0, 10)}`;
+
+// Multicard payment status enum: draft, progress, billing, success, error, revert
+const MULTICARD_STATUS = { success: 'paid', revert: 'refunded', error: 'cancelled' };
+
+/**
+ * Charge the bound card through the Multicard token payment API.
+ * The transaction is stored as pending before the request so a charge whose
+ * response is lost can still be found and checked.
+ * @param {Object} user
+ * @param {Object} tier - subscriptionConfig tier
+ * @returns {Promise<{ status: 'paid'|'pending'|'declined', transaction: Object, error?: string }>}
+ *   pending also covers requests with no answer (timeouts, 5xx)
+ */
+const chargeCard = async (user, tier) => {
+  const invoiceId = `ACED_RENEW_${tier.id.toUpperCase()}_${Date.now()}`;
+  const apiBaseUrl = process.env.API_BASE_URL || 'https://api.aced.live';
+
+  const transaction = await MulticardTransaction.create({
+    userId: user._id,
+    firebaseUserId: user.firebaseId,
+    autoRenew: true,
+    renewalKey: getRenewalKey(user),
+    invoiceId,
+    amount: tier.priceInTiyin,
+    plan: 'pro',
+    tierId: tier.id,
+    status: 'pending',
+    cardToken: user.autoRenew.cardToken
+  });
+  user.autoRenew.pendingInvoiceId = invoiceId;
+  await user.save();
+
+  let response;
+  try {
+    const token = await getAuthToken();
+    response = await axios.post(`${process.env.MULTICARD_API_URL}/payment`, {
+      card: { token: user.autoRenew.cardToken },
+      amount: tier.priceInTiyin,
+      store_id: process.env.MULTICARD_STORE_ID || '2660',
+      invoice_id: invoiceId,
+      callback_url: `${apiBaseUrl}/api/payments/multicard/webhook`,
+      ofd: [{
+        qty: 1,
+        price: tier.priceInTiyin,
+        mxik: '10899002001000000',
+        total: tier.priceInTiyin,
+        package_code: '1236095',
+        name: `ACED PRO ${tier.label} (auto-renew)`,
+        vat: 0
+      }]
+    }, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: REQUEST_TIMEOUT
+    });
+  } catch (error) {
+    const status = error.response?.status;
+    // Multicard answered with a client error: the charge was rejected
+    if (status >= 400 && status < 500) {
+      return declineCharge(transaction, error.response.data?.error?.details || error.message);
+    }
+    // No answer or a server error: the card may still have been charged
+    transaction.errorMessage = error.message;
+    await transaction.save();
+    return { status: 'pending', transaction };
+  }
+
+  if (!response.data?.success) {
+    return declineCharge(transaction, response.data?.error?.details || 'Token payment was not accepted');
+  }
+
+  const payment = response.data.data;
+  transaction.multicardUuid = payment.uuid;
+  transaction.cardPan = payment.card_pan;
+  transaction.paymentDetails = {
+    paymentAmount: payment.payment_amount,
+    commissionAmount: payment.commission_amount,
+    totalAmount: payment.total_amount,
+    ps: payment.ps,
+    cardPan: payment.card_pan
+  };
+  await transaction.save();
+
+  if (payment.status === 'error') {
+    return declineCharge(transaction, payment.ps_response_msg || 'Card payment declined');
+  }
+  if (payment.status === 'success') {
+    await claimPaid(transaction);
+    return { status: 'paid', transaction };
+  }
+  return { status: 'pending', transaction };
+};
+
+const declineCharge = async (transaction, message) => {
+  transaction.status = 'failed';
+  transaction.errorMessage = message;
+  await transaction.save();
+  return { status: 'declined', transaction, error: message };
+};
+
+/**
+ * Mark a charge paid and grant the subscription exactly once. The webhook may
+ * report the same payment, so the pending -> paid change is an atomic claim.
+ */
+const claimPaid = async (transaction, paidAt = new Date()) => {
+  // markRenewed sends the auto-renew message instead
+  await claimPayment('multicard', transaction, { paidAt, notify: false });
+  transaction.status = 'paid';
+  transaction.paidAt = transaction.paidAt || paidAt;
+};
+
+/**
+ * Look a charge up in the store payment history by our invoice id (for
+ * requests that got no answer, so we never learned the payment uuid).
+ * @returns {Promise<Object|null>} Multicard payment
+ */
+const findChargeInHistory = async (transaction) => {
+  const since = new Date(new Date(transaction.createdAt).getTime() - HOUR_MS);
+  const toMulticardDate = (date) => date.toLocaleString('sv-SE', { timeZone: 'Asia/Tashkent' });
+  const response = await fetchPaymentHistory(process.env.MULTICARD_STORE_ID || '2660', {
+    limit: 100,
+    startDate: toMulticardDate(since),
+    endDate: toMulticardDate(new Date(Date.now() + HOUR_MS))
+  });
+  if (!response.data?.success) {
+    throw new Error(response.data?.error?.details || 'Failed to get payment history');
+  }
+  const data = response.data.data;
+  const list = Array.isArray(data) ? data : (data?.list || []);
+  return list.find(p => p.store_invoice_id === transaction.invoiceId) || null;
+};
+
+/**
+ * Current outcome of a charge, from our record when it is final (webhook or
+ * claim) or else from Multicard.
+ * @returns {Promise<'paid'|'pending'|'cancelled'>}
+ */
+const resolveCharge = async (transaction, now) => {
+  if (transaction.status === 'paid') return 'paid';
+  if (['failed', 'canceled', 'expired', 'refunded'].includes(transaction.status)) return 'cancelled';
+
+  let status = 'pending';
+  if (transaction.multicardUuid) {
+    const response = await axios.get(`${process.env.MULTICARD_API_URL}/payment/${transaction.multicardUuid}`, {
+      headers: { 'Authorization': `Bearer ${await getAuthToken()}` },
+      timeout: REQUEST_TIMEOUT
+    });
+    status = MULTICARD_STATUS[response.data?.data?.status] || 'pending';
+  } else {
+    const payment = await findChargeInHistory(transaction);
+    if (payment) {
+      transaction.multicardUuid = payment.uuid;
+      await transaction.save();
+      status = MULTICARD_STATUS[payment.status] || 'pending';
+    } else if (now - new Date(transaction.createdAt) >= PENDING_TIMEOUT_HOURS * HOUR_MS) {
+      // The request never reached Multicard
+      status = 'cancelled';
+    }
+  }
+
+  if (status === 'paid') {
+    await claimPaid(transaction);
+    return 'paid';
+  }
+  if (status === 'pending' && transaction.multicardUuid &&
+    now - new Date(transaction.createdAt) >= PENDING_TIMEOUT_HOURS * HOUR_MS) {
+    // Close the invoice so it cannot be paid after we retry; if Multicard
+    // refuses, it may be settling: keep waiting
+    try {
+      await getProvider('multicard').cancel(transaction);
+      status = 'cancelled';
+    } catch (error) {
+      console.error(`❌ Could not cancel stale renewal charge ${transaction.invoiceId}:`, error.message);
+    }
+  }
+  if (status === 'cancelled' && transaction.status === 'pending') {
+    transaction.status = 'failed';
+    transaction.errorMessage = transaction.errorMessage || 'Payment was not confirmed';
+    await transaction.save();
+  }
+  return status === 'refunded' ? 'cancelled' : status;
+};
+
+const notifyRenewed = (user, tier, transaction) => Message.createPaymentMessage(user._id, user.firebaseId, {
+  amount: transaction.amount,
+  plan: 'pro',
+  duration: tier.durationMonths,
+  startDate: user.subscriptionActivatedAt,
+  endDate: user.subscriptionExpiryDate,
+  paymentMethod: 'Multicard (auto-renew)',
+  transactionId: transaction.invoiceId
+});
+
+/**
+ * Record a successful renewal and schedule the next one.
+ * The subscription itself is granted by chargeRenewal (immediate success) or
+ * by the Multicard webhook (pending payments).
+ */
+const markRenewed = async (user, tier, transaction, now) => {
+  user.autoRenew.attempts = 0;
+  user.autoRenew.lastError = null;
+  user.autoRenew.pendingInvoiceId = null;
+  user.autoRenew.lastRenewedAt = now;
+  user.autoRenew.nextAttemptAt = getRenewalDate(user.subscriptionExpiryDate);
+  await user.save();
+  await notifyRenewed(user, tier, transaction);
+};
+
+/**
+ * Record a failed attempt: schedule a retry with backoff, or give up.
+ * @returns {Promise<'retry'|'disabled'>}
+ */
+const markFailed = async (user, errorMessage, now) => {
+  const attempts = (user.autoRenew.attempts || 0) + 1;
+  user.autoRenew.attempts = attempts;
+  user.autoRenew.lastError = errorMessage;
+  user.autoRenew.pendingInvoiceId = null;
+
+  const delayHours = RETRY_DELAYS_HOURS[attempts - 1];
+  if (delayHours !== undefined) {
+    const retryAt = new Date(now.getTime() + delayHours * HOUR_MS);
+    user.autoRenew.nextAttemptAt = retryAt;
+    await user.save();
+
+    await Message.create({
+      userId: user._id,
+      firebaseId: user.firebaseId,
+      type: 'warning',
+      title: 'Auto-renewal payment failed',
+      content: `We could not charge your saved card to renew your subscription (${errorMessage}). We will try again on ${formatDate(retryAt)}. Make sure the card has enough funds, or pick another card in your subscription settings.`,
+      priority: 'high',
+      data: { attempts, retryAt, expiryDate: user.subscriptionExpiryDate }
+    });
+    return 'retry';
+  }
+
+  user.autoRenew.enabled = false;
+  user.autoRenew.cancelledAt = now;
+  user.autoRenew.cancelReason = 'payment_failed';
+  user.autoRenew.nextAttemptAt = null;
+  await user.save();
+
+  await Message.create({
+    userId: user._id,
+    firebaseId: user.firebaseId,
+    type: 'warning',
+    title: 'Auto-renewal turned off',
+    content: `We tried to renew your subscription ${attempts} times but the payment did not go through. Auto-renewal has been turned off.${user.subscriptionExpiryDate ? ` Your subscription is valid until ${formatDate(user.subscriptionExpiryDate)}.` : ''} You can renew manually at any time.`,
+    priority: 'high',
+    data: { attempts, lastError: errorMessage }
+  });
+  return 'disabled';
+};
+
+/**
+ * Run one renewal step for a user whose nextAttemptAt is due.
+ * @param {Object} user - User document with autoRenew.enabled
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<'charged'|'pending'|'retry'|'disabled'|'rescheduled'>}
+ */
+const chargeRenewal = async (user, { now = new Date() } = {}) => {
+  const tier = getTierById(user.autoRenew.tierId || 'pro-1');
+
+  // A previous charge has no final outcome yet: settle it before charging again
+  if (user.autoRenew.pendingInvoiceId) {
+    const pending = await MulticardTransaction.findOne({ invoiceId: user.autoRenew.pendingInvoiceId });
+    const outcome = pending ? await resolveCharge(pending, now) : 'cancelled';
+    if (outcome === 'paid') {
+      user = await User.findById(user._id);
+      await markRenewed(user, tier, pending, now);
+      return 'charged';
+    }
+    if (outcome === 'pending') {
+      user.autoRenew.nextAttemptAt = new Date(now.getTime() + HOUR_MS);
+      await user.save();
+      return 'pending';
+    }
+    return markFailed(user, pending?.errorMessage || 'Payment was not confirmed', now);
+  }
+
+  // Subscription was extended some other way (manual payment, promo): move the date
+  const renewalDate = getRenewalDate(user.subscriptionExpiryDate);
+  if (renewalDate && renewalDate > now) {
+    user.autoRenew.nextAttemptAt = renewalDate;
+    user.autoRenew.attempts = 0;
+    await user.save();
+    return 'rescheduled';
+  }
+
+  if (!(user.savedCards || []).some(c => c.cardToken === user.autoRenew.cardToken)) {
+    await disableAutoRenew(user, 'card_removed');
+    return 'disabled';
+  }
+
+  // This period was already paid (e.g. the webhook settled a charge we had given up on)
+  const paidForPeriod = await MulticardTransaction.findOne({ renewalKey: getRenewalKey(user), status: 'paid' });
+  if (paidForPeriod) {
+    user.autoRenew.nextAttemptAt = new Date(now.getTime() + HOUR_MS);
+    await user.save();
+    return 'rescheduled';
+  }
+
+  user.autoRenew.lastAttemptAt = now;
+  const result = await chargeCard(user, tier);
+
+  if (result.status === 'declined') {
+    console.error(`❌ Auto-renew charge failed for ${user.firebaseId}:`, result.error);
+    return markFailed(user, result.error, now);
+  }
+
+  if (result.status === 'pending') {
+    user.autoRenew.nextAttemptAt = new Date(now.getTime() + HOUR_MS);
+    await user.save();
+    return 'pending';
+  }
+
+  user = await User.findById(user._id);
+  user.paymentStatus = 'paid';
+  await markRenewed(user, tier, result.transaction, now);
+  return 'charged';
+};
+
+/**
+ * Process every user whose renewal attempt is due. Meant for a periodic job.
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {number} [options.limit=200]
+ * @returns {Promise<{ due: number, charged: number, pending: number, retry: number, disabled: number, rescheduled: number, errors: number }>}
+ */
+const processAutoRenewals = async ({ now = new Date(), limit = 200 } = {}) => {
+  const stats = { due: 0, charged: 0, pending: 0, retry: 0, disabled: 0, rescheduled: 0, errors: 0 };
+
+  const users = await User.find({
+    'autoRenew.enabled': true,
+    'autoRenew.nextAttemptAt': { $lte: now }
+  }).sort({ 'autoRenew.nextAttemptAt': 1 }).limit(limit);
+
+  stats.due = users.length;
+  for (const due of users) {
+    try {
+      // Claim the attempt: only one run may charge a user for this slot
+      const user = await User.findOneAndUpdate(
+        { _id: due._id, 'autoRenew.enabled': true, 'autoRenew.nextAttemptAt': due.autoRenew.nextAttemptAt },
+        { $set: { 'autoRenew.nextAttemptAt': new Date(now.getTime() + HOUR_MS) } },
+        { new: true }
+      );
+      if (!user) continue;
+      const outcome = await chargeRenewal(user, { now });
+      stats[outcome]++;
+    } catch (error) {
+      console.error(`❌ Auto-renew failed for ${due.firebaseId}:`, error.message);
+      stats.errors++;
+    }
+  }
+
+  return stats;
+};
+
+module.exports = {
+  RENEW_DAYS_BEFORE,
+  RETRY_DELAYS_HOURS,
+  RENEWABLE_TIERS,
+  getRenewalDate,
+  getRenewalKey,
+  enableAutoRenew,
+  disableAutoRenew,
+  chargeRenewal,
+  processAutoRenewals
+};
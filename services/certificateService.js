@@ -0,0 +1,282 @@
+/**
+ * Completion Certificates
+ *
+ * Issues certificates for School Mode levels and for completed courses that
+ * offer one (`UpdatedCourse.certificateOffered`). Each certificate gets a
+ * random serial and an HMAC-SHA256 signature over its canonical fields, and
+ * the rendered PDF is stored with the record. Anyone can check a serial on
+ * the public verification page; a record whose fields no longer match the
+ * signature is reported as tampered.
+ *
+ * Issuing is idempotent: asking again for the same level or course returns
+ * the existing certificate.
+ *
+ * @module services/certificateService
+ */
+
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const Certificate = require('../models/certificate');
+const platformSettings = require('../config/platformSettings');
+const { CERTIFICATE_SIGNING_SECRET, API_URL } = require('../config/config');
+const { SCHOOL_SETTINGS } = require('../constants/learningModes');
+
+// Unambiguous characters only (no 0/O, 1/I/L) so serials can be typed from paper
+const SERIAL_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+
+/**
+ * Generate a serial such as ACED-2026-7KQM-X4TZ-9PRD.
+ * @param {Date} [issuedAt]
+ * @returns {string}
+ */
+const generateSerial = (issuedAt = new Date()) => {
+  const bytes = crypto.randomBytes(12);
+  const chars = Array.from(bytes, b => SERIAL_ALPHABET[b % SERIAL_ALPHABET.length]).join('');
+  return `ACED-${issuedAt.getUTCFullYear()}-${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8, 12)}`;
+};
+
+/**
+ * Canonical string covered by the signature.
+ * @param {Object} certificate - Certificate document or plain object
+ * @returns {string}
+ */
+const canonicalPayload = (certificate) => [
+  certificate.serial,
+  certificate.userId,
+  certificate.recipientName,
+  certificate.type,
+  certificate.type === 'course' ? String(certificate.courseId) : String(certificate.level),
+  certificate.type === 'course' ? certificate.courseTitle : certificate.grade || '',
+  certificate.score ?? '',
+  new Date(certificate.issuedAt).toISOString()
+].join('|');
+
+/**
+ * @param {Object} certificate
+ * @returns {string} Hex HMAC-SHA256 signature
+ */
+const signCertificate = (certificate) => {
+  if (!CERTIFICATE_SIGNING_SECRET) {
+    throw new Error('CERTIFICATE_SIGNING_SECRET is not configured');
+  }
+  return crypto.createHmac('sha256', CERTIFICATE_SIGNING_SECRET).update(canonicalPayload(certificate)).digest('hex');
+};
+
+/**
+ * Check a stored certificate against its signature.
+ * @param {Object} certificate
+ * @returns {boolean}
+ */
+const hasValidSignature = (certificate) => {
+  if (!certificate.signature) return false;
+  const expected = Buffer.from(signCertificate(certificate), 'hex');
+  const actual = Buffer.from(certificate.signature, 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+const getVerificationUrl = (serial) => `${API_URL}/api/certificates/verify/${encodeURIComponent(serial)}`;
+
+/**
+ * Render the certificate as an A4 landscape PDF.
+ * Set CERTIFICATE_FONT_PATH to a TTF with Cyrillic glyphs for non-Latin names.
+ * @param {Object} certificate
+ * @returns {Promise<Buffer>}
+ */
+const renderCertificatePdf = (certificate) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    layout: 'landscape',
+    margin: 50,
+    info: {
+      Title: `ACED Certificate ${certificate.serial}`,
+      Author: 'ACED',
+      Subject: certificate.achievement
+    }
+  });
+
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const regular = process.env.CERTIFICATE_FONT_PATH ? 'CertificateFont' : 'Helvetica';
+  const bold = process.env.CERTIFICATE_FONT_PATH ? 'CertificateFont' : 'Helvetica-Bold';
+  if (process.env.CERTIFICATE_FONT_PATH) {
+    doc.registerFont('CertificateFont', process.env.CERTIFICATE_FONT_PATH);
+  }
+
+  const { width, height } = doc.page;
+  const contentWidth = width - 100;
+
+  doc.lineWidth(3).rect(25, 25, width - 50, height - 50).stroke('#2196F3');
+  doc.lineWidth(1).rect(35, 35, width - 70, height - 70).stroke('#90CAF9');
+
+  doc.fillColor('#1A237E').font(bold).fontSize(36)
+    .text('Certificate of Completion', 50, 90, { width: contentWidth, align: 'center' });
+
+  doc.fillColor('#424242').font(regular).fontSize(14)
+    .text('This certifies that', 50, 160, { width: contentWidth, align: 'center' });
+
+  doc.fillColor('#000000').font(bold).fontSize(30)
+    .text(certificate.recipientName, 50, 190, { width: contentWidth, align: 'center' });
+
+  const completed = certificate.type === 'course'
+    ? 'has successfully completed the course'
+    : 'has successfully completed School Mode';
+  doc.fillColor('#424242').font(regular).fontSize(14)
+    .text(completed, 50, 245, { width: contentWidth, align: 'center' });
+
+  doc.fillColor('#1A237E').font(bold).fontSize(22)
+    .text(certificate.achievement, 50, 275, { width: contentWidth, align: 'center' });
+
+  if (typeof certificate.score === 'number') {
+    doc.fillColor('#424242').font(regular).fontSize(14)
+      .text(`Final score: ${Math.round(certificate.score)}%`, 50, 320, { width: contentWidth, align: 'center' });
+  }
+
+  doc.fontSize(12)
+    .text(`Issued: ${new Date(certificate.issuedAt).toISOString().slice(0, 10)}`, 70, height - 150);
+
+  doc.font(bold).fontSize(12).fillColor('#000000')
+    .text(`Serial: ${certificate.serial}`, 70, height - 130);
+
+  doc.font(regular).fontSize(9).fillColor('#616161')
+    .text(`Verify at ${getVerificationUrl(certificate.serial)}`, 70, height - 110, { link: getVerificationUrl(certificate.serial) })
+    .text(`Signature: ${certificate.signature}`, 70, height - 95, { width: contentWidth - 40 });
+
+  doc.end();
+});
+
+/**
+ * Create, sign, render and store a certificate unless one already exists.
+ * @param {Object} uniqueFilter - Query identifying an existing certificate
+ * @param {Object} fields - Certificate fields
+ * @returns {Promise<{ certificate: Object, created: boolean }>}
+ */
+const issueCertificate = async (uniqueFilter, fields) => {
+  const existing = await Certificate.findOne(uniqueFilter);
+  if (existing) return { certificate: existing, created: false };
+
+  const issuedAt = new Date();
+  const certificate = new Certificate({ ...fields, issuedAt, serial: generateSerial(issuedAt) });
+  certificate.signature = signCertificate(certificate);
+
+  const pdf = await renderCertificatePdf(certificate);
+  certificate.pdf = pdf;
+  certificate.pdfHash = crypto.createHash('sha256').update(pdf).digest('hex');
+
+  try {
+    await certificate.save();
+  } catch (error) {
+    // Another request issued the same certificate first
+    if (error.code === 11000) {
+      const winner = await Certificate.findOne(uniqueFilter);
+      if (winner) return { certificate: winner, created: false };
+    }
+    throw error;
+  }
+
+  return { certificate, created: true };
+};
+
+/**
+ * Issue a School Mode level certificate if the score qualifies.
+ * @param {Object} user - User document
+ * @param {number} level - Completed level
+ * @param {number} score - Final score (%)
+ * @returns {Promise<Object|null>} Certificate, or null when not eligible
+ */
+const issueLevelCertificate = async (user, level, score) => {
+  if (!platformSettings.schoolMode.certificateEnabled) return null;
+  if (typeof score !== 'number' || score < SCHOOL_SETTINGS.CERTIFICATE_THRESHOLD) return null;
+
+  const { certificate } = await issueCertificate(
+    { userId: user.firebaseId, type: 'school_level', level },
+    {
+      userId: user.firebaseId,
+      recipientName: user.name || user.email || 'ACED Learner',
+      type: 'school_level',
+      level,
+      grade: platformSettings.levelGradeMapping[level],
+      score
+    }
+  );
+  return certificate;
+};
+
+/**
+ * Issue a course certificate for a completed course that offers one.
+ * @param {string} userId - Firebase UID
+ * @param {Object} course - UpdatedCourse (needs _id, title, certificateOffered)
+ * @param {Object} [progress] - CourseProgress for the course
+ * @returns {Promise<Object|null>} Certificate, or null when not eligible
+ */
+const issueCourseCertificate = async (userId, course, progress = null) => {
+  if (!course || !course.certificateOffered) return null;
+  if (progress && !progress.completed) return null;
+
+  const User = require('../models/user');
+  const user = await User.findOne({ firebaseId: userId }).select('name email');
+
+  const { certificate } = await issueCertificate(
+    { userId, type: 'course', courseId: course._id },
+    {
+      userId,
+      recipientName: user?.name || user?.email || 'ACED Learner',
+      type: 'course',
+      courseId: course._id,
+      courseTitle: course.title,
+      score: progress?.progressPercent
+    }
+  );
+  return certificate;
+};
+
+/**
+ * Public verification result for a serial.
+ * @param {string} serial
+ * @returns {Promise<Object>} { found, valid, status, certificate? }
+ */
+const verifyCertificate = async (serial) => {
+  const certificate = await Certificate.findOne({ serial: String(serial).trim().toUpperCase() });
+  if (!certificate) return { found: false, valid: false, status: 'not_found' };
+
+  const authentic = hasValidSignature(certificate);
+  const status = !authentic ? 'tampered' : certificate.status;
+
+  await Certificate.updateOne(
+    { _id: certificate._id },
+    { $inc: { verificationCount: 1 }, $set: { lastVerifiedAt: new Date() } }
+  );
+
+  return {
+    found: true,
+    valid: status === 'valid',
+    status,
+    certificate: {
+      serial: certificate.serial,
+      recipientName: certificate.recipientName,
+      type: certificate.type,
+      achievement: certificate.achievement,
+      level: certificate.level,
+      grade: certificate.grade,
+      courseTitle: certificate.courseTitle,
+      score: certificate.score,
+      issuedAt: certificate.issuedAt,
+      pdfHash: certificate.pdfHash,
+      revokedAt: certificate.revokedAt,
+      revokedReason: certificate.revokedReason
+    }
+  };
+};
+
+module.exports = {
+  generateSerial,
+  signCertificate,
+  hasValidSignature,
+  getVerificationUrl,
+  renderCertificatePdf,
+  issueLevelCertificate,
+  issueCourseCertificate,
+  verifyCertificate
+};
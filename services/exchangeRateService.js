@@ -0,0 +1,188 @@
+/**
+ * Exchange Rates
+ *
+ * USD/UZS rates from free public APIs, kept as history in Mongo
+ * (models/exchangeRate.js):
+ *   - an hourly job stores a snapshot (services/scheduledJobs.js)
+ *   - when every API is down, the last stored rate is served, marked stale
+ *   - payment transactions and ledger entries record the rate in force
+ *     (getFxSnapshot / getRateAt) so revenue can be reported in UZS or USD
+ *
+ * Money stays in UZS tiyin everywhere; USD amounts are derived in cents.
+ *
+ * @module services/exchangeRateService
+ */
+
+const axios = require('axios');
+const ExchangeRate = require('../models/exchangeRate');
+const { getAllTiers, getPriceList, DEFAULT_PRICE_LIST_ID } = require('../config/subscriptionConfig');
+const httpError = require('../utils/httpError');
+
+const CACHE_DURATION = 60 * 60 * 1000; // 1 hour in ms
+const REQUEST_TIMEOUT = 5000;
+
+// Tried in order; each returns the UZS per USD rate from the response body
+const SOURCES = [
+  { name: 'open.er-api.com', url: 'https://open.er-api.com/v6/latest/USD' },
+  { name: 'exchangerate-api.com', url: 'https://api.exchangerate-api.com/v4/latest/USD' }
+];
+
+const PAIR = { base: 'USD', quote: 'UZS' };
+
+// Last rate fetched or loaded: { rate, source, fetchedAt }
+let cachedRate = null;
+
+const toSnapshot = (record) => ({ usdUzs: record.rate, source: record.source, rateAt: record.fetchedAt });
+
+/**
+ * UZS tiyin to US cents at a UZS per USD rate.
+ */
+const tiyinToUsdCents = (amountInTiyin, usdUzs) => Math.round(amountInTiyin / usdUzs);
+
+/**
+ * US cents to UZS tiyin at a UZS per USD rate.
+ */
+const usdCentsToTiyin = (amountInCents, usdUzs) => Math.round(amountInCents * usdUzs);
+
+const fetchFromSources = async () => {
+  for (const source of SOURCES) {
+    try {
+      const response = await axios.get(source.url, { timeout: REQUEST_TIMEOUT });
+      const rate = response.data?.rates?.UZS;
+      if (rate) return { rate: Math.round(rate), source: source.name };
+    } catch (error) {
+      console.warn(`[ExchangeRate] ${source.name} failed:`, error.message);
+    }
+  }
+  return null;
+};
+
+const getLatestStoredRate = () => ExchangeRate.findOne(PAIR).sort({ fetchedAt: -1 }).lean();
+
+/**
+ * Current USD/UZS rate: cached for an hour, otherwise fetched and stored.
+ * When every API fails the last known rate is returned with stale: true.
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh=false] - Skip the cache (scheduled snapshots)
+ * @returns {Promise<{ rate: number, source: string, updatedAt: Date, cached: boolean, stale: boolean }>}
+ */
+const getUsdUzsRate = async ({ refresh = false } = {}) => {
+  const now = new Date();
+  const isFresh = (record) => record && now - new Date(record.fetchedAt) < CACHE_DURATION;
+
+  if (!refresh) {
+    // Another instance may have stored a fresh rate
+    if (!isFresh(cachedRate)) cachedRate = (await getLatestStoredRate()) || cachedRate;
+    if (isFresh(cachedRate)) {
+      return { rate: cachedRate.rate, source: cachedRate.source, updatedAt: cachedRate.fetchedAt, cached: true, stale: false };
+    }
+  }
+
+  const fetched = await fetchFromSources();
+  if (fetched) {
+    cachedRate = { ...fetched, fetchedAt: now };
+    await ExchangeRate.create({ ...PAIR, ...cachedRate }).catch(error => {
+      console.error('[ExchangeRate] Failed to store rate:', error.message);
+    });
+    return { rate: cachedRate.rate, source: cachedRate.source, updatedAt: now, cached: false, stale: false };
+  }
+
+  const last = cachedRate || await getLatestStoredRate();
+  if (last) {
+    return { rate: last.rate, source: last.source, updatedAt: last.fetchedAt, cached: true, stale: true };
+  }
+  throw httpError(503, 'Unable to fetch exchange rate from any source');
+};
+
+/**
+ * The rate to record on a payment, without calling external APIs.
+ * Never throws: payments must not fail over a missing rate.
+ * @returns {Promise<{ usdUzs: number, source: string, rateAt: Date }|null>}
+ */
+const getFxSnapshot = async () => {
+  try {
+    const record = cachedRate || await getLatestStoredRate();
+    return record ? toSnapshot(record) : null;
+  } catch (error) {
+    console.error('[ExchangeRate] Failed to load rate snapshot:', error.message);
+    return null;
+  }
+};
+
+/**
+ * The stored rate in force at a date: the last one fetched before it, or the
+ * first one after it for dates older than the history.
+ * @returns {Promise<{ usdUzs: number, source: string, rateAt: Date }|null>}
+ */
+const getRateAt = async (date) => {
+  const at = new Date(date);
+  const record = await ExchangeRate.findOne({ ...PAIR, fetchedAt: { $lte: at } }).sort({ fetchedAt: -1 }).lean()
+    || await ExchangeRate.findOne({ ...PAIR, fetchedAt: { $gt: at } }).sort({ fetchedAt: 1 }).lean();
+  return record ? toSnapshot(record) : null;
+};
+
+/**
+ * Daily rates (Tashkent days) between two dates.
+ * @returns {Promise<Array<{ date: string, open: number, close: number, min: number, max: number, samples: number }>>}
+ */
+const getRateHistory = ({ from, to }) => ExchangeRate.aggregate([
+  { $match: { ...PAIR, fetchedAt: { $gte: from, $lt: to } } },
+  { $sort: { fetchedAt: 1 } },
+  {
+    $group: {
+      _id: { $dateToString: { format: '%Y-%m-%d', date: '$fetchedAt', timezone: 'Asia/Tashkent' } },
+      open: { $first: '$rate' },
+      close: { $last: '$rate' },
+      min: { $min: '$rate' },
+      max: { $max: '$rate' },
+      samples: { $sum: 1 }
+    }
+  },
+  { $project: { _id: 0, date: '$_id', open: 1, close: 1, min: 1, max: 1, samples: 1 } },
+  { $sort: { date: 1 } }
+]);
+
+/**
+ * Subscription tiers priced for a price list (config/subscriptionConfig.js).
+ * Charged amounts are always the UZS tier price; `display` is what the
+ * region is shown.
+ * @param {string} [priceListId]
+ */
+const quotePriceList = async (priceListId = DEFAULT_PRICE_LIST_ID) => {
+  const priceList = getPriceList(priceListId);
+  if (!priceList) throw httpError(400, 'Unknown price list');
+
+  let fx = null;
+  if (priceList.displayCurrency === 'USD') {
+    const current = await getUsdUzsRate();
+    fx = { usdUzs: current.rate, source: current.source, rateAt: current.updatedAt, stale: current.stale };
+  }
+
+  const tiers = getAllTiers().map(tier => {
+    const display = fx
+      ? { currency: 'USD', amount: tiyinToUsdCents(tier.priceInTiyin, fx.usdUzs) / 100 }
+      : { currency: 'UZS', amount: tier.priceInUZS };
+    return {
+      id: tier.id,
+      label: tier.label,
+      priceInTiyin: tier.priceInTiyin,
+      chargeCurrency: 'UZS',
+      display: {
+        ...display,
+        formatted: fx ? `$${display.amount.toFixed(2)}` : `${tier.displayPrice} UZS`
+      }
+    };
+  });
+
+  return { priceList: { id: priceList.id, label: priceList.label, displayCurrency: priceList.displayCurrency }, fx, tiers };
+};
+
+module.exports = {
+  tiyinToUsdCents,
+  usdCentsToTiyin,
+  getUsdUzsRate,
+  getFxSnapshot,
+  getRateAt,
+  getRateHistory,
+  quotePriceList
+};
@@ -0,0 +1,236 @@
+/**
+ * Class Gradebook
+ *
+ * Aggregates each rostered student's results for the class assignments:
+ *   homework -> HomeworkProgress (score, submittedAt)
+ *   test     -> TestResult (best attempt)
+ *   lesson   -> UserProgress (accuracy once completed)
+ *
+ * Every cell gets a status: submitted, late, in_progress, missing (past due
+ * with nothing submitted) or pending (not due yet). Student averages are
+ * weighted by ClassAssignment.weight; `currentGrade` counts missing work as 0.
+ * Homework cells still in the teacher review queue carry `pendingReview: true`.
+ *
+ * @module services/gradebookService
+ */
+
+const HomeworkProgress = require('../models/homeworkProgress');
+const TestResult = require('../models/TestResult');
+const UserProgress = require('../models/userProgress');
+
+const round = (value, digits = 1) => {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+const key = (userId, itemId) => `${userId}:${itemId}`;
+
+/**
+ * Load every relevant result in three queries and index it by student and item.
+ * @param {Array<string>} studentIds - Firebase UIDs
+ * @param {Array<Object>} assignments - ClassAssignment documents
+ * @returns {Promise<Map<string, Object>>} "userId:itemId" -> { score, submittedAt, completed, progress }
+ */
+const loadResults = async (studentIds, assignments) => {
+  const idsOf = (type) => assignments.filter(a => a.type === type).map(a => a.itemId);
+  const homeworkIds = idsOf('homework');
+  const testIds = idsOf('test');
+  const lessonIds = idsOf('lesson');
+
+  const [homework, tests, lessons] = await Promise.all([
+    homeworkIds.length > 0
+      ? HomeworkProgress.find({ userId: { $in: studentIds }, homeworkId: { $in: homeworkIds } })
+        .select('userId homeworkId completed score submittedAt updatedAt review.status').lean()
+      : [],
+    testIds.length > 0
+      ? TestResult.find({ userId: { $in: studentIds }, testId: { $in: testIds } })
+        .select('userId testId score submittedAt').lean()
+      : [],
+    lessonIds.length > 0
+      ? UserProgress.find({ userId: { $in: studentIds }, lessonId: { $in: lessonIds } })
+        .select('userId lessonId completed accuracy progressPercent completedAt').lean()
+      : []
+  ]);
+
+  const results = new Map();
+
+  homework.forEach(p => {
+    results.set(key(p.userId, p.homeworkId), {
+      completed: !!p.completed,
+      score: p.completed ? p.score : null,
+      submittedAt: p.submittedAt || (p.completed ? p.updatedAt : null),
+      progress: null,
+      pendingReview: p.review?.status === 'pending'
+    });
+  });
+
+  // Several attempts are allowed; the best one counts
+  tests.forEach(r => {
+    const k = key(r.userId, r.testId);
+    const existing = results.get(k);
+    if (!existing || r.score > existing.score) {
+      results.set(k, { completed: true, score: r.score, submittedAt: r.submittedAt, progress: null });
+    }
+  });
+
+  lessons.forEach(p => {
+    results.set(key(p.userId, p.lessonId), {
+      completed: !!p.completed,
+      score: p.completed ? p.accuracy : null,
+      submittedAt: p.completed ? p.completedAt : null,
+      progress: p.progressPercent
+    });
+  });
+
+  return results;
+};
+
+/**
+ * Gradebook cell for one student and assignment.
+ * @param {Object|undefined} result - Entry from loadResults
+ * @param {Object} assignment - ClassAssignment
+ * @param {Date} now
+ * @returns {Object}
+ */
+const buildCell = (result, assignment, now) => {
+  const dueDate = assignment.dueDate ? new Date(assignment.dueDate) : null;
+
+  if (result && result.completed) {
+    const late = !!(dueDate && result.submittedAt && new Date(result.submittedAt) > dueDate);
+    const cell = {
+      status: late ? 'late' : 'submitted',
+      score: typeof result.score === 'number' ? round(result.score) : null,
+      submittedAt: result.submittedAt
+    };
+    // Rubric-graded homework: the score is the AI draft until a teacher reviews it
+    if (result.pendingReview) cell.pendingReview = true;
+    return cell;
+  }
+
+  const pastDue = !!(dueDate && dueDate < now);
+  if (result) {
+    return { status: pastDue ? 'missing' : 'in_progress', score: null, progress: result.progress };
+  }
+  return { status: pastDue ? 'missing' : 'pending', score: null };
+};
+
+/**
+ * Build the gradebook for a class.
+ * @param {Object} classroom - Classroom document
+ * @param {Array<Object>} assignments - Active ClassAssignment documents
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<{ assignments: Array<Object>, students: Array<Object>, summary: Object }>}
+ */
+const buildGradebook = async (classroom, assignments, { now = new Date() } = {}) => {
+  const roster = classroom.students.filter(s => s.status === 'active');
+  const studentIds = roster.map(s => s.userId);
+  const results = studentIds.length > 0 && assignments.length > 0
+    ? await loadResults(studentIds, assignments)
+    : new Map();
+
+  const columns = assignments.map(a => ({
+    assignmentId: a._id,
+    type: a.type,
+    itemId: a.itemId,
+    title: a.title,
+    dueDate: a.dueDate,
+    weight: a.weight,
+    submitted: 0,
+    late: 0,
+    missing: 0,
+    scoreSum: 0,
+    scored: 0
+  }));
+
+  const students = roster.map(student => {
+    let weightedScore = 0;
+    let weightedSubmitted = 0;
+    let weightedDue = 0;
+    let completedCount = 0;
+
+    const grades = {};
+    assignments.forEach((assignment, index) => {
+      const cell = buildCell(results.get(key(student.userId, assignment.itemId)), assignment, now);
+      const column = columns[index];
+      const weight = assignment.weight ?? 1;
+      grades[assignment._id] = cell;
+
+      if (cell.status === 'submitted' || cell.status === 'late') {
+        column.submitted++;
+        completedCount++;
+        if (cell.status === 'late') column.late++;
+        if (cell.score !== null) {
+          column.scoreSum += cell.score;
+          column.scored++;
+          weightedScore += cell.score * weight;
+          weightedSubmitted += weight;
+        }
+      }
+      if (cell.status === 'missing') column.missing++;
+      // Work counts towards the current grade once it is due or handed in
+      if (cell.status !== 'pending' && cell.status !== 'in_progress') weightedDue += weight;
+    });
+
+    return {
+      userId: student.userId,
+      name: student.name,
+      email: student.email,
+      grades,
+      completed: completedCount,
+      missing: Object.values(grades).filter(g => g.status === 'missing').length,
+      averageScore: weightedSubmitted > 0 ? round(weightedScore / weightedSubmitted) : null,
+      currentGrade: weightedDue > 0 ? round(weightedScore / weightedDue) : null
+    };
+  });
+
+  const assignmentSummaries = columns.map(({ scoreSum, scored, ...column }) => ({
+    ...column,
+    completionRate: roster.length > 0 ? round((column.submitted / roster.length) * 100) : 0,
+    averageScore: scored > 0 ? round(scoreSum / scored) : null
+  }));
+
+  const averages = students.map(s => s.averageScore).filter(v => v !== null);
+
+  return {
+    assignments: assignmentSummaries,
+    students: students.sort((a, b) => (a.name || '').localeCompare(b.name || '')),
+    summary: {
+      studentCount: roster.length,
+      assignmentCount: assignments.length,
+      classAverage: averages.length > 0 ? round(averages.reduce((sum, v) => sum + v, 0) / averages.length) : null,
+      missingSubmissions: students.reduce((sum, s) => sum + s.missing, 0)
+    }
+  };
+};
+
+/**
+ * Gradebook as CSV (one row per student, one column per assignment).
+ * @param {Object} gradebook - Result of buildGradebook
+ * @returns {string}
+ */
+const gradebookToCsv = (gradebook) => {
+  const escape = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const header = ['Student', 'Email', ...gradebook.assignments.map(a => a.title || a.type), 'Average', 'Current grade'];
+  const rows = gradebook.students.map(student => [
+    student.name,
+    student.email,
+    ...gradebook.assignments.map(a => {
+      const cell = student.grades[a.assignmentId];
+      return cell.score !== null ? cell.score : cell.status;
+    }),
+    student.averageScore,
+    student.currentGrade
+  ]);
+
+  return [header, ...rows].map(row => row.map(escape).join(',')).join('\n');
+};
+
+module.exports = {
+  buildGradebook,
+  gradebookToCsv
+};
@@ -0,0 +1,207 @@
+/**
+ * Item Response Theory (2PL) for Adaptive Placement Tests
+ *
+ * P(correct | θ) = 1 / (1 + e^(-a(θ - b)))
+ *   θ - learner ability on a standard normal scale
+ *   a - item discrimination (1 = Rasch model)
+ *   b - item difficulty on the same scale as θ
+ *
+ * Ability is estimated with EAP (expected a posteriori) over a quadrature
+ * grid with a N(0, 1) prior, which stays finite when every answer is right or
+ * wrong. The posterior standard deviation is the standard error used for the
+ * stopping rule and the confidence interval.
+ *
+ * @module services/itemResponseTheory
+ */
+
+const ABILITY_RANGE = { MIN: -4, MAX: 4 };
+const QUADRATURE_POINTS = 81;
+const Z_95 = 1.96;
+
+// Labelled difficulty 1-10 is mapped linearly onto θ -3..+3
+const LABEL_SCALE = { CENTER: 5.5, STEP: 1.5 };
+
+// Attempts worth of confidence given to the labelled difficulty during calibration
+const CALIBRATION_PRIOR_WEIGHT = 20;
+
+const QUADRATURE = Array.from({ length: QUADRATURE_POINTS }, (_, i) =>
+  ABILITY_RANGE.MIN + (i * (ABILITY_RANGE.MAX - ABILITY_RANGE.MIN)) / (QUADRATURE_POINTS - 1)
+);
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const logit = (p) => Math.log(p / (1 - p));
+
+/**
+ * Probability of a correct answer.
+ * @param {number} theta - Ability
+ * @param {{ a: number, b: number }} item - Item parameters
+ * @returns {number}
+ */
+const probability = (theta, { a = 1, b = 0 }) => 1 / (1 + Math.exp(-a * (theta - b)));
+
+/**
+ * Fisher information an item provides at a given ability.
+ * @param {number} theta - Ability
+ * @param {{ a: number, b: number }} item - Item parameters
+ * @returns {number}
+ */
+const information = (theta, item) => {
+  const p = probability(theta, item);
+  return (item.a || 1) * (item.a || 1) * p * (1 - p);
+};
+
+/**
+ * Convert the 1-10 difficulty label used in the question bank to θ units.
+ * @param {number} difficulty - Labelled difficulty (1-10)
+ * @returns {number}
+ */
+const difficultyToTheta = (difficulty) => (difficulty - LABEL_SCALE.CENTER) / LABEL_SCALE.STEP;
+
+/**
+ * Convert θ back to the 1-10 difficulty scale.
+ * @param {number} theta - Ability or item difficulty in θ units
+ * @returns {number}
+ */
+const thetaToDifficulty = (theta) => clamp(theta * LABEL_SCALE.STEP + LABEL_SCALE.CENTER, 1, 10);
+
+/**
+ * Map ability to a course level (1-20).
+ * @param {number} theta - Ability
+ * @returns {number}
+ */
+const thetaToLevel = (theta) => {
+  const normalized = (clamp(theta, -3, 3) + 3) / 6;
+  return clamp(Math.round(1 + normalized * 19), 1, 20);
+};
+
+/**
+ * EAP ability estimate from scored responses.
+ * @param {Array<{ correct: boolean, a: number, b: number }>} responses - Answered items
+ * @param {Object} [prior] - Normal prior on ability
+ * @returns {{ theta: number, standardError: number, ciLower: number, ciUpper: number }}
+ */
+const estimateAbility = (responses, prior = { mean: 0, sd: 1 }) => {
+  const weights = QUADRATURE.map(theta => {
+    let likelihood = Math.exp(-0.5 * Math.pow((theta - prior.mean) / prior.sd, 2));
+    for (const response of responses) {
+      const p = probability(theta, response);
+      likelihood *= response.correct ? p : 1 - p;
+    }
+    return likelihood;
+  });
+
+  const total = weights.reduce((sum, w) => sum + w, 0) || 1;
+  const theta = QUADRATURE.reduce((sum, point, i) => sum + point * weights[i], 0) / total;
+  const variance = QUADRATURE.reduce((sum, point, i) => sum + Math.pow(point - theta, 2) * weights[i], 0) / total;
+  const standardError = Math.sqrt(variance);
+
+  return {
+    theta: Math.round(theta * 1000) / 1000,
+    standardError: Math.round(standardError * 1000) / 1000,
+    ciLower: Math.round((theta - Z_95 * standardError) * 1000) / 1000,
+    ciUpper: Math.round((theta + Z_95 * standardError) * 1000) / 1000
+  };
+};
+
+/**
+ * Pick the candidate item with maximum information at the current ability.
+ * Ties within 5% are broken randomly so the same learner does not always
+ * see the same test.
+ * @param {number} theta - Current ability estimate
+ * @param {Array<Object>} candidates - Items with { a, b } (plus any payload)
+ * @returns {Object|null} Selected candidate
+ */
+const selectMaxInformationItem = (theta, candidates) => {
+  if (!candidates || candidates.length === 0) return null;
+
+  const scored = candidates.map(item => ({ item, info: information(theta, item) }));
+  const best = Math.max(...scored.map(s => s.info));
+  const shortlist = scored.filter(s => s.info >= best * 0.95);
+
+  return shortlist[Math.floor(Math.random() * shortlist.length)].item;
+};
+
+/**
+ * Decide whether an adaptive test can stop.
+ * @param {Object} state
+ * @param {number} state.answered - Items answered so far
+ * @param {number} state.standardError - Current standard error
+ * @param {Object} limits
+ * @param {number} limits.minQuestions - Never stop before this many items
+ * @param {number} limits.maxQuestions - Always stop at this many items
+ * @param {number} limits.targetStandardError - Stop once SE falls below this
+ * @returns {{ stop: boolean, reason: string|null }}
+ */
+const shouldStop = ({ answered, standardError }, { minQuestions, maxQuestions, targetStandardError }) => {
+  if (answered >= maxQuestions) return { stop: true, reason: 'max_questions' };
+  if (answered >= minQuestions && standardError <= targetStandardError) {
+    return { stop: true, reason: 'precision_reached' };
+  }
+  return { stop: false, reason: null };
+};
+
+/**
+ * Calibrate item difficulty from aggregate usage counts.
+ *
+ * With ability ~ N(0, 1) the marginal proportion correct of a 2PL item is
+ * approximately logistic(-a·b / sqrt(1 + π·a²/8)), so b can be recovered from
+ * the observed p-value. The observed proportion is shrunk towards the value
+ * implied by the labelled difficulty until enough attempts accumulate.
+ *
+ * @param {Object} stats
+ * @param {number} stats.correctAttempts - Correct answers recorded
+ * @param {number} stats.totalAttempts - Total answers recorded
+ * @param {number} stats.labelledDifficulty - Difficulty label (1-10)
+ * @param {number} [stats.discrimination] - Known discrimination (defaults to 1)
+ * @param {number} [stats.priorWeight] - Attempts worth of weight for the label (0 = observed data only)
+ * @returns {{ a: number, b: number, pValue: number|null, sampleSize: number }}
+ */
+const calibrateItem = ({
+  correctAttempts = 0,
+  totalAttempts = 0,
+  labelledDifficulty = 5,
+  discrimination = 1,
+  priorWeight = CALIBRATION_PRIOR_WEIGHT
+}) => {
+  const a = discrimination > 0 ? discrimination : 1;
+  const scale = Math.sqrt(1 + (Math.PI * a * a) / 8);
+  const priorB = difficultyToTheta(labelledDifficulty);
+  const priorP = 1 / (1 + Math.exp((a * priorB) / scale));
+
+  // Continuity correction keeps p away from 0 and 1
+  const p = (correctAttempts + priorWeight * priorP + 0.5) /
+    (totalAttempts + priorWeight + 1);
+  const b = clamp((-logit(p) * scale) / a, -3.5, 3.5);
+
+  return {
+    a: Math.round(a * 1000) / 1000,
+    b: Math.round(b * 1000) / 1000,
+    pValue: totalAttempts > 0 ? Math.round((correctAttempts / totalAttempts) * 1000) / 1000 : null,
+    sampleSize: totalAttempts
+  };
+};
+
+/**
+ * Convert a point-biserial correlation to an approximate 2PL discrimination.
+ * @param {number} pointBiserial - Item-total correlation
+ * @returns {number} Discrimination, clamped to a sensible range
+ */
+const discriminationFromPointBiserial = (pointBiserial) => {
+  const r = clamp(pointBiserial, -0.95, 0.95);
+  return clamp((1.7 * r) / Math.sqrt(1 - r * r), 0.2, 2.5);
+};
+
+module.exports = {
+  Z_95,
+  probability,
+  information,
+  difficultyToTheta,
+  thetaToDifficulty,
+  thetaToLevel,
+  estimateAbility,
+  selectMaxInformationItem,
+  shouldStop,
+  calibrateItem,
+  discriminationFromPointBiserial
+};
@@ -0,0 +1,216 @@
+/**
+ * Job Scheduler
+ *
+ * Recurring background jobs with their schedule stored in MongoDB
+ * (models/scheduledJob.js), so they survive restarts and run once per interval
+ * even with several server instances. Each instance polls for due jobs and
+ * claims one with an atomic findOneAndUpdate that takes a lease
+ * (lockedBy/lockedUntil). The lease is renewed while the handler runs, so a
+ * long run is never taken over; a lease left by a crashed instance expires
+ * after `lockTimeout` and the job is picked up again.
+ *
+ * Usage:
+ *   defineJob('subscription-reconcile', { interval: HOUR_MS, handler: reconcileAllSubscriptions });
+ *   startScheduler();
+ *
+ * @module services/jobScheduler
+ */
+
+const os = require('os');
+const mongoose = require('mongoose');
+const ScheduledJob = require('../models/scheduledJob');
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+const DEFAULT_POLL_INTERVAL = 30 * 1000;
+const DEFAULT_LOCK_TIMEOUT = 15 * 60 * 1000;
+
+const definitions = new Map();
+let pollTimer = null;
+let ticking = false;
+
+/**
+ * Register a recurring job. Call before startScheduler().
+ * @param {string} name - Unique job name (also the ScheduledJob key)
+ * @param {Object} options
+ * @param {number} options.interval - ms between runs
+ * @param {Function} options.handler - async () => result; result is stored as lastResult
+ * @param {number} [options.initialDelay=0] - ms before the first run when the job is new
+ * @param {number} [options.lockTimeout] - ms after which a held lease is considered dead
+ */
+const defineJob = (name, { interval, handler, initialDelay = 0, lockTimeout = DEFAULT_LOCK_TIMEOUT }) => {
+  if (!interval || typeof handler !== 'function') {
+    throw new Error(`Job "${name}" needs an interval and a handler`);
+  }
+  definitions.set(name, { name, interval, handler, initialDelay, lockTimeout, registered: false });
+};
+
+// Create the job document on first use and keep its interval in sync with the code
+const ensureRegistered = async (definition, now) => {
+  if (definition.registered) return;
+  await ScheduledJob.updateOne(
+    { name: definition.name },
+    {
+      $set: { interval: definition.interval },
+      $setOnInsert: { nextRunAt: new Date(now.getTime() + definition.initialDelay) }
+    },
+    { upsert: true }
+  );
+  definition.registered = true;
+};
+
+/**
+ * Claim the job if it is due and not leased by another instance.
+ * @returns {Promise<Object|null>} ScheduledJob document, or null if not claimed
+ */
+const claim = (definition, now, { force = false } = {}) => ScheduledJob.findOneAndUpdate(
+  {
+    name: definition.name,
+    enabled: true,
+    ...(force ? {} : { nextRunAt: { $lte: now } }),
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+  },
+  {
+    $set: {
+      lockedBy: INSTANCE_ID,
+      lockedUntil: new Date(now.getTime() + definition.lockTimeout),
+      lastStartedAt: now
+    }
+  },
+  { new: true }
+);
+
+// Push the lease forward while the handler is still running on this instance
+const renewLease = (definition) => ScheduledJob.updateOne(
+  { name: definition.name, lockedBy: INSTANCE_ID },
+  { $set: { lockedUntil: new Date(Date.now() + definition.lockTimeout) } }
+).catch(error => console.error(`❌ Could not renew lease for "${definition.name}":`, error.message));
+
+const execute = async (definition, { force = false } = {}) => {
+  const startedAt = new Date();
+  await ensureRegistered(definition, startedAt);
+
+  const job = await claim(definition, startedAt, { force });
+  if (!job) return { ran: false };
+
+  const heartbeat = setInterval(() => renewLease(definition), definition.lockTimeout / 3);
+  heartbeat.unref();
+
+  let result;
+  let error;
+  try {
+    result = await definition.handler();
+  } catch (err) {
+    error = err;
+    console.error(`❌ Job "${definition.name}" failed:`, err.message);
+  } finally {
+    clearInterval(heartbeat);
+  }
+
+  const finishedAt = new Date();
+  // Keep to the planned cadence; after downtime or a forced run, start over from now
+  const planned = new Date(job.nextRunAt.getTime() + definition.interval);
+  let nextRunAt = planned > finishedAt ? planned : new Date(finishedAt.getTime() + definition.interval);
+  if (force && job.nextRunAt > startedAt) nextRunAt = job.nextRunAt;
+
+  await ScheduledJob.updateOne(
+    { name: definition.name, lockedBy: INSTANCE_ID },
+    {
+      $set: {
+        nextRunAt,
+        lockedBy: null,
+        lockedUntil: null,
+        lastFinishedAt: finishedAt,
+        lastDurationMs: finishedAt - startedAt,
+        lastStatus: error ? 'failed' : 'success',
+        lastResult: error ? null : result,
+        lastError: error ? error.message : null
+      },
+      $inc: { runCount: 1, failureCount: error ? 1 : 0 }
+    }
+  );
+
+  return { ran: true, result, error: error ? error.message : null };
+};
+
+// One polling pass: run every due job, one at a time
+const tick = async () => {
+  if (ticking || mongoose.connection.readyState !== 1) return;
+  ticking = true;
+  try {
+    for (const definition of definitions.values()) {
+      try {
+        await execute(definition);
+      } catch (error) {
+        console.error(`❌ Scheduler error for "${definition.name}":`, error.message);
+      }
+    }
+  } finally {
+    ticking = false;
+  }
+};
+
+/**
+ * Start polling for due jobs.
+ * @param {Object} [options]
+ * @param {number} [options.pollInterval=30000]
+ */
+const startScheduler = ({ pollInterval = DEFAULT_POLL_INTERVAL } = {}) => {
+  if (pollTimer) return;
+  pollTimer = setInterval(tick, pollInterval);
+  console.log(`⏰ Job scheduler started on ${INSTANCE_ID} (${definitions.size} jobs)`);
+};
+
+const stopScheduler = () => {
+  if (pollTimer) clearInterval(pollTimer);
+  pollTimer = null;
+};
+
+/**
+ * Run a job immediately (admin trigger), unless another instance holds it.
+ * The regular schedule continues from the next planned time.
+ * @param {string} name
+ * @returns {Promise<{ ran: boolean, result?: any, error?: string }>}
+ */
+const runJobNow = async (name) => {
+  const definition = definitions.get(name);
+  if (!definition) throw new Error(`Unknown job: ${name}`);
+  return execute(definition, { force: true });
+};
+
+/**
+ * Registered jobs with their stored state.
+ * @returns {Promise<Array<Object>>}
+ */
+const getJobStatuses = async () => {
+  const stored = await ScheduledJob.find({ name: { $in: [...definitions.keys()] } }).lean();
+  const byName = new Map(stored.map(job => [job.name, job]));
+
+  return [...definitions.values()].map(definition => {
+    const job = byName.get(definition.name) || {};
+    return {
+      name: definition.name,
+      interval: definition.interval,
+      enabled: job.enabled ?? true,
+      nextRunAt: job.nextRunAt || null,
+      running: !!(job.lockedUntil && new Date(job.lockedUntil) > new Date()),
+      lockedBy: job.lockedBy || null,
+      lastStartedAt: job.lastStartedAt || null,
+      lastFinishedAt: job.lastFinishedAt || null,
+      lastDurationMs: job.lastDurationMs ?? null,
+      lastStatus: job.lastStatus || null,
+      lastResult: job.lastResult ?? null,
+      lastError: job.lastError || null,
+      runCount: job.runCount || 0,
+      failureCount: job.failureCount || 0
+    };
+  });
+};
+
+module.exports = {
+  INSTANCE_ID,
+  defineJob,
+  startScheduler,
+  stopScheduler,
+  runJobNow,
+  getJobStatuses
+};
@@ -0,0 +1,224 @@
+/**
+ * Payments Ledger
+ *
+ * Normalizes the payments of every provider (services/paymentProviders) into
+ * one double-entry journal (models/ledgerEntry.js). Whenever a
+ * provider webhook (or any other code path) saves a new state / status on a
+ * transaction, the model's post-save hook posts the entries that state implies.
+ * Entries that already exist are left alone, so repeated webhooks and
+ * backfills never double-count.
+ *
+ *   completed payment   Dr clearing:<provider>   Cr revenue:subscriptions
+ *   refund / cancel     Dr contra_revenue:refunds Cr clearing:<provider>
+ *
+ * Partial refunds (services/refundService.js) are posted with their own
+ * amount once settled.
+ *
+ * Amounts are UZS tiyin. Every entry carries the USD/UZS rate of its
+ * transaction so revenue can also be reported in USD (getRevenueReport).
+ *
+ * @module services/ledgerService
+ */
+
+const LedgerEntry = require('../models/ledgerEntry');
+const { PROVIDER_NAMES, getProvider } = require('./paymentProviders');
+const { getRateAt } = require('./exchangeRateService');
+
+const BACKFILL_BATCH = 500;
+
+// Transactions that may carry ledger entries, and the field holding their payment date
+const BACKFILL_QUERIES = {
+  payme: { filter: { state: { $in: [2, -2] } }, paidAtField: 'perform_time' },
+  multicard: { filter: { transactionType: { $ne: 'card_binding' }, status: { $in: ['paid', 'refunded'] } }, paidAtField: 'paidAt' },
+  click: { filter: { status: { $in: ['paid', 'refunded'] } }, paidAtField: 'paidAt' }
+};
+
+const entryKey = (provider, externalId, kind) => `${provider}:${externalId}:${kind}`;
+
+const postEntry = (data) => LedgerEntry.post({
+  ...data,
+  key: entryKey(data.provider, data.externalId, data.kind)
+});
+
+// Rate recorded on the transaction; older transactions get the stored rate of the day
+const resolveFx = async (transaction, occurredAt) => {
+  if (transaction.fx?.usdUzs) {
+    const { usdUzs, source, rateAt } = transaction.fx;
+    return { usdUzs, source, rateAt };
+  }
+  return getRateAt(occurredAt);
+};
+
+/**
+ * Post the entries implied by a provider transaction's status.
+ * @param {string} provider - 'payme' | 'multicard' | 'click'
+ * @param {Object} transaction - the provider's transaction document
+ * @param {Object} [options]
+ * @param {string} [options.source='webhook']
+ * @returns {Promise<number>} number of entries created
+ */
+const syncTransaction = async (provider, transaction, { source = 'webhook' } = {}) => {
+  const payment = getProvider(provider).describe(transaction);
+  // Refunded without a payment date (e.g. a reverted hold) - nothing was received
+  const received = payment.status === 'paid' || (payment.status === 'refunded' && payment.paidAt);
+  if (!received) return 0;
+
+  const base = {
+    provider,
+    externalId: payment.externalId,
+    transactionId: transaction._id,
+    userId: payment.userFirebaseId,
+    amount: payment.amount,
+    currency: transaction.currency || 'UZS',
+    source
+  };
+
+  const paidAt = payment.paidAt || new Date();
+  base.fx = await resolveFx(transaction, paidAt);
+
+  let created = 0;
+  const entry = await postEntry({ ...base, kind: 'payment', occurredAt: paidAt });
+  if (entry.created) created++;
+
+  if (payment.status === 'refunded') {
+    const refund = await postEntry({ ...base, kind: 'refund', occurredAt: payment.refundedAt || new Date() });
+    if (refund.created) created++;
+  }
+
+  return created;
+};
+
+/**
+ * Post a settled admin refund (models/refund.js) with its own amount.
+ * A provider cancel webhook for the same payment is then a no-op.
+ * @param {Object} refund - Refund document with status 'completed'
+ * @returns {Promise<boolean>} true when an entry was created
+ */
+const recordRefund = async (refund) => {
+  const adapter = getProvider(refund.provider);
+  const transaction = await adapter.model.findById(refund.transactionId);
+  if (!transaction) return false;
+  const payment = adapter.describe(transaction);
+
+  const { created } = await postEntry({
+    provider: refund.provider,
+    externalId: payment.externalId,
+    transactionId: transaction._id,
+    refundId: refund._id,
+    userId: refund.userId,
+    kind: 'refund',
+    amount: refund.amount,
+    // Refunded at the payment's rate, so it nets out of USD revenue exactly
+    fx: await resolveFx(transaction, payment.paidAt || refund.createdAt),
+    occurredAt: refund.completedAt || new Date(),
+    source: 'refund'
+  });
+  return created;
+};
+
+/**
+ * Log instead of throwing - ledger failures must not fail a provider webhook.
+ * Reconciliation reports anything that was missed.
+ */
+const syncQuietly = (provider, transaction) => syncTransaction(provider, transaction).catch(error => {
+  console.error(`❌ Ledger sync failed for ${provider} transaction ${transaction._id}:`, error.message);
+  return 0;
+});
+
+/**
+ * Post entries for existing transactions (first deploy, or after a reconciliation finds gaps).
+ * @param {Object} [options]
+ * @param {Date} [options.from]
+ * @param {Date} [options.to]
+ * @returns {Promise<Object>} { [provider]: { checked, created } }
+ */
+const backfillLedger = async ({ from, to } = {}) => {
+  const range = (field) => {
+    if (!from && !to) return {};
+    const condition = {};
+    if (from) condition.$gte = from;
+    if (to) condition.$lt = to;
+    return { [field]: condition };
+  };
+
+  const stats = {};
+  for (const provider of PROVIDER_NAMES) {
+    const { filter, paidAtField } = BACKFILL_QUERIES[provider];
+    stats[provider] = { checked: 0, created: 0 };
+
+    const cursor = getProvider(provider).model.find({ ...filter, ...range(paidAtField) })
+      .batchSize(BACKFILL_BATCH)
+      .cursor();
+    for await (const transaction of cursor) {
+      stats[provider].checked++;
+      stats[provider].created += await syncTransaction(provider, transaction, { source: 'backfill' });
+    }
+  }
+
+  return stats;
+};
+
+/**
+ * Payments, refunds and net revenue per day or month (Tashkent time).
+ * USD amounts convert every entry at its own rate; entries without a rate
+ * are left out of USD totals and counted in `unconverted`.
+ * @param {Object} options
+ * @param {Date} options.from
+ * @param {Date} options.to
+ * @param {string} [options.currency='UZS'] - 'UZS' (amounts in tiyin) or 'USD' (amounts in cents)
+ * @param {string} [options.groupBy='day'] - 'day' or 'month'
+ */
+const getRevenueReport = async ({ from, to, currency = 'UZS', groupBy = 'day' }) => {
+  const hasRate = { $gt: ['$fx.usdUzs', 0] };
+  const rows = await LedgerEntry.aggregate([
+    { $match: { occurredAt: { $gte: from, $lt: to } } },
+    {
+      $group: {
+        _id: {
+          period: {
+            $dateToString: { format: groupBy === 'month' ? '%Y-%m' : '%Y-%m-%d', date: '$occurredAt', timezone: 'Asia/Tashkent' }
+          },
+          kind: '$kind'
+        },
+        tiyin: { $sum: '$amount' },
+        cents: { $sum: { $cond: [hasRate, { $divide: ['$amount', '$fx.usdUzs'] }, 0] } },
+        unconverted: { $sum: { $cond: [hasRate, 0, 1] } },
+        entries: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const usd = currency === 'USD';
+  const periods = new Map();
+  for (const row of rows) {
+    const period = periods.get(row._id.period) || { period: row._id.period, payments: 0, refunds: 0, entries: 0, unconverted: 0 };
+    const amount = usd ? Math.round(row.cents) : row.tiyin;
+    if (row._id.kind === 'payment') period.payments += amount;
+    else period.refunds += amount;
+    period.entries += row.entries;
+    if (usd) period.unconverted += row.unconverted;
+    periods.set(row._id.period, period);
+  }
+
+  const list = [...periods.values()]
+    .map(period => ({ ...period, net: period.payments - period.refunds }))
+    .sort((a, b) => a.period.localeCompare(b.period));
+  const totals = list.reduce((sum, period) => ({
+    payments: sum.payments + period.payments,
+    refunds: sum.refunds + period.refunds,
+    net: sum.net + period.net,
+    entries: sum.entries + period.entries,
+    unconverted: sum.unconverted + period.unconverted
+  }), { payments: 0, refunds: 0, net: 0, entries: 0, unconverted: 0 });
+
+  return { currency: usd ? 'USD' : 'UZS', unit: usd ? 'cent' : 'tiyin', groupBy, periods: list, totals };
+};
+
+module.exports = {
+  entryKey,
+  syncTransaction,
+  syncQuietly,
+  recordRefund,
+  backfillLedger,
+  getRevenueReport
+};
@@ -0,0 +1,301 @@
+/**
+ * LLM Gateway
+ *
+ * One entry point for every chat completion the app makes. Each AI feature
+ * has a route of provider / model pairs (config/llmConfig.js); a request
+ * goes to the first configured provider on the route and fails over to the
+ * next when it errors, times out, or - in JSON mode - returns something that
+ * isn't valid JSON of the expected shape.
+ *
+ * stream() does the same for replies forwarded token by token; it can only
+ * fail over until the first token has been sent.
+ *
+ * Every call is metered (services/aiMeteringService.js). Pass `meter: { userId }`
+ * for calls made on a user's behalf: the user's daily token budget is checked
+ * first and the tokens count towards it.
+ *
+ * Adapters live in services/llmProviders. Set LLM_PROVIDER=mock to run every
+ * feature against the deterministic mock provider (offline tests).
+ *
+ * @module services/llmGateway
+ */
+
+const { getFeatureRoute } = require('../config/llmConfig');
+const { getProvider } = require('./llmProviders');
+const { recordCall, assertTokenBudget } = require('./aiMeteringService');
+const httpError = require('../utils/httpError');
+
+const SCHEMA_TYPES = ['string', 'number', 'boolean', 'array', 'object'];
+
+const hasImages = (messages) => messages.some(m =>
+  Array.isArray(m.content) && m.content.some(part => part.type === 'image_url'));
+
+const tryParse = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return undefined;
+  }
+};
+
+/**
+ * Parse a JSON reply, also when the model wrapped it in a markdown code block
+ * or surrounded it with prose.
+ * @param {string} content
+ * @returns {*} parsed value, or null when it isn't JSON
+ */
+const parseJsonContent = (content) => {
+  if (!content) return null;
+
+  let parsed = tryParse(content);
+  if (parsed !== undefined) return parsed;
+
+  const block = content.match(/```json\s?([\s\S]*?)\s?```/) || content.match(/```\s?([\s\S]*?)\s?```/);
+  if (block) {
+    parsed = tryParse(block[1].trim());
+    if (parsed !== undefined) return parsed;
+  }
+
+  // Last resort: first { to last }
+  const first = content.indexOf('{');
+  const last = content.lastIndexOf('}');
+  if (first !== -1 && last > first) {
+    parsed = tryParse(content.substring(first, last + 1));
+    if (parsed !== undefined) return parsed;
+  }
+  return null;
+};
+
+const typeOf = (value) => (Array.isArray(value) ? 'array' : (value === null ? 'null' : typeof value));
+
+/**
+ * Check a parsed reply against a flat schema of key -> type.
+ * @param {*} data
+ * @param {Object} [schema] - e.g. { explanation: 'string', highlights: 'array' }
+ * @returns {string|null} what is wrong, or null when it matches
+ */
+const validateJson = (data, schema) => {
+  if (typeOf(data) !== 'object') return 'Response is not a JSON object';
+  for (const [key, type] of Object.entries(schema || {})) {
+    if (typeOf(data[key]) !== type) return `Expected "${key}" to be ${type}, got ${typeOf(data[key])}`;
+  }
+  return null;
+};
+
+// Rough token count for replies the provider never reported usage for
+const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+const textOf = (content) => (Array.isArray(content)
+  ? content.filter(part => part.type === 'text').map(part => part.text).join(' ')
+  : String(content || ''));
+
+const meterCall = (feature, meter = {}, call) => recordCall({
+  userId: meter.userId || null,
+  action: meter.action,
+  feature,
+  ...call
+});
+
+const withTimeout = (promise, timeoutMs, label) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timeout after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * The providers a feature would try, in order.
+ * @param {string} feature
+ * @param {Object} [options]
+ * @param {boolean} [options.vision=false] - only providers that accept images
+ * @returns {Array<{ provider: Object, model: string }>}
+ */
+const resolveCandidates = (feature, { vision = false } = {}) => {
+  const config = getFeatureRoute(feature);
+  if (!config) throw httpError(500, `Unknown LLM feature: ${feature}`);
+
+  return config.route
+    .map(({ provider: name, model }) => ({ provider: getProvider(name), model }))
+    .filter(({ provider }) => provider && provider.isConfigured() && (!vision || provider.vision))
+    .map(({ provider, model }) => ({ provider, model: model || provider.defaultModel }));
+};
+
+/**
+ * Whether at least one provider on the feature's route is configured.
+ * @param {string} feature
+ */
+const isFeatureAvailable = (feature) => resolveCandidates(feature).length > 0;
+
+/**
+ * Run a chat completion for a feature with failover.
+ * @param {Object} options
+ * @param {string} options.feature - key in LLM_FEATURES
+ * @param {Array<Object>} options.messages - OpenAI chat messages
+ * @param {number} [options.maxTokens]
+ * @param {number} [options.temperature]
+ * @param {boolean} [options.json=false] - JSON mode: reply is parsed and validated
+ * @param {Object} [options.schema] - JSON mode: { key: 'string'|'number'|'boolean'|'array'|'object' }
+ * @param {Object} [options.meter] - { userId, action }: who the call is for and the endpoint-level label
+ * @returns {Promise<Object>} { content, data, provider, model, usage, latencyMs, attempts }
+ */
+const complete = async ({ feature, messages, maxTokens, temperature, json = false, schema, meter }) => {
+  if (schema && Object.values(schema).some(type => !SCHEMA_TYPES.includes(type))) {
+    throw httpError(500, `Schema types must be one of: ${SCHEMA_TYPES.join(', ')}`);
+  }
+
+  const { timeoutMs } = getFeatureRoute(feature) || {};
+  const candidates = resolveCandidates(feature, { vision: hasImages(messages) });
+  if (candidates.length === 0) throw httpError(503, `No AI provider is configured for ${feature}`);
+  if (meter?.userId) await assertTokenBudget(meter.userId);
+
+  const attempts = [];
+  for (const { provider, model } of candidates) {
+    const startedAt = Date.now();
+    let reply = null;
+    try {
+      reply = await withTimeout(
+        provider.complete({ feature, model, messages, maxTokens, temperature, json, schema, timeoutMs }),
+        timeoutMs,
+        provider.label
+      );
+      if (!reply.content) throw new Error('Empty response');
+
+      let data = null;
+      if (json) {
+        data = parseJsonContent(reply.content);
+        const invalid = data === null ? 'Response is not valid JSON' : validateJson(data, schema);
+        if (invalid) throw new Error(invalid);
+      }
+
+      const latencyMs = Date.now() - startedAt;
+      attempts.push({ provider: provider.name, model, latencyMs, error: null });
+      meterCall(feature, meter, { provider: provider.name, model: reply.model || model, usage: reply.usage, latencyMs });
+      return {
+        content: reply.content,
+        data,
+        provider: provider.name,
+        model: reply.model || model,
+        usage: reply.usage,
+        latencyMs,
+        attempts
+      };
+    } catch (error) {
+      // A reply rejected as invalid JSON was still billed
+      if (reply?.usage) meterCall(feature, meter, { provider: provider.name, model: reply.model || model, usage: reply.usage, latencyMs: Date.now() - startedAt });
+      attempts.push({ provider: provider.name, model, latencyMs: Date.now() - startedAt, error: error.message });
+      console.warn(`⚠️ LLM ${feature}: ${provider.label} (${model}) failed: ${error.message}`);
+    }
+  }
+
+  const error = httpError(502, `All AI providers failed for ${feature}: ${attempts[attempts.length - 1].error}`);
+  error.attempts = attempts;
+  throw error;
+};
+
+/**
+ * Stream a chat completion for a feature, calling onToken for every fragment.
+ * A provider that fails before its first token is skipped for the next one on
+ * the route; a failure mid-reply is thrown. The feature timeout applies to the
+ * gap between tokens, not the whole reply. When `signal` aborts (the client
+ * went away) the partial reply is returned with `aborted: true`.
+ * @param {Object} options
+ * @param {string} options.feature
+ * @param {Array<Object>} options.messages
+ * @param {number} [options.maxTokens]
+ * @param {number} [options.temperature]
+ * @param {AbortSignal} [options.signal]
+ * @param {Function} options.onToken - (text) => void
+ * @param {Object} [options.meter] - { userId, action }, as for complete
+ * @returns {Promise<Object>} { content, provider, model, usage, latencyMs, attempts, aborted }
+ */
+const stream = async ({ feature, messages, maxTokens, temperature, signal, onToken, meter }) => {
+  const { timeoutMs } = getFeatureRoute(feature) || {};
+  const candidates = resolveCandidates(feature, { vision: hasImages(messages) });
+  if (candidates.length === 0) throw httpError(503, `No AI provider is configured for ${feature}`);
+  if (meter?.userId) await assertTokenBudget(meter.userId);
+
+  const attempts = [];
+  for (const { provider, model } of candidates) {
+    if (signal?.aborted) break;
+
+    const startedAt = Date.now();
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    signal?.addEventListener('abort', abort);
+
+    let content = '';
+    let timedOut = false;
+    let timer;
+    const resetTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeoutMs);
+    };
+
+    try {
+      resetTimer();
+      const reply = await provider.stream(
+        { feature, model, messages, maxTokens, temperature, timeoutMs, signal: controller.signal },
+        (delta) => {
+          resetTimer();
+          content += delta;
+          onToken(delta);
+        }
+      );
+      if (!content) throw new Error('Empty response');
+
+      const latencyMs = Date.now() - startedAt;
+      attempts.push({ provider: provider.name, model, latencyMs, error: null });
+      meterCall(feature, meter, { provider: provider.name, model: reply.model || model, usage: reply.usage, latencyMs });
+      return {
+        content,
+        provider: provider.name,
+        model: reply.model || model,
+        usage: reply.usage,
+        latencyMs,
+        attempts,
+        aborted: false
+      };
+    } catch (caught) {
+      const latencyMs = Date.now() - startedAt;
+      if (signal?.aborted) {
+        attempts.push({ provider: provider.name, model, latencyMs, error: 'Client disconnected' });
+        // The provider bills what it generated before the cancel but never reports it
+        const promptTokens = estimateTokens(messages.map(m => textOf(m.content)).join('\n'));
+        const completionTokens = estimateTokens(content);
+        const usage = { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+        if (content) meterCall(feature, meter, { provider: provider.name, model, usage, latencyMs, estimated: true });
+        return { content, provider: provider.name, model, usage, latencyMs, attempts, aborted: true };
+      }
+
+      const message = timedOut ? `${provider.label} timeout after ${timeoutMs}ms` : caught.message;
+      attempts.push({ provider: provider.name, model, latencyMs, error: message });
+      console.warn(`⚠️ LLM ${feature}: ${provider.label} (${model}) stream failed: ${message}`);
+      if (content) {
+        const error = httpError(502, `AI reply was interrupted: ${message}`);
+        error.attempts = attempts;
+        throw error;
+      }
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', abort);
+    }
+  }
+
+  if (signal?.aborted) return { content: '', provider: null, model: null, usage: null, latencyMs: 0, attempts, aborted: true };
+
+  const error = httpError(502, `All AI providers failed for ${feature}: ${attempts[attempts.length - 1].error}`);
+  error.attempts = attempts;
+  throw error;
+};
+
+module.exports = {
+  parseJsonContent,
+  validateJson,
+  resolveCandidates,
+  isFeatureAvailable,
+  complete,
+  stream
+};
@@ -0,0 +1,47 @@
+/**
+ * LLM Providers
+ *
+ * Every provider is an adapter with the same shape, so services/llmGateway.js
+ * can route features to models and fail over without branching:
+ *
+ *   name, label, defaultModel, vision   - id, display name, model when the route has none, accepts images
+ *   isConfigured()                      - credentials / endpoint present in the environment
+ *   complete(request)                   - { content, model, usage: { promptTokens, completionTokens, totalTokens } }
+ *   stream(request, onDelta)            - same result, calling onDelta(text) for each fragment as it arrives
+ *
+ * request is { feature, model, messages, maxTokens, temperature, json, schema, timeoutMs },
+ * plus an AbortSignal `signal` when streaming.
+ *
+ * @module services/llmProviders
+ */
+
+const { LLM_PROVIDERS } = require('../../config/llmConfig');
+const { createOpenAICompatibleProvider } = require('./openaiCompatible');
+const mock = require('./mock');
+
+const PROVIDERS = {
+  ...Object.fromEntries(Object.entries(LLM_PROVIDERS).map(([name, definition]) => [
+    name,
+    createOpenAICompatibleProvider(name, definition)
+  ])),
+  mock
+};
+const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+/**
+ * @param {string} name
+ * @returns {Object|null} adapter
+ */
+const getProvider = (name) => PROVIDERS[name] || null;
+
+const listProviders = () => PROVIDER_NAMES.map(name => ({
+  name,
+  label: PROVIDERS[name].label,
+  available: PROVIDERS[name].isConfigured()
+}));
+
+module.exports = {
+  PROVIDER_NAMES,
+  getProvider,
+  listProviders
+};
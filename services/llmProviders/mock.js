@@ -0,0 +1,81 @@
+/**
+ * Mock LLM adapter
+ *
+ * Deterministic offline responses for integration tests and local development
+ * (LLM_PROVIDER=mock). The same request always gets the same answer:
+ *   - text: a short reply quoting the last user message and a hash of the
+ *     whole conversation
+ *   - JSON: an object with a placeholder of the right type for every key of
+ *     the request's schema
+ * Streaming sends the same reply a word at a time.
+ *
+ * @module services/llmProviders/mock
+ */
+
+const crypto = require('crypto');
+
+const PLACEHOLDERS = {
+  string: (key) => `mock ${key}`,
+  number: () => 0,
+  boolean: () => false,
+  array: () => [],
+  object: () => ({})
+};
+
+const textOf = (content) => (Array.isArray(content)
+  ? content.filter(part => part.type === 'text').map(part => part.text).join(' ')
+  : String(content || ''));
+
+// Rough token count, close enough for usage figures in tests
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+const buildReply = ({ messages, json, schema }) => {
+  const conversation = messages.map(m => `${m.role}:${textOf(m.content)}`).join('\n');
+  const hash = crypto.createHash('sha1').update(conversation).digest('hex').slice(0, 8);
+
+  if (json) {
+    const data = { mock: true, hash };
+    Object.entries(schema || {}).forEach(([key, type]) => {
+      data[key] = (PLACEHOLDERS[type] || PLACEHOLDERS.string)(key);
+    });
+    return data;
+  }
+
+  const lastUser = [...messages].reverse().find(m => m.role === 'user');
+  return `Mock reply ${hash}: ${textOf(lastUser?.content).slice(0, 120)}`;
+};
+
+const respond = (request) => {
+  const reply = buildReply(request);
+  const content = typeof reply === 'string' ? reply : JSON.stringify(reply);
+  const promptTokens = estimateTokens(request.messages.map(m => textOf(m.content)).join('\n'));
+  const completionTokens = estimateTokens(content);
+
+  return {
+    content,
+    model: request.model || 'mock-1',
+    usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+  };
+};
+
+module.exports = {
+  name: 'mock',
+  label: 'Mock',
+  defaultModel: 'mock-1',
+  vision: true,
+
+  isConfigured: () => true,
+
+  complete: async (request) => respond(request),
+
+  // Same reply as complete, delivered word by word
+  stream: async (request, onDelta) => {
+    const reply = respond(request);
+    for (const piece of reply.content.match(/\S+\s*|\s+/g) || []) {
+      if (request.signal?.aborted) throw new Error('Request was aborted.');
+      await new Promise(resolve => setImmediate(resolve));
+      onDelta(piece);
+    }
+    return reply;
+  }
+};
@@ -0,0 +1,100 @@
+/**
+ * OpenAI-compatible LLM adapter
+ *
+ * OpenAI, DeepSeek and self-hosted servers (Ollama, LM Studio, vLLM) share the
+ * chat completions API, so one adapter built from config/llmConfig.js covers
+ * all of them. SDK retries are off: the gateway fails over to the next
+ * provider instead.
+ *
+ * @module services/llmProviders/openaiCompatible
+ */
+
+const OpenAI = require('openai');
+
+const toUsage = (usage) => ({
+  promptTokens: usage?.prompt_tokens || 0,
+  completionTokens: usage?.completion_tokens || 0,
+  totalTokens: usage?.total_tokens || 0
+});
+
+/**
+ * @param {string} name - key in LLM_PROVIDERS
+ * @param {Object} definition - { label, baseURL, apiKeyEnv, apiKeyOptional, defaultModel, vision }
+ * @returns {Object} adapter
+ */
+const createOpenAICompatibleProvider = (name, definition) => {
+  let client = null;
+  let clientKey = null;
+
+  const apiKey = () => process.env[definition.apiKeyEnv] || (definition.apiKeyOptional ? 'not-needed' : null);
+
+  const getClient = () => {
+    const key = apiKey();
+    if (!client || clientKey !== key) {
+      client = new OpenAI({ apiKey: key, baseURL: definition.baseURL, maxRetries: 0 });
+      clientKey = key;
+    }
+    return client;
+  };
+
+  const buildParams = ({ model, messages, maxTokens, temperature, json }) => ({
+    model,
+    messages,
+    ...(maxTokens && { max_tokens: maxTokens }),
+    ...(temperature !== undefined && { temperature }),
+    ...(json && { response_format: { type: 'json_object' } })
+  });
+
+  return {
+    name,
+    label: definition.label,
+    defaultModel: definition.defaultModel,
+    vision: !!definition.vision,
+
+    isConfigured: () => !!apiKey() && (name !== 'local' || !!definition.baseURL),
+
+    /**
+     * @param {Object} request - { model, messages, maxTokens, temperature, json, timeoutMs }
+     * @returns {Promise<{ content: string, model: string, usage: Object }>}
+     */
+    complete: async (request) => {
+      const response = await getClient().chat.completions.create(buildParams(request), { timeout: request.timeoutMs });
+
+      return {
+        content: response.choices?.[0]?.message?.content || '',
+        model: response.model || request.model,
+        usage: toUsage(response.usage)
+      };
+    },
+
+    /**
+     * @param {Object} request - as for complete, plus { signal }
+     * @param {Function} onDelta - called with each text fragment as it arrives
+     * @returns {Promise<{ content: string, model: string, usage: Object }>}
+     */
+    stream: async (request, onDelta) => {
+      const stream = await getClient().chat.completions.create({
+        ...buildParams(request),
+        stream: true,
+        stream_options: { include_usage: true }
+      }, { signal: request.signal });
+
+      let content = '';
+      let model = request.model;
+      let usage = null;
+      for await (const chunk of stream) {
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) {
+          content += delta;
+          onDelta(delta);
+        }
+        if (chunk.model) model = chunk.model;
+        if (chunk.usage) usage = chunk.usage;
+      }
+
+      return { content, model, usage: toUsage(usage) };
+    }
+  };
+};
+
+module.exports = { createOpenAICompatibleProvider };
@@ -0,0 +1,634 @@
+/**
+ * Institutional Licences
+ *
+ * Organisations (models/organization.js) buy seats in bulk and pay by bank
+ * transfer:
+ *   1. a platform admin issues a pro-forma invoice (models/organizationInvoice.js)
+ *      for N seats of a tier; the PDF carries the merchant's bank details
+ *      from Multicard (fetchRecipientBankAccount)
+ *   2. the organisation's admins allocate seats to emails, up to the seats
+ *      paid or invoiced (models/organizationSeat.js)
+ *   3. once the transfer arrives, a platform admin marks the invoice paid:
+ *      the licence period starts and the allocated seats are activated
+ *
+ * Only the first license.seats allocated seats (oldest first) carry a
+ * subscription; seats allocated against an unpaid invoice beyond the paid
+ * licence wait until it covers them.
+ *
+ * A seat is linked to a user when they sign in with the verified email it
+ * was allocated to (POST /api/users/save). Like family / group plans, the
+ * seat holder's subscription mirrors the licence with subscriptionSource
+ * 'organization' and is re-derived by ensureSubscriptionStatus and
+ * reconcileAllSubscriptions; reclaiming a seat revokes it.
+ *
+ * @module services/organizationService
+ */
+
+const PDFDocument = require('pdfkit');
+const User = require('../models/user');
+const UserProgress = require('../models/userProgress');
+const Organization = require('../models/organization');
+const OrganizationSeat = require('../models/organizationSeat');
+const OrganizationInvoice = require('../models/organizationInvoice');
+const { getTierById, getInstitutionalSeatPrice } = require('../config/subscriptionConfig');
+const httpError = require('../utils/httpError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const INVOICE_DUE_DAYS = 14;
+const MAX_SEATS_PER_INVOICE = 10000;
+const MAX_EMAILS_PER_REQUEST = 500;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// tryActivateFromPayments lives in the middleware, which requires this service
+const activateFromPayments = (user) => require('../middlewares/subscriptionMiddleware').tryActivateFromPayments(user);
+// The Multicard controller requires services that load the subscription middleware
+const fetchRecipientBankAccount = () => require('../controllers/multicardController').fetchRecipientBankAccount();
+
+// ========================================
+// Licence and seat subscriptions
+// ========================================
+
+/**
+ * Recompute the cached licence from paid invoices: seats of the invoices
+ * covering now, and the end of the uninterrupted paid period.
+ */
+const refreshLicense = async (org, now = new Date()) => {
+  const invoices = await OrganizationInvoice.find({ organization: org._id, status: 'paid' })
+    .sort({ periodStart: 1 })
+    .lean();
+
+  let end = now;
+  for (const invoice of invoices) {
+    if (invoice.periodStart <= end && invoice.periodEnd > end) end = invoice.periodEnd;
+  }
+  const covering = invoices.filter(invoice => invoice.periodStart <= now && invoice.periodEnd > now);
+
+  org.license = {
+    seats: covering.reduce((sum, invoice) => sum + invoice.seats, 0),
+    tierId: covering.length ? covering[covering.length - 1].tierId : null,
+    expiresAt: end > now ? end : null,
+    updatedAt: now
+  };
+  await org.save();
+  return org;
+};
+
+/**
+ * Make the user's subscription mirror the organisation's licence. Doesn't save.
+ * @returns {boolean} true if anything changed
+ */
+const applySeatSubscription = (user, org, now = new Date()) => {
+  const expiresAt = org.license.expiresAt;
+  const ownExpiry = user.subscriptionExpiryDate ? new Date(user.subscriptionExpiryDate) : null;
+  if (user.subscriptionSource !== 'organization' && user.hasActiveSubscription() && ownExpiry >= expiresAt) {
+    return false;
+  }
+
+  const unchanged = user.subscriptionSource === 'organization'
+    && String(user.subscriptionOrganization) === String(org._id)
+    && user.subscriptionPlan === 'pro'
+    && ownExpiry?.getTime() === expiresAt.getTime();
+  if (unchanged) return false;
+
+  const tier = getTierById(org.license.tierId);
+  if (!user.hasActiveSubscription()) user.subscriptionActivatedAt = now;
+  user.subscriptionPlan = 'pro';
+  user.subscriptionExpiryDate = expiresAt;
+  user.subscriptionSource = 'organization';
+  user.subscriptionOrganization = org._id;
+  user.subscriptionDuration = tier ? tier.durationMonths : null;
+  user.paymentStatus = 'paid';
+  return true;
+};
+
+// Drop a seat-derived subscription, falling back to the user's own payments. Doesn't save.
+const clearSeatSubscription = async (user) => {
+  user.subscriptionPlan = 'free';
+  user.subscriptionExpiryDate = null;
+  user.subscriptionSource = null;
+  user.subscriptionOrganization = null;
+  user.subscriptionDuration = null;
+  user.paymentStatus = 'unpaid';
+  await activateFromPayments(user);
+};
+
+// Allocated seats the paid licence covers: the oldest license.seats of them
+const findLicensedSeats = (org) => OrganizationSeat.find({ organization: org._id, status: 'allocated' })
+  .sort({ _id: 1 })
+  .limit(org.license.seats || 0)
+  .select('userId')
+  .lean();
+
+const isSeatLicensed = async (org, seat) => {
+  const older = await OrganizationSeat.countDocuments({ organization: org._id, status: 'allocated', _id: { $lt: seat._id } });
+  return older < (org.license.seats || 0);
+};
+
+/**
+ * Derive a user's subscription from their organisation seats.
+ * Called by ensureSubscriptionStatus; doesn't save.
+ * @returns {Promise<boolean>} true if anything changed
+ */
+const syncUserOrganizationSeat = async (user, now = new Date()) => {
+  if (user.subscriptionPlan !== 'free' && user.subscriptionSource !== 'organization') return false;
+
+  const seats = await OrganizationSeat.find({ userId: user.firebaseId, status: 'allocated' })
+    .select('organization')
+    .lean();
+  const orgs = seats.length > 0
+    ? await Organization.find({ _id: { $in: seats.map(seat => seat.organization) } })
+    : [];
+  const licensed = [];
+  for (const candidate of orgs) {
+    const seat = seats.find(s => String(s.organization) === String(candidate._id));
+    if (candidate.hasActiveLicense(now) && await isSeatLicensed(candidate, seat)) licensed.push(candidate);
+  }
+  const org = licensed.sort((a, b) => b.license.expiresAt - a.license.expiresAt)[0];
+
+  if (org) return applySeatSubscription(user, org, now);
+
+  if (user.subscriptionSource === 'organization') {
+    console.log(`[Subscription] ${user.firebaseId} no longer has a licensed organisation seat, reverting`);
+    await clearSeatSubscription(user);
+    return true;
+  }
+  return false;
+};
+
+const activateSeats = async (org, now = new Date()) => {
+  if (!org.hasActiveLicense(now)) return 0;
+
+  const seats = (await findLicensedSeats(org)).filter(seat => seat.userId);
+  const users = await User.find({ firebaseId: { $in: seats.map(seat => seat.userId) } });
+
+  let activated = 0;
+  for (const user of users) {
+    if (applySeatSubscription(user, org, now)) {
+      await user.save();
+      activated++;
+    }
+  }
+  return activated;
+};
+
+/**
+ * Link seats allocated to the user's verified email and activate them.
+ * Called on sign-in (POST /api/users/save).
+ * @returns {Promise<number>} seats linked
+ */
+const claimSeatsForUser = async (user, verifiedEmail, now = new Date()) => {
+  const email = String(verifiedEmail || '').trim().toLowerCase();
+  if (!email) return 0;
+
+  const result = await OrganizationSeat.updateMany(
+    { email, userId: null, status: 'allocated' },
+    { $set: { userId: user.firebaseId, claimedAt: now } }
+  );
+  if (!result.modifiedCount) return 0;
+
+  if (await syncUserOrganizationSeat(user, now)) await user.save();
+  return result.modifiedCount;
+};
+
+// ========================================
+// Seats
+// ========================================
+
+/**
+ * Seats the organisation can allocate: the paid licence, or the largest
+ * unpaid invoice so seats can be handed out before the transfer arrives.
+ */
+const getSeatCapacity = async (org) => {
+  const pending = await OrganizationInvoice.find({ organization: org._id, status: 'issued' }).select('seats').lean();
+  return Math.max(org.hasActiveLicense() ? org.license.seats : 0, ...pending.map(invoice => invoice.seats));
+};
+
+const getSeatCounts = async (org) => {
+  const [allocated, claimed, capacity] = await Promise.all([
+    OrganizationSeat.countDocuments({ organization: org._id, status: 'allocated' }),
+    OrganizationSeat.countDocuments({ organization: org._id, status: 'allocated', userId: { $ne: null } }),
+    getSeatCapacity(org)
+  ]);
+  return { capacity, allocated, claimed, available: Math.max(0, capacity - allocated) };
+};
+
+/**
+ * Allocate seats to emails. Emails that already hold a seat are skipped.
+ * @returns {Promise<{ allocated: string[], skipped: string[] }>}
+ */
+const allocateSeats = async (org, rawEmails, allocatedBy) => {
+  if (org.status !== 'active') throw httpError(400, 'Organisation is suspended');
+  if (!Array.isArray(rawEmails) || rawEmails.length === 0) throw httpError(400, 'emails must be a non-empty array');
+  if (rawEmails.length > MAX_EMAILS_PER_REQUEST) {
+    throw httpError(400, `At most ${MAX_EMAILS_PER_REQUEST} emails per request`);
+  }
+
+  const emails = [...new Set(rawEmails.map(email => String(email).trim().toLowerCase()))];
+  const invalid = emails.filter(email => !EMAIL_PATTERN.test(email));
+  if (invalid.length > 0) throw httpError(400, `Invalid emails: ${invalid.slice(0, 5).join(', ')}`);
+
+  const existing = await OrganizationSeat.find({ organization: org._id, status: 'allocated', email: { $in: emails } })
+    .select('email')
+    .lean();
+  const taken = new Set(existing.map(seat => seat.email));
+  const fresh = emails.filter(email => !taken.has(email));
+
+  const { available } = await getSeatCounts(org);
+  if (fresh.length > available) {
+    throw httpError(409, `Only ${available} seats are available, ${fresh.length} requested`);
+  }
+
+  if (fresh.length > 0) {
+    const inserted = await OrganizationSeat.insertMany(fresh.map(email => ({ organization: org._id, email, allocatedBy })));
+
+    // A concurrent allocation may have taken the same seats: recount and back out
+    const { capacity, allocated } = await getSeatCounts(org);
+    if (allocated > capacity) {
+      await OrganizationSeat.deleteMany({ _id: { $in: inserted.map(seat => seat._id) } });
+      throw httpError(409, `Only ${Math.max(0, capacity - allocated + inserted.length)} seats are available, ${fresh.length} requested`);
+    }
+  }
+  return { allocated: fresh, skipped: [...taken] };
+};
+
+/**
+ * Take a seat back; its holder loses the organisation's subscription.
+ */
+const reclaimSeat = async (org, seatId, reclaimedBy) => {
+  const seat = await OrganizationSeat.findOne({ _id: seatId, organization: org._id, status: 'allocated' }).catch(() => null);
+  if (!seat) throw httpError(404, 'Seat not found');
+
+  seat.status = 'reclaimed';
+  seat.reclaimedAt = new Date();
+  seat.reclaimedBy = reclaimedBy;
+  await seat.save();
+
+  if (seat.userId) {
+    const user = await User.findOne({ firebaseId: seat.userId });
+    if (user && user.subscriptionSource === 'organization' && String(user.subscriptionOrganization) === String(org._id)) {
+      await clearSeatSubscription(user);
+      // The user may hold a seat in another organisation
+      await syncUserOrganizationSeat(user);
+      await user.save();
+    }
+  }
+  // The freed licence seat may now cover a waiting one
+  await activateSeats(org);
+  return seat;
+};
+
+// ========================================
+// Invoices
+// ========================================
+
+const formatUZS = (tiyin) => `${String(Math.round(tiyin / 100)).replace(/\B(?=(\d{3})+(?!\d))/g, ' ')} UZS`;
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '—');
+
+// Multicard's recipient object, printed as label / value lines
+const RECIPIENT_FIELDS = [
+  ['Recipient', ['name', 'recipient_name', 'company_name', 'recipient']],
+  ['INN', ['inn', 'tin']],
+  ['Account', ['account', 'account_number', 'checking_account', 'bank_account']],
+  ['Bank', ['bank_name', 'bank']],
+  ['MFO', ['mfo', 'bank_code']]
+];
+
+const recipientLines = (recipient) => {
+  if (!recipient || typeof recipient !== 'object') return [];
+  const isPrintable = (value) => ['string', 'number'].includes(typeof value) && String(value).trim();
+
+  const lines = RECIPIENT_FIELDS
+    .map(([label, keys]) => {
+      const key = keys.find(k => isPrintable(recipient[k]));
+      return key ? [label, String(recipient[key])] : null;
+    })
+    .filter(Boolean);
+  if (lines.length > 0) return lines;
+
+  // Unknown shape: print whatever scalar fields there are
+  return Object.entries(recipient).filter(([, value]) => isPrintable(value)).map(([key, value]) => [key, String(value)]);
+};
+
+/**
+ * Render a pro-forma invoice as an A4 PDF.
+ * Set INVOICE_FONT_PATH (or CERTIFICATE_FONT_PATH) to a TTF with Cyrillic glyphs.
+ * @returns {Promise<Buffer>}
+ */
+const renderInvoicePdf = (invoice, org) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    info: { Title: `ACED invoice ${invoice.number}`, Author: 'ACED' }
+  });
+
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const fontPath = process.env.INVOICE_FONT_PATH || process.env.CERTIFICATE_FONT_PATH;
+  const regular = fontPath ? 'InvoiceFont' : 'Helvetica';
+  const bold = fontPath ? 'InvoiceFont' : 'Helvetica-Bold';
+  if (fontPath) doc.registerFont('InvoiceFont', fontPath);
+
+  const tier = getTierById(invoice.tierId);
+  const left = 50;
+  const width = doc.page.width - 100;
+
+  doc.fillColor('#1A237E').font(bold).fontSize(22).text(`Pro-forma invoice ${invoice.number}`, left, 50);
+  doc.fillColor('#424242').font(regular).fontSize(10)
+    .text(`Issued: ${formatDate(invoice.issuedAt)}    Due: ${formatDate(invoice.dueAt)}`, left, 80);
+
+  const party = (title, lines, y) => {
+    doc.fillColor('#000000').font(bold).fontSize(12).text(title, left, y);
+    doc.font(regular).fontSize(10);
+    lines.forEach(([label, value]) => doc.text(`${label}: ${value}`, left, doc.y + 2, { width }));
+    return doc.y + 14;
+  };
+
+  let y = party('Seller (payee)', [['Company', 'ACED'], ...recipientLines(invoice.recipient)], 110);
+  y = party('Buyer', [
+    ['Organisation', org.legalName || org.name],
+    ...(org.inn ? [['INN', org.inn]] : []),
+    ...(org.address ? [['Address', org.address]] : [])
+  ], y);
+
+  // Line item
+  const columns = [left, left + 250, left + 310, left + 400];
+  doc.lineWidth(0.5).moveTo(left, y).lineTo(left + width, y).stroke('#9E9E9E');
+  doc.font(bold).fontSize(10).fillColor('#000000');
+  ['Description', 'Seats', 'Seat price', 'Amount'].forEach((title, i) => doc.text(title, columns[i], y + 6));
+  doc.font(regular);
+  const itemY = y + 26;
+  doc.text(`ACED Pro licence, ${tier ? tier.label : invoice.tierId} per seat`, columns[0], itemY, { width: 240 });
+  doc.text(String(invoice.seats), columns[1], itemY);
+  doc.text(formatUZS(invoice.seatPriceInTiyin), columns[2], itemY);
+  doc.text(formatUZS(invoice.totalInTiyin), columns[3], itemY);
+  y = Math.max(doc.y, itemY + 14) + 8;
+  doc.moveTo(left, y).lineTo(left + width, y).stroke('#9E9E9E');
+
+  if (invoice.discountPercent) {
+    doc.fontSize(9).fillColor('#616161').text(`Includes a ${invoice.discountPercent}% volume discount.`, left, y + 6);
+  }
+  doc.font(bold).fontSize(13).fillColor('#000000')
+    .text(`Total due: ${formatUZS(invoice.totalInTiyin)} (VAT not applicable)`, left, y + 24);
+
+  doc.font(regular).fontSize(10).fillColor('#424242')
+    .text(`Payment purpose: payment for invoice ${invoice.number}, ACED licence for ${org.name}`, left, doc.y + 16, { width })
+    .text('The licence period starts on the day the payment is received'
+      + (invoice.startsAt ? `, but not before ${formatDate(invoice.startsAt)}` : '') + '.', { width });
+  if (invoice.notes) doc.text(invoice.notes, { width });
+
+  doc.end();
+});
+
+const nextInvoiceNumber = async (now) => {
+  const prefix = `ACED-${now.getUTCFullYear()}-`;
+  const last = await OrganizationInvoice.findOne({ number: { $regex: `^${prefix}` } })
+    .sort({ number: -1 })
+    .select('number')
+    .lean();
+  const sequence = last ? parseInt(last.number.slice(prefix.length), 10) + 1 : 1;
+  return `${prefix}${String(sequence).padStart(5, '0')}`;
+};
+
+/**
+ * Issue a pro-forma invoice with its PDF.
+ * Without startsAt, an invoice for an organisation with a running licence renews it.
+ * @param {Object} org
+ * @param {Object} options - { tierId, seats, seatPriceInTiyin?, startsAt?, dueDays?, notes? }
+ * @param {string} createdBy - Firebase UID
+ */
+const createInvoice = async (org, { tierId, seats, seatPriceInTiyin, startsAt, dueDays, notes = '' }, createdBy) => {
+  const seatCount = Number(seats);
+  if (!Number.isInteger(seatCount) || seatCount < 1 || seatCount > MAX_SEATS_PER_INVOICE) {
+    throw httpError(400, `seats must be between 1 and ${MAX_SEATS_PER_INVOICE}`);
+  }
+  const pricing = getInstitutionalSeatPrice(tierId, seatCount);
+  if (!pricing) throw httpError(400, 'tierId must be pro-1, pro-3 or pro-6');
+
+  let seatPrice = pricing.seatPriceInTiyin;
+  let discountPercent = pricing.discountPercent;
+  if (seatPriceInTiyin !== undefined && seatPriceInTiyin !== null) {
+    // Negotiated price
+    if (!Number.isInteger(seatPriceInTiyin) || seatPriceInTiyin < 100) {
+      throw httpError(400, 'seatPriceInTiyin must be a whole amount in tiyin');
+    }
+    seatPrice = seatPriceInTiyin;
+    discountPercent = 0;
+  }
+
+  let start = null;
+  if (startsAt) {
+    start = new Date(startsAt);
+    if (isNaN(start.getTime())) throw httpError(400, 'startsAt must be a valid date');
+  } else if (org.hasActiveLicense()) {
+    start = org.license.expiresAt;
+  }
+
+  let recipient;
+  try {
+    recipient = await fetchRecipientBankAccount();
+  } catch (error) {
+    console.error('❌ Could not load bank details for invoice:', error.message);
+    throw httpError(502, 'Could not load bank details from Multicard, try again later');
+  }
+
+  const now = new Date();
+  const due = Math.min(90, Math.max(1, parseInt(dueDays, 10) || INVOICE_DUE_DAYS));
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const invoice = new OrganizationInvoice({
+      number: await nextInvoiceNumber(now),
+      organization: org._id,
+      tierId,
+      seats: seatCount,
+      seatPriceInTiyin: seatPrice,
+      discountPercent,
+      totalInTiyin: seatPrice * seatCount,
+      issuedAt: now,
+      dueAt: new Date(now.getTime() + due * DAY_MS),
+      startsAt: start,
+      recipient,
+      notes: String(notes).slice(0, 1000),
+      createdBy
+    });
+    invoice.pdf = await renderInvoicePdf(invoice, org);
+
+    try {
+      await invoice.save();
+      return invoice;
+    } catch (error) {
+      // Another invoice took the number first
+      if (error.code !== 11000) throw error;
+    }
+  }
+  throw new Error('Failed to allocate an invoice number');
+};
+
+/**
+ * Record the bank transfer: start the licence period and activate every
+ * allocated seat.
+ * @param {Object} options - { paidAt?, reference? }
+ * @returns {Promise<{ invoice: Object, organization: Object, activated: number }>}
+ */
+const markInvoicePaid = async (org, invoiceId, { paidAt, reference = '' }, markedPaidBy) => {
+  const invoice = await OrganizationInvoice.findOne({ _id: invoiceId, organization: org._id }).catch(() => null);
+  if (!invoice) throw httpError(404, 'Invoice not found');
+  if (invoice.status !== 'issued') throw httpError(409, `Invoice is already ${invoice.status}`);
+
+  const now = new Date();
+  const paid = paidAt ? new Date(paidAt) : now;
+  if (isNaN(paid.getTime()) || paid > now) throw httpError(400, 'paidAt must be a valid date, not in the future');
+
+  const tier = getTierById(invoice.tierId);
+  const periodStart = invoice.startsAt && invoice.startsAt > paid ? invoice.startsAt : paid;
+
+  // Conditional on status so the same transfer can't be recorded twice
+  const updated = await OrganizationInvoice.findOneAndUpdate(
+    { _id: invoice._id, status: 'issued' },
+    {
+      $set: {
+        status: 'paid',
+        paidAt: paid,
+        paymentReference: String(reference).slice(0, 100),
+        markedPaidBy,
+        periodStart,
+        periodEnd: new Date(periodStart.getTime() + tier.duration * DAY_MS)
+      }
+    },
+    { new: true }
+  );
+  if (!updated) throw httpError(409, 'Invoice was updated by someone else');
+
+  await refreshLicense(org, now);
+  const activated = await activateSeats(org, now);
+  return { invoice: updated, organization: org, activated };
+};
+
+const cancelInvoice = async (org, invoiceId) => {
+  const invoice = await OrganizationInvoice.findOneAndUpdate(
+    { _id: invoiceId, organization: org._id, status: 'issued' },
+    { $set: { status: 'cancelled', cancelledAt: new Date() } },
+    { new: true }
+  ).catch(() => null);
+  if (!invoice) throw httpError(404, 'No unpaid invoice with this id');
+  return invoice;
+};
+
+// ========================================
+// Reports and reconciliation
+// ========================================
+
+/**
+ * Seat usage and learning activity of an organisation's seat holders.
+ * @param {Object} options - { from, to }
+ */
+const getUsageReport = async (org, { from, to }) => {
+  const seats = await OrganizationSeat.find({ organization: org._id, status: 'allocated' }).lean();
+  const userIds = seats.filter(seat => seat.userId).map(seat => seat.userId);
+
+  const [users, progress, counts] = await Promise.all([
+    User.find({ firebaseId: { $in: userIds } })
+      .select('firebaseId name email lastLoginAt subscriptionPlan subscriptionSource subscriptionExpiryDate')
+      .lean(),
+    UserProgress.aggregate([
+      { $match: { userId: { $in: userIds }, updatedAt: { $gte: from, $lt: to } } },
+      {
+        $group: {
+          _id: '$userId',
+          lessonsStarted: { $sum: 1 },
+          lessonsCompleted: { $sum: { $cond: ['$completed', 1, 0] } },
+          seconds: { $sum: { $ifNull: ['$duration', 0] } },
+          lastActivityAt: { $max: '$updatedAt' }
+        }
+      }
+    ]),
+    getSeatCounts(org)
+  ]);
+
+  const userById = new Map(users.map(user => [user.firebaseId, user]));
+  const progressById = new Map(progress.map(p => [p._id, p]));
+
+  const members = seats.map(seat => {
+    const user = seat.userId ? userById.get(seat.userId) : null;
+    const activity = seat.userId ? progressById.get(seat.userId) : null;
+    return {
+      seatId: seat._id,
+      email: seat.email,
+      claimed: !!seat.userId,
+      name: user?.name || null,
+      subscriptionActive: user?.subscriptionSource === 'organization'
+        && String(user.subscriptionOrganization) === String(org._id),
+      lastLoginAt: user?.lastLoginAt || null,
+      lessonsStarted: activity?.lessonsStarted || 0,
+      lessonsCompleted: activity?.lessonsCompleted || 0,
+      minutes: Math.round((activity?.seconds || 0) / 60),
+      lastActivityAt: activity?.lastActivityAt || null
+    };
+  });
+
+  return {
+    organization: { id: org._id, name: org.name, license: org.license },
+    period: { from, to },
+    seats: counts,
+    totals: {
+      activeLearners: members.filter(m => m.lastActivityAt).length,
+      lessonsCompleted: members.reduce((sum, m) => sum + m.lessonsCompleted, 0),
+      minutes: members.reduce((sum, m) => sum + m.minutes, 0)
+    },
+    members
+  };
+};
+
+/**
+ * Refresh every licence, activate seats of licensed organisations and take
+ * the subscription away from users without a licensed seat.
+ * Called by reconcileAllSubscriptions.
+ * @returns {Promise<{ organizations: number, activated: number, revoked: number, errors: number }>}
+ */
+const reconcileOrganizationSeats = async (now = new Date()) => {
+  const stats = { organizations: 0, activated: 0, revoked: 0, errors: 0 };
+
+  const orgs = await Organization.find({ $or: [{ 'license.expiresAt': { $ne: null } }, { 'license.seats': { $gt: 0 } }] });
+  for (const org of orgs) {
+    try {
+      await refreshLicense(org, now);
+      stats.organizations++;
+      stats.activated += await activateSeats(org, now);
+    } catch (error) {
+      console.error(`[Reconcile] Organisation ${org._id} failed:`, error.message);
+      stats.errors++;
+    }
+  }
+
+  const seatUsers = await User.find({ subscriptionSource: 'organization' });
+  for (const user of seatUsers) {
+    try {
+      if (await syncUserOrganizationSeat(user, now)) {
+        await user.save();
+        if (user.subscriptionSource !== 'organization') stats.revoked++;
+      }
+    } catch (error) {
+      stats.errors++;
+    }
+  }
+
+  return stats;
+};
+
+module.exports = {
+  refreshLicense,
+  syncUserOrganizationSeat,
+  claimSeatsForUser,
+  getSeatCounts,
+  allocateSeats,
+  reclaimSeat,
+  renderInvoicePdf,
+  createInvoice,
+  markInvoicePaid,
+  cancelInvoice,
+  getUsageReport,
+  reconcileOrganizationSeats
+};
@@ -0,0 +1,282 @@
+/**
+ * Parent Reports
+ *
+ * Read-only summaries of a child's learning for linked parent accounts
+ * (models/parentLink.js): lessons, streaks, time spent, courses, homework,
+ * tests and subscription status. The same summary backs the parent dashboard
+ * and the weekly email digest.
+ *
+ * @module services/parentReportService
+ */
+
+const nodemailer = require('nodemailer');
+const User = require('../models/user');
+const UserProgress = require('../models/userProgress');
+const CourseProgress = require('../models/courseProgress');
+const HomeworkProgress = require('../models/homeworkProgress');
+const TestResult = require('../models/TestResult');
+const ParentLink = require('../models/parentLink');
+const { MAIL_USER, MAIL_PASS, FRONTEND_URL } = require('../config/config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DIGEST_INTERVAL_DAYS = 7;
+
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const average = (values) => values.length > 0
+  ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length)
+  : null;
+
+/**
+ * Consecutive days with activity ending today (or yesterday, so a streak is
+ * not shown as broken before the child has studied today).
+ * @param {Set<string>} activeDays - YYYY-MM-DD keys
+ * @param {Date} now
+ * @returns {number}
+ */
+const calculateStreak = (activeDays, now = new Date()) => {
+  let cursor = new Date(now);
+  if (!activeDays.has(dayKey(cursor))) cursor = new Date(cursor.getTime() - DAY_MS);
+
+  let streak = 0;
+  while (activeDays.has(dayKey(cursor))) {
+    streak++;
+    cursor = new Date(cursor.getTime() - DAY_MS);
+  }
+  return streak;
+};
+
+/**
+ * Build a child's learning summary.
+ * @param {string} childId - Firebase UID
+ * @param {Object} [options]
+ * @param {number} [options.days=7] - Reporting window
+ * @param {Date} [options.now]
+ * @returns {Promise<Object|null>} Summary, or null if the child does not exist
+ */
+const buildChildSummary = async (childId, { days = 7, now = new Date() } = {}) => {
+  const child = await User.findOne({ firebaseId: childId })
+    .select('firebaseId name email photoURL learningMode schoolProfile.currentGrade schoolProfile.currentLevelCap subscriptionPlan subscriptionExpiryDate');
+  if (!child) return null;
+
+  const since = new Date(now.getTime() - days * DAY_MS);
+
+  const [lessons, courses, homework, tests] = await Promise.all([
+    UserProgress.find({ userId: childId })
+      .select('completed points stars duration updatedAt completedAt lessonId')
+      .populate('lessonId', 'lessonName subject')
+      .lean(),
+    CourseProgress.find({ userId: childId })
+      .select('courseId progressPercent completed completedAt lastAccessedAt')
+      .populate('courseId', 'title')
+      .sort({ lastAccessedAt: -1 })
+      .lean(),
+    HomeworkProgress.find({ userId: childId, completed: true, submittedAt: { $gte: since } })
+      .select('score submittedAt')
+      .lean(),
+    TestResult.find({ userId: childId, submittedAt: { $gte: since } })
+      .select('score passed submittedAt')
+      .lean()
+  ]);
+
+  const activeDays = new Set();
+  lessons.forEach(p => p.updatedAt && activeDays.add(dayKey(p.updatedAt)));
+  courses.forEach(c => c.lastAccessedAt && activeDays.add(dayKey(c.lastAccessedAt)));
+
+  const inWindow = lessons.filter(p => p.updatedAt && new Date(p.updatedAt) >= since);
+  const completedInWindow = inWindow.filter(p => p.completed);
+
+  // One entry per day for charts
+  const daily = Array.from({ length: days }, (_, i) => {
+    const date = dayKey(new Date(now.getTime() - (days - 1 - i) * DAY_MS));
+    const dayProgress = inWindow.filter(p => dayKey(p.updatedAt) === date);
+    return {
+      date,
+      lessonsCompleted: dayProgress.filter(p => p.completed).length,
+      minutes: Math.round(dayProgress.reduce((sum, p) => sum + (p.duration || 0), 0) / 60)
+    };
+  });
+
+  const expiry = child.subscriptionExpiryDate ? new Date(child.subscriptionExpiryDate) : null;
+  const subscriptionActive = child.hasActiveSubscription();
+
+  return {
+    child: {
+      userId: child.firebaseId,
+      name: child.name,
+      photoURL: child.photoURL,
+      learningMode: child.learningMode,
+      grade: child.schoolProfile?.currentGrade,
+      levelCap: child.schoolProfile?.currentLevelCap
+    },
+    period: { days, from: since, to: now },
+    activity: {
+      lessonsCompleted: completedInWindow.length,
+      totalLessonsCompleted: lessons.filter(p => p.completed).length,
+      studyDays: daily.filter(d => d.lessonsCompleted > 0 || d.minutes > 0).length,
+      currentStreak: calculateStreak(activeDays, now),
+      minutesSpent: Math.round(inWindow.reduce((sum, p) => sum + (p.duration || 0), 0) / 60),
+      pointsEarned: completedInWindow.reduce((sum, p) => sum + (p.points || 0), 0),
+      starsEarned: completedInWindow.reduce((sum, p) => sum + (p.stars || 0), 0),
+      lastActiveAt: lessons.reduce((latest, p) =>
+        p.updatedAt && (!latest || p.updatedAt > latest) ? p.updatedAt : latest, null),
+      daily
+    },
+    recentLessons: completedInWindow
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+      .slice(0, 10)
+      .map(p => ({
+        title: p.lessonId?.lessonName || 'Lesson',
+        subject: p.lessonId?.subject,
+        stars: p.stars,
+        completedAt: p.completedAt || p.updatedAt
+      })),
+    courses: courses.slice(0, 10).map(c => ({
+      courseId: c.courseId?._id || c.courseId,
+      title: c.courseId?.title || 'Course',
+      progressPercent: c.progressPercent,
+      completed: c.completed,
+      lastAccessedAt: c.lastAccessedAt
+    })),
+    homework: {
+      submitted: homework.length,
+      averageScore: average(homework.map(h => h.score || 0))
+    },
+    tests: {
+      taken: tests.length,
+      passed: tests.filter(t => t.passed).length,
+      averageScore: average(tests.map(t => t.score || 0))
+    },
+    subscription: {
+      plan: child.subscriptionPlan,
+      active: subscriptionActive,
+      expiresAt: expiry,
+      daysRemaining: subscriptionActive ? Math.ceil((expiry - now) / DAY_MS) : 0
+    }
+  };
+};
+
+/**
+ * HTML body of the weekly digest email (Russian, like the rest of the platform emails).
+ * @param {Object} summary - Result of buildChildSummary
+ * @returns {string}
+ */
+const renderDigestHtml = (summary) => {
+  const { child, activity, homework, tests, subscription, courses } = summary;
+  const escape = (value) => String(value ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+  const row = (label, value) => `<tr><td style="padding:6px 12px;color:#616161;">${label}</td><td style="padding:6px 12px;"><strong>${escape(value)}</strong></td></tr>`;
+
+  const subscriptionText = subscription.active
+    ? `${subscription.plan.toUpperCase()} — ещё ${subscription.daysRemaining} дн.`
+    : 'Бесплатный план';
+
+  return `
+    <div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;">
+      <h2 style="color:#1A237E;">📊 Неделя ${escape(child.name || 'вашего ребёнка')} в ACED</h2>
+      <table style="border-collapse:collapse;width:100%;">
+        ${row('Уроков завершено', activity.lessonsCompleted)}
+        ${row('Дней с занятиями', `${activity.studyDays} из ${summary.period.days}`)}
+        ${row('Учебный стрик', `${activity.currentStreak} дн.`)}
+        ${row('Время обучения', `${activity.minutesSpent} мин.`)}
+        ${row('Домашних заданий сдано', homework.submitted)}
+        ${homework.averageScore !== null ? row('Средний балл за ДЗ', `${homework.averageScore}%`) : ''}
+        ${tests.taken > 0 ? row('Тестов пройдено', `${tests.passed} из ${tests.taken}`) : ''}
+        ${row('Подписка', subscriptionText)}
+      </table>
+      ${courses.length > 0 ? `
+      <h3 style="color:#1A237E;">Курсы</h3>
+      <ul>${courses.slice(0, 5).map(c => `<li>${escape(c.title)} — ${c.progressPercent || 0}%</li>`).join('')}</ul>` : ''}
+      <p><a href="${FRONTEND_URL}/parent">Открыть родительский кабинет</a></p>
+      <p style="color:#9E9E9E;font-size:12px;">Вы получаете это письмо, потому что ваш аккаунт связан с аккаунтом ребёнка. Отключить рассылку можно в родительском кабинете.</p>
+    </div>`;
+};
+
+let transporter = null;
+const getTransporter = () => {
+  if (!MAIL_USER || !MAIL_PASS) return null;
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      service: 'gmail',
+      auth: { user: MAIL_USER, pass: MAIL_PASS }
+    });
+  }
+  return transporter;
+};
+
+/**
+ * Email the weekly digest for every active link that is due.
+ * Safe to call often: links are only sent once per DIGEST_INTERVAL_DAYS, and
+ * links that cannot be sent are marked skipped and retried an interval later.
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<{ due: number, sent: number, skipped: number, failed: number }>}
+ */
+const sendWeeklyDigests = async ({ now = new Date() } = {}) => {
+  const stats = { due: 0, sent: 0, skipped: 0, failed: 0 };
+  const mailer = getTransporter();
+  if (!mailer) return stats;
+
+  // Leave a few hours of slack so the send time doesn't drift later every week
+  const cutoff = new Date(now.getTime() - (DIGEST_INTERVAL_DAYS * DAY_MS - 6 * 60 * 60 * 1000));
+  const links = await ParentLink.find({
+    status: 'active',
+    weeklyDigest: true,
+    $and: [
+      { $or: [{ lastDigestSentAt: null }, { lastDigestSentAt: { $lte: cutoff } }] },
+      { $or: [{ lastDigestSkippedAt: null }, { lastDigestSkippedAt: { $lte: cutoff } }] }
+    ]
+  }).limit(500);
+
+  stats.due = links.length;
+  if (links.length === 0) return stats;
+
+  const parents = await User.find({ firebaseId: { $in: links.map(l => l.parentId) } }).select('firebaseId email');
+  const emailByParent = new Map(parents.map(p => [p.firebaseId, p.email]));
+
+  const skip = async (link, reason) => {
+    link.lastDigestSkippedAt = now;
+    link.digestSkipReason = reason;
+    await link.save();
+    stats.skipped++;
+  };
+
+  for (const link of links) {
+    try {
+      const email = emailByParent.get(link.parentId);
+      if (!email) {
+        await skip(link, 'parent_has_no_email');
+        continue;
+      }
+
+      const summary = await buildChildSummary(link.childId, { days: DIGEST_INTERVAL_DAYS, now });
+      if (!summary) {
+        await skip(link, 'child_not_found');
+        continue;
+      }
+
+      await mailer.sendMail({
+        from: `ACED <${MAIL_USER}>`,
+        to: email,
+        subject: `📊 Еженедельный отчёт: ${summary.child.name || 'ACED'}`,
+        html: renderDigestHtml(summary)
+      });
+
+      link.lastDigestSentAt = now;
+      link.digestSkipReason = undefined;
+      await link.save();
+      stats.sent++;
+    } catch (error) {
+      console.error(`❌ Parent digest failed for link ${link._id}:`, error.message);
+      stats.failed++;
+    }
+  }
+
+  return stats;
+};
+
+module.exports = {
+  calculateStreak,
+  buildChildSummary,
+  renderDigestHtml,
+  sendWeeklyDigests
+};
@@ -0,0 +1,185 @@
+/**
+ * Click adapter (click.uz)
+ *
+ * Checkout is a my.click.uz payment link carrying our merchantTransId.
+ * Click then calls the SHOP API twice (controllers/clickController.js):
+ * Prepare (action 0) to check the order, Complete (action 1) to pay it.
+ * Both requests are signed with
+ *   md5(click_trans_id + service_id + secret_key + merchant_trans_id
+ *       [+ merchant_prepare_id] + amount + action + sign_time)
+ *
+ * Status checks and refunds (full and partial reversal) use the Click
+ * Merchant API, authenticated with merchant_user_id:sha1(timestamp + secret_key):timestamp.
+ *
+ * @module services/paymentProviders/click
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const ClickTransaction = require('../../models/clickTransaction');
+
+const CHECKOUT_URL = 'https://my.click.uz/services/pay';
+const MERCHANT_API_URL = 'https://api.click.uz/v2/merchant';
+const REQUEST_TIMEOUT = 30000;
+// Non-final statuses a payment can still be marked paid from
+const CLAIMABLE_STATUSES = ['pending', 'prepared'];
+
+const config = () => ({
+  serviceId: process.env.CLICK_SERVICE_ID,
+  merchantId: process.env.CLICK_MERCHANT_ID,
+  merchantUserId: process.env.CLICK_MERCHANT_USER_ID,
+  secretKey: process.env.CLICK_SECRET_KEY
+});
+
+const md5 = (value) => crypto.createHash('md5').update(value).digest('hex');
+
+// Click amounts are UZS with two decimals
+const toClickAmount = (amountInTiyin) => (amountInTiyin / 100).toFixed(2);
+
+const merchantApi = () => {
+  const { merchantUserId, secretKey } = config();
+  const timestamp = Math.floor(Date.now() / 1000);
+  const digest = crypto.createHash('sha1').update(`${timestamp}${secretKey}`).digest('hex');
+  return axios.create({
+    baseURL: MERCHANT_API_URL,
+    timeout: REQUEST_TIMEOUT,
+    headers: { 'Accept': 'application/json', 'Auth': `${merchantUserId}:${digest}:${timestamp}` }
+  });
+};
+
+const expectSuccess = (response, action) => {
+  if (Number(response.data?.error_code) !== 0) {
+    throw new Error(`Click ${action} failed: ${response.data?.error_note || response.data?.error_code || 'unknown error'}`);
+  }
+  return response.data;
+};
+
+/**
+ * Signature Click sends with Prepare / Complete requests.
+ * @param {Object} params - request body
+ */
+const signRequest = (params) => {
+  const { serviceId, secretKey } = config();
+  const prepareId = Number(params.action) === 1 ? String(params.merchant_prepare_id ?? '') : '';
+  return md5(`${params.click_trans_id}${serviceId}${secretKey}${params.merchant_trans_id}${prepareId}${params.amount}${params.action}${params.sign_time}`);
+};
+
+const describe = (transaction) => ({
+  provider: 'click',
+  externalId: transaction.merchantTransId,
+  reference: transaction.clickPaydocId || transaction.clickTransId || null,
+  status: transaction.status === 'prepared' ? 'pending' : transaction.status,
+  amount: transaction.amount,
+  paidAt: transaction.paidAt || null,
+  refundedAt: transaction.status === 'refunded' ? transaction.refundedAt || null : null,
+  userObjectId: transaction.userId || null,
+  userFirebaseId: transaction.firebaseUserId || null,
+  plan: transaction.plan || 'pro',
+  tierId: transaction.tierId || null,
+  groupId: transaction.groupId || null
+});
+
+module.exports = {
+  name: 'click',
+  label: 'Click',
+  model: ClickTransaction,
+
+  isConfigured: () => {
+    const { serviceId, merchantId, secretKey } = config();
+    return !!(serviceId && merchantId && secretKey);
+  },
+
+  initiate: async ({ user, amount, plan = 'pro', tier, group, returnUrl }) => {
+    const { serviceId, merchantId } = config();
+    const merchantTransId = `ACED${Date.now()}${Math.random().toString(36).slice(2, 8).toUpperCase()}`;
+    const frontendUrl = process.env.FRONTEND_URL || 'https://aced.live';
+
+    const query = new URLSearchParams({
+      service_id: serviceId,
+      merchant_id: merchantId,
+      amount: toClickAmount(amount),
+      transaction_param: merchantTransId,
+      return_url: returnUrl || `${frontendUrl}/payment/success/click?order=${merchantTransId}`
+    });
+    const checkoutUrl = `${CHECKOUT_URL}?${query.toString()}`;
+
+    const transaction = await ClickTransaction.create({
+      merchantTransId,
+      userId: user._id,
+      firebaseUserId: user.firebaseId,
+      amount,
+      plan,
+      tierId: tier?.id || null,
+      groupId: group?._id || null,
+      checkoutUrl
+    });
+
+    return { reference: merchantTransId, checkoutUrl, transaction };
+  },
+
+  verifyWebhook: (req) => {
+    const params = req.body || {};
+    if (!params.sign_string || !config().secretKey) return false;
+    const expected = Buffer.from(signRequest(params));
+    const actual = Buffer.from(String(params.sign_string).toLowerCase());
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  },
+
+  findTransaction: (reference) => ClickTransaction.findOne({
+    $or: [{ merchantTransId: reference }, { clickTransId: reference }, { clickPaydocId: reference }]
+  }),
+
+  getStatus: async (transaction) => {
+    if (!transaction.clickPaydocId) return describe(transaction).status;
+    const { serviceId } = config();
+    const data = expectSuccess(
+      await merchantApi().get(`/payment/status/${serviceId}/${transaction.clickPaydocId}`),
+      'status check'
+    );
+    // payment_status: negative - failed / cancelled, 2 - paid, anything else - in progress
+    const paymentStatus = Number(data.payment_status);
+    if (paymentStatus === 2) return 'paid';
+    if (paymentStatus < 0) return transaction.paidAt ? 'refunded' : 'cancelled';
+    return 'pending';
+  },
+
+  claimPaid: (transaction, { paidAt, set = {} }) => ClickTransaction.findOneAndUpdate(
+    { _id: transaction._id, status: { $in: CLAIMABLE_STATUSES } },
+    { $set: { ...set, status: 'paid', paidAt } },
+    { new: true }
+  ),
+
+  releaseClaim: (transaction) => ClickTransaction.updateOne(
+    { _id: transaction._id, status: 'paid' },
+    { $set: { status: transaction.status }, $unset: { paidAt: 1 } }
+  ),
+
+  refundSettlement: () => 'provider_api',
+
+  // Full reversal, or partial reversal of `amount` tiyin
+  refund: async (transaction, { type, amount }) => {
+    const { serviceId } = config();
+    const path = type === 'full'
+      ? `/payment/reversal/${serviceId}/${transaction.clickPaydocId}`
+      : `/payment/partial_reversal/${serviceId}/${transaction.clickPaydocId}/${toClickAmount(amount)}`;
+    return expectSuccess(await merchantApi().delete(path), 'reversal');
+  },
+
+  markRefunded: async (transaction, refundedAt) => {
+    transaction.status = 'refunded';
+    transaction.refundedAt = refundedAt;
+    await transaction.save();
+  },
+
+  // The payment link can't be revoked; a cancelled order fails Click's Prepare / Complete
+  cancel: async (transaction) => {
+    transaction.status = 'cancelled';
+    transaction.cancelledAt = new Date();
+    await transaction.save();
+    return transaction;
+  },
+
+  describe,
+  signRequest,
+  toClickAmount
+};
@@ -0,0 +1,77 @@
+/**
+ * Payment Providers
+ *
+ * Every provider is an adapter with the same shape, so checkout, status
+ * checks, refunds and the payment hooks (ledger, promo codes, group plans,
+ * referrals) don't branch on the provider:
+ *
+ *   name, label, model                  - id, display name, transaction model
+ *   isConfigured()                      - credentials present in the environment
+ *   initiate(checkout)                  - { reference, checkoutUrl, transaction, details? }
+ *   verifyWebhook(req)                  - whether a provider callback is authentic
+ *   findTransaction(reference)          - our order id or the provider's id
+ *   getStatus(transaction)              - 'pending' | 'paid' | 'cancelled' | 'refunded', from the provider
+ *   claimPaid(transaction, { paidAt, set }) - atomically mark it paid, only from a
+ *                                         non-final state; null when it isn't in one
+ *   releaseClaim(transaction)           - undo claimPaid, back to the transaction's status
+ *   refundSettlement(type)              - 'provider_api' | 'manual' for a full / partial refund
+ *   refund(transaction, { type, amount })
+ *   markRefunded(transaction, at)       - after a full refund through the API
+ *   cancel(transaction)                 - an unpaid checkout
+ *   describe(transaction)               - provider-neutral view, see below
+ *
+ * describe() returns { provider, externalId, reference, status, amount,
+ * paidAt, refundedAt, userObjectId, userFirebaseId, plan, tierId, groupId }.
+ * externalId is our order id (the ledger and promo reservation key),
+ * reference the provider's; status is null for non-payments (card bindings).
+ *
+ * Successful payments are settled by services/paymentService.js
+ * claimPayment (claimPaid, then activateSubscription).
+ *
+ * @module services/paymentProviders
+ */
+
+const payme = require('./payme');
+const multicard = require('./multicard');
+const click = require('./click');
+const httpError = require('../../utils/httpError');
+
+const PROVIDERS = { payme, multicard, click };
+const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+/**
+ * @param {string} name
+ * @returns {Object|null} adapter
+ */
+const getProvider = (name) => PROVIDERS[name] || null;
+
+/**
+ * Adapter for a checkout request: 400 for an unknown name, 503 when it isn't configured.
+ */
+const requireProvider = (name) => {
+  const provider = getProvider(name);
+  if (!provider) throw httpError(400, `provider must be one of: ${PROVIDER_NAMES.join(', ')}`);
+  if (!provider.isConfigured()) throw httpError(503, `${provider.label} payments are not available right now`);
+  return provider;
+};
+
+const listProviders = () => PROVIDER_NAMES.map(name => ({
+  name,
+  label: PROVIDERS[name].label,
+  available: PROVIDERS[name].isConfigured()
+}));
+
+/**
+ * Provider-neutral view of a provider transaction.
+ * @param {string} name - provider name
+ * @param {Object} transaction - PaymeTransaction / MulticardTransaction / ClickTransaction
+ */
+const describeTransaction = (name, transaction) => getProvider(name).describe(transaction);
+
+module.exports = {
+  PROVIDER_NAMES,
+  getProvider,
+  requireProvider,
+  listProviders,
+  describeTransaction
+};
@@ -0,0 +1,186 @@
+/**
+ * Multicard adapter
+ *
+ * Checkout is a Multicard invoice (POST /payment/invoice); Multicard
+ * reports the outcome to our callback (controllers/multicardController.js
+ * handleWebhook). Full refunds go through the Multicard API; its API has
+ * no partial refund, so those settle manually.
+ *
+ * @module services/paymentProviders/multicard
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const MulticardTransaction = require('../../models/MulticardTransaction');
+const { getAuthToken } = require('../../controllers/multicardAuth');
+
+const REQUEST_TIMEOUT = 30000;
+// Non-final statuses a payment can still be marked paid from
+const CLAIMABLE_STATUSES = ['pending', 'active'];
+
+const apiUrl = () => process.env.MULTICARD_API_URL;
+
+const authHeaders = async () => ({ 'Authorization': `Bearer ${await getAuthToken()}` });
+
+const describe = (transaction) => {
+  let status = 'pending';
+  if (transaction.transactionType === 'card_binding') status = null;
+  else if (transaction.status === 'paid') status = 'paid';
+  // Refunded before it was ever paid (e.g. a reverted hold) - nothing was received
+  else if (transaction.status === 'refunded') status = transaction.paidAt ? 'refunded' : 'cancelled';
+  else if (['failed', 'canceled', 'expired'].includes(transaction.status)) status = 'cancelled';
+
+  return {
+    provider: 'multicard',
+    externalId: transaction.invoiceId,
+    reference: transaction.multicardUuid || null,
+    status,
+    amount: transaction.amount,
+    paidAt: transaction.paidAt || null,
+    refundedAt: status === 'refunded' ? transaction.refundedAt || null : null,
+    userObjectId: transaction.userId || null,
+    userFirebaseId: transaction.firebaseUserId || null,
+    plan: ['start', 'pro'].includes(transaction.plan) ? transaction.plan : 'pro',
+    tierId: transaction.tierId || null,
+    groupId: transaction.groupId || null
+  };
+};
+
+module.exports = {
+  name: 'multicard',
+  label: 'Multicard',
+  model: MulticardTransaction,
+
+  isConfigured: () => !!(process.env.MULTICARD_API_URL && process.env.MULTICARD_APPLICATION_ID && process.env.MULTICARD_SECRET),
+
+  initiate: async ({ user, amount, plan = 'pro', tier, group, lang = 'ru', returnUrl }) => {
+    const invoiceId = `ACED_${(tier?.id || plan).toUpperCase()}_${Date.now()}`;
+    const apiBaseUrl = process.env.API_BASE_URL || 'https://api.aced.live';
+    const frontendUrl = process.env.FRONTEND_URL || 'https://aced.live';
+    const qty = group ? group.seats : 1;
+
+    const response = await axios.post(`${apiUrl()}/payment/invoice`, {
+      store_id: process.env.MULTICARD_STORE_ID || '2660',
+      amount,
+      invoice_id: invoiceId,
+      callback_url: `${apiBaseUrl}/api/payments/multicard/webhook`,
+      return_url: returnUrl || `${frontendUrl}/payment/success/multicard`,
+      return_error_url: `${frontendUrl}/payment/failed/multicard`,
+      lang,
+      // Single receipt line per checkout so the receipt matches the amount
+      ofd: [{
+        qty,
+        price: amount / qty,
+        mxik: '10899002001000000',
+        total: amount,
+        package_code: '1236095',
+        name: `ACED ${(tier?.label || plan).toUpperCase()} Plan`,
+        vat: 0
+      }]
+    }, { headers: await authHeaders(), timeout: REQUEST_TIMEOUT });
+
+    if (!response.data?.success) {
+      throw new Error(`Failed to create invoice: ${response.data?.error?.details || 'Unknown error occurred'}`);
+    }
+    const invoice = response.data.data;
+
+    const transaction = await MulticardTransaction.create({
+      userId: user._id,
+      firebaseUserId: user.firebaseId,
+      invoiceId,
+      amount,
+      plan,
+      tierId: tier?.id || null,
+      groupId: group?._id || null,
+      status: 'pending',
+      multicardUuid: invoice.uuid,
+      checkoutUrl: invoice.checkout_url,
+      shortLink: invoice.short_link,
+      deeplink: invoice.deeplink
+    });
+
+    return {
+      reference: invoiceId,
+      checkoutUrl: invoice.checkout_url,
+      transaction,
+      details: { uuid: invoice.uuid, shortLink: invoice.short_link, deeplink: invoice.deeplink }
+    };
+  },
+
+  /**
+   * Callbacks must carry sign = md5(store_id + invoice_id + amount + secret);
+   * unsigned callbacks are rejected.
+   */
+  verifyWebhook: (req) => {
+    const payment = req.body?.payment || req.body || {};
+    const sign = req.body?.sign || payment.sign;
+    const secret = process.env.MULTICARD_SECRET;
+    if (!sign || !secret) return false;
+
+    const expected = Buffer.from(crypto.createHash('md5')
+      .update(`${payment.store_id}${payment.store_invoice_id || payment.invoice_id}${payment.amount}${secret}`)
+      .digest('hex'));
+    const actual = Buffer.from(String(sign).toLowerCase());
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  },
+
+  findTransaction: (reference) => MulticardTransaction.findOne({ $or: [{ invoiceId: reference }, { multicardUuid: reference }] }),
+
+  getStatus: async (transaction) => {
+    if (!transaction.multicardUuid) return describe(transaction).status;
+    const response = await axios.get(`${apiUrl()}/payment/invoice/${transaction.multicardUuid}`, {
+      headers: await authHeaders(),
+      timeout: REQUEST_TIMEOUT
+    });
+    // Status enum: draft, progress, billing, success, error, revert
+    const status = response.data?.data?.payment?.status;
+    if (status === 'success') return 'paid';
+    if (status === 'revert') return 'refunded';
+    if (status === 'error') return 'cancelled';
+    return 'pending';
+  },
+
+  claimPaid: (transaction, { paidAt, set = {} }) => MulticardTransaction.findOneAndUpdate(
+    { _id: transaction._id, status: { $in: CLAIMABLE_STATUSES } },
+    { $set: { ...set, status: 'paid', paidAt } },
+    { new: true }
+  ),
+
+  releaseClaim: (transaction) => MulticardTransaction.updateOne(
+    { _id: transaction._id, status: 'paid' },
+    { $set: { status: transaction.status }, $unset: { paidAt: 1 } }
+  ),
+
+  refundSettlement: (type) => (type === 'full' ? 'provider_api' : 'manual'),
+
+  // DELETE /payment/:uuid returns the whole payment
+  refund: async (transaction) => {
+    const response = await axios.delete(`${apiUrl()}/payment/${transaction.multicardUuid}`, {
+      headers: await authHeaders(),
+      timeout: REQUEST_TIMEOUT
+    });
+    if (!response.data?.success) {
+      throw new Error(response.data?.error?.details || 'Multicard did not accept the refund');
+    }
+    return response.data.data;
+  },
+
+  markRefunded: async (transaction, refundedAt) => {
+    transaction.status = 'refunded';
+    transaction.refundedAt = refundedAt;
+    await transaction.save();
+  },
+
+  // Delete an unpaid invoice
+  cancel: async (transaction) => {
+    await axios.delete(`${apiUrl()}/payment/invoice/${transaction.multicardUuid}`, {
+      headers: await authHeaders(),
+      timeout: REQUEST_TIMEOUT
+    });
+    transaction.status = 'canceled';
+    await transaction.save();
+    return transaction;
+  },
+
+  describe
+};
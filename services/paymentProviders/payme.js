@@ -0,0 +1,100 @@
+/**
+ * Payme adapter
+ *
+ * Checkout is a Payme-hosted page (checkout.paycom.uz); Payme then drives
+ * the payment through its merchant JSON-RPC API (controllers/paymentController.js):
+ * CreateTransaction stores a PaymeTransaction, PerformTransaction pays it.
+ * Refunds and cancellations are only possible from the Payme merchant
+ * cabinet, so refunds settle manually.
+ *
+ * @module services/paymentProviders/payme
+ */
+
+const PaymeTransaction = require('../../models/paymeTransaction');
+const httpError = require('../../utils/httpError');
+
+const STATE_CREATED = 1;
+const STATE_COMPLETED = 2;
+const STATE_CANCELLED = -1;
+const STATE_CANCELLED_AFTER_COMPLETE = -2;
+const STATE_FAILED = -3;
+
+// The controller requires the services that load this adapter
+const controller = () => require('../../controllers/paymentController');
+
+const describe = (transaction) => {
+  let status = 'pending';
+  if (transaction.state === STATE_COMPLETED) status = 'paid';
+  else if (transaction.state === STATE_CANCELLED_AFTER_COMPLETE) status = 'refunded';
+  else if (transaction.state === STATE_CANCELLED || transaction.state === STATE_FAILED) status = 'cancelled';
+
+  return {
+    provider: 'payme',
+    externalId: transaction.paycom_transaction_id,
+    reference: transaction.paycom_transaction_id,
+    status,
+    amount: transaction.amount,
+    paidAt: transaction.perform_time || null,
+    refundedAt: status === 'refunded' ? transaction.cancel_time || null : null,
+    userObjectId: null,
+    // account.Login is usually the Firebase UID, but older checkouts sent User.Login
+    userFirebaseId: transaction.metadata?.account?.Login || transaction.user_id || null,
+    plan: 'pro',
+    tierId: transaction.tier_id || null,
+    groupId: transaction.group_id || null
+  };
+};
+
+module.exports = {
+  name: 'payme',
+  label: 'PayMe',
+  model: PaymeTransaction,
+
+  isConfigured: () => !!process.env.PAYME_MERCHANT_ID && !!process.env.PAYME_MERCHANT_KEY,
+
+  /**
+   * Payme creates the transaction itself (CreateTransaction), matching
+   * promo reservations and group checkouts by account Login and amount.
+   */
+  initiate: async ({ user, amount, lang = 'ru', returnUrl }) => {
+    const reference = `aced${Date.now()}${Math.random().toString(36).slice(2, 11)}`;
+    const checkoutUrl = controller().generatePaymeGetUrl(process.env.PAYME_MERCHANT_ID, { Login: user.firebaseId }, amount, {
+      lang: ['ru', 'uz', 'en'].includes(lang) ? lang : 'ru',
+      callback: returnUrl || `https://api.aced.live/api/payments/payme/return/success?transaction=${reference}&userId=${user.firebaseId}`,
+      callback_timeout: 15000
+    });
+    return { reference, checkoutUrl, transaction: null };
+  },
+
+  // Basic auth with the merchant key on every JSON-RPC call
+  verifyWebhook: (req) => controller().validatePaymeAuth(req).valid,
+
+  findTransaction: (reference) => PaymeTransaction.findOne({ paycom_transaction_id: reference }),
+
+  // Payme has no merchant-side status API; its JSON-RPC calls keep our record current
+  getStatus: async (transaction) => describe(transaction).status,
+
+  // PerformTransaction: CREATED -> COMPLETED
+  claimPaid: (transaction, { paidAt, set = {} }) => PaymeTransaction.findOneAndUpdate(
+    { _id: transaction._id, state: STATE_CREATED },
+    { $set: { ...set, state: STATE_COMPLETED, perform_time: paidAt } },
+    { new: true }
+  ),
+
+  releaseClaim: (transaction) => PaymeTransaction.updateOne(
+    { _id: transaction._id, state: STATE_COMPLETED },
+    { $set: { state: transaction.state }, $unset: { perform_time: 1 } }
+  ),
+
+  refundSettlement: () => 'manual',
+
+  refund: async () => {
+    throw httpError(501, 'Payme payments are refunded from the Payme merchant cabinet');
+  },
+
+  cancel: async () => {
+    throw httpError(501, 'Payme checkouts expire on their own; paid ones are cancelled from the Payme merchant cabinet');
+  },
+
+  describe
+};
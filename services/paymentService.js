@@ -0,0 +1,268 @@
+/**
+ * Payment Service
+ *
+ * Provider-neutral checkout and subscription activation on top of the
+ * adapters in services/paymentProviders:
+ *   - createCheckout prices a tier or a group plan, applies promo codes and
+ *     hands the amount to the chosen provider
+ *   - activateSubscription is the single code path that turns a paid
+ *     transaction into a subscription, whichever provider confirmed it
+ *   - claimPayment settles a successful payment exactly once: atomic claim,
+ *     activation and onPaymentStatusChange
+ *
+ * Group plans, promo code settlement, referrals and the ledger react to the
+ * transaction itself, not to activation: onPaymentStatusChange runs them
+ * for every provider, from the model post-save hooks and after atomic updates.
+ *
+ * @module services/paymentService
+ */
+
+const User = require('../models/user');
+const { getTierById, getAllTiers, getDurationForPayment } = require('../config/subscriptionConfig');
+const { getProvider, requireProvider } = require('./paymentProviders');
+const { normalizeCodes, quoteCheckout, reserveCheckout, linkRedemptions, settleQuietly } = require('./promoCampaignService');
+const { startGroupCheckout, handlePaymentQuietly: extendGroupPlan } = require('./subscriptionGroupService');
+const { handlePaymentQuietly: rewardReferrer } = require('./referralService');
+const { syncQuietly } = require('./ledgerService');
+const httpError = require('../utils/httpError');
+
+// Payme accounts that are Firebase UIDs of users who never reached /users/save
+const canAutoCreate = (login) => typeof login === 'string' && login.length > 5 && !login.startsWith('aced');
+
+const findPayer = async (payment, createMissingUser) => {
+  if (payment.userObjectId) {
+    const user = await User.findById(payment.userObjectId);
+    if (user) return user;
+  }
+  if (!payment.userFirebaseId) return null;
+
+  const user = await User.findOne({ $or: [{ firebaseId: payment.userFirebaseId }, { Login: payment.userFirebaseId }] });
+  if (user || !createMissingUser || !canAutoCreate(payment.userFirebaseId)) return user;
+
+  console.log(`Auto-created MongoDB user for ${payment.provider} payment:`, payment.userFirebaseId);
+  return User.findOneAndUpdate(
+    { firebaseId: payment.userFirebaseId },
+    { $setOnInsert: { firebaseId: payment.userFirebaseId, Login: payment.userFirebaseId, subscriptionPlan: 'free' } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Grant the subscription a paid transaction bought. This only touches the
+ * user; payment callbacks go through claimPayment, which marks it paid first.
+ * @param {string} providerName - 'payme' | 'multicard' | 'click'
+ * @param {Object} transaction - the provider's transaction document
+ * @param {Object} [options]
+ * @param {boolean} [options.createMissingUser=false] - create the Mongo user for an unknown Firebase UID
+ * @param {boolean} [options.notify=true] - send the payment confirmation message
+ * @param {Object} [options.user] - the payer's User document, when the caller already holds it
+ * @returns {Promise<Object|null>} the user, or null when it can't be found
+ */
+const activateSubscription = async (providerName, transaction, { createMissingUser = false, notify = true, user: payer = null } = {}) => {
+  const provider = getProvider(providerName);
+  const payment = provider.describe(transaction);
+
+  const user = payer || await findPayer(payment, createMissingUser);
+  if (!user) {
+    console.error(`❌ No user for ${providerName} payment ${payment.externalId}`);
+    return null;
+  }
+
+  const { durationDays, durationMonths } = getDurationForPayment(payment.amount, payment.tierId);
+  await user.grantSubscription(payment.plan || 'pro', durationDays, 'payment', durationMonths);
+  user.subscriptionAmount = payment.amount;
+  user.lastPaymentDate = new Date();
+  await user.save();
+
+  if (notify) {
+    try {
+      const Message = require('../models/message');
+      await Message.createPaymentMessage(user._id, user.firebaseId, {
+        amount: payment.amount,
+        plan: payment.plan || 'pro',
+        duration: durationMonths,
+        startDate: user.subscriptionActivatedAt || new Date(),
+        endDate: user.subscriptionExpiryDate,
+        paymentMethod: provider.label,
+        transactionId: transaction._id.toString()
+      });
+    } catch (msgError) {
+      console.error('Failed to send payment notification:', msgError);
+    }
+  }
+
+  console.log(`✅ Subscription granted via ${providerName} for user ${user.firebaseId}`);
+  return user;
+};
+
+/**
+ * React to a transaction whose status changed: post it to the payments
+ * ledger, settle its promo code reservations, extend family / group plans
+ * and reward the referrer. Each step logs its own failures.
+ * Model post-save hooks call this; status changes made with
+ * findOneAndUpdate (atomic claims) must call it themselves.
+ * @param {string} providerName - 'payme' | 'multicard' | 'click'
+ * @param {Object} transaction - the provider's transaction document, as updated
+ */
+const onPaymentStatusChange = async (providerName, transaction) => {
+  await syncQuietly(providerName, transaction);
+  await settleQuietly(providerName, transaction);
+  await extendGroupPlan(providerName, transaction);
+  await rewardReferrer(providerName, transaction);
+};
+
+/**
+ * Settle a successful payment exactly once: atomically claim the transaction
+ * (adapter claimPaid, only from a non-final state), grant the subscription
+ * and run onPaymentStatusChange. When activation throws - or finds no user,
+ * with requireUser - the claim is given back so a provider retry can settle it.
+ *
+ * A success for a transaction that is no longer pending is not claimed:
+ * already paid ones were settled by a parallel callback, refunded or
+ * cancelled ones are logged and left to finance reconciliation
+ * (services/reconciliationService.js).
+ * @param {string} providerName - 'payme' | 'multicard' | 'click'
+ * @param {Object} transaction - the transaction as read before the claim
+ * @param {Object} [options]
+ * @param {Date} [options.paidAt=now]
+ * @param {Object} [options.set] - provider fields to store with the claim
+ * @param {boolean} [options.requireUser=false] - give the claim back when no user is found
+ * @param {boolean} [options.createMissingUser] - see activateSubscription
+ * @param {boolean} [options.notify] - see activateSubscription
+ * @param {Object} [options.user] - see activateSubscription
+ * @returns {Promise<Object|null>} { transaction, user } (user null when not found),
+ *   or null when the transaction wasn't claimable
+ */
+const claimPayment = async (providerName, transaction, { paidAt = new Date(), set, requireUser = false, ...activation } = {}) => {
+  const provider = getProvider(providerName);
+  const claimed = await provider.claimPaid(transaction, { paidAt, set });
+  if (!claimed) {
+    const current = await provider.model.findById(transaction._id);
+    const status = current ? provider.describe(current).status : 'missing';
+    if (status !== 'paid') {
+      console.error(`⚠️ ${provider.label} payment ${provider.describe(transaction).externalId} is ${status}, not marked paid - left for reconciliation`);
+    }
+    return null;
+  }
+
+  let user;
+  try {
+    user = await activateSubscription(providerName, claimed, activation);
+  } catch (error) {
+    await provider.releaseClaim(transaction);
+    throw error;
+  }
+  if (!user && requireUser) {
+    await provider.releaseClaim(transaction);
+    return { transaction: claimed, user: null };
+  }
+
+  await onPaymentStatusChange(providerName, claimed);
+  return { transaction: claimed, user };
+};
+
+/**
+ * Start a checkout with the named provider.
+ * @param {Object} options
+ * @param {string} options.providerName
+ * @param {Object} options.user - User document
+ * @param {Object} options.body - { tierId, promoCodes?, groupId?, lang?, returnUrl? }
+ * @returns {Promise<Object>} { provider, reference, checkoutUrl, amount, tier, group, promo }
+ */
+const createCheckout = async ({ providerName, user, body = {} }) => {
+  const provider = requireProvider(providerName);
+  const codes = normalizeCodes(body);
+
+  if (user.hasActiveSubscription() && !body.groupId) {
+    throw httpError(400, `You already have an active ${user.subscriptionPlan} subscription until ${new Date(user.subscriptionExpiryDate).toISOString()}. You can renew after it expires.`);
+  }
+
+  let tier;
+  let amount;
+  let group = null;
+  if (body.groupId) {
+    if (codes.length) throw httpError(400, 'Promo codes cannot be used for family or group plans');
+    ({ group, tier, amount } = await startGroupCheckout(user, body.groupId));
+  } else {
+    tier = getTierById(body.tierId);
+    if (!tier) throw httpError(400, `tierId must be one of: ${getAllTiers().map(t => t.id).join(', ')}`);
+    amount = tier.priceInTiyin;
+  }
+
+  const promo = codes.length ? await quoteCheckout({ user, tierId: tier.id, codes }) : null;
+  if (promo) amount = promo.finalAmount;
+
+  const checkout = await provider.initiate({
+    user,
+    amount,
+    plan: 'pro',
+    tier,
+    group,
+    lang: body.lang,
+    returnUrl: body.returnUrl
+  });
+
+  if (promo) {
+    try {
+      await reserveCheckout(promo, { user, provider: provider.name, reference: checkout.reference });
+    } catch (error) {
+      // Another checkout took the last use: don't leave the discounted invoice payable
+      if (checkout.transaction) {
+        await provider.cancel(checkout.transaction).catch(cancelError =>
+          console.error(`❌ Could not cancel ${provider.name} checkout ${checkout.reference}:`, cancelError.message));
+      }
+      throw error;
+    }
+    if (checkout.transaction) await linkRedemptions(provider.name, checkout.reference, checkout.transaction._id);
+  }
+
+  return {
+    provider: provider.name,
+    reference: checkout.reference,
+    checkoutUrl: checkout.checkoutUrl,
+    amount,
+    tier: { id: tier.id, label: tier.label, duration: tier.duration },
+    group: group ? { id: group._id, type: group.type, seats: group.seats } : null,
+    promo: promo && { originalAmount: promo.originalAmount, discountAmount: promo.discountAmount, discounts: promo.discounts },
+    ...checkout.details
+  };
+};
+
+/**
+ * A user's checkout by reference (our order id or the provider's).
+ * @param {Object} options
+ * @param {string} options.providerName
+ * @param {string} options.reference
+ * @param {Object} options.user - User document
+ * @param {boolean} [options.refresh=false] - also ask the provider
+ * @returns {Promise<Object>} describe() view, plus providerStatus when refreshed
+ */
+const getCheckoutStatus = async ({ providerName, reference, user, refresh = false }) => {
+  const provider = getProvider(providerName);
+  if (!provider) throw httpError(400, 'Unknown payment provider');
+
+  const transaction = await provider.findTransaction(reference);
+  const payment = transaction && provider.describe(transaction);
+  const owned = payment && (
+    String(payment.userObjectId) === String(user._id) ||
+    payment.userFirebaseId === user.firebaseId
+  );
+  if (!owned) throw httpError(404, 'Checkout not found');
+
+  if (!refresh || payment.status !== 'pending') return payment;
+
+  try {
+    return { ...payment, providerStatus: await provider.getStatus(transaction) };
+  } catch (error) {
+    console.error(`❌ ${provider.label} status check failed for ${payment.externalId}:`, error.message);
+    return { ...payment, providerStatus: null };
+  }
+};
+
+module.exports = {
+  activateSubscription,
+  claimPayment,
+  onPaymentStatusChange,
+  createCheckout,
+  getCheckoutStatus
+};
@@ -0,0 +1,569 @@
+/**
+ * Promo Campaigns
+ *
+ * Discount codes (models/promoCode.js, promoType discount_percent /
+ * discount_amount) applied at checkout by every payment provider
+ * (services/paymentService.js createCheckout, and the Payme and Multicard
+ * initiation endpoints).
+ * A code can belong to a campaign (models/promoCampaign.js) which adds
+ * eligibility rules, per-user and total redemption limits, and stacking:
+ * codes of stackable campaigns combine with each other, any other code must
+ * be used alone.
+ *
+ * Lifecycle of a redemption (models/promoRedemption.js):
+ *   reserved  - at checkout initiation, one per code; counts toward limits
+ *               until RESERVATION_TTL_HOURS pass without payment
+ *   completed - when the provider transaction is paid (model post-save hooks);
+ *               the code's usage counter is incremented then
+ *   released  - when the provider transaction fails or is cancelled
+ *
+ * The code and campaign limits are enforced when reserving, with a
+ * conditional $inc on Promocode.reservedUses and PromoCampaign.redemptionCount
+ * so concurrent checkouts cannot both take the last use. The per-user limit
+ * is enforced by numbering the user's redemptions of a campaign
+ * (PromoRedemption.userSlot, unique per campaign and user).
+ *
+ * The discounted transaction records the tier it bought (tierId / tier_id)
+ * so the subscription length comes from the tier, not the reduced amount.
+ *
+ * @module services/promoCampaignService
+ */
+
+const mongoose = require('mongoose');
+const Promocode = require('../models/promoCode');
+const PromoCampaign = require('../models/promoCampaign');
+const PromoRedemption = require('../models/promoRedemption');
+const PaymeTransaction = require('../models/paymeTransaction');
+const MulticardTransaction = require('../models/MulticardTransaction');
+const ClickTransaction = require('../models/clickTransaction');
+const { describeTransaction } = require('./paymentProviders');
+const { getTierById, getAllTiers } = require('../config/subscriptionConfig');
+const httpError = require('../utils/httpError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Matches the Payme transaction timeout
+const RESERVATION_TTL_HOURS = 12;
+const MAX_CODES_PER_CHECKOUT = 3;
+// Card processors reject very small payments, so discounts stop at 1,000 UZS
+const MIN_CHECKOUT_AMOUNT = 100000;
+const DISCOUNT_TYPES = ['discount_percent', 'discount_amount'];
+
+/**
+ * Codes from a checkout body: promoCodes (array) or promoCode (string).
+ * @returns {string[]} unique, uppercased
+ */
+const normalizeCodes = (body = {}) => {
+  const raw = Array.isArray(body.promoCodes) ? body.promoCodes : [body.promoCodes, body.promoCode];
+  return [...new Set(raw.filter(c => typeof c === 'string' && c.trim()).map(c => c.trim().toUpperCase()))];
+};
+
+/**
+ * Tier for a checkout: a valid tierId, else the tier whose price equals the amount.
+ * @returns {Object|null}
+ */
+const resolveTier = (tierId, amountInTiyin) => (tierId && getTierById(tierId))
+  || getAllTiers().find(tier => tier.priceInTiyin === amountInTiyin)
+  || null;
+
+const hasCompletedPayment = async (user) => {
+  const [payme, multicard, click] = await Promise.all([
+    PaymeTransaction.exists({
+      $or: [{ user_id: user.firebaseId }, { Login: user.firebaseId }],
+      state: { $in: [2, -2] }
+    }),
+    MulticardTransaction.exists({
+      userId: user._id,
+      transactionType: { $ne: 'card_binding' },
+      status: { $in: ['paid', 'refunded'] }
+    }),
+    ClickTransaction.exists({
+      userId: user._id,
+      status: { $in: ['paid', 'refunded'] }
+    })
+  ]);
+  return !!(payme || multicard || click);
+};
+
+/**
+ * Why the user can't use this campaign for this tier, or null if eligible.
+ * @returns {Promise<string|null>}
+ */
+const checkEligibility = async (campaign, user, tier, now = new Date()) => {
+  const rules = campaign.eligibility || {};
+
+  if (rules.tiers?.length && !rules.tiers.includes(tier.id)) {
+    return `Only valid for: ${rules.tiers.map(id => getTierById(id)?.label || id).join(', ')}`;
+  }
+  if (rules.learningModes?.length && !rules.learningModes.includes(user.learningMode)) {
+    return 'Not available for your learning mode';
+  }
+  if (rules.newUsersOnly) {
+    const joinedAt = user.createdAt ? new Date(user.createdAt) : null;
+    if (!joinedAt || now - joinedAt > (rules.newUserWindowDays || 30) * DAY_MS) {
+      return 'Only available to new users';
+    }
+  }
+  if (rules.firstPaymentOnly && await hasCompletedPayment(user)) {
+    return 'Only available on your first payment';
+  }
+  return null;
+};
+
+// Redemptions that still count, for one filter (code, campaign, campaign + user)
+const countActive = (filter, now) => PromoRedemption.countDocuments({
+  ...filter,
+  ...PromoRedemption.countingFilter(now)
+});
+
+/**
+ * Validate one code for the user and tier.
+ * @returns {Promise<{ promo: Object, campaign: Object|null }>}
+ */
+const loadApplicableCode = async (code, user, tier, now) => {
+  const promo = await Promocode.findOne({ code, isActive: true });
+  if (!promo) throw httpError(404, `Promo code ${code} not found`, 'NOT_FOUND');
+
+  if (!DISCOUNT_TYPES.includes(promo.promoType)) {
+    throw httpError(400, `${code} activates a subscription directly and can't be used at checkout`, 'NOT_A_DISCOUNT');
+  }
+
+  const usable = promo.canUserUse(user.firebaseId, user.subscriptionPlan);
+  if (!usable.canUse) throw httpError(400, `${code}: ${usable.reason}`, usable.code);
+
+  if (promo.maxUses && promo.currentUses + await countActive({ promoCode: promo._id, status: 'reserved' }, now) >= promo.maxUses) {
+    throw httpError(409, `${code}: Promocode usage limit reached`, 'EXHAUSTED');
+  }
+
+  if (!promo.campaign) return { promo, campaign: null };
+
+  const campaign = await PromoCampaign.findById(promo.campaign);
+  if (!campaign) throw httpError(404, `${code}: campaign no longer exists`, 'NOT_FOUND');
+
+  const { running, reason } = campaign.checkRunning(now);
+  if (!running) throw httpError(400, `${code}: ${reason}`, 'CAMPAIGN_NOT_RUNNING');
+
+  const ineligible = await checkEligibility(campaign, user, tier, now);
+  if (ineligible) throw httpError(403, `${code}: ${ineligible}`, 'NOT_ELIGIBLE');
+
+  if (campaign.perUserLimit
+    && await countActive({ campaign: campaign._id, userId: user.firebaseId }, now) >= campaign.perUserLimit) {
+    throw httpError(409, `${code}: you have already used this campaign's offer`, 'USER_LIMIT');
+  }
+  if (campaign.maxRedemptions
+    && await countActive({ campaign: campaign._id }, now) >= campaign.maxRedemptions) {
+    throw httpError(409, `${code}: this offer is no longer available`, 'CAMPAIGN_EXHAUSTED');
+  }
+
+  return { promo, campaign };
+};
+
+/**
+ * Price a checkout with promo codes without reserving anything.
+ * Stacked discounts apply in campaign priority order, percentages before
+ * fixed amounts, each on the price left by the previous one.
+ * @param {Object} options
+ * @param {Object} options.user - User document
+ * @param {string} options.tierId
+ * @param {string[]} options.codes
+ * @returns {Promise<Object>} { tier, originalAmount, discountAmount, finalAmount, discounts[] }
+ */
+const quoteCheckout = async ({ user, tierId, codes, now = new Date() }) => {
+  const tier = getTierById(tierId);
+  if (!tier) throw httpError(400, 'A valid tierId is required to apply promo codes', 'INVALID_TIER');
+  if (codes.length > MAX_CODES_PER_CHECKOUT) {
+    throw httpError(400, `At most ${MAX_CODES_PER_CHECKOUT} promo codes can be combined`, 'TOO_MANY_CODES');
+  }
+
+  const applied = [];
+  for (const code of codes) {
+    applied.push(await loadApplicableCode(code, user, tier, now));
+  }
+
+  if (applied.length > 1) {
+    const single = applied.find(({ campaign }) => !campaign?.stackable);
+    if (single) {
+      throw httpError(400, `${single.promo.code} can't be combined with other promo codes`, 'NOT_STACKABLE');
+    }
+    const campaignIds = applied.map(({ campaign }) => String(campaign._id));
+    if (new Set(campaignIds).size !== campaignIds.length) {
+      throw httpError(400, 'Only one code per campaign can be used', 'SAME_CAMPAIGN');
+    }
+  }
+
+  applied.sort((a, b) => {
+    const byPriority = (b.campaign?.priority || 0) - (a.campaign?.priority || 0);
+    if (byPriority !== 0) return byPriority;
+    return (a.promo.promoType === 'discount_percent' ? 0 : 1) - (b.promo.promoType === 'discount_percent' ? 0 : 1);
+  });
+
+  let price = tier.priceInTiyin;
+  const discounts = applied.map(({ promo, campaign }) => {
+    const raw = promo.promoType === 'discount_percent'
+      ? Math.floor(price * (promo.discountPercent || 0) / 100)
+      : (promo.discountAmount || 0);
+    const amount = Math.max(0, Math.min(raw, price - MIN_CHECKOUT_AMOUNT));
+    price -= amount;
+
+    return {
+      code: promo.code,
+      promoCodeId: promo._id,
+      campaignId: campaign?._id || null,
+      campaignName: campaign?.name || null,
+      type: promo.promoType,
+      percent: promo.promoType === 'discount_percent' ? promo.discountPercent : undefined,
+      amount
+    };
+  });
+
+  return {
+    tier: { id: tier.id, label: tier.label, duration: tier.duration },
+    originalAmount: tier.priceInTiyin,
+    discountAmount: tier.priceInTiyin - price,
+    finalAmount: price,
+    discounts
+  };
+};
+
+// Give back the code and campaign slots a redemption was holding
+const releaseSlot = ({ promoCode, campaign }) => Promise.all([
+  Promocode.updateOne({ _id: promoCode }, { $inc: { reservedUses: -1 } }),
+  campaign && PromoCampaign.updateOne({ _id: campaign }, { $inc: { redemptionCount: -1 } })
+]);
+
+/**
+ * Take one use of the code (and its campaign) if the limit allows it.
+ * Throws 409 when another checkout took the last one.
+ */
+const claimSlot = async (discount) => {
+  const promo = await Promocode.findOneAndUpdate(
+    {
+      _id: discount.promoCodeId,
+      $or: [
+        { maxUses: null },
+        { maxUses: 0 },
+        { $expr: { $lt: [{ $add: ['$currentUses', '$reservedUses'] }, '$maxUses'] } }
+      ]
+    },
+    { $inc: { reservedUses: 1 } }
+  );
+  if (!promo) throw httpError(409, `${discount.code}: Promocode usage limit reached`, 'EXHAUSTED');
+
+  if (!discount.campaignId) return;
+  const campaign = await PromoCampaign.findOneAndUpdate(
+    {
+      _id: discount.campaignId,
+      $or: [{ maxRedemptions: null }, { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } }]
+    },
+    { $inc: { redemptionCount: 1 } }
+  );
+  if (!campaign) {
+    await releaseSlot({ promoCode: discount.promoCodeId });
+    throw httpError(409, `${discount.code}: this offer is no longer available`, 'CAMPAIGN_EXHAUSTED');
+  }
+};
+
+/**
+ * The first of the user's perUserLimit slots in the discount's campaign that
+ * no counting redemption holds. Throws 409 when all are taken.
+ * @returns {Promise<number|null>} null for codes without a campaign
+ */
+const pickUserSlot = async (discount, user) => {
+  if (!discount.campaignId) return null;
+  const campaign = await PromoCampaign.findById(discount.campaignId).select('perUserLimit').lean();
+  if (!campaign?.perUserLimit) return null;
+
+  const taken = await PromoRedemption.distinct('userSlot', {
+    campaign: discount.campaignId,
+    userId: user.firebaseId,
+    userSlot: { $exists: true }
+  });
+  for (let slot = 1; slot <= campaign.perUserLimit; slot++) {
+    if (!taken.includes(slot)) return slot;
+  }
+  throw httpError(409, `${discount.code}: you have already used this campaign's offer`, 'USER_LIMIT');
+};
+
+/**
+ * Free the slots of unpaid reservations past their expiry. They stay
+ * reserved, so a late payment still completes them.
+ * @param {Object} filter - e.g. { promoCode: { $in: ids } }
+ */
+const releaseExpiredSlots = async (filter, now = new Date()) => {
+  const expired = await PromoRedemption.find({
+    ...filter,
+    holdsSlot: true,
+    status: 'reserved',
+    expiresAt: { $lte: now }
+  }).select('_id');
+
+  for (const { _id } of expired) {
+    const redemption = await PromoRedemption.findOneAndUpdate(
+      { _id, holdsSlot: true, status: 'reserved' },
+      { $set: { holdsSlot: false }, $unset: { userSlot: 1 } }
+    );
+    if (redemption) await releaseSlot(redemption);
+  }
+};
+
+const insertRedemptions = (quote, userSlots, { user, provider, reference, now }) => PromoRedemption.insertMany(
+  quote.discounts.map((discount, i) => ({
+    campaign: discount.campaignId,
+    promoCode: discount.promoCodeId,
+    code: discount.code,
+    userId: user.firebaseId,
+    provider,
+    reference,
+    tierId: quote.tier.id,
+    originalAmount: quote.originalAmount,
+    discountAmount: discount.amount,
+    finalAmount: quote.finalAmount,
+    stacked: quote.discounts.length > 1,
+    expiresAt: new Date(now.getTime() + RESERVATION_TTL_HOURS * HOUR_MS),
+    ...(userSlots[i] ? { userSlot: userSlots[i] } : {})
+  }))
+);
+
+/**
+ * Reserve the quoted codes for a checkout.
+ * @param {Object} quote - from quoteCheckout
+ * @param {Object} options - { user, provider, reference }
+ */
+const reserveCheckout = async (quote, { user, provider, reference, now = new Date() }) => {
+  if (quote.discounts.length === 0) return [];
+
+  await releaseExpiredSlots({
+    $or: [{ promoCode: { $in: quote.discounts.map(d => d.promoCodeId) } }, { userId: user.firebaseId }]
+  }, now);
+
+  const userSlots = [];
+  for (const discount of quote.discounts) {
+    userSlots.push(await pickUserSlot(discount, user));
+  }
+
+  const claimed = [];
+  const releaseClaimed = () => Promise.all(claimed.map(d => releaseSlot({ promoCode: d.promoCodeId, campaign: d.campaignId })));
+  try {
+    for (const discount of quote.discounts) {
+      await claimSlot(discount);
+      claimed.push(discount);
+    }
+  } catch (error) {
+    await releaseClaimed();
+    throw error;
+  }
+
+  try {
+    return await insertRedemptions(quote, userSlots, { user, provider, reference, now });
+  } catch (error) {
+    await PromoRedemption.deleteMany({ provider, reference, status: 'reserved' });
+    await releaseClaimed();
+    // Another checkout of this user took the same campaign slot
+    if (error.code === 11000) {
+      throw httpError(409, "You have already used this campaign's offer", 'USER_LIMIT');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Payme only passes the account and amount to CreateTransaction, so a
+ * checkout is matched by user and discounted amount: the newest open
+ * reservation that isn't linked to a transaction yet.
+ * @returns {Promise<{ reference: string, tierId: string }|null>}
+ */
+const findPaymeReservation = async (userId, amount, now = new Date()) => {
+  const redemption = await PromoRedemption.findOne({
+    provider: 'payme',
+    userId,
+    finalAmount: amount,
+    status: 'reserved',
+    transactionId: null,
+    expiresAt: { $gt: now }
+  }).sort({ createdAt: -1 });
+
+  return redemption ? { reference: redemption.reference, tierId: redemption.tierId } : null;
+};
+
+const linkRedemptions = (provider, reference, transactionId) => PromoRedemption.updateMany(
+  { provider, reference, status: 'reserved' },
+  { $set: { transactionId } }
+);
+
+/**
+ * Complete or release a transaction's reservations once it is paid / cancelled.
+ * Reservations are linked to the transaction, or keyed by our order id.
+ * @param {string} provider - 'payme' | 'multicard' | 'click'
+ * @param {Object} transaction - the provider's transaction document
+ * @returns {Promise<number>} redemptions updated
+ */
+const settleRedemptions = async (provider, transaction) => {
+  const { externalId, status: outcome } = describeTransaction(provider, transaction);
+  if (outcome !== 'paid' && outcome !== 'cancelled') return 0;
+
+  const redemptions = await PromoRedemption.find({
+    provider,
+    status: 'reserved',
+    $or: [{ transactionId: transaction._id }, { reference: externalId }]
+  });
+  if (redemptions.length === 0) return 0;
+
+  const now = new Date();
+  let settled = 0;
+  for (const { _id } of redemptions) {
+    // Claimed one by one: a transaction can be saved (and settled) twice
+    const redemption = await PromoRedemption.findOneAndUpdate(
+      { _id, status: 'reserved' },
+      outcome === 'paid'
+        ? { $set: { status: 'completed', completedAt: now, transactionId: transaction._id, holdsSlot: false } }
+        : { $set: { status: 'released', releasedAt: now, holdsSlot: false }, $unset: { userSlot: 1 } }
+    );
+    if (!redemption) continue;
+    settled++;
+
+    if (outcome === 'paid') {
+      // The reservation's slot becomes a use; an expired one had given its slot back
+      await Promocode.updateOne(
+        { _id: redemption.promoCode },
+        {
+          $inc: { currentUses: 1, reservedUses: redemption.holdsSlot ? -1 : 0 },
+          $push: { usedBy: { userId: redemption.userId, usedAt: now } },
+          $set: { lastUsedAt: now }
+        }
+      );
+      if (redemption.campaign && !redemption.holdsSlot) {
+        await PromoCampaign.updateOne({ _id: redemption.campaign }, { $inc: { redemptionCount: 1 } });
+      }
+    } else if (redemption.holdsSlot) {
+      await releaseSlot(redemption);
+    }
+  }
+  return settled;
+};
+
+// For model hooks: a failure here must not fail the provider webhook
+const settleQuietly = (provider, transaction) => settleRedemptions(provider, transaction).catch(error => {
+  console.error(`❌ Promo redemption settle failed for ${provider} transaction ${transaction._id}:`, error.message);
+  return 0;
+});
+
+/**
+ * Redemption and revenue report for a campaign. Revenue counts each paid
+ * checkout once, even when several codes were stacked on it.
+ * @param {string} campaignId
+ * @param {Object} [options] - { from, to } on completedAt
+ */
+const getCampaignReport = async (campaignId, { from, to } = {}) => {
+  const campaign = mongoose.Types.ObjectId.isValid(campaignId) ? await PromoCampaign.findById(campaignId) : null;
+  if (!campaign) throw httpError(404, 'Campaign not found');
+
+  const completed = { campaign: campaign._id, status: 'completed' };
+  if (from || to) {
+    completed.completedAt = {};
+    if (from) completed.completedAt.$gte = from;
+    if (to) completed.completedAt.$lt = to;
+  }
+
+  const [checkouts, byCode, byStatus, codeCount] = await Promise.all([
+    PromoRedemption.aggregate([
+      { $match: completed },
+      {
+        $group: {
+          _id: '$reference',
+          userId: { $first: '$userId' },
+          provider: { $first: '$provider' },
+          tierId: { $first: '$tierId' },
+          revenue: { $first: '$finalAmount' },
+          discount: { $sum: '$discountAmount' },
+          stacked: { $max: '$stacked' },
+          completedAt: { $first: '$completedAt' }
+        }
+      },
+      {
+        $facet: {
+          totals: [{
+            $group: {
+              _id: null,
+              checkouts: { $sum: 1 },
+              users: { $addToSet: '$userId' },
+              revenue: { $sum: '$revenue' },
+              discount: { $sum: '$discount' },
+              stacked: { $sum: { $cond: ['$stacked', 1, 0] } }
+            }
+          }],
+          byTier: [
+            { $group: { _id: '$tierId', checkouts: { $sum: 1 }, revenue: { $sum: '$revenue' }, discount: { $sum: '$discount' } } },
+            { $sort: { checkouts: -1 } }
+          ],
+          byProvider: [
+            { $group: { _id: '$provider', checkouts: { $sum: 1 }, revenue: { $sum: '$revenue' } } }
+          ],
+          daily: [
+            {
+              $group: {
+                _id: { $dateToString: { format: '%Y-%m-%d', date: '$completedAt' } },
+                checkouts: { $sum: 1 },
+                revenue: { $sum: '$revenue' }
+              }
+            },
+            { $sort: { _id: 1 } }
+          ]
+        }
+      }
+    ]),
+    PromoRedemption.aggregate([
+      { $match: completed },
+      { $group: { _id: '$code', redemptions: { $sum: 1 }, discount: { $sum: '$discountAmount' } } },
+      { $sort: { redemptions: -1 } },
+      { $limit: 100 }
+    ]),
+    PromoRedemption.aggregate([
+      { $match: { campaign: campaign._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]),
+    Promocode.countDocuments({ campaign: campaign._id })
+  ]);
+
+  const facets = checkouts[0] || {};
+  const totals = facets.totals?.[0] || { checkouts: 0, users: [], revenue: 0, discount: 0, stacked: 0 };
+
+  return {
+    campaign: {
+      id: campaign._id,
+      name: campaign.name,
+      status: campaign.status,
+      startsAt: campaign.startsAt,
+      endsAt: campaign.endsAt,
+      codes: codeCount
+    },
+    totals: {
+      paidCheckouts: totals.checkouts,
+      uniqueUsers: totals.users.length,
+      revenue: totals.revenue,
+      discountGiven: totals.discount,
+      grossBeforeDiscount: totals.revenue + totals.discount,
+      stackedCheckouts: totals.stacked
+    },
+    redemptionsByStatus: Object.fromEntries(byStatus.map(s => [s._id, s.count])),
+    byCode: byCode.map(c => ({ code: c._id, redemptions: c.redemptions, discount: c.discount })),
+    byTier: (facets.byTier || []).map(t => ({ tierId: t._id, checkouts: t.checkouts, revenue: t.revenue, discount: t.discount })),
+    byProvider: (facets.byProvider || []).map(p => ({ provider: p._id, checkouts: p.checkouts, revenue: p.revenue })),
+    daily: (facets.daily || []).map(d => ({ date: d._id, checkouts: d.checkouts, revenue: d.revenue }))
+  };
+};
+
+module.exports = {
+  RESERVATION_TTL_HOURS,
+  MIN_CHECKOUT_AMOUNT,
+  normalizeCodes,
+  resolveTier,
+  checkEligibility,
+  quoteCheckout,
+  reserveCheckout,
+  findPaymeReservation,
+  linkRedemptions,
+  settleRedemptions,
+  settleQuietly,
+  getCampaignReport
+};
@@ -0,0 +1,408 @@
+/**
+ * Question Bank Item Analysis
+ *
+ * Classical item statistics for the placement question pool, computed from
+ * the responses stored on PlacementTest documents:
+ *   - p-value (proportion correct) from Question usage counters
+ *   - point-biserial correlation between answering correctly and the test
+ *     taker's ability estimate for the whole test
+ *   - distractor analysis for multiple-choice options
+ *   - time-spent outliers (per response and per item within a subject)
+ *   - mismatch between the labelled difficulty and the difficulty implied by
+ *     the observed p-value
+ *
+ * Adaptive tests give every learner a different set of items, so the
+ * criterion is the EAP ability for the test rather than a raw total score.
+ *
+ * @module services/questionQuality
+ */
+
+const Question = require('../models/question');
+const PlacementTest = require('../models/placementTest');
+const {
+  estimateAbility,
+  difficultyToTheta,
+  thetaToDifficulty,
+  calibrateItem,
+  discriminationFromPointBiserial
+} = require('./itemResponseTheory');
+
+const QUALITY_THRESHOLDS = {
+  MIN_RESPONSES: 30, // below this an item is reported as insufficient_data
+  TOO_EASY_P: 0.95,
+  TOO_HARD_P: 0.1,
+  LOW_DISCRIMINATION: 0.15,
+  NON_FUNCTIONING_DISTRACTOR: 0.05, // distractor picked by fewer than 5% of takers
+  DIFFICULTY_MISMATCH: 2, // labelled vs observed difficulty, on the 1-10 scale
+  TIME_OUTLIER_Z: 3.5, // modified z-score (median/MAD) for a single response
+  TIME_OUTLIER_RATE: 0.1, // share of outlier responses before the item is flagged
+  RAPID_GUESS_SECONDS: 3
+};
+
+// Flags serious enough to take the item out of the placement pool
+const RETIRE_FLAGS = ['negative_discrimination', 'possible_miskey'];
+
+const round = (value, digits = 3) => {
+  if (value === null || value === undefined || Number.isNaN(value)) return null;
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const quantile = (sorted, q) => {
+  const pos = (sorted.length - 1) * q;
+  const lower = Math.floor(pos);
+  const upper = Math.ceil(pos);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+};
+
+/**
+ * Point-biserial correlation between a dichotomous variable and a criterion.
+ * @param {Array<boolean>} flags - Dichotomous values (e.g. answered correctly)
+ * @param {Array<number>} criterion - Criterion values in the same order
+ * @returns {number|null} Correlation, or null when either group is empty
+ */
+const pointBiserial = (flags, criterion) => {
+  const n = criterion.length;
+  const ones = criterion.filter((_, i) => flags[i]);
+  const zeros = criterion.filter((_, i) => !flags[i]);
+  if (ones.length === 0 || zeros.length === 0) return null;
+
+  const overall = mean(criterion);
+  const sd = Math.sqrt(criterion.reduce((sum, v) => sum + Math.pow(v - overall, 2), 0) / n);
+  if (sd === 0) return null;
+
+  const p = ones.length / n;
+  return ((mean(ones) - mean(zeros)) / sd) * Math.sqrt(p * (1 - p));
+};
+
+/**
+ * Time-spent summary for one item using the median absolute deviation.
+ * @param {Array<number>} times - Seconds spent per response
+ * @returns {{ median: number|null, outliers: number, rapidGuesses: number, outlierRate: number|null }}
+ */
+const analyzeTimes = (times) => {
+  const valid = times.filter(t => typeof t === 'number' && t >= 0);
+  if (valid.length === 0) return { median: null, outliers: 0, rapidGuesses: 0, outlierRate: null };
+
+  const med = median(valid);
+  const mad = median(valid.map(t => Math.abs(t - med)));
+  const outliers = mad > 0
+    ? valid.filter(t => (0.6745 * Math.abs(t - med)) / mad > QUALITY_THRESHOLDS.TIME_OUTLIER_Z).length
+    : 0;
+
+  return {
+    median: round(med, 1),
+    outliers,
+    rapidGuesses: valid.filter(t => t < QUALITY_THRESHOLDS.RAPID_GUESS_SECONDS).length,
+    outlierRate: round(outliers / valid.length)
+  };
+};
+
+/**
+ * Option-level statistics for a multiple-choice item.
+ * @param {Object} question - Question document (lean)
+ * @param {Array<Object>} responses - { answer, correct, theta }
+ * @returns {Array<Object>} One entry per option
+ */
+const analyzeDistractors = (question, responses) => {
+  const thetas = responses.map(r => r.theta);
+
+  return (question.options || []).map((text, index) => {
+    const chose = responses.map(r => r.answer === index);
+    const choosers = responses.filter((_, i) => chose[i]);
+
+    return {
+      index,
+      text,
+      isKey: index === question.correctAnswer,
+      count: choosers.length,
+      proportion: responses.length > 0 ? round(choosers.length / responses.length) : null,
+      meanAbility: choosers.length > 0 ? round(mean(choosers.map(r => r.theta))) : null,
+      // Should be positive for the key and negative for distractors
+      discrimination: round(pointBiserial(chose, thetas))
+    };
+  });
+};
+
+/**
+ * Flag problems in an item's statistics and recommend an action.
+ * @param {Object} item - Item statistics from analyzeItem
+ * @returns {{ flags: Array<string>, recommendation: string }}
+ */
+const classifyItem = (item) => {
+  const flags = [];
+
+  if (item.sampleSize < QUALITY_THRESHOLDS.MIN_RESPONSES) {
+    return { flags, recommendation: 'insufficient_data' };
+  }
+
+  if (item.pValue !== null && item.pValue >= QUALITY_THRESHOLDS.TOO_EASY_P) flags.push('too_easy');
+  if (item.pValue !== null && item.pValue <= QUALITY_THRESHOLDS.TOO_HARD_P) flags.push('too_hard');
+
+  if (item.pointBiserial !== null) {
+    if (item.pointBiserial < 0) flags.push('negative_discrimination');
+    else if (item.pointBiserial < QUALITY_THRESHOLDS.LOW_DISCRIMINATION) flags.push('low_discrimination');
+  }
+
+  if (item.observedDifficulty !== null &&
+      Math.abs(item.observedDifficulty - item.labelledDifficulty) >= QUALITY_THRESHOLDS.DIFFICULTY_MISMATCH) {
+    flags.push(item.observedDifficulty > item.labelledDifficulty ? 'harder_than_labelled' : 'easier_than_labelled');
+  }
+
+  if (item.distractors) {
+    const key = item.distractors.find(d => d.isKey);
+    const distractors = item.distractors.filter(d => !d.isKey);
+
+    if (distractors.some(d => d.proportion < QUALITY_THRESHOLDS.NON_FUNCTIONING_DISTRACTOR)) {
+      flags.push('non_functioning_distractor');
+    }
+    // A distractor that attracts stronger learners than the key usually means
+    // the answer key is wrong or the item is ambiguous
+    if (key && distractors.some(d =>
+      d.discrimination !== null && d.discrimination > 0 &&
+      (key.meanAbility === null || d.meanAbility > key.meanAbility))) {
+      flags.push('possible_miskey');
+    }
+  }
+
+  if (item.time.outlierRate !== null && item.time.outlierRate > QUALITY_THRESHOLDS.TIME_OUTLIER_RATE) {
+    flags.push('time_outliers');
+  }
+
+  const recommendation = flags.some(f => RETIRE_FLAGS.includes(f))
+    ? 'retire'
+    : flags.length > 0 ? 'review' : 'ok';
+
+  return { flags, recommendation };
+};
+
+/**
+ * Statistics for one question.
+ * @param {Object} question - Question document (lean)
+ * @param {Array<Object>} responses - { answer, correct, time, theta }
+ * @returns {Object} Item report
+ */
+const analyzeItem = (question, responses) => {
+  const sampleSize = responses.length;
+  const hasCounters = question.totalAttempts > 0;
+  const correctAttempts = hasCounters ? question.correctAttempts : responses.filter(r => r.correct).length;
+  const totalAttempts = hasCounters ? question.totalAttempts : sampleSize;
+
+  const observed = totalAttempts > 0
+    ? calibrateItem({
+      correctAttempts,
+      totalAttempts,
+      labelledDifficulty: question.difficulty,
+      discrimination: question.irt?.discrimination,
+      priorWeight: 0
+    })
+    : null;
+
+  const item = {
+    questionId: question._id,
+    subject: question.subject,
+    questionType: question.questionType,
+    questionText: question.questionText,
+    isActive: question.isActive,
+    labelledDifficulty: question.difficulty,
+    sampleSize,
+    totalAttempts,
+    pValue: observed ? observed.pValue : null,
+    pointBiserial: round(pointBiserial(responses.map(r => r.correct), responses.map(r => r.theta))),
+    observedDifficulty: observed ? round(thetaToDifficulty(observed.b), 1) : null,
+    time: analyzeTimes(responses.map(r => r.time)),
+    distractors: question.questionType === 'multiple-choice' ? analyzeDistractors(question, responses) : null
+  };
+
+  return { ...item, ...classifyItem(item) };
+};
+
+/**
+ * Flag items whose median time is far from the rest of their subject
+ * (Tukey fences on the per-item medians).
+ * @param {Array<Object>} items - Item reports
+ */
+const flagSubjectTimeOutliers = (items) => {
+  const bySubject = {};
+  items.forEach(item => {
+    if (item.recommendation === 'insufficient_data' || item.time.median === null) return;
+    (bySubject[item.subject] = bySubject[item.subject] || []).push(item);
+  });
+
+  Object.values(bySubject).forEach(subjectItems => {
+    if (subjectItems.length < 4) return;
+    const sorted = subjectItems.map(i => i.time.median).sort((a, b) => a - b);
+    const q1 = quantile(sorted, 0.25);
+    const q3 = quantile(sorted, 0.75);
+    const iqr = q3 - q1;
+
+    subjectItems.forEach(item => {
+      let flag = null;
+      if (item.time.median > q3 + 1.5 * iqr) flag = 'slow_item';
+      else if (item.time.median < q1 - 1.5 * iqr) flag = 'fast_item';
+      if (!flag) return;
+
+      item.flags.push(flag);
+      if (item.recommendation === 'ok') item.recommendation = 'review';
+    });
+  });
+};
+
+/**
+ * Collect per-question responses from placement tests, each tagged with the
+ * test taker's ability estimate for that test.
+ * @param {Object} [options]
+ * @param {Date} [options.since] - Only use tests started after this date
+ * @returns {Promise<Map<string, Array<Object>>>} questionId -> responses
+ */
+const collectResponses = async ({ since } = {}) => {
+  const filter = { 'questions.isCorrect': { $in: [true, false] } };
+  if (since) filter.createdAt = { $gte: since };
+
+  const cursor = PlacementTest.find(filter)
+    .select('questions.questionId questions.difficulty questions.userAnswer questions.isCorrect questions.timeSpent questions.irtDiscrimination questions.irtDifficulty')
+    .lean()
+    .cursor();
+
+  const responses = new Map();
+
+  for await (const test of cursor) {
+    const answered = (test.questions || []).filter(q => q.questionId && typeof q.isCorrect === 'boolean');
+    if (answered.length === 0) continue;
+
+    // Tests taken before IRT calibration fall back to the labelled difficulty
+    const { theta } = estimateAbility(answered.map(q => ({
+      correct: q.isCorrect,
+      a: q.irtDiscrimination || 1,
+      b: typeof q.irtDifficulty === 'number' ? q.irtDifficulty : difficultyToTheta(q.difficulty || 5)
+    })));
+
+    answered.forEach(q => {
+      const key = q.questionId.toString();
+      if (!responses.has(key)) responses.set(key, []);
+      responses.get(key).push({
+        answer: q.userAnswer,
+        correct: q.isCorrect,
+        time: q.timeSpent,
+        theta
+      });
+    });
+  }
+
+  return responses;
+};
+
+/**
+ * Analyse the question bank.
+ * @param {Object} [options]
+ * @param {string} [options.subject] - Limit to one subject
+ * @param {Date} [options.since] - Only use tests started after this date
+ * @param {boolean} [options.includeInactive] - Also analyse retired questions
+ * @returns {Promise<{ summary: Object, items: Array<Object> }>}
+ */
+const analyzeQuestionBank = async ({ subject, since, includeInactive = false } = {}) => {
+  const filter = {};
+  if (subject) filter.subject = subject;
+  if (!includeInactive) filter.isActive = true;
+
+  const [questions, responses] = await Promise.all([
+    Question.find(filter)
+      .select('subject questionType questionText difficulty options correctAnswer correctAttempts totalAttempts irt isActive')
+      .lean(),
+    collectResponses({ since })
+  ]);
+
+  const items = questions.map(question => analyzeItem(question, responses.get(question._id.toString()) || []));
+  flagSubjectTimeOutliers(items);
+
+  const summary = {
+    totalQuestions: items.length,
+    analyzed: items.filter(i => i.recommendation !== 'insufficient_data').length,
+    byRecommendation: { ok: 0, review: 0, retire: 0, insufficient_data: 0 },
+    byFlag: {}
+  };
+  items.forEach(item => {
+    summary.byRecommendation[item.recommendation]++;
+    item.flags.forEach(flag => {
+      summary.byFlag[flag] = (summary.byFlag[flag] || 0) + 1;
+    });
+  });
+
+  return { summary, items };
+};
+
+/**
+ * Store item reports on the questions and feed the point-biserial back into
+ * the IRT discrimination used for adaptive item selection.
+ * @param {Array<Object>} items - Item reports from analyzeQuestionBank
+ * @returns {Promise<{ updated: number, recalibrated: number }>}
+ */
+const saveQualityReport = async (items) => {
+  const analyzedAt = new Date();
+  const recalibrate = [];
+
+  const operations = items.map(item => {
+    const update = {
+      quality: {
+        sampleSize: item.sampleSize,
+        pValue: item.pValue,
+        pointBiserial: item.pointBiserial,
+        observedDifficulty: item.observedDifficulty,
+        medianTimeSpent: item.time.median,
+        timeOutlierRate: item.time.outlierRate,
+        flags: item.flags,
+        recommendation: item.recommendation,
+        analyzedAt
+      }
+    };
+
+    if (item.recommendation !== 'insufficient_data' && item.pointBiserial !== null) {
+      update['irt.discrimination'] = round(discriminationFromPointBiserial(item.pointBiserial));
+      recalibrate.push(item.questionId);
+    }
+
+    return { updateOne: { filter: { _id: item.questionId }, update: { $set: update } } };
+  });
+
+  if (operations.length > 0) {
+    await Question.bulkWrite(operations, { ordered: false });
+  }
+
+  // Difficulty depends on discrimination, so re-estimate it with the new values
+  const { calibrated } = recalibrate.length > 0
+    ? await Question.calibrateItemParameters({ _id: { $in: recalibrate } })
+    : { calibrated: 0 };
+
+  return { updated: operations.length, recalibrated: calibrated };
+};
+
+/**
+ * Analyse the bank and persist the results (batch job entry point).
+ * @param {Object} [options] - Same as analyzeQuestionBank
+ * @returns {Promise<{ summary: Object, items: Array<Object>, updated: number, recalibrated: number }>}
+ */
+const runQualityAnalysis = async (options = {}) => {
+  const report = await analyzeQuestionBank(options);
+  const saved = await saveQualityReport(report.items);
+  return { ...report, ...saved };
+};
+
+module.exports = {
+  QUALITY_THRESHOLDS,
+  pointBiserial,
+  analyzeTimes,
+  analyzeDistractors,
+  analyzeItem,
+  analyzeQuestionBank,
+  saveQualityReport,
+  runQualityAnalysis
+};
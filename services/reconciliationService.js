@@ -0,0 +1,432 @@
+/**
+ * Finance Reconciliation
+ *
+ * Compares the payments ledger (services/ledgerService.js) for a period with
+ * what each provider reports and stores the result as a ReconciliationReport:
+ *   - Payme: the GetStatement output we return to Payme (buildPaymeStatement)
+ *   - Multicard: the store payment history API (fetchPaymentHistory)
+ * and also flags paid transactions that never extended the user's
+ * subscription (any provider, Click included), repeated payments by the same
+ * user, and Payme payments recorded twice on an Account (models/account.js).
+ * Click has no payment history API, so it is only covered by those checks.
+ *
+ * Provider records are fetched with a one-day margin before the period so a
+ * payment created late on one day and performed the next still matches.
+ *
+ * @module services/reconciliationService
+ */
+
+const User = require('../models/user');
+const Account = require('../models/account');
+const Refund = require('../models/refund');
+const LedgerEntry = require('../models/ledgerEntry');
+const PaymeTransaction = require('../models/paymeTransaction');
+const MulticardTransaction = require('../models/MulticardTransaction');
+const ClickTransaction = require('../models/clickTransaction');
+const ReconciliationReport = require('../models/reconciliationReport');
+const { buildPaymeStatement } = require('../controllers/paymentController');
+const { fetchPaymentHistory } = require('../controllers/multicardController');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PAYME_STATE_COMPLETED = 2;
+const PAYME_STATE_CANCELLED_AFTER_COMPLETE = -2;
+// Same user, same amount, within this window -> likely charged twice
+const DUPLICATE_WINDOW_MS = 10 * 60 * 1000;
+const MULTICARD_PAGE_SIZE = 100;
+const MULTICARD_MAX_PAGES = 50;
+const MAX_ISSUES = 1000;
+
+const inPeriod = (date, { from, to }) => !!date && date >= from && date < to;
+
+// Multicard expects local (Tashkent) time as "YYYY-MM-DD HH:mm:ss"
+const formatMulticardDate = (date) => new Date(date).toLocaleString('sv-SE', { timeZone: 'Asia/Tashkent' });
+
+// ----------------------------------------------------------------------------
+// Provider records, normalized to { externalId, amount, paidAt, refunded }
+// ----------------------------------------------------------------------------
+
+const loadPaymeRecords = async ({ from, to }) => {
+  const statement = await buildPaymeStatement(from.getTime() - DAY_MS, to.getTime());
+  return statement
+    .filter(tx => tx.state === PAYME_STATE_COMPLETED || (tx.state === PAYME_STATE_CANCELLED_AFTER_COMPLETE && tx.perform_time))
+    .map(tx => ({
+      externalId: tx.id,
+      amount: tx.amount,
+      paidAt: new Date(tx.perform_time),
+      refunded: tx.state === PAYME_STATE_CANCELLED_AFTER_COMPLETE
+    }));
+};
+
+const loadMulticardRecords = async ({ from, to }) => {
+  if (!process.env.MULTICARD_API_URL) {
+    throw new Error('MULTICARD_API_URL is not configured');
+  }
+  const storeId = process.env.MULTICARD_STORE_ID || '2660';
+
+  const payments = [];
+  for (let page = 0; page < MULTICARD_MAX_PAGES; page++) {
+    const response = await fetchPaymentHistory(storeId, {
+      offset: page * MULTICARD_PAGE_SIZE,
+      limit: MULTICARD_PAGE_SIZE,
+      startDate: formatMulticardDate(from.getTime() - DAY_MS),
+      endDate: formatMulticardDate(to)
+    });
+    if (!response.data?.success) {
+      throw new Error(response.data?.error?.details || 'Failed to get payment history');
+    }
+
+    const data = response.data.data;
+    const list = Array.isArray(data) ? data : (data?.list || []);
+    payments.push(...list);
+    if (list.length < MULTICARD_PAGE_SIZE) break;
+  }
+
+  // A reverted payment was paid first, so it counts as a payment plus a refund
+  return payments
+    .filter(p => p.status === 'success' || p.status === 'revert')
+    .map(p => ({
+      externalId: p.store_invoice_id,
+      uuid: p.uuid,
+      amount: Number(p.payment_amount ?? p.amount),
+      paidAt: p.payment_time ? new Date(p.payment_time) : null,
+      refunded: p.status === 'revert'
+    }));
+};
+
+// ----------------------------------------------------------------------------
+// Checks
+// ----------------------------------------------------------------------------
+
+/**
+ * Ledger vs. one provider's records.
+ * @returns {{ summary: Object, issues: Array<Object> }}
+ */
+const compareWithLedger = async (provider, records, period) => {
+  const externalIds = records.map(r => r.externalId).filter(Boolean);
+  const entries = await LedgerEntry.find({
+    provider,
+    $or: [
+      { externalId: { $in: externalIds } },
+      { kind: 'payment', occurredAt: { $gte: period.from, $lt: period.to } }
+    ]
+  }).lean();
+
+  const ledger = new Map();
+  for (const entry of entries) {
+    const item = ledger.get(entry.externalId) || {};
+    item[entry.kind] = entry;
+    ledger.set(entry.externalId, item);
+  }
+
+  const issues = [];
+  const summary = { providerPayments: 0, providerTotal: 0, ledgerPayments: 0, ledgerTotal: 0 };
+  const reported = new Set();
+
+  for (const record of records) {
+    reported.add(record.externalId);
+    if (!inPeriod(record.paidAt, period)) continue;
+
+    summary.providerPayments++;
+    summary.providerTotal += record.amount;
+
+    const { payment, refund } = ledger.get(record.externalId) || {};
+    if (!payment) {
+      issues.push({
+        type: 'missing_in_ledger',
+        provider,
+        externalId: record.externalId,
+        expected: { kind: 'payment', amount: record.amount },
+        detail: 'Paid at the provider, no ledger payment'
+      });
+    } else if (payment.amount !== record.amount) {
+      issues.push({
+        type: 'amount_mismatch',
+        provider,
+        externalId: record.externalId,
+        transactionId: payment.transactionId,
+        userId: payment.userId,
+        expected: record.amount,
+        actual: payment.amount,
+        detail: 'Ledger payment amount differs from the provider'
+      });
+    }
+
+    if (record.refunded && !refund) {
+      issues.push({
+        type: 'missing_in_ledger',
+        provider,
+        externalId: record.externalId,
+        transactionId: payment?.transactionId,
+        expected: { kind: 'refund', amount: record.amount },
+        detail: 'Refunded at the provider, no ledger refund'
+      });
+    }
+  }
+
+  for (const { payment } of ledger.values()) {
+    if (!payment || !inPeriod(payment.occurredAt, period)) continue;
+    summary.ledgerPayments++;
+    summary.ledgerTotal += payment.amount;
+
+    if (!reported.has(payment.externalId)) {
+      issues.push({
+        type: 'missing_at_provider',
+        provider,
+        externalId: payment.externalId,
+        transactionId: payment.transactionId,
+        userId: payment.userId,
+        actual: payment.amount,
+        detail: 'Ledger payment not reported by the provider'
+      });
+    }
+  }
+
+  return { summary, issues };
+};
+
+/**
+ * Paid in the period, but the user's subscription doesn't reach past the payment
+ * (subscription never activated, or the user doesn't exist). Refunded payments are skipped.
+ */
+const findOrphanedPayments = async (period) => {
+  const [payme, multicard, click] = await Promise.all([
+    PaymeTransaction.find({
+      state: PAYME_STATE_COMPLETED,
+      perform_time: { $gte: period.from, $lt: period.to }
+    }).select('paycom_transaction_id user_id metadata amount perform_time').lean(),
+    MulticardTransaction.find({
+      transactionType: { $ne: 'card_binding' },
+      status: 'paid',
+      paidAt: { $gte: period.from, $lt: period.to }
+    }).select('invoiceId userId firebaseUserId amount paidAt').lean(),
+    ClickTransaction.find({
+      status: 'paid',
+      paidAt: { $gte: period.from, $lt: period.to }
+    }).select('merchantTransId userId firebaseUserId amount paidAt').lean()
+  ]);
+
+  const payments = [
+    ...payme.map(tx => ({
+      provider: 'payme',
+      externalId: tx.paycom_transaction_id,
+      transactionId: tx._id,
+      firebaseId: tx.metadata?.account?.Login || tx.user_id,
+      amount: tx.amount,
+      paidAt: tx.perform_time
+    })),
+    ...multicard.map(tx => ({
+      provider: 'multicard',
+      externalId: tx.invoiceId,
+      transactionId: tx._id,
+      userObjectId: tx.userId,
+      firebaseId: tx.firebaseUserId,
+      amount: tx.amount,
+      paidAt: tx.paidAt
+    })),
+    ...click.map(tx => ({
+      provider: 'click',
+      externalId: tx.merchantTransId,
+      transactionId: tx._id,
+      userObjectId: tx.userId,
+      firebaseId: tx.firebaseUserId,
+      amount: tx.amount,
+      paidAt: tx.paidAt
+    }))
+  ];
+  if (payments.length === 0) return [];
+
+  const [users, refunds] = await Promise.all([
+    User.find({
+      $or: [
+        { _id: { $in: payments.map(p => p.userObjectId).filter(Boolean) } },
+        { firebaseId: { $in: payments.map(p => p.firebaseId).filter(Boolean) } }
+      ]
+    }).select('_id firebaseId subscriptionExpiryDate').lean(),
+    Refund.find({
+      transactionId: { $in: payments.map(p => p.transactionId) },
+      status: { $ne: 'failed' }
+    }).select('transactionId').lean()
+  ]);
+
+  const byObjectId = new Map(users.map(u => [String(u._id), u]));
+  const byFirebaseId = new Map(users.map(u => [u.firebaseId, u]));
+  const refunded = new Set(refunds.map(r => String(r.transactionId)));
+
+  const issues = [];
+  for (const payment of payments) {
+    if (refunded.has(String(payment.transactionId))) continue;
+
+    const user = (payment.userObjectId && byObjectId.get(String(payment.userObjectId)))
+      || byFirebaseId.get(payment.firebaseId);
+    const expiry = user?.subscriptionExpiryDate;
+    if (user && expiry && new Date(expiry) > new Date(payment.paidAt)) continue;
+
+    issues.push({
+      type: 'orphaned_payment',
+      provider: payment.provider,
+      externalId: payment.externalId,
+      transactionId: payment.transactionId,
+      userId: user?.firebaseId || payment.firebaseId,
+      actual: { subscriptionExpiryDate: expiry || null },
+      detail: user ? 'Paid, but the subscription was not extended' : 'Paid, but the user does not exist'
+    });
+  }
+  return issues;
+};
+
+/**
+ * Repeated payments: the same user paying the same amount within
+ * DUPLICATE_WINDOW_MS (any provider), and Payme payments completed twice on an Account.
+ */
+const findDuplicates = async (period) => {
+  const issues = [];
+
+  const payments = await LedgerEntry.find({
+    kind: 'payment',
+    occurredAt: { $gte: period.from, $lt: period.to },
+    userId: { $ne: null }
+  }).sort({ userId: 1, occurredAt: 1 }).lean();
+
+  for (let i = 1; i < payments.length; i++) {
+    const previous = payments[i - 1];
+    const current = payments[i];
+    if (current.userId === previous.userId
+      && current.amount === previous.amount
+      && current.occurredAt - previous.occurredAt <= DUPLICATE_WINDOW_MS) {
+      issues.push({
+        type: 'duplicate_payment',
+        provider: current.provider,
+        externalId: current.externalId,
+        transactionId: current.transactionId,
+        userId: current.userId,
+        expected: { externalId: previous.externalId, provider: previous.provider },
+        actual: current.amount,
+        detail: `Same amount paid again within ${DUPLICATE_WINDOW_MS / 60000} minutes`
+      });
+    }
+  }
+
+  const accountDuplicates = await Account.aggregate([
+    { $unwind: '$transactions' },
+    {
+      $match: {
+        'transactions.status': 'completed',
+        'transactions.paymeTransactionId': { $ne: null },
+        'transactions.timestamp': { $gte: period.from, $lt: period.to }
+      }
+    },
+    {
+      $group: {
+        _id: '$transactions.paymeTransactionId',
+        count: { $sum: 1 },
+        accounts: { $addToSet: '$accountNumber' }
+      }
+    },
+    { $match: { count: { $gt: 1 } } }
+  ]);
+
+  for (const duplicate of accountDuplicates) {
+    issues.push({
+      type: 'duplicate_payment',
+      provider: 'account',
+      externalId: duplicate._id,
+      actual: duplicate.count,
+      detail: `Payme transaction completed ${duplicate.count} times on account(s) ${duplicate.accounts.join(', ')}`
+    });
+  }
+
+  return issues;
+};
+
+// ----------------------------------------------------------------------------
+// Runs
+// ----------------------------------------------------------------------------
+
+/**
+ * Reconcile [from, to) and store the report.
+ * @param {Object} options
+ * @param {Date} options.from
+ * @param {Date} options.to
+ * @param {'scheduled'|'manual'} [options.trigger='manual']
+ * @param {string} [options.requestedBy]
+ * @returns {Promise<Object>} ReconciliationReport document
+ */
+const runReconciliation = async ({ from, to, trigger = 'manual', requestedBy }) => {
+  const period = { from, to };
+  const report = await ReconciliationReport.create({
+    periodStart: from,
+    periodEnd: to,
+    trigger,
+    requestedBy
+  });
+
+  try {
+    const issues = [];
+    const summary = {};
+
+    const providers = { payme: loadPaymeRecords, multicard: loadMulticardRecords };
+    for (const [provider, load] of Object.entries(providers)) {
+      try {
+        const records = await load(period);
+        const result = await compareWithLedger(provider, records, period);
+        summary[provider] = result.summary;
+        issues.push(...result.issues);
+      } catch (error) {
+        console.error(`❌ Reconciliation: ${provider} check failed:`, error.message);
+        summary[provider] = { error: error.message };
+      }
+    }
+
+    issues.push(...await findOrphanedPayments(period));
+    issues.push(...await findDuplicates(period));
+
+    const issueCounts = {};
+    for (const issue of issues) {
+      issueCounts[issue.type] = (issueCounts[issue.type] || 0) + 1;
+    }
+
+    const providerFailed = Object.values(summary).some(s => s.error);
+    report.summary = { ...summary, issueCounts };
+    report.issues = issues.slice(0, MAX_ISSUES);
+    report.status = issues.length > 0 ? 'issues' : (providerFailed ? 'failed' : 'clean');
+    if (providerFailed) report.error = 'One or more providers could not be checked';
+  } catch (error) {
+    report.status = 'failed';
+    report.error = error.message;
+  }
+
+  report.finishedAt = new Date();
+  await report.save();
+  return report;
+};
+
+/**
+ * Reconcile the previous UTC day once (scheduled job entry point).
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} short summary for the job log
+ */
+const runDailyReconciliation = async ({ now = new Date() } = {}) => {
+  const to = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const from = new Date(to.getTime() - DAY_MS);
+
+  const existing = await ReconciliationReport.findOne({
+    periodStart: from,
+    trigger: 'scheduled',
+    status: { $ne: 'failed' }
+  });
+  if (existing) return { skipped: true, reportId: existing._id };
+
+  const report = await runReconciliation({ from, to, trigger: 'scheduled' });
+  return {
+    reportId: report._id,
+    status: report.status,
+    issues: report.issues.length
+  };
+};
+
+module.exports = {
+  formatMulticardDate,
+  runReconciliation,
+  runDailyReconciliation
+};
@@ -0,0 +1,359 @@
+/**
+ * Referrals
+ *
+ * Every user gets a referral code (created on first request) and a link
+ * `${FRONTEND_URL}/?ref=CODE`. The frontend passes the code as
+ * `referralCode` to POST /api/users/save right after sign-up, which
+ * attributes the new account to the referrer (models/referral.js).
+ *
+ * When the referred user's first payment for at least MIN_QUALIFYING_DAYS of
+ * subscription goes through (model post-save hooks), the referrer is credited
+ * REFERRER_REWARD_DAYS extra subscription days with the 'referral'
+ * subscription source. Shorter plans (the 1-day pass) leave the referral pending.
+ *
+ * Fraud checks, each recorded as a flag on the referral:
+ *   same_ip / same_device - the new account signed up from an IP or device the
+ *                           referrer recently signed in from
+ *   same_card             - the qualifying Multicard payment used a card the
+ *                           referrer has bound or paid with
+ *   reward_cap            - the referrer already got MAX_REWARDS_PER_MONTH
+ *                           rewards in the last 30 days
+ * A flagged referral is not rewarded until an admin approves it.
+ *
+ * @module services/referralService
+ */
+
+const crypto = require('crypto');
+const User = require('../models/user');
+const Referral = require('../models/referral');
+const MulticardTransaction = require('../models/MulticardTransaction');
+const { describeTransaction } = require('./paymentProviders');
+const { getDurationForPayment } = require('../config/subscriptionConfig');
+const httpError = require('../utils/httpError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const REFERRER_REWARD_DAYS = 14;
+// A payment must buy at least this much subscription to earn the reward
+const MIN_QUALIFYING_DAYS = 30;
+// How long after account creation a referral code is still accepted
+const ATTRIBUTION_WINDOW_DAYS = 7;
+const MAX_REWARDS_PER_MONTH = 10;
+const FINGERPRINTS_KEPT = 10;
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O, 1/I
+const CODE_LENGTH = 8;
+
+const hash = (value) => (value
+  ? crypto.createHash('sha256').update(String(value)).digest('hex').slice(0, 32)
+  : null);
+
+/**
+ * Hashed client IP and device of a request. The IP is Express' req.ip, which
+ * only honours X-Forwarded-For from the proxies trusted in server.js. The
+ * device is the frontend's `X-Device-Id` header, falling back to the user agent.
+ * @returns {{ ipHash: string|null, deviceHash: string|null }}
+ */
+const fingerprint = (req) => {
+  const ip = req.ip;
+  const device = req.get('x-device-id') || req.get('user-agent');
+  return { ipHash: hash(ip), deviceHash: hash(device) };
+};
+
+/**
+ * Remember the request's fingerprint on the user (last FINGERPRINTS_KEPT sign-ins).
+ */
+const recordSignIn = (user, req) => User.updateOne(
+  { _id: user._id },
+  {
+    $push: {
+      signInFingerprints: {
+        $each: [{ ...fingerprint(req), seenAt: new Date() }],
+        $slice: -FINGERPRINTS_KEPT
+      }
+    }
+  }
+);
+
+const randomCode = () => Array.from(crypto.randomBytes(CODE_LENGTH))
+  .map(byte => CODE_ALPHABET[byte % CODE_ALPHABET.length])
+  .join('');
+
+const buildReferralLink = (code) => `${process.env.FRONTEND_URL || 'https://aced.live'}/?ref=${code}`;
+
+/**
+ * The user's referral code, generating one the first time.
+ * @returns {Promise<string>}
+ */
+const getOrCreateCode = async (user) => {
+  if (user.referralCode) return user.referralCode;
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const code = randomCode();
+    try {
+      const updated = await User.findOneAndUpdate(
+        { _id: user._id, referralCode: null },
+        { $set: { referralCode: code } },
+        { new: true }
+      );
+      // Null when a parallel request set the code first
+      const saved = updated ? updated.referralCode : (await User.findById(user._id).select('referralCode')).referralCode;
+      user.referralCode = saved;
+      return saved;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  throw new Error('Failed to generate a unique referral code');
+};
+
+/**
+ * Attribute a freshly signed-up user to the owner of `code`.
+ * Never throws for a bad code: the sign-up itself must not fail.
+ * @returns {Promise<{ attributed: boolean, reason?: string }>}
+ */
+const attributeSignup = async (user, code, req) => {
+  const normalized = typeof code === 'string' ? code.trim().toUpperCase() : '';
+  if (!normalized) return { attributed: false, reason: 'Invalid referral code' };
+
+  if (user.referredBy) return { attributed: false, reason: 'Already referred' };
+  if (user.lastPaymentDate) return { attributed: false, reason: 'Referral codes are for new users only' };
+  if (Date.now() - new Date(user.createdAt).getTime() > ATTRIBUTION_WINDOW_DAYS * DAY_MS) {
+    return { attributed: false, reason: 'Referral codes are for new users only' };
+  }
+
+  const referrer = await User.findOne({ referralCode: normalized })
+    .select('firebaseId signInFingerprints');
+  if (!referrer) return { attributed: false, reason: 'Invalid referral code' };
+  if (referrer.firebaseId === user.firebaseId) {
+    return { attributed: false, reason: 'You cannot use your own referral code' };
+  }
+
+  const signup = fingerprint(req);
+  const known = referrer.signInFingerprints || [];
+  const fraudFlags = [];
+  if (signup.ipHash && known.some(f => f.ipHash === signup.ipHash)) {
+    fraudFlags.push({ type: 'same_ip', detail: 'Signed up from an IP the referrer uses' });
+  }
+  if (signup.deviceHash && known.some(f => f.deviceHash === signup.deviceHash)) {
+    fraudFlags.push({ type: 'same_device', detail: 'Signed up from a device the referrer uses' });
+  }
+
+  // Claim referredBy first so two parallel saves can't attribute twice
+  const claimed = await User.updateOne(
+    { _id: user._id, referredBy: null },
+    { $set: { referredBy: referrer.firebaseId } }
+  );
+  if (claimed.modifiedCount === 0) return { attributed: false, reason: 'Already referred' };
+  user.referredBy = referrer.firebaseId;
+
+  await Referral.create({
+    referrerId: referrer.firebaseId,
+    referredId: user.firebaseId,
+    code: normalized,
+    signup,
+    fraudFlags
+  });
+
+  return { attributed: true };
+};
+
+// Firebase UID of whoever paid for a provider transaction, if it's a completed payment
+const paidBy = async (payment) => {
+  if (payment.status !== 'paid') return null;
+  if (payment.userObjectId) {
+    if (payment.userFirebaseId) return payment.userFirebaseId;
+    const user = await User.findById(payment.userObjectId).select('firebaseId');
+    return user?.firebaseId || null;
+  }
+  // Payme's account.Login is usually the Firebase UID, but older checkouts sent User.Login
+  const login = payment.userFirebaseId;
+  if (!login) return null;
+  const user = await User.findOne({ $or: [{ firebaseId: login }, { Login: login }] }).select('firebaseId');
+  return user?.firebaseId || null;
+};
+
+const cardFlags = async (referrer, transaction) => {
+  const { cardToken, cardPan } = transaction;
+  if (!cardToken && !cardPan) return [];
+
+  const savedMatch = (referrer.savedCards || []).some(card =>
+    (cardToken && card.cardToken === cardToken) || (cardPan && card.cardPan === cardPan));
+  const paidMatch = savedMatch || await MulticardTransaction.exists({
+    userId: referrer._id,
+    $or: [cardToken && { cardToken }, cardPan && { cardPan }].filter(Boolean)
+  });
+
+  return paidMatch ? [{ type: 'same_card', detail: `Paid with the referrer's card ${cardPan || ''}`.trim() }] : [];
+};
+
+/**
+ * Credit the referrer. The extra days extend an active subscription (keeping
+ * its plan and duration tier) or start a pro subscription.
+ */
+const grantReward = async (referral, { reviewedBy = null, reviewNote = '' } = {}) => {
+  const referrer = await User.findOne({ firebaseId: referral.referrerId });
+  if (!referrer) throw httpError(404, 'Referrer not found');
+
+  const active = referrer.hasActiveSubscription();
+  await referrer.grantSubscription(
+    active ? referrer.subscriptionPlan : 'pro',
+    REFERRER_REWARD_DAYS,
+    'referral',
+    active ? referrer.subscriptionDuration : null
+  );
+
+  referral.status = 'rewarded';
+  referral.rewardDays = REFERRER_REWARD_DAYS;
+  referral.rewardedAt = new Date();
+  if (reviewedBy) {
+    referral.reviewedBy = reviewedBy;
+    referral.reviewNote = reviewNote;
+  }
+  await referral.save();
+  return referral;
+};
+
+/**
+ * Reward the referrer once the referred user's first payment completes.
+ * @param {string} provider - 'payme' | 'multicard' | 'click'
+ * @param {Object} transaction - the provider's transaction document
+ * @returns {Promise<Object|null>} the referral, if this payment qualified one
+ */
+const handlePayment = async (provider, transaction) => {
+  const payment = describeTransaction(provider, transaction);
+  const firebaseId = await paidBy(payment);
+  if (!firebaseId) return null;
+  if (getDurationForPayment(payment.amount, payment.tierId).durationDays < MIN_QUALIFYING_DAYS) return null;
+
+  // Only the first payment qualifies: claim the pending referral atomically
+  const referral = await Referral.findOneAndUpdate(
+    { referredId: firebaseId, status: 'pending' },
+    {
+      $set: {
+        status: 'qualified',
+        qualifyingPayment: {
+          provider,
+          transactionId: transaction._id,
+          amount: payment.amount,
+          paidAt: payment.paidAt || new Date()
+        }
+      }
+    },
+    { new: true }
+  );
+  if (!referral) return null;
+
+  const referrer = await User.findOne({ firebaseId: referral.referrerId }).select('savedCards');
+  if (referrer && provider === 'multicard') {
+    referral.fraudFlags.push(...await cardFlags(referrer, transaction));
+  }
+
+  const recentRewards = await Referral.countDocuments({
+    referrerId: referral.referrerId,
+    status: 'rewarded',
+    rewardedAt: { $gte: new Date(Date.now() - 30 * DAY_MS) }
+  });
+  if (recentRewards >= MAX_REWARDS_PER_MONTH) {
+    referral.fraudFlags.push({ type: 'reward_cap', detail: `${recentRewards} rewards in the last 30 days` });
+  }
+
+  if (referral.fraudFlags.length > 0) {
+    referral.status = 'flagged';
+    await referral.save();
+    console.warn(`⚠️ Referral ${referral._id} flagged: ${referral.fraudFlags.map(f => f.type).join(', ')}`);
+    return referral;
+  }
+
+  return grantReward(referral);
+};
+
+// For model hooks: a failure here must not fail the provider webhook
+const handlePaymentQuietly = (provider, transaction) => handlePayment(provider, transaction).catch(error => {
+  console.error(`❌ Referral reward failed for ${provider} transaction ${transaction._id}:`, error.message);
+  return null;
+});
+
+/**
+ * Admin decision on a flagged (or stuck qualified) referral.
+ * @param {string} referralId
+ * @param {'approve'|'reject'} decision
+ */
+const reviewReferral = async (referralId, decision, { reviewedBy, note = '' }) => {
+  const referral = await Referral.findById(referralId).catch(() => null);
+  if (!referral) throw httpError(404, 'Referral not found');
+
+  if (decision === 'approve') {
+    if (!['flagged', 'qualified'].includes(referral.status)) {
+      throw httpError(409, `Only flagged or qualified referrals can be approved (status: ${referral.status})`);
+    }
+    return grantReward(referral, { reviewedBy, reviewNote: note });
+  }
+
+  if (['rewarded', 'rejected'].includes(referral.status)) {
+    throw httpError(409, `Referral is already ${referral.status}`);
+  }
+  referral.status = 'rejected';
+  referral.reviewedBy = reviewedBy;
+  referral.reviewNote = note;
+  await referral.save();
+  return referral;
+};
+
+// "Aziz K." style names for the referrer's dashboard
+const maskName = (user) => {
+  const parts = String(user?.name || '').trim().split(/\s+/).filter(Boolean);
+  if (parts.length === 0) return 'New user';
+  return parts.length > 1 ? `${parts[0]} ${parts[1][0]}.` : parts[0];
+};
+
+/**
+ * The referrer's view: link, totals and the invited users.
+ */
+const getDashboard = async (user) => {
+  const code = await getOrCreateCode(user);
+  const referrals = await Referral.find({ referrerId: user.firebaseId })
+    .sort({ createdAt: -1 })
+    .limit(200)
+    .lean();
+
+  const referredUsers = await User.find({ firebaseId: { $in: referrals.map(r => r.referredId) } })
+    .select('firebaseId name')
+    .lean();
+  const byId = new Map(referredUsers.map(u => [u.firebaseId, u]));
+
+  const count = (...statuses) => referrals.filter(r => statuses.includes(r.status)).length;
+
+  return {
+    code,
+    link: buildReferralLink(code),
+    rewardDaysPerReferral: REFERRER_REWARD_DAYS,
+    stats: {
+      invited: referrals.length,
+      awaitingPayment: count('pending'),
+      underReview: count('qualified', 'flagged'),
+      rewarded: count('rewarded'),
+      rejected: count('rejected'),
+      daysEarned: referrals.reduce((sum, r) => sum + (r.rewardDays || 0), 0)
+    },
+    referrals: referrals.map(r => ({
+      name: maskName(byId.get(r.referredId)),
+      status: r.status === 'qualified' || r.status === 'flagged' ? 'under_review' : r.status,
+      joinedAt: r.createdAt,
+      rewardDays: r.rewardDays,
+      rewardedAt: r.rewardedAt
+    }))
+  };
+};
+
+module.exports = {
+  REFERRER_REWARD_DAYS,
+  fingerprint,
+  recordSignIn,
+  buildReferralLink,
+  getOrCreateCode,
+  attributeSignup,
+  handlePayment,
+  handlePaymentQuietly,
+  reviewReferral,
+  getDashboard
+};
@@ -0,0 +1,287 @@
+/**
+ * Refunds
+ *
+ * One admin flow for refunding a subscription payment made through any
+ * payment provider (services/paymentProviders):
+ *   - full: the whole payment is returned and every day it bought that is
+ *     still left is taken off the subscription
+ *   - partial: only the unused days are returned, pro-rated from the payment
+ *     amount (amount * unusedDays / paidDays), and those days are removed
+ *
+ * The subscription is revoked when nothing would be left, otherwise shortened.
+ * Each provider's adapter decides how a refund settles (refundSettlement):
+ * Click refunds and full Multicard refunds go through the provider's API.
+ * Payme only lets the merchant cancel a payment from its cabinet, and
+ * Multicard's API has no partial refund, so those refunds are recorded as
+ * `pending_settlement` and an admin marks them settled once the money has
+ * been returned.
+ *
+ * Every refund is written to models/refund.js before anything is changed, and
+ * a payment with an open refund cannot be refunded again (a unique index
+ * on open refunds settles concurrent requests). Completed refunds
+ * are posted to the payments ledger (services/ledgerService.js).
+ *
+ * @module services/refundService
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/user');
+const Refund = require('../models/refund');
+const { getDurationForPayment } = require('../config/subscriptionConfig');
+const { PROVIDER_NAMES, getProvider } = require('./paymentProviders');
+const { recordRefund } = require('./ledgerService');
+const httpError = require('../utils/httpError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const snapshot = (user) => ({
+  plan: user.subscriptionPlan,
+  expiryDate: user.subscriptionExpiryDate,
+  source: user.subscriptionSource
+});
+
+/**
+ * Find a payment by provider reference (our order id or the provider's id)
+ * or by document _id, in every provider's collection.
+ * @param {string} reference
+ * @param {string} [provider] - 'payme' | 'multicard' | 'click' to search only one
+ * @returns {Promise<Object|null>} describe() view plus { transaction, isPaid }
+ */
+const findPayment = async (reference, provider) => {
+  const isObjectId = mongoose.Types.ObjectId.isValid(reference);
+
+  for (const name of provider ? [provider] : PROVIDER_NAMES) {
+    const adapter = getProvider(name);
+    if (!adapter) continue;
+
+    const transaction = await adapter.findTransaction(reference)
+      || (isObjectId ? await adapter.model.findById(reference) : null);
+    if (transaction) {
+      const payment = adapter.describe(transaction);
+      return { ...payment, transaction, isPaid: payment.status === 'paid' };
+    }
+  }
+
+  return null;
+};
+
+const findPaymentUser = async (payment) => {
+  if (payment.userObjectId) {
+    const user = await User.findById(payment.userObjectId);
+    if (user) return user;
+  }
+  return payment.userFirebaseId ? User.findOne({ firebaseId: payment.userFirebaseId }) : null;
+};
+
+/**
+ * Work out what a refund would return and how the subscription changes.
+ * The days a payment bought come from its amount (config/subscriptionConfig.js);
+ * unused days are capped by what is left on the subscription.
+ * @param {Object} payment - from findPayment
+ * @param {Object} user
+ * @param {Object} options
+ * @param {'full'|'partial'} options.type
+ * @param {number} [options.amount] - override for a partial refund (tiyin, up to the payment amount)
+ * @param {Date} [options.now]
+ */
+const calculateRefund = (payment, user, { type, amount, now = new Date() }) => {
+  const { durationDays: paidDays } = getDurationForPayment(payment.amount, payment.tierId);
+  const expiry = user?.subscriptionExpiryDate;
+  const remainingDays = expiry && expiry > now ? (expiry - now) / DAY_MS : 0;
+  const unusedDays = Math.min(paidDays, Math.floor(remainingDays));
+
+  let refundAmount;
+  let removedDays;
+  if (type === 'full') {
+    refundAmount = payment.amount;
+    removedDays = Math.min(paidDays, remainingDays);
+  } else {
+    refundAmount = amount !== undefined
+      ? Math.min(payment.amount, Math.max(0, Math.round(Number(amount))))
+      : Math.floor(payment.amount * unusedDays / paidDays);
+    removedDays = unusedDays;
+  }
+
+  let subscriptionAction = 'none';
+  if (removedDays > 0) {
+    subscriptionAction = removedDays >= remainingDays ? 'revoked' : 'shortened';
+  }
+
+  return {
+    type,
+    paymentAmount: payment.amount,
+    amount: refundAmount,
+    paidDays,
+    unusedDays,
+    removedDays,
+    subscriptionAction,
+    expiryAfter: subscriptionAction === 'shortened'
+      ? new Date(expiry.getTime() - removedDays * DAY_MS)
+      : (subscriptionAction === 'revoked' ? null : expiry || null),
+    settlement: getProvider(payment.provider).refundSettlement(type)
+  };
+};
+
+const loadRefundable = async (reference, provider) => {
+  const payment = await findPayment(reference, provider);
+  if (!payment) throw httpError(404, 'Payment not found');
+  if (!payment.isPaid) throw httpError(409, 'Only completed payments can be refunded');
+
+  const open = await Refund.findOpenForTransaction(payment.transaction._id);
+  if (open) throw httpError(409, `Payment already has a ${open.status} refund (${open._id})`);
+
+  const user = await findPaymentUser(payment);
+  if (!user) throw httpError(404, 'User for this payment not found');
+
+  return { payment, user };
+};
+
+const validateType = (type) => {
+  if (!['full', 'partial'].includes(type)) {
+    throw httpError(400, "type must be 'full' or 'partial'");
+  }
+};
+
+/**
+ * Dry run: what refundPayment would do, without changing anything.
+ * @param {string} reference
+ * @param {Object} options - { provider?, type, amount? }
+ */
+const previewRefund = async (reference, { provider, type = 'partial', amount } = {}) => {
+  validateType(type);
+  const { payment, user } = await loadRefundable(reference, provider);
+  const plan = calculateRefund(payment, user, { type, amount });
+
+  return {
+    provider: payment.provider,
+    reference: payment.reference,
+    transactionId: payment.transaction._id,
+    userId: user.firebaseId,
+    paidAt: payment.paidAt,
+    subscriptionBefore: snapshot(user),
+    ...plan
+  };
+};
+
+// Shortening reuses grantSubscription with negative days so Firebase claims stay in sync
+const applySubscriptionChange = async (user, plan) => {
+  if (plan.subscriptionAction === 'revoked') {
+    await user.revokeSubscription();
+  } else if (plan.subscriptionAction === 'shortened') {
+    await user.grantSubscription(
+      user.subscriptionPlan,
+      -plan.removedDays,
+      user.subscriptionSource,
+      user.subscriptionDuration
+    );
+  }
+};
+
+/**
+ * Refund a payment and adjust the subscription it paid for.
+ * @param {string} reference - provider reference or transaction _id
+ * @param {Object} options
+ * @param {'full'|'partial'} options.type
+ * @param {string} options.reason
+ * @param {string} options.adminId - Firebase UID of the admin
+ * @param {string} [options.provider]
+ * @param {number} [options.amount] - partial refund override (tiyin)
+ * @returns {Promise<Object>} Refund document
+ */
+const refundPayment = async (reference, { type, reason, adminId, provider, amount }) => {
+  validateType(type);
+  if (!reason || !String(reason).trim()) throw httpError(400, 'reason is required');
+
+  const { payment, user } = await loadRefundable(reference, provider);
+  const adapter = getProvider(payment.provider);
+  const plan = calculateRefund(payment, user, { type, amount });
+  if (plan.amount <= 0) {
+    throw httpError(400, 'Nothing to refund: the subscription has no unused days left from this payment');
+  }
+
+  const refund = new Refund({
+    provider: payment.provider,
+    transactionId: payment.transaction._id,
+    providerReference: payment.reference,
+    userId: user.firebaseId,
+    type,
+    paymentAmount: plan.paymentAmount,
+    amount: plan.amount,
+    paidDays: plan.paidDays,
+    unusedDays: plan.unusedDays,
+    removedDays: plan.removedDays,
+    subscriptionBefore: snapshot(user),
+    settlement: plan.settlement,
+    reason: String(reason).trim(),
+    requestedBy: adminId
+  });
+  try {
+    await refund.save();
+  } catch (error) {
+    // Another refund of this payment was opened since loadRefundable checked
+    if (error.code === 11000) throw httpError(409, 'Payment already has an open refund');
+    throw error;
+  }
+
+  if (plan.settlement === 'provider_api') {
+    try {
+      refund.providerResponse = await adapter.refund(payment.transaction, { type, amount: plan.amount });
+    } catch (error) {
+      refund.status = 'failed';
+      refund.error = error.response?.data?.error?.details || error.message;
+      await refund.save();
+      throw httpError(502, `Provider refund failed: ${refund.error}`);
+    }
+  }
+
+  await applySubscriptionChange(user, plan);
+
+  refund.subscriptionAction = plan.subscriptionAction;
+  refund.subscriptionAfter = snapshot(user);
+  if (plan.settlement === 'provider_api') {
+    refund.status = 'completed';
+    refund.completedAt = new Date();
+  } else {
+    refund.status = 'pending_settlement';
+  }
+  await refund.save();
+
+  if (refund.status === 'completed') {
+    // Ledger first, so the entry carries refundId rather than coming from the status change
+    await recordRefund(refund);
+    // A partial refund leaves the payment itself paid
+    if (type === 'full') await adapter.markRefunded(payment.transaction, refund.completedAt);
+  }
+
+  return refund;
+};
+
+/**
+ * Mark a manual refund as paid out.
+ * @param {string} refundId
+ * @param {Object} options - { adminId, note? }
+ */
+const settleRefund = async (refundId, { adminId, note }) => {
+  const refund = mongoose.Types.ObjectId.isValid(refundId) ? await Refund.findById(refundId) : null;
+  if (!refund) throw httpError(404, 'Refund not found');
+  if (refund.status !== 'pending_settlement') {
+    throw httpError(409, `Refund is ${refund.status}, not pending settlement`);
+  }
+
+  refund.status = 'completed';
+  refund.completedAt = new Date();
+  refund.settledBy = adminId;
+  refund.settlementNote = note;
+  await refund.save();
+  await recordRefund(refund);
+
+  return refund;
+};
+
+module.exports = {
+  findPayment,
+  calculateRefund,
+  previewRefund,
+  refundPayment,
+  settleRefund
+};
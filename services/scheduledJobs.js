@@ -0,0 +1,111 @@
+/**
+ * Scheduled Jobs
+ *
+ * Every recurring background job the API runs, registered with the
+ * Mongo-backed scheduler (services/jobScheduler.js). Called once from
+ * server.js after the HTTP server starts.
+ *
+ * @module services/scheduledJobs
+ */
+
+const { defineJob, startScheduler } = require('./jobScheduler');
+const { reconcileAllSubscriptions } = require('../middlewares/subscriptionMiddleware');
+const { processAutoRenewals } = require('./autoRenewService');
+const { runLifecycleNotifications } = require('./subscriptionLifecycleService');
+const { sendWeeklyDigests } = require('./parentReportService');
+const { runDailyReconciliation } = require('./reconciliationService');
+const { getUsdUzsRate } = require('./exchangeRateService');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const registerJobs = () => {
+  // Expire overdue subscriptions, activate paid-but-inactive users
+  defineJob('subscription-reconcile', {
+    interval: HOUR_MS,
+    initialDelay: 10 * 1000,
+    handler: async () => {
+      const stats = await reconcileAllSubscriptions();
+      if (stats.fixed > 0) {
+        console.log(`📅 Reconciled ${stats.fixed} subscription(s) — expired: ${stats.expired}, activated: ${stats.activated}`);
+      }
+      return stats;
+    }
+  });
+
+  // Charge bound cards for subscriptions with auto-renew on
+  defineJob('subscription-auto-renew', {
+    interval: HOUR_MS,
+    initialDelay: 2 * MINUTE_MS,
+    handler: async () => {
+      const stats = await processAutoRenewals();
+      if (stats.due > 0) {
+        console.log(`🔁 Auto-renew — charged: ${stats.charged}, pending: ${stats.pending}, retry: ${stats.retry}, disabled: ${stats.disabled}, errors: ${stats.errors}`);
+      }
+      return stats;
+    }
+  });
+
+  // Expiry warnings (7/3/1 days), grace notices and win-back offers
+  defineJob('subscription-lifecycle-notifications', {
+    interval: HOUR_MS,
+    initialDelay: 5 * MINUTE_MS,
+    handler: async () => {
+      const stats = await runLifecycleNotifications();
+      const sent = stats.expiryWarnings.sent + stats.graceNotices.sent + stats.winBack.sent;
+      if (sent > 0) {
+        console.log(`📬 Lifecycle notices — warnings: ${stats.expiryWarnings.sent}, grace: ${stats.graceNotices.sent}, win-back: ${stats.winBack.sent}`);
+      }
+      return stats;
+    }
+  });
+
+  // Each link is sent at most once a week; checking every 6 hours keeps delivery close to schedule
+  defineJob('parent-weekly-digests', {
+    interval: 6 * HOUR_MS,
+    initialDelay: 15 * MINUTE_MS,
+    handler: async () => {
+      const stats = await sendWeeklyDigests();
+      if (stats.sent > 0 || stats.failed > 0) {
+        console.log(`👪 Parent digests — sent: ${stats.sent}, skipped: ${stats.skipped}, failed: ${stats.failed}`);
+      }
+      return stats;
+    }
+  });
+
+  // Ledger vs. Payme / Multicard for the previous day; the report is stored once per day
+  defineJob('payments-reconciliation', {
+    interval: 6 * HOUR_MS,
+    initialDelay: 20 * MINUTE_MS,
+    handler: async () => {
+      const result = await runDailyReconciliation();
+      if (!result.skipped) {
+        console.log(`🧾 Payments reconciliation — ${result.status}, issues: ${result.issues}`);
+      }
+      return result;
+    }
+  });
+
+  // USD/UZS history, so payments and fallbacks always have a recent stored rate
+  defineJob('exchange-rate-snapshot', {
+    interval: HOUR_MS,
+    initialDelay: 30 * 1000,
+    handler: async () => {
+      const current = await getUsdUzsRate({ refresh: true });
+      if (current.stale) {
+        console.warn(`💱 Exchange rate APIs unavailable, last stored rate ${current.rate} from ${current.updatedAt}`);
+      }
+      return { rate: current.rate, source: current.source, stale: current.stale };
+    }
+  });
+};
+
+const startScheduledJobs = () => {
+  registerJobs();
+  startScheduler();
+};
+
+module.exports = {
+  registerJobs,
+  startScheduledJobs
+};
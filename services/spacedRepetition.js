@@ -0,0 +1,245 @@
+/**
+ * Spaced Repetition Scheduler for Vocabulary Review
+ *
+ * SM-2 style scheduler (per-card ease factor, graded answers, lapses) combined
+ * with an FSRS-style memory model: every card carries a stability S (days until
+ * recall probability drops to 90%) and its retrievability R(t) is estimated
+ * from the power forgetting curve R = (1 + t / (9 * S))^-1.
+ *
+ * The scheduler is pure: it takes the current card state and a grade and
+ * returns the next state. Persisting it is up to the caller.
+ *
+ * @module services/spacedRepetition
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Graded responses. Numeric values follow Anki / FSRS conventions.
+ */
+const GRADES = {
+  AGAIN: 1,
+  HARD: 2,
+  GOOD: 3,
+  EASY: 4
+};
+
+const SCHEDULER_SETTINGS = {
+  INITIAL_EASE: 2.5,
+  MIN_EASE: 1.3,
+  MAX_EASE: 3.5,
+  EASE_DELTA: { 1: -0.2, 2: -0.15, 3: 0, 4: 0.15 },
+  LEARNING_STEPS_MINUTES: [1, 10],
+  RELEARNING_STEPS_MINUTES: [10],
+  GRADUATING_INTERVAL_DAYS: 1,
+  EASY_INTERVAL_DAYS: 4,
+  HARD_MULTIPLIER: 1.2,
+  EASY_BONUS: 1.3,
+  LAPSE_MULTIPLIER: 0.2,
+  MAX_INTERVAL_DAYS: 365,
+  MASTERED_INTERVAL_DAYS: 21,
+  TARGET_RETENTION: 0.9,
+  LEECH_THRESHOLD: 8
+};
+
+/**
+ * Normalise a grade from the request body.
+ * Accepts 1-4, 'again' | 'hard' | 'good' | 'easy', or the legacy `correct` boolean.
+ * @param {number|string} grade - Grade value from the client
+ * @param {boolean} [correct] - Legacy correct/incorrect flag
+ * @returns {number|null} Grade 1-4 or null if it cannot be parsed
+ */
+const normalizeGrade = (grade, correct) => {
+  if (typeof grade === 'string') {
+    const named = GRADES[grade.trim().toUpperCase()];
+    if (named) return named;
+    grade = parseInt(grade, 10);
+  }
+  if (Number.isInteger(grade) && grade >= GRADES.AGAIN && grade <= GRADES.EASY) {
+    return grade;
+  }
+  if (typeof correct === 'boolean') {
+    return correct ? GRADES.GOOD : GRADES.AGAIN;
+  }
+  return null;
+};
+
+/**
+ * Estimate the probability of recalling a card right now.
+ * @param {Object} card - Card state (stability, lastReviewed)
+ * @param {Date} [now] - Reference time
+ * @returns {number} Retrievability in [0, 1]; 0 for cards never reviewed
+ */
+const getRetrievability = (card, now = new Date()) => {
+  if (!card || !card.stability || !card.lastReviewed) return 0;
+  const elapsedDays = Math.max(0, (now - new Date(card.lastReviewed)) / DAY_MS);
+  return Math.pow(1 + elapsedDays / (9 * card.stability), -1);
+};
+
+const clampEase = (ease) => Math.min(
+  SCHEDULER_SETTINGS.MAX_EASE,
+  Math.max(SCHEDULER_SETTINGS.MIN_EASE, ease)
+);
+
+const clampInterval = (days) => Math.min(
+  SCHEDULER_SETTINGS.MAX_INTERVAL_DAYS,
+  Math.max(1, Math.round(days))
+);
+
+/**
+ * Update stability after a review. Successful recall grows stability more when
+ * the card was closer to being forgotten (low retrievability); a lapse resets it.
+ */
+const nextStability = (card, grade, retrievability) => {
+  const current = card.stability || 0;
+
+  if (grade === GRADES.AGAIN) {
+    return Math.max(0.1, current * SCHEDULER_SETTINGS.LAPSE_MULTIPLIER);
+  }
+  if (!current) {
+    return grade === GRADES.EASY ? SCHEDULER_SETTINGS.EASY_INTERVAL_DAYS : SCHEDULER_SETTINGS.GRADUATING_INTERVAL_DAYS;
+  }
+
+  const ease = card.easeFactor || SCHEDULER_SETTINGS.INITIAL_EASE;
+  const gradeFactor = grade === GRADES.HARD ? 0.5 : grade === GRADES.EASY ? 1.5 : 1;
+  const growth = 1 + (ease - 1) * gradeFactor * (1 - retrievability + 0.1);
+  return Math.max(current, current * growth);
+};
+
+/**
+ * Derive the status label stored on VocabularyProgress.
+ */
+const deriveStatus = (phase, intervalDays) => {
+  if (phase === 'learning' || phase === 'relearning') return phase;
+  if (intervalDays >= SCHEDULER_SETTINGS.MASTERED_INTERVAL_DAYS) return 'mastered';
+  return 'review';
+};
+
+/**
+ * Schedule the next review of a card.
+ * @param {Object} card - Current card state (fields of VocabularyProgress)
+ * @param {number} grade - Grade 1-4 (see GRADES)
+ * @param {Date} [now] - Review time
+ * @returns {Object} Fields to apply to the card plus the history entry to append
+ */
+const scheduleReview = (card = {}, grade, now = new Date()) => {
+  const settings = SCHEDULER_SETTINGS;
+  const status = card.status || 'new';
+  const phase = status === 'new' ? 'learning' : status;
+  const inReview = phase === 'review' || phase === 'mastered';
+  const retrievability = getRetrievability(card, now);
+  const elapsedDays = card.lastReviewed ? Math.max(0, (now - new Date(card.lastReviewed)) / DAY_MS) : 0;
+
+  let easeFactor = card.easeFactor || settings.INITIAL_EASE;
+  let interval = card.interval || 0;
+  let lapses = card.lapses || 0;
+  let learningStep = card.learningStep || 0;
+  let nextPhase = phase;
+  let dueInMs;
+
+  if (inReview) {
+    easeFactor = clampEase(easeFactor + settings.EASE_DELTA[grade]);
+
+    if (grade === GRADES.AGAIN) {
+      lapses += 1;
+      learningStep = 0;
+      nextPhase = 'relearning';
+      interval = clampInterval(interval * settings.LAPSE_MULTIPLIER);
+      dueInMs = settings.RELEARNING_STEPS_MINUTES[0] * MINUTE_MS;
+    } else {
+      // Reward answers given after the due date by counting the actual elapsed time
+      const base = Math.max(interval, elapsedDays);
+      if (grade === GRADES.HARD) {
+        interval = clampInterval(Math.max(interval + 1, interval * settings.HARD_MULTIPLIER));
+      } else if (grade === GRADES.GOOD) {
+        interval = clampInterval(Math.max(interval + 1, base * easeFactor));
+      } else {
+        interval = clampInterval(Math.max(interval + 1, base * easeFactor * settings.EASY_BONUS));
+      }
+      nextPhase = 'review';
+      dueInMs = interval * DAY_MS;
+    }
+  } else {
+    const steps = phase === 'relearning' ? settings.RELEARNING_STEPS_MINUTES : settings.LEARNING_STEPS_MINUTES;
+
+    if (grade === GRADES.AGAIN) {
+      learningStep = 0;
+      dueInMs = steps[0] * MINUTE_MS;
+    } else if (grade === GRADES.HARD) {
+      dueInMs = steps[Math.min(learningStep, steps.length - 1)] * MINUTE_MS;
+    } else if (grade === GRADES.GOOD && learningStep + 1 < steps.length) {
+      learningStep += 1;
+      dueInMs = steps[learningStep] * MINUTE_MS;
+    } else {
+      // Graduate to review
+      learningStep = 0;
+      nextPhase = 'review';
+      if (phase === 'relearning') {
+        interval = clampInterval(grade === GRADES.EASY ? interval * settings.EASY_BONUS : interval);
+      } else {
+        interval = grade === GRADES.EASY ? settings.EASY_INTERVAL_DAYS : settings.GRADUATING_INTERVAL_DAYS;
+      }
+      if (grade === GRADES.EASY) easeFactor = clampEase(easeFactor + settings.EASE_DELTA[grade]);
+      dueInMs = interval * DAY_MS;
+    }
+  }
+
+  const stability = nextPhase === 'review'
+    ? Math.max(nextStability(card, grade, retrievability), interval)
+    : nextStability(card, grade, retrievability);
+
+  return {
+    status: deriveStatus(nextPhase, interval),
+    easeFactor: Math.round(easeFactor * 100) / 100,
+    interval,
+    stability: Math.round(stability * 100) / 100,
+    lapses,
+    learningStep,
+    reps: (card.reps || 0) + 1,
+    nextReview: new Date(now.getTime() + dueInMs),
+    lastReviewed: now,
+    historyEntry: {
+      date: now,
+      result: grade === GRADES.AGAIN ? 'incorrect' : 'correct',
+      grade,
+      interval,
+      elapsedDays: Math.round(elapsedDays * 100) / 100,
+      retrievability: Math.round(retrievability * 1000) / 1000
+    }
+  };
+};
+
+/**
+ * Order cards for a review session: overdue cards with the lowest recall
+ * probability come first, then cards closest to their due time.
+ * @param {Array<Object>} cards - Card states
+ * @param {Date} [now] - Reference time
+ * @returns {Array<Object>} New array sorted by review priority
+ */
+const sortByReviewPriority = (cards, now = new Date()) => {
+  return [...cards].sort((a, b) => {
+    const aDue = !a.nextReview || new Date(a.nextReview) <= now;
+    const bDue = !b.nextReview || new Date(b.nextReview) <= now;
+    if (aDue !== bDue) return aDue ? -1 : 1;
+    if (aDue) return getRetrievability(a, now) - getRetrievability(b, now);
+    return new Date(a.nextReview) - new Date(b.nextReview);
+  });
+};
+
+/**
+ * Whether a card has failed often enough to be considered a leech.
+ * @param {Object} card - Card state
+ * @returns {boolean}
+ */
+const isLeech = (card) => (card?.lapses || 0) >= SCHEDULER_SETTINGS.LEECH_THRESHOLD;
+
+module.exports = {
+  GRADES,
+  SCHEDULER_SETTINGS,
+  normalizeGrade,
+  getRetrievability,
+  scheduleReview,
+  sortByReviewPriority,
+  isLeech
+};
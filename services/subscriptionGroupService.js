@@ -0,0 +1,463 @@
+/**
+ * Family & Group Plans
+ *
+ * A payer (owner) creates a group of N seats for a tier (GROUP_PLANS in
+ * config/subscriptionConfig.js), pays for it through the usual checkout
+ * (any payment provider) with `groupId`, and invites members by email. Members
+ * accept with the account whose verified email was invited.
+ *
+ * Members don't own a subscription of their own: while the group is running
+ * their subscriptionPlan / subscriptionExpiryDate mirror the group, with
+ * subscriptionSource 'group'. This is re-derived by ensureSubscriptionStatus
+ * and reconcileAllSubscriptions (middlewares/subscriptionMiddleware.js), so
+ * renewals reach every member and removed members lose access. A member whose
+ * own subscription runs longer than the group keeps it.
+ *
+ * Payments: the transaction records groupId (Multicard, Click) / group_id (Payme);
+ * Payme only sends the account and amount, so its payment is matched to the
+ * owner's latest group checkout with that price. Each paid transaction
+ * extends the group by the tier's duration (model post-save hooks).
+ *
+ * @module services/subscriptionGroupService
+ */
+
+const nodemailer = require('nodemailer');
+const User = require('../models/user');
+const SubscriptionGroup = require('../models/subscriptionGroup');
+const { getTierById, getGroupPlan, getGroupPrice } = require('../config/subscriptionConfig');
+const { describeTransaction } = require('./paymentProviders');
+const { MAIL_USER, MAIL_PASS, FRONTEND_URL } = require('../config/config');
+const httpError = require('../utils/httpError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Matches the Payme transaction timeout
+const CHECKOUT_TTL_HOURS = 12;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// tryActivateFromPayments lives in the middleware, which requires this service
+const activateFromPayments = (user) => require('../middlewares/subscriptionMiddleware').tryActivateFromPayments(user);
+
+/**
+ * Make the user's subscription mirror a running group. Doesn't save.
+ * @returns {boolean} true if anything changed
+ */
+const applyGroupSubscription = (user, group, now = new Date()) => {
+  const ownExpiry = user.subscriptionExpiryDate ? new Date(user.subscriptionExpiryDate) : null;
+  if (user.subscriptionSource !== 'group' && user.hasActiveSubscription() && ownExpiry >= group.expiresAt) {
+    return false;
+  }
+
+  const tier = getTierById(group.tierId);
+  const sameGroup = user.subscriptionSource === 'group'
+    && String(user.subscriptionGroup) === String(group._id)
+    && user.subscriptionPlan === 'pro'
+    && ownExpiry?.getTime() === group.expiresAt.getTime();
+  if (sameGroup) return false;
+
+  if (!user.hasActiveSubscription()) user.subscriptionActivatedAt = now;
+  user.subscriptionPlan = 'pro';
+  user.subscriptionExpiryDate = group.expiresAt;
+  user.subscriptionSource = 'group';
+  user.subscriptionGroup = group._id;
+  user.subscriptionDuration = tier ? tier.durationMonths : null;
+  user.paymentStatus = 'paid';
+  return true;
+};
+
+// Drop a group-derived subscription, falling back to the user's own payments. Doesn't save.
+const clearGroupSubscription = async (user) => {
+  user.subscriptionPlan = 'free';
+  user.subscriptionExpiryDate = null;
+  user.subscriptionSource = null;
+  user.subscriptionGroup = null;
+  user.subscriptionDuration = null;
+  user.paymentStatus = 'unpaid';
+  await activateFromPayments(user);
+};
+
+/**
+ * Derive a user's subscription from their group membership.
+ * Called by ensureSubscriptionStatus; doesn't save.
+ * @returns {Promise<boolean>} true if anything changed
+ */
+const syncUserGroupSubscription = async (user, now = new Date()) => {
+  if (user.subscriptionPlan !== 'free' && user.subscriptionSource !== 'group') return false;
+
+  const group = await SubscriptionGroup.findRunningForMember(user.firebaseId, now);
+  if (group) return applyGroupSubscription(user, group, now);
+
+  if (user.subscriptionSource === 'group') {
+    console.log(`[Subscription] ${user.firebaseId} is no longer in a running group, reverting`);
+    await clearGroupSubscription(user);
+    return true;
+  }
+  return false;
+};
+
+const syncGroupMembers = async (group, now = new Date()) => {
+  const memberIds = group.members
+    .filter(member => member.status === 'active' && member.userId)
+    .map(member => member.userId);
+  const users = await User.find({ firebaseId: { $in: memberIds } });
+
+  let updated = 0;
+  for (const user of users) {
+    if (applyGroupSubscription(user, group, now)) {
+      await user.save();
+      updated++;
+    }
+  }
+  return updated;
+};
+
+const revokeMemberAccess = async (firebaseId, group, loadedUser = null) => {
+  const user = loadedUser || await User.findOne({ firebaseId });
+  if (!user || user.subscriptionSource !== 'group' || String(user.subscriptionGroup) !== String(group._id)) return;
+  await clearGroupSubscription(user);
+  await user.save();
+};
+
+/**
+ * Create a group owned by `owner`, waiting for its first payment.
+ * @param {Object} owner - User document
+ * @param {Object} options - { type, tierId, seats, name }
+ */
+const createGroup = async (owner, { type, tierId, seats, name = '' }) => {
+  const plan = getGroupPlan(type);
+  if (!plan) throw httpError(400, "type must be 'family' or 'group'");
+  const price = getGroupPrice(type, tierId, Number(seats));
+  if (!price) {
+    throw httpError(400, `${plan.label} plans need ${plan.minSeats}-${plan.maxSeats} seats and a 1, 3 or 6 month tier`);
+  }
+
+  const now = new Date();
+  const open = await SubscriptionGroup.findOne({
+    ownerId: owner.firebaseId,
+    $or: [{ status: 'pending_payment' }, { status: 'active', expiresAt: { $gt: now } }]
+  });
+  if (open) throw httpError(409, 'You already have a family or group plan');
+  if (await SubscriptionGroup.findRunningForMember(owner.firebaseId, now)) {
+    throw httpError(409, "You are already a member of another family or group plan");
+  }
+
+  return SubscriptionGroup.create({
+    ownerId: owner.firebaseId,
+    name: String(name).trim().slice(0, 80),
+    type,
+    tierId,
+    seats: Number(seats),
+    priceInTiyin: price.priceInTiyin,
+    members: [{
+      email: owner.email || '',
+      userId: owner.firebaseId,
+      role: 'owner',
+      status: 'active',
+      joinedAt: now
+    }]
+  });
+};
+
+const findOwnedGroup = async (groupId, ownerId) => {
+  const group = await SubscriptionGroup.findById(groupId).catch(() => null);
+  if (!group || group.ownerId !== ownerId) throw httpError(404, 'Group not found');
+  return group;
+};
+
+/**
+ * Start a checkout for the owner's group (first payment or renewal).
+ * @returns {Promise<{ group: Object, tier: Object, amount: number }>} amount in tiyin
+ */
+const startGroupCheckout = async (owner, groupId) => {
+  const group = await findOwnedGroup(groupId, owner.firebaseId);
+  if (group.status === 'cancelled') throw httpError(400, 'This group has been cancelled');
+
+  group.checkoutStartedAt = new Date();
+  await group.save();
+  return { group, tier: getTierById(group.tierId), amount: group.priceInTiyin };
+};
+
+/**
+ * The owner's group checkout a Payme payment of `amount` belongs to, if any.
+ */
+const findPaymeGroupCheckout = (ownerId, amount, now = new Date()) => SubscriptionGroup.findOne({
+  ownerId,
+  priceInTiyin: amount,
+  status: { $ne: 'cancelled' },
+  checkoutStartedAt: { $gt: new Date(now.getTime() - CHECKOUT_TTL_HOURS * HOUR_MS) }
+}).sort({ checkoutStartedAt: -1 });
+
+/**
+ * Extend the group by one tier period when its transaction is paid.
+ * @param {string} provider - 'payme' | 'multicard' | 'click'
+ * @param {Object} transaction - the provider's transaction document
+ * @returns {Promise<Object|null>} the updated group
+ */
+const handlePayment = async (provider, transaction) => {
+  const { groupId, status } = describeTransaction(provider, transaction);
+  if (!groupId || status !== 'paid') return null;
+
+  const group = await SubscriptionGroup.findById(groupId);
+  if (!group || group.payments.some(p => String(p.transactionId) === String(transaction._id))) return null;
+
+  const tier = getTierById(group.tierId);
+  const now = new Date();
+  const start = group.isRunning(now) ? group.expiresAt : now;
+  const periodEnd = new Date(start.getTime() + tier.duration * DAY_MS);
+
+  // Conditional on expiresAt so two deliveries of the same payment can't both extend
+  const updated = await SubscriptionGroup.findOneAndUpdate(
+    { _id: group._id, expiresAt: group.expiresAt, 'payments.transactionId': { $ne: transaction._id } },
+    {
+      $set: {
+        status: 'active',
+        expiresAt: periodEnd,
+        activatedAt: group.activatedAt || now,
+        checkoutStartedAt: null
+      },
+      $push: {
+        payments: { provider, transactionId: transaction._id, amount: transaction.amount, paidAt: now, periodEnd }
+      }
+    },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  await syncGroupMembers(updated, now);
+  return updated;
+};
+
+// For model hooks: a failure here must not fail the provider webhook
+const handlePaymentQuietly = (provider, transaction) => handlePayment(provider, transaction).catch(error => {
+  console.error(`❌ Group plan update failed for ${provider} transaction ${transaction._id}:`, error.message);
+  return null;
+});
+
+let transporter = null;
+const getTransporter = () => {
+  if (!MAIL_USER || !MAIL_PASS) return null;
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      service: 'gmail',
+      auth: { user: MAIL_USER, pass: MAIL_PASS }
+    });
+  }
+  return transporter;
+};
+
+const sendInviteEmail = async (group, owner, email) => {
+  const mailer = getTransporter();
+  if (!mailer) return false;
+
+  const escape = (value) => String(value ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+  const ownerName = escape(owner.name || owner.email || 'Пользователь ACED');
+  const link = `${FRONTEND_URL}/groups/join?group=${group._id}`;
+
+  try {
+    await mailer.sendMail({
+      from: `ACED <${MAIL_USER}>`,
+      to: email,
+      subject: `🎁 ${ownerName} приглашает вас в ACED Pro`,
+      html: `
+    <div style="font-family:Arial,sans-serif;max-width:560px;margin:0 auto;">
+      <h2 style="color:#1A237E;">${ownerName} делится с вами подпиской ACED Pro</h2>
+      <p>Войдите в ACED с адресом <strong>${escape(email)}</strong> и примите приглашение${group.name ? ` в «${escape(group.name)}»` : ''}.</p>
+      <p><a href="${link}">Принять приглашение</a></p>
+    </div>`
+    });
+    return true;
+  } catch (error) {
+    console.error(`❌ Group invite email to ${email} failed:`, error.message);
+    return false;
+  }
+};
+
+/**
+ * Invite a member by email (owner only). Takes a seat until removed.
+ * @returns {Promise<{ group: Object, emailed: boolean }>}
+ */
+const inviteMember = async (owner, groupId, rawEmail) => {
+  const email = String(rawEmail || '').trim().toLowerCase();
+  if (!EMAIL_PATTERN.test(email)) throw httpError(400, 'A valid email is required');
+
+  const group = await findOwnedGroup(groupId, owner.firebaseId);
+  if (['cancelled', 'expired'].includes(group.status)) throw httpError(400, `This group is ${group.status}`);
+
+  const holders = group.seatHolders();
+  if (holders.some(member => member.email === email)) throw httpError(409, 'This email is already invited');
+  if (holders.length >= group.seats) throw httpError(409, `All ${group.seats} seats are taken`);
+
+  group.members.push({ email });
+  await group.save();
+
+  const emailed = await sendInviteEmail(group, owner, email);
+  return { group, emailed };
+};
+
+/**
+ * Accept an invitation. `verifiedEmail` must come from the auth token.
+ */
+const acceptInvite = async (user, groupId, verifiedEmail) => {
+  const email = String(verifiedEmail || '').trim().toLowerCase();
+  if (!email) throw httpError(403, 'Sign in with a verified email to accept invitations');
+
+  const group = await SubscriptionGroup.findById(groupId).catch(() => null);
+  const member = group?.members.find(m => m.status === 'invited' && m.email === email);
+  if (!group || group.status === 'cancelled' || !member) throw httpError(404, 'Invitation not found');
+
+  const now = new Date();
+  const current = await SubscriptionGroup.findRunningForMember(user.firebaseId, now);
+  if (current && String(current._id) !== String(group._id)) {
+    throw httpError(409, 'You are already a member of another family or group plan');
+  }
+
+  member.userId = user.firebaseId;
+  member.status = 'active';
+  member.joinedAt = now;
+  await group.save();
+
+  if (group.isRunning(now) && applyGroupSubscription(user, group, now)) {
+    await user.save();
+  }
+  return group;
+};
+
+/**
+ * Remove a member or cancel an invitation (owner only). Revokes the member's access.
+ */
+const removeMember = async (owner, groupId, memberId) => {
+  const group = await findOwnedGroup(groupId, owner.firebaseId);
+  const member = group.members.id(memberId);
+  if (!member || member.status === 'removed') throw httpError(404, 'Member not found');
+  if (member.role === 'owner') throw httpError(400, 'The owner cannot be removed');
+
+  member.status = 'removed';
+  member.removedAt = new Date();
+  await group.save();
+
+  if (member.userId) await revokeMemberAccess(member.userId, group);
+  return group;
+};
+
+/**
+ * Leave a group as a member.
+ */
+const leaveGroup = async (user, groupId) => {
+  const group = await SubscriptionGroup.findById(groupId).catch(() => null);
+  const member = group?.members.find(m => m.userId === user.firebaseId && m.status === 'active');
+  if (!member) throw httpError(404, 'You are not a member of this group');
+  if (member.role === 'owner') throw httpError(400, 'The owner cannot leave their own group');
+
+  member.status = 'removed';
+  member.removedAt = new Date();
+  await group.save();
+
+  await revokeMemberAccess(user.firebaseId, group, user);
+  return group;
+};
+
+/**
+ * Cancel a group that was never paid for (owner only).
+ */
+const cancelGroup = async (owner, groupId) => {
+  const group = await findOwnedGroup(groupId, owner.firebaseId);
+  if (group.status !== 'pending_payment') {
+    throw httpError(400, 'Only groups waiting for their first payment can be cancelled');
+  }
+  group.status = 'cancelled';
+  group.cancelledAt = new Date();
+  await group.save();
+  return group;
+};
+
+/**
+ * Groups the user owns or belongs to, and open invitations to their email.
+ */
+const listGroupsForUser = async (user, verifiedEmail) => {
+  const email = String(verifiedEmail || user.email || '').trim().toLowerCase();
+  const [groups, invitations] = await Promise.all([
+    SubscriptionGroup.find({
+      status: { $ne: 'cancelled' },
+      $or: [
+        { ownerId: user.firebaseId },
+        { members: { $elemMatch: { userId: user.firebaseId, status: 'active' } } }
+      ]
+    }).sort({ createdAt: -1 }).lean(),
+    email
+      ? SubscriptionGroup.find({
+        status: { $in: ['pending_payment', 'active'] },
+        members: { $elemMatch: { email, status: 'invited' } }
+      }).select('ownerId name type tierId status expiresAt').lean()
+      : []
+  ]);
+
+  return {
+    groups: groups.map(group => ({
+      ...group,
+      isOwner: group.ownerId === user.firebaseId,
+      // Members only see who else is in the group, not payments
+      payments: group.ownerId === user.firebaseId ? group.payments : undefined,
+      members: group.members.filter(member => member.status !== 'removed')
+    })),
+    invitations
+  };
+};
+
+/**
+ * Reconcile group-owned subscriptions: expire lapsed groups, give every
+ * active member of a running group its subscription, and take it away from
+ * users who are no longer in one. Called by reconcileAllSubscriptions.
+ * @returns {Promise<{ expiredGroups: number, activated: number, revoked: number, errors: number }>}
+ */
+const reconcileGroupSubscriptions = async (now = new Date()) => {
+  const stats = { expiredGroups: 0, activated: 0, revoked: 0, errors: 0 };
+
+  const expired = await SubscriptionGroup.updateMany(
+    { status: 'active', expiresAt: { $lte: now } },
+    { $set: { status: 'expired' } }
+  );
+  stats.expiredGroups = expired.modifiedCount || 0;
+
+  const running = await SubscriptionGroup.find({ status: 'active', expiresAt: { $gt: now } });
+  for (const group of running) {
+    try {
+      stats.activated += await syncGroupMembers(group, now);
+    } catch (error) {
+      console.error(`[Reconcile] Group ${group._id} sync failed:`, error.message);
+      stats.errors++;
+    }
+  }
+
+  const groupUsers = await User.find({ subscriptionSource: 'group' });
+  for (const user of groupUsers) {
+    try {
+      if (await SubscriptionGroup.findRunningForMember(user.firebaseId, now)) continue;
+      await clearGroupSubscription(user);
+      await user.save();
+      stats.revoked++;
+    } catch (error) {
+      stats.errors++;
+    }
+  }
+
+  return stats;
+};
+
+module.exports = {
+  CHECKOUT_TTL_HOURS,
+  applyGroupSubscription,
+  syncUserGroupSubscription,
+  createGroup,
+  startGroupCheckout,
+  findPaymeGroupCheckout,
+  handlePayment,
+  handlePaymentQuietly,
+  inviteMember,
+  acceptInvite,
+  removeMember,
+  leaveGroup,
+  cancelGroup,
+  listGroupsForUser,
+  reconcileGroupSubscriptions
+};
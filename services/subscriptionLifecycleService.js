@@ -0,0 +1,231 @@
+/**
+ * Subscription Lifecycle Notifications
+ *
+ * Dunning and reminder messages posted to the user's inbox around the end of
+ * a subscription period:
+ *   - expiry warnings 7, 3 and 1 days before subscriptionExpiryDate
+ *     (skipped while auto-renew is on; services/autoRenewService.js reports those)
+ *   - a grace notice in the first GRACE_PERIOD_DAYS after the subscription lapses
+ *   - win-back offers WIN_BACK_DAYS after the lapse, with a personal discount code
+ *
+ * Every send is first claimed in models/notificationLog.js, keyed by the
+ * subscription's expiry date, so each notice goes out at most once per
+ * subscription period even if jobs overlap or run on several instances.
+ * When a run was missed only the most urgent pending warning is sent.
+ *
+ * @module services/subscriptionLifecycleService
+ */
+
+const User = require('../models/user');
+const Message = require('../models/message');
+const Promocode = require('../models/promoCode');
+const NotificationLog = require('../models/notificationLog');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EXPIRY_WARNING_DAYS = [7, 3, 1];
+const GRACE_PERIOD_DAYS = 3;
+const WIN_BACK_DAYS = [7, 30];
+// Lapses older than this past a win-back stage are not contacted (e.g. on first deploy)
+const WIN_BACK_WINDOW_DAYS = 3;
+const WIN_BACK_DISCOUNT_PERCENT = Number(process.env.WIN_BACK_DISCOUNT_PERCENT) || 20;
+const WIN_BACK_CODE_VALID_DAYS = 14;
+const BATCH_LIMIT = 500;
+
+const periodKey = (expiryDate) => new Date(expiryDate).toISOString();
+
+/**
+ * Claim, then send. The claim is released if sending fails so the next run retries.
+ * @returns {Promise<boolean>} true when the message was sent by this call
+ */
+const sendOnce = async (user, kind, key, data, send) => {
+  const log = await NotificationLog.claim(user.firebaseId, kind, key, data);
+  if (!log) return false;
+
+  try {
+    const message = await send();
+    log.messageId = message?._id;
+    await log.save();
+    return true;
+  } catch (error) {
+    await NotificationLog.deleteOne({ _id: log._id });
+    throw error;
+  }
+};
+
+/**
+ * The warning stage for a number of days left: the smallest threshold that
+ * still covers it (5 days left -> 7-day warning, 2 days left -> 3-day warning).
+ * @param {number} daysRemaining
+ * @returns {number|null}
+ */
+const warningStageFor = (daysRemaining) => {
+  const stages = [...EXPIRY_WARNING_DAYS].sort((a, b) => a - b);
+  return stages.find(stage => daysRemaining <= stage) ?? null;
+};
+
+const runForUsers = async (users, stats, fn) => {
+  for (const user of users) {
+    try {
+      const sent = await fn(user);
+      if (sent) stats.sent++;
+      else stats.skipped++;
+    } catch (error) {
+      console.error(`❌ Lifecycle notification failed for ${user.firebaseId}:`, error.message);
+      stats.failed++;
+    }
+  }
+  return stats;
+};
+
+/**
+ * Run fn for every user matching the filter, BATCH_LIMIT at a time in _id
+ * order, so users notified on an earlier run don't hide the rest of the window.
+ */
+const forEachUser = async (filter, stats, fn) => {
+  let lastId = null;
+  for (;;) {
+    const users = await User.find(lastId ? { ...filter, _id: { $gt: lastId } } : filter)
+      .select('_id firebaseId subscriptionExpiryDate')
+      .sort({ _id: 1 })
+      .limit(BATCH_LIMIT);
+
+    stats.checked += users.length;
+    await runForUsers(users, stats, fn);
+    if (users.length < BATCH_LIMIT) return stats;
+    lastId = users[users.length - 1]._id;
+  }
+};
+
+/**
+ * Send 7/3/1-day expiry warnings.
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<{ checked: number, sent: number, skipped: number, failed: number }>}
+ */
+const sendExpiryWarnings = async ({ now = new Date() } = {}) => {
+  const horizon = new Date(now.getTime() + Math.max(...EXPIRY_WARNING_DAYS) * DAY_MS);
+  const filter = {
+    subscriptionPlan: { $ne: 'free' },
+    subscriptionExpiryDate: { $gt: now, $lte: horizon },
+    'autoRenew.enabled': { $ne: true }
+  };
+
+  const stats = { checked: 0, sent: 0, skipped: 0, failed: 0 };
+  return forEachUser(filter, stats, (user) => {
+    const expiry = user.subscriptionExpiryDate;
+    const daysRemaining = Math.ceil((expiry - now) / DAY_MS);
+    const stage = warningStageFor(daysRemaining);
+    if (!stage) return false;
+
+    return sendOnce(user, 'expiry_warning', `${periodKey(expiry)}:${stage}d`, { stage, daysRemaining },
+      () => Message.createExpiryWarning(user._id, user.firebaseId, expiry, daysRemaining));
+  });
+};
+
+/**
+ * Send one grace notice to users whose subscription lapsed in the last GRACE_PERIOD_DAYS.
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<{ checked: number, sent: number, skipped: number, failed: number }>}
+ */
+const sendGraceNotices = async ({ now = new Date() } = {}) => {
+  const filter = {
+    subscriptionExpiryDate: { $lte: now, $gt: new Date(now.getTime() - GRACE_PERIOD_DAYS * DAY_MS) }
+  };
+
+  const stats = { checked: 0, sent: 0, skipped: 0, failed: 0 };
+  return forEachUser(filter, stats, (user) => {
+    const expiredAt = user.subscriptionExpiryDate;
+    const graceEndsAt = new Date(expiredAt.getTime() + GRACE_PERIOD_DAYS * DAY_MS);
+
+    return sendOnce(user, 'grace_notice', periodKey(expiredAt), { graceEndsAt },
+      () => Message.createGraceNotice(user._id, user.firebaseId, expiredAt, graceEndsAt));
+  });
+};
+
+// Single-use discount code that only this user can redeem
+const createWinBackCode = async (user, now) => {
+  const validUntil = new Date(now.getTime() + WIN_BACK_CODE_VALID_DAYS * DAY_MS);
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const code = Promocode.generateCode('BACK', 10);
+    if (await Promocode.exists({ code })) continue;
+
+    await Promocode.create({
+      code,
+      grantsPlan: 'pro',
+      promoType: 'discount_percent',
+      discountPercent: WIN_BACK_DISCOUNT_PERCENT,
+      maxUses: 1,
+      restrictedToUsers: [user.firebaseId],
+      expiresAt: validUntil,
+      description: 'Win-back offer after subscription lapse',
+      createdBy: 'system',
+      createdByName: 'Subscription lifecycle',
+      tags: ['win-back']
+    });
+    return { code, validUntil };
+  }
+  throw new Error('Could not generate a unique win-back code');
+};
+
+/**
+ * Send win-back offers WIN_BACK_DAYS after a lapse.
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<{ checked: number, sent: number, skipped: number, failed: number }>}
+ */
+const sendWinBackOffers = async ({ now = new Date() } = {}) => {
+  const stats = { checked: 0, sent: 0, skipped: 0, failed: 0 };
+
+  for (const days of WIN_BACK_DAYS) {
+    const filter = {
+      subscriptionPlan: 'free',
+      subscriptionExpiryDate: {
+        $lte: new Date(now.getTime() - days * DAY_MS),
+        $gt: new Date(now.getTime() - (days + WIN_BACK_WINDOW_DAYS) * DAY_MS)
+      }
+    };
+
+    await forEachUser(filter, stats, async (user) => {
+      const key = `${periodKey(user.subscriptionExpiryDate)}:${days}d`;
+      // Check before generating a code so repeated runs don't create unused codes
+      if (await NotificationLog.exists({ userId: user.firebaseId, kind: 'win_back', key })) return false;
+
+      return sendOnce(user, 'win_back', key, { days }, async () => {
+        const { code, validUntil } = await createWinBackCode(user, now);
+        return Message.createWinBackOffer(user._id, user.firebaseId, {
+          code,
+          discountPercent: WIN_BACK_DISCOUNT_PERCENT,
+          validUntil,
+          daysSinceExpiry: days
+        });
+      });
+    });
+  }
+
+  return stats;
+};
+
+/**
+ * All lifecycle notifications in one pass (scheduled job entry point).
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ */
+const runLifecycleNotifications = async ({ now = new Date() } = {}) => ({
+  expiryWarnings: await sendExpiryWarnings({ now }),
+  graceNotices: await sendGraceNotices({ now }),
+  winBack: await sendWinBackOffers({ now })
+});
+
+module.exports = {
+  EXPIRY_WARNING_DAYS,
+  GRACE_PERIOD_DAYS,
+  WIN_BACK_DAYS,
+  warningStageFor,
+  sendExpiryWarnings,
+  sendGraceNotices,
+  sendWinBackOffers,
+  runLifecycleNotifications
+};
@@ -0,0 +1,236 @@
+/**
+ * Vocabulary Mastery Analytics
+ *
+ * Estimates a learner's receptive vocabulary size per language from their
+ * review cards, maps it to a CEFR grade (GRADE_LEVELS), builds retention
+ * curves from VocabularyProgress.history and flags leeches.
+ *
+ * Vocabulary size is extrapolated per difficulty band: the mean recall
+ * probability of the reviewed words in a band is applied to the size of that
+ * band in a typical learner lexicon (beginner ≈ the 1,500 most frequent words,
+ * intermediate ≈ the next 2,000, advanced ≈ the next 3,000). Sparse bands are
+ * shrunk towards zero (beginner) or a quarter of the rate of the band below.
+ *
+ * @module services/vocabularyAnalytics
+ */
+
+const VocabularyProgress = require('../models/vocabularyProgress');
+require('../models/vocabulary');
+require('../models/personalWord');
+const { GRADE_LEVELS } = require('../constants/learningModes');
+const { getRetrievability, SCHEDULER_SETTINGS } = require('./spacedRepetition');
+
+const DIFFICULTY_BANDS = {
+  beginner: { size: 1500 },
+  intermediate: { size: 2000 },
+  advanced: { size: 3000 }
+};
+
+// Words a learner needs to recognise to reach each level (receptive vocabulary)
+const CEFR_VOCABULARY_THRESHOLDS = [
+  { code: 'C2', minWords: 4500 },
+  { code: 'C1', minWords: 3750 },
+  { code: 'B2', minWords: 3250 },
+  { code: 'B1', minWords: 2500 },
+  { code: 'A2', minWords: 1500 },
+  { code: 'A1', minWords: 0 }
+];
+
+// Pseudo-observations used to shrink sparse bands towards their prior
+const SHRINKAGE_WEIGHT = 10;
+
+const RETENTION_BUCKETS = [
+  { label: '<1d', min: 0, max: 1 },
+  { label: '1-2d', min: 1, max: 3 },
+  { label: '3-6d', min: 3, max: 7 },
+  { label: '1-2w', min: 7, max: 14 },
+  { label: '2-4w', min: 14, max: 30 },
+  { label: '1-2m', min: 30, max: 60 },
+  { label: '2m+', min: 60, max: Infinity }
+];
+
+const LEECH_MIN_FAILURES = 4;
+
+const round = (value, digits = 2) => {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Map an estimated vocabulary size to a CEFR grade from GRADE_LEVELS.
+ * @param {number} vocabularySize - Estimated number of known words
+ * @returns {{ code: string, label: string, levels: { min: number, max: number }, nextCode: string|null, wordsToNext: number }}
+ */
+const mapVocabularySizeToGrade = (vocabularySize) => {
+  const index = CEFR_VOCABULARY_THRESHOLDS.findIndex(t => vocabularySize >= t.minWords);
+  const threshold = CEFR_VOCABULARY_THRESHOLDS[index];
+  const next = index > 0 ? CEFR_VOCABULARY_THRESHOLDS[index - 1] : null;
+  const grade = GRADE_LEVELS[threshold.code];
+
+  return {
+    code: threshold.code,
+    label: grade.label,
+    levels: { min: grade.min, max: grade.max },
+    nextCode: next ? next.code : null,
+    wordsToNext: next ? Math.max(0, next.minWords - vocabularySize) : 0
+  };
+};
+
+/**
+ * Estimate receptive vocabulary size from a set of cards in one language.
+ * @param {Array<Object>} cards - VocabularyProgress documents with populated vocabularyId
+ * @param {Date} [now] - Reference time
+ * @returns {Object} Size estimate, per-band breakdown and confidence
+ */
+const estimateVocabularySize = (cards, now = new Date()) => {
+  const reviewed = cards.filter(card => card.lastReviewed && card.status !== 'new');
+  const bands = {};
+  let previousRate = null;
+  let estimate = 0;
+
+  for (const [band, config] of Object.entries(DIFFICULTY_BANDS)) {
+    const bandCards = reviewed.filter(card => (card.vocabularyId?.difficulty || 'beginner') === band);
+    const recallSum = bandCards.reduce((sum, card) => sum + getRetrievability(card, now), 0);
+    const prior = previousRate !== null ? previousRate * 0.25 : 0;
+    const effectiveRate = (recallSum + prior * SHRINKAGE_WEIGHT) / (bandCards.length + SHRINKAGE_WEIGHT);
+
+    bands[band] = {
+      sampled: bandCards.length,
+      recallRate: round(effectiveRate, 3),
+      estimatedKnown: Math.round(effectiveRate * config.size)
+    };
+    estimate += effectiveRate * config.size;
+    previousRate = effectiveRate;
+  }
+
+  const knownWords = reviewed.filter(card => getRetrievability(card, now) >= SCHEDULER_SETTINGS.TARGET_RETENTION).length;
+  // Never report fewer words than the learner demonstrably knows
+  const vocabularySize = Math.max(knownWords, Math.round(estimate));
+
+  return {
+    reviewedWords: reviewed.length,
+    knownWords,
+    estimatedVocabularySize: vocabularySize,
+    confidence: reviewed.length >= 200 ? 'high' : reviewed.length >= 50 ? 'medium' : 'low',
+    bands
+  };
+};
+
+/**
+ * Observed recall rate by time since the previous review, compared with the
+ * recall probability the scheduler predicted.
+ * @param {Array<Object>} cards - VocabularyProgress documents
+ * @returns {Array<Object>} One entry per retention bucket
+ */
+const buildRetentionCurve = (cards) => {
+  const buckets = RETENTION_BUCKETS.map(bucket => ({
+    label: bucket.label,
+    reviews: 0,
+    recalled: 0,
+    predictedSum: 0
+  }));
+
+  cards.forEach(card => {
+    (card.history || []).forEach((entry, index) => {
+      // The first exposure is not a retention measurement
+      if (index === 0 || typeof entry.elapsedDays !== 'number') return;
+      const bucketIndex = RETENTION_BUCKETS.findIndex(b => entry.elapsedDays >= b.min && entry.elapsedDays < b.max);
+      if (bucketIndex === -1) return;
+
+      const bucket = buckets[bucketIndex];
+      bucket.reviews++;
+      if (entry.result === 'correct') bucket.recalled++;
+      bucket.predictedSum += typeof entry.retrievability === 'number' ? entry.retrievability : 0;
+    });
+  });
+
+  return buckets.map(bucket => ({
+    label: bucket.label,
+    reviews: bucket.reviews,
+    observedRecall: bucket.reviews > 0 ? round(bucket.recalled / bucket.reviews, 3) : null,
+    predictedRecall: bucket.reviews > 0 ? round(bucket.predictedSum / bucket.reviews, 3) : null
+  }));
+};
+
+/**
+ * Cards the learner keeps failing: scheduler lapses past the leech threshold,
+ * or at least LEECH_MIN_FAILURES misses with accuracy below 50%.
+ * @param {Array<Object>} cards - VocabularyProgress documents with populated vocabularyId
+ * @returns {Array<Object>} Leeches, worst first
+ */
+const findLeeches = (cards) => {
+  return cards
+    .filter(card => {
+      const failures = card.timesIncorrect || (card.history || []).filter(h => h.result === 'incorrect').length;
+      const shown = card.timesShown || (card.history || []).length;
+      return (card.lapses || 0) >= SCHEDULER_SETTINGS.LEECH_THRESHOLD ||
+        (failures >= LEECH_MIN_FAILURES && failures / Math.max(shown, 1) > 0.5);
+    })
+    .map(card => {
+      const failures = card.timesIncorrect || (card.history || []).filter(h => h.result === 'incorrect').length;
+      const shown = card.timesShown || (card.history || []).length;
+      return {
+        progressId: card._id,
+        vocabularyId: card.vocabularyId?._id || card.vocabularyId,
+        word: card.vocabularyId?.word || card.term,
+        translation: card.vocabularyId?.translation,
+        language: card.vocabularyId?.language || card.language,
+        topic: card.vocabularyId?.topic,
+        lapses: card.lapses || 0,
+        failures,
+        timesShown: shown,
+        accuracy: shown > 0 ? Math.round(((shown - failures) / shown) * 100) : 0,
+        lastReviewed: card.lastReviewed
+      };
+    })
+    .sort((a, b) => b.lapses - a.lapses || b.failures - a.failures);
+};
+
+/**
+ * Full mastery report for a learner.
+ * @param {string} userId - Firebase UID
+ * @param {Object} [options]
+ * @param {string} [options.language] - Limit the report to one language
+ * @returns {Promise<Object>} Per-language size/CEFR estimates, retention curve and leeches
+ */
+const getVocabularyMastery = async (userId, { language } = {}) => {
+  const cards = await VocabularyProgress.find({ userId })
+    .populate('vocabularyId', 'word translation language difficulty topic');
+
+  const now = new Date();
+  const byLanguage = {};
+  cards.forEach(card => {
+    const lang = (card.vocabularyId?.language || card.language || 'unknown').toLowerCase();
+    if (language && lang !== language.toLowerCase()) return;
+    if (!byLanguage[lang]) byLanguage[lang] = [];
+    byLanguage[lang].push(card);
+  });
+
+  const languages = {};
+  for (const [lang, languageCards] of Object.entries(byLanguage)) {
+    const size = estimateVocabularySize(languageCards, now);
+    languages[lang] = {
+      ...size,
+      cefr: mapVocabularySizeToGrade(size.estimatedVocabularySize),
+      retention: buildRetentionCurve(languageCards),
+      leechCount: findLeeches(languageCards).length
+    };
+  }
+
+  const selectedCards = Object.values(byLanguage).flat();
+
+  return {
+    languages,
+    retention: buildRetentionCurve(selectedCards),
+    leeches: findLeeches(selectedCards)
+  };
+};
+
+module.exports = {
+  CEFR_VOCABULARY_THRESHOLDS,
+  mapVocabularySizeToGrade,
+  estimateVocabularySize,
+  buildRetentionCurve,
+  findLeeches,
+  getVocabularyMastery
+};
@@ -0,0 +1,639 @@
+/**
+ * Vocabulary Import / Export
+ *
+ * Parses CSV, TSV, Anki plain-text note exports and Anki packages (.apkg)
+ * into Vocabulary documents, maps columns to fields, validates rows, detects
+ * duplicates against existing words (same word + language + topic) and
+ * serialises word lists back into CSV, TSV or Anki plain text so decks can be
+ * round-tripped with external tools.
+ *
+ * @module services/vocabularyImportExport
+ */
+
+const AdmZip = require('adm-zip');
+const initSqlJs = require('sql.js');
+const { decompress: zstdDecompress } = require('fzstd');
+
+/** Formats that can be both imported and exported */
+const SUPPORTED_FORMATS = ['csv', 'tsv', 'anki'];
+/** Anki packages can only be imported */
+const IMPORT_FORMATS = [...SUPPORTED_FORMATS, 'apkg'];
+
+const DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+
+/**
+ * Vocabulary fields that can be mapped from a column, in the legacy positional
+ * order used by POST /admin/import-csv.
+ */
+const IMPORT_FIELDS = [
+  'word',
+  'translation',
+  'partOfSpeech',
+  'difficulty',
+  'definition',
+  'pronunciation',
+  'example',
+  'exampleTranslation',
+  'language',
+  'topic',
+  'subtopic',
+  'audioUrl',
+  'imageUrl'
+];
+
+/**
+ * Header aliases (lower-cased) recognised when a file has a header row.
+ * Anki's default note fields are "Front" and "Back".
+ */
+const HEADER_ALIASES = {
+  word: ['word', 'term', 'front', 'question', 'expression'],
+  translation: ['translation', 'back', 'meaning', 'answer'],
+  partOfSpeech: ['partofspeech', 'part of speech', 'pos'],
+  difficulty: ['difficulty', 'level'],
+  definition: ['definition', 'description', 'notes'],
+  pronunciation: ['pronunciation', 'reading', 'ipa', 'transcription'],
+  example: ['example', 'sentence', 'example sentence'],
+  exampleTranslation: ['exampletranslation', 'example translation', 'sentence translation'],
+  language: ['language', 'lang'],
+  topic: ['topic', 'deck', 'category'],
+  subtopic: ['subtopic', 'subdeck', 'tags'],
+  audioUrl: ['audio', 'audiourl', 'audio url', 'sound'],
+  imageUrl: ['image', 'imageurl', 'image url', 'picture']
+};
+
+const EXPORT_COLUMNS = [
+  'word',
+  'translation',
+  'partOfSpeech',
+  'difficulty',
+  'definition',
+  'pronunciation',
+  'example',
+  'exampleTranslation',
+  'language',
+  'topic',
+  'subtopic',
+  'audioUrl',
+  'imageUrl'
+];
+
+/**
+ * Guess the format from a file name.
+ * @param {string} filename - Uploaded file name
+ * @returns {string|null} 'csv' | 'tsv' | 'anki' | 'apkg' | null
+ */
+const detectFormatFromFilename = (filename = '') => {
+  const ext = filename.toLowerCase().split('.').pop();
+  if (ext === 'csv') return 'csv';
+  if (ext === 'tsv' || ext === 'tab') return 'tsv';
+  if (ext === 'txt') return 'anki';
+  if (ext === 'apkg' || ext === 'colpkg') return 'apkg';
+  return null;
+};
+
+/**
+ * Read Anki plain-text export headers ("#separator:tab", "#columns:Front\tBack", ...).
+ * @param {string} text - File content
+ * @returns {{ directives: Object, body: string }}
+ */
+const extractAnkiDirectives = (text) => {
+  const directives = {};
+  const lines = text.split(/\r?\n/);
+  let index = 0;
+
+  while (index < lines.length && lines[index].startsWith('#')) {
+    const match = lines[index].match(/^#([a-z ]+):(.*)$/i);
+    if (match) {
+      directives[match[1].trim().toLowerCase()] = match[2];
+    }
+    index++;
+  }
+
+  return { directives, body: lines.slice(index).join('\n') };
+};
+
+const resolveSeparator = (value) => {
+  const separators = { tab: '\t', comma: ',', semicolon: ';', pipe: '|', space: ' ', colon: ':' };
+  if (!value) return null;
+  const key = value.trim().toLowerCase();
+  return separators[key] || value.trim().charAt(0) || null;
+};
+
+/**
+ * Pick the most likely delimiter from the first non-empty line.
+ */
+const sniffDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/).find(line => line.trim()) || '';
+  const counts = ['\t', ',', ';'].map(delimiter => ({
+    delimiter,
+    count: firstLine.split(delimiter).length - 1
+  }));
+  counts.sort((a, b) => b.count - a.count);
+  return counts[0].count > 0 ? counts[0].delimiter : ',';
+};
+
+/**
+ * RFC 4180 style parser: quoted fields, escaped quotes ("") and newlines
+ * inside quotes are supported.
+ * @param {string} text - Delimited text
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<Array<string>>} Rows of fields (blank lines skipped)
+ */
+const parseDelimited = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some(value => value.trim() !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  if (row.some(value => value.trim() !== '')) rows.push(row);
+
+  return rows;
+};
+
+const stripHtml = (value) => value
+  .replace(/<br\s*\/?>/gi, ' ')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"');
+
+/**
+ * Extract "[sound:file.mp3]" references Anki embeds in fields.
+ */
+const extractAnkiSound = (value) => {
+  const match = value.match(/\[sound:([^\]]+)\]/);
+  return {
+    value: value.replace(/\[sound:[^\]]+\]/g, '').trim(),
+    sound: match ? match[1] : null
+  };
+};
+
+/**
+ * Build a column index -> field map.
+ * @param {Array<string>|null} header - Header row, if the file has one
+ * @param {Object} [columnMap] - Explicit mapping { field: columnIndex | headerName }
+ * @returns {Object} Map of field name to column index
+ */
+const buildColumnMap = (header, columnMap) => {
+  const map = {};
+
+  if (columnMap && Object.keys(columnMap).length > 0) {
+    for (const [field, column] of Object.entries(columnMap)) {
+      if (!IMPORT_FIELDS.includes(field)) continue;
+      if (typeof column === 'number' || /^\d+$/.test(String(column))) {
+        map[field] = parseInt(column, 10);
+      } else if (header) {
+        const index = header.findIndex(name => name.trim().toLowerCase() === String(column).trim().toLowerCase());
+        if (index !== -1) map[field] = index;
+      }
+    }
+    return map;
+  }
+
+  if (header) {
+    header.forEach((name, index) => {
+      const normalized = name.trim().toLowerCase();
+      const field = Object.keys(HEADER_ALIASES).find(key => HEADER_ALIASES[key].includes(normalized));
+      if (field && map[field] === undefined) map[field] = index;
+    });
+    if (map.word !== undefined && map.translation !== undefined) return map;
+  }
+
+  // Legacy positional order
+  IMPORT_FIELDS.slice(0, 6).forEach((field, index) => {
+    map[field] = index;
+  });
+  return map;
+};
+
+/**
+ * Map raw field rows to Vocabulary data with a per-row error report.
+ * @param {Array<string>|null} header - Column names, if known
+ * @param {Array<Array<string>>} rawRows - Data rows
+ * @param {Object} options
+ * @param {Object} [options.columnMap] - Explicit field -> column mapping
+ * @param {Object} [options.defaults] - Default language/topic/subtopic/translationLanguage
+ * @param {boolean} [options.isHtml] - Fields contain HTML (Anki)
+ * @param {number|null} [options.tagsColumn] - Anki tags column index
+ * @param {number|null} [options.deckColumn] - Anki deck column index
+ * @param {number} [options.firstDataLine] - Row number of rawRows[0] in the file
+ * @returns {{ columns: Object, rows: Array<Object>, errors: Array<Object> }}
+ */
+const mapRows = (header, rawRows, { columnMap, defaults = {}, isHtml = false, tagsColumn = null, deckColumn = null, firstDataLine = 1 }) => {
+  const columns = buildColumnMap(header, columnMap);
+
+  // Anki deck/tags columns are metadata, never word fields
+  Object.keys(columns).forEach(field => {
+    if (columns[field] === tagsColumn || columns[field] === deckColumn) delete columns[field];
+  });
+
+  const rows = [];
+  const errors = [];
+
+  rawRows.forEach((values, index) => {
+    const rowNumber = index + firstDataLine;
+    const read = (field) => {
+      const column = columns[field];
+      if (column === undefined || values[column] === undefined) return '';
+      let value = values[column];
+      if (isHtml) value = stripHtml(value);
+      return value.trim();
+    };
+
+    const wordField = extractAnkiSound(read('word'));
+    const translationField = extractAnkiSound(read('translation'));
+    const rowErrors = [];
+
+    const item = {
+      word: wordField.value,
+      translation: translationField.value,
+      partOfSpeech: (read('partOfSpeech') || 'noun').toLowerCase(),
+      difficulty: (read('difficulty') || 'beginner').toLowerCase(),
+      definition: read('definition'),
+      pronunciation: read('pronunciation'),
+      language: (read('language') || defaults.language || 'english').toLowerCase(),
+      translationLanguage: defaults.translationLanguage || 'russian',
+      topic: read('topic') ||
+        (deckColumn !== null && values[deckColumn] ? values[deckColumn].split('::').pop().trim() : '') ||
+        defaults.topic || 'General',
+      subtopic: read('subtopic') ||
+        (tagsColumn !== null && values[tagsColumn] ? values[tagsColumn].trim().split(/\s+/)[0] : '') ||
+        defaults.subtopic || 'Common Words',
+      audioUrl: read('audioUrl') || wordField.sound || translationField.sound || undefined,
+      imageUrl: read('imageUrl') || undefined,
+      examples: []
+    };
+
+    const example = read('example');
+    if (example) {
+      item.examples.push({ sentence: example, translation: read('exampleTranslation') });
+    }
+
+    if (!item.word) rowErrors.push('Word is required');
+    if (!item.translation) rowErrors.push('Translation is required');
+    if (!DIFFICULTIES.includes(item.difficulty)) {
+      rowErrors.push(`Invalid difficulty "${item.difficulty}" (expected ${DIFFICULTIES.join(', ')})`);
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push({ row: rowNumber, values, errors: rowErrors });
+    } else {
+      rows.push({ row: rowNumber, data: item });
+    }
+  });
+
+  return { columns, rows, errors };
+};
+
+/**
+ * Parse file content into row objects with a per-row error report.
+ * @param {string} content - File content
+ * @param {Object} [options]
+ * @param {string} [options.format] - 'csv' | 'tsv' | 'anki' (auto-detected when omitted)
+ * @param {boolean} [options.hasHeader] - First row is a header (auto-detected when omitted)
+ * @param {Object} [options.columnMap] - Explicit field -> column mapping
+ * @param {Object} [options.defaults] - Default language/topic/subtopic/translationLanguage
+ * @returns {{ format: string, columns: Object, rows: Array<Object>, errors: Array<Object> }}
+ */
+const parseVocabularyFile = (content, options = {}) => {
+  const { defaults = {}, columnMap } = options;
+  let text = String(content || '').replace(/^\uFEFF/, '');
+  let format = options.format && options.format !== 'auto' ? options.format : null;
+  let delimiter = null;
+  let header = null;
+  let isHtml = false;
+
+  const { directives, body } = extractAnkiDirectives(text);
+  if (Object.keys(directives).length > 0) {
+    format = format || 'anki';
+    text = body;
+    delimiter = resolveSeparator(directives.separator);
+    isHtml = String(directives.html).trim() === 'true';
+    if (directives.columns) {
+      header = directives.columns.split(delimiter || '\t');
+    }
+  }
+
+  if (!delimiter) {
+    if (format === 'tsv' || format === 'anki') delimiter = '\t';
+    else if (format === 'csv') delimiter = sniffDelimiter(text) === '\t' ? ',' : sniffDelimiter(text);
+    else delimiter = sniffDelimiter(text);
+  }
+  format = format || (delimiter === '\t' ? 'tsv' : 'csv');
+
+  let rawRows = parseDelimited(text, delimiter);
+
+  if (!header && rawRows.length > 0) {
+    const first = rawRows[0].map(value => value.trim().toLowerCase());
+    const looksLikeHeader = first.some(value =>
+      Object.values(HEADER_ALIASES).some(aliases => aliases.includes(value))
+    );
+    if (options.hasHeader === true || (options.hasHeader === undefined && looksLikeHeader)) {
+      header = rawRows[0];
+      rawRows = rawRows.slice(1);
+    }
+  } else if (header && options.hasHeader === true) {
+    rawRows = rawRows.slice(1);
+  }
+
+  const tagsColumn = directives['tags column'] ? parseInt(directives['tags column'], 10) - 1 : null;
+  const deckColumn = directives['deck column'] ? parseInt(directives['deck column'], 10) - 1 : null;
+
+  return {
+    format,
+    ...mapRows(header, rawRows, {
+      columnMap,
+      defaults,
+      isHtml,
+      tagsColumn,
+      deckColumn,
+      firstDataLine: header && !directives.columns ? 2 : 1
+    })
+  };
+};
+
+// Newest collection format first: Anki 2.1.50+ packages hold a zstd-compressed
+// "anki21b" and a stub "anki2" that only tells old clients to upgrade
+const ANKI_COLLECTION_ENTRIES = ['collection.anki21b', 'collection.anki21', 'collection.anki2'];
+const ANKI_FIELD_SEPARATOR = '\x1f';
+
+let sqlJsPromise = null;
+const loadSqlJs = () => {
+  if (!sqlJsPromise) sqlJsPromise = initSqlJs();
+  return sqlJsPromise;
+};
+
+const invalidPackage = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const queryRows = (db, sql) => {
+  const [result] = db.exec(sql);
+  if (!result) return [];
+  return result.values.map(values => Object.fromEntries(result.columns.map((column, i) => [column, values[i]])));
+};
+
+/**
+ * Note type field names and deck names by id. Collections since Anki 2.1.28
+ * (schema 18) keep them in tables; older ones as JSON in the col row.
+ */
+const readAnkiCollectionMeta = (db) => {
+  const hasFieldsTable = queryRows(db, "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'fields'").length > 0;
+  const fieldsByModel = new Map();
+  const deckNames = new Map();
+
+  if (hasFieldsTable) {
+    queryRows(db, 'SELECT ntid, name FROM fields ORDER BY ntid, ord').forEach(({ ntid, name }) => {
+      const key = String(ntid);
+      if (!fieldsByModel.has(key)) fieldsByModel.set(key, []);
+      fieldsByModel.get(key).push(name);
+    });
+    queryRows(db, 'SELECT id, name FROM decks').forEach(({ id, name }) => {
+      deckNames.set(String(id), String(name).split(ANKI_FIELD_SEPARATOR).join('::'));
+    });
+  } else {
+    const [col] = queryRows(db, 'SELECT models, decks FROM col LIMIT 1');
+    if (!col) throw invalidPackage('The Anki collection is empty');
+    Object.entries(JSON.parse(col.models || '{}')).forEach(([id, model]) => {
+      const fields = [...(model.flds || [])].sort((a, b) => a.ord - b.ord).map(field => field.name);
+      fieldsByModel.set(String(id), fields);
+    });
+    Object.entries(JSON.parse(col.decks || '{}')).forEach(([id, deck]) => deckNames.set(String(id), deck.name));
+  }
+
+  return { fieldsByModel, deckNames };
+};
+
+/**
+ * Parse an Anki package (.apkg / .colpkg). Notes of every note type become rows
+ * under one header made of all field names plus "Deck" and "Tags" columns, so
+ * the usual header aliases (Front/Back, ...) and column maps apply. Media files
+ * are not imported; "[sound:...]" references are kept as audioUrl like the
+ * plain-text import does.
+ * @param {Buffer} buffer - Uploaded package
+ * @param {Object} [options]
+ * @param {Object} [options.columnMap] - Explicit field -> column mapping
+ * @param {Object} [options.defaults] - Default language/topic/subtopic/translationLanguage
+ * @returns {Promise<{ format: string, columns: Object, rows: Array<Object>, errors: Array<Object> }>}
+ */
+const parseAnkiPackage = async (buffer, { columnMap, defaults = {} } = {}) => {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (error) {
+    throw invalidPackage('Not a valid Anki package (.apkg is a zip archive)');
+  }
+
+  const entryName = ANKI_COLLECTION_ENTRIES.find(name => zip.getEntry(name));
+  if (!entryName) {
+    throw invalidPackage('The Anki package contains no collection');
+  }
+
+  let data = zip.getEntry(entryName).getData();
+  if (entryName.endsWith('b')) {
+    data = zstdDecompress(new Uint8Array(data));
+  }
+
+  const SQL = await loadSqlJs();
+  let db;
+  try {
+    db = new SQL.Database(new Uint8Array(data));
+    const { fieldsByModel, deckNames } = readAnkiCollectionMeta(db);
+
+    const notes = queryRows(db, `
+      SELECT n.mid, n.tags, n.flds,
+        (SELECT c.did FROM cards c WHERE c.nid = n.id ORDER BY c.ord LIMIT 1) AS did
+      FROM notes n
+      ORDER BY n.id
+    `);
+
+    // One header for all note types, field names matched case-insensitively
+    const header = [];
+    const columnByName = new Map();
+    notes.forEach(({ mid }) => {
+      (fieldsByModel.get(String(mid)) || []).forEach(name => {
+        const key = name.trim().toLowerCase();
+        if (!columnByName.has(key)) {
+          columnByName.set(key, header.length);
+          header.push(name);
+        }
+      });
+    });
+    const deckColumn = header.push('Deck') - 1;
+    const tagsColumn = header.push('Tags') - 1;
+
+    const rawRows = notes.map(({ mid, tags, flds, did }) => {
+      const values = new Array(header.length).fill('');
+      const names = fieldsByModel.get(String(mid)) || [];
+      String(flds || '').split(ANKI_FIELD_SEPARATOR).forEach((value, ord) => {
+        const column = names[ord] !== undefined ? columnByName.get(names[ord].trim().toLowerCase()) : ord;
+        if (column !== undefined && column < deckColumn) values[column] = value;
+      });
+      values[deckColumn] = deckNames.get(String(did)) || '';
+      values[tagsColumn] = String(tags || '').trim();
+      return values;
+    });
+
+    return {
+      format: 'apkg',
+      ...mapRows(header, rawRows, { columnMap, defaults, isHtml: true, tagsColumn, deckColumn })
+    };
+  } catch (error) {
+    if (error.status) throw error;
+    throw invalidPackage(`Could not read the Anki collection: ${error.message}`);
+  } finally {
+    if (db) db.close();
+  }
+};
+
+/**
+ * Key used for duplicate detection: same word + language + topic, case-insensitive.
+ */
+const duplicateKey = (item) => [item.word, item.language, item.topic]
+  .map(value => String(value || '').trim().toLowerCase())
+  .join('|');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split parsed rows into new rows, duplicates within the file and duplicates
+ * of existing Vocabulary documents.
+ * @param {Model} Vocabulary - Vocabulary model
+ * @param {Array<Object>} rows - Parsed rows from parseVocabularyFile
+ * @returns {Promise<{ fresh: Array, inFile: Array, existing: Array }>}
+ */
+const findDuplicates = async (Vocabulary, rows) => {
+  const seen = new Map();
+  const unique = [];
+  const inFile = [];
+
+  for (const row of rows) {
+    const key = duplicateKey(row.data);
+    if (seen.has(key)) {
+      inFile.push({ ...row, duplicateOfRow: seen.get(key) });
+    } else {
+      seen.set(key, row.row);
+      unique.push(row);
+    }
+  }
+
+  const existingByKey = new Map();
+  const batchSize = 200;
+  for (let i = 0; i < unique.length; i += batchSize) {
+    const batch = unique.slice(i, i + batchSize);
+    const matches = await Vocabulary.find({
+      $or: batch.map(({ data }) => ({
+        word: { $regex: `^${escapeRegex(data.word)}$`, $options: 'i' },
+        language: { $regex: `^${escapeRegex(data.language)}$`, $options: 'i' },
+        topic: { $regex: `^${escapeRegex(data.topic)}$`, $options: 'i' }
+      }))
+    }).select('word translation language topic subtopic');
+
+    matches.forEach(doc => existingByKey.set(duplicateKey(doc), doc));
+  }
+
+  const fresh = [];
+  const existing = [];
+  for (const row of unique) {
+    const match = existingByKey.get(duplicateKey(row.data));
+    if (match) {
+      existing.push({ ...row, existingId: match._id, existing: match });
+    } else {
+      fresh.push(row);
+    }
+  }
+
+  return { fresh, inFile, existing };
+};
+
+const escapeDelimitedValue = (value, delimiter) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  if (delimiter === '\t') {
+    return text.replace(/[\t\r\n]+/g, ' ');
+  }
+  if (text.includes(delimiter) || text.includes('"') || /[\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+/**
+ * Serialise Vocabulary documents into CSV, TSV or an Anki plain-text import file.
+ * The output is accepted back by parseVocabularyFile without a column map.
+ * @param {Array<Object>} words - Vocabulary documents
+ * @param {string} [format] - 'csv' | 'tsv' | 'anki'
+ * @returns {string} File content
+ */
+const serializeVocabulary = (words, format = 'csv') => {
+  const delimiter = format === 'csv' ? ',' : '\t';
+  const toRow = (word) => {
+    const example = word.examples?.[0] || {};
+    const values = {
+      ...word,
+      example: example.sentence || '',
+      exampleTranslation: example.translation || ''
+    };
+    return EXPORT_COLUMNS.map(column => escapeDelimitedValue(values[column], delimiter)).join(delimiter);
+  };
+
+  const lines = [];
+  if (format === 'anki') {
+    lines.push('#separator:tab');
+    lines.push('#html:false');
+    lines.push(`#columns:${EXPORT_COLUMNS.join('\t')}`);
+  } else {
+    lines.push(EXPORT_COLUMNS.join(delimiter));
+  }
+
+  words.forEach(word => lines.push(toRow(word)));
+
+  return lines.join('\n') + '\n';
+};
+
+module.exports = {
+  SUPPORTED_FORMATS,
+  IMPORT_FORMATS,
+  IMPORT_FIELDS,
+  detectFormatFromFilename,
+  parseDelimited,
+  parseVocabularyFile,
+  parseAnkiPackage,
+  findDuplicates,
+  serializeVocabulary
+};
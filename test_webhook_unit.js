@@ -28,7 +28,10 @@ const mocks = {
         })
     },
     './multicardAuth': { getAuthToken: async () => 'mock-token' },
-    '../config/subscriptionConfig': { getDurationFromAmount: () => ({ durationDays: 30 }) }
+    '../config/subscriptionConfig': {
+        getDurationFromAmount: () => ({ durationDays: 30 }),
+        getDurationForPayment: () => ({ durationDays: 30 })
+    }
 };
 
 // Override require to serve mocks
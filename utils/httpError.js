@@ -0,0 +1,10 @@
+// utils/httpError.js - Error carrying an HTTP status (and optional machine-readable code);
+// route handlers answer with error.status when it is set
+const httpError = (status, message, code) => {
+  const error = new Error(message);
+  error.status = status;
+  if (code) error.code = code;
+  return error;
+};
+
+module.exports = httpError;